@@ -0,0 +1,87 @@
+// 生成 worker.js 末尾的前端构建产物 (APP_SOURCE、APP_CSS 与 VENDOR_SCRIPTS)
+// - src/app.jsx: 用 esbuild 编译 JSX，得到页面直接执行的脚本
+// - src/app.css: 用 Tailwind 扫描 src/app.jsx 中使用的 class 生成样式
+// - React / ReactDOM: 使用 package.json 中固定版本的 UMD 构建，由 Worker 在 /assets/vendor/* 提供
+// 用法: npm run build 更新 worker.js；npm run check 只检查 worker.js 是否与源码一致 (不一致时退出码为 1)
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import esbuild from 'esbuild';
+import postcss from 'postcss';
+import tailwindcss from 'tailwindcss';
+
+const root = (path) => fileURLToPath(new URL(`../${path}`, import.meta.url));
+
+const WORKER_PATH = root('worker.js');
+const GENERATED_MARKER = '// --- 前端构建产物 ---';
+const VENDOR_FILES = {
+  'react.js': 'node_modules/react/umd/react.production.min.js',
+  'react-dom.js': 'node_modules/react-dom/umd/react-dom.production.min.js'
+};
+
+// 转义为模板字符串
+const toTemplate = (text) => '`' + text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${') + '`';
+
+async function buildScript(source) {
+  const { code } = await esbuild.transform(source, { loader: 'jsx', target: 'es2020', charset: 'utf8' });
+  return code;
+}
+
+async function buildStyles(source) {
+  const input = await readFile(root('src/app.css'), 'utf8');
+  const { css } = await postcss([tailwindcss({ content: [{ raw: source, extension: 'jsx' }] })])
+    .process(input, { from: root('src/app.css') });
+  const { code } = await esbuild.transform(css, { loader: 'css', minify: true });
+  return code.trim();
+}
+
+async function buildVendorScripts() {
+  const entries = await Promise.all(Object.entries(VENDOR_FILES).map(async ([name, path]) => (
+    [name, (await readFile(root(path), 'utf8')).trim()]
+  )));
+  return entries.map(([name, code]) => `  '${name}': ${toTemplate(code)}`).join(',\n');
+}
+
+async function renderGenerated() {
+  const source = await readFile(root('src/app.jsx'), 'utf8');
+  const [script, styles, vendor] = await Promise.all([buildScript(source), buildStyles(source), buildVendorScripts()]);
+  return `${GENERATED_MARKER}
+// 以下内容由 scripts/build.mjs 根据 src/ 与 package.json 中固定版本的依赖生成，请勿手动修改 (修改源码后运行 npm run build)
+
+/**
+ * 前端应用代码 (由 src/app.jsx 编译)，由页面加载脚本直接执行
+ */
+const APP_SOURCE = ${toTemplate(script)};
+
+/**
+ * 前端样式 (由 src/app.css 生成的 Tailwind CSS)
+ */
+const APP_CSS = ${toTemplate(styles)};
+
+/**
+ * 同源提供的第三方脚本 (/assets/vendor/*)
+ */
+const VENDOR_SCRIPTS = {
+${vendor}
+};
+`;
+}
+
+const worker = await readFile(WORKER_PATH, 'utf8');
+const markerIndex = worker.indexOf(GENERATED_MARKER);
+if (markerIndex === -1) {
+  throw new Error(`worker.js is missing the "${GENERATED_MARKER}" marker`);
+}
+const updated = worker.slice(0, markerIndex) + await renderGenerated();
+
+if (process.argv.includes('--check')) {
+  if (updated !== worker) {
+    console.error('worker.js is out of date with src/, run npm run build');
+    process.exit(1);
+  }
+  console.log('worker.js is up to date');
+} else if (updated !== worker) {
+  await writeFile(WORKER_PATH, updated);
+  console.log('worker.js updated');
+} else {
+  console.log('worker.js is already up to date');
+}
@@ -0,0 +1,4029 @@
+// Gz'nano 前端 (React + JSX)
+// 由 scripts/build.mjs (npm run build) 编译后写入 worker.js 的 APP_SOURCE；React / ReactDOM 以全局变量提供
+const { useState, useEffect, useRef, useMemo } = React;
+
+// --- 多语言 ---
+// 界面文案按 locale 查表；服务端的错误信息通过 Accept-Language 返回同一语言
+const DEFAULT_LOCALE = 'zh-CN';
+const LOCALE_STORAGE_KEY = 'gz_locale';
+const SUPPORTED_LOCALES = [
+    { id: 'zh-CN', label: '中' },
+    { id: 'en', label: 'EN' }
+];
+
+const MESSAGES = {
+    'zh-CN': {
+        'common.cancel': '取消',
+        'common.clear': '清除',
+        'common.delete': '删除',
+        'common.remove': '移除',
+        'common.retry': '重试',
+        'locale.switch': '切换语言',
+        'models.fast': '极速',
+        'zip.invalid': '不是有效的 ZIP 文件',
+        'zip.unsupportedMethod': '不支持的压缩方式: {name}',
+        'errorCode.SAFETY_BLOCKED': '安全拦截',
+        'errorCode.NO_IMAGE': '未生成图片',
+        'errorCode.QUOTA': '上游额度不足',
+        'errorCode.UPSTREAM_TIMEOUT': '上游超时',
+        'errorCode.BAD_INPUT': '参数错误',
+        'errorCode.UPSTREAM_ERROR': '上游错误',
+        'errorCode.RATE_LIMITED': '超出用量限制',
+        'errorCode.default': '生成失败',
+        'mask.title': '局部重绘',
+        'mask.brush': '画笔',
+        'mask.eraser': '橡皮',
+        'mask.size': '大小',
+        'mask.clear': '清除蒙版',
+        'mask.placeholder': '描述涂抹区域要改成什么，例如: 换成一扇木门',
+        'mask.submit': '开始重绘',
+        'login.title': '登录',
+        'login.switch': '切换',
+        'login.switchUser': '切换用户',
+        'login.logout': '退出登录',
+        'login.usage': '用量统计',
+        'login.protected': '此 Worker 已设置访问保护',
+        'login.enterCode': '请输入您的访问密码',
+        'login.wrongCode': '访问密码错误，请重新输入',
+        'login.expired': '登录已失效，请重新登录',
+        'quota.daily': '今日',
+        'quota.rpm': '每分钟',
+        'quota.resetAt': '({time} 重置)',
+        'controls.model': '模型选择',
+        'controls.modelForbidden': '当前账号无权使用 {model}',
+        'controls.imageSize': '分辨率',
+        'controls.aspectRatio': '画面比例',
+        'controls.references': '参考图',
+        'references.use': '用作参考图',
+        'references.dropHint': '拖到参考图区域可添加为参考图',
+        'references.maxDimension': '最长边',
+        'references.maxBytes': '单张上限',
+        'references.settingsHint': '新添加的参考图会按此设置缩小并压缩',
+        'references.payload': '{count} / {max} 张 · {size} / {limit}',
+        'references.preparing': '正在压缩参考图...',
+        'references.moveEarlier': '前移',
+        'references.moveLater': '后移',
+        'references.tooMany': '最多只能添加 {max} 张参考图',
+        'references.decodeFailed': '无法读取图片 {name}',
+        'references.tooLarge': '{name} 压缩后仍超过 {limit}',
+        'references.payloadTooLarge': '参考图共 {size}，超过 {limit} 的上限，请删除部分参考图或调低压缩设置',
+        'controls.addImages': '添加图片 (支持多选、粘贴、拖放)',
+        'controls.stream': '流式输出',
+        'controls.streamOn': '实时显示生成过程，刷新页面会中断生成',
+        'controls.streamOff': '后台任务模式，刷新或关闭页面后仍可取回结果',
+        'controls.batch': '生成数量',
+        'controls.promptPlaceholder': '输入提示词... 支持 {a|b} 组合展开、[a|b] 随机选择',
+        'enhance.hint': '让模型扩写为更详细的提示词',
+        'enhance.button': '优化',
+        'enhance.stylePlaceholder': '风格提示 (可选)，例如: 胶片感、赛博朋克',
+        'enhance.translate': '译为英文',
+        'enhance.retry': '重新优化',
+        'enhance.running': '正在优化...',
+        'enhance.accept': '采用',
+        'enhance.edit': '编辑',
+        'enhance.diff': '查看差异',
+        'enhance.discard': '放弃',
+        'enhance.emptyPrompt': '请先输入需要优化的提示词',
+        'presets.title': '预设',
+        'presets.save': '保存当前',
+        'presets.import': '导入',
+        'presets.importHint': '导入 JSON 格式的预设文件',
+        'presets.export': '导出',
+        'presets.empty': '保存常用的模型、分辨率、比例与风格模板，点击即可应用',
+        'presets.namePlaceholder': '预设名称，例如: Pro 2K 宽屏电影感',
+        'presets.templatePlaceholder': '提示词模板 (可选)，例如: {subject}，电影感布光，35mm 胶片',
+        'presets.templateHint': '模板中的 {subject} 会替换为当前提示词；不含 {subject} 时模板会追加到提示词末尾。',
+        'presets.includeSettings': '包含当前设置 ({settings})',
+        'presets.confirmSave': '保存',
+        'presets.emptyName': '请输入预设名称',
+        'presets.saveFailed': '保存预设失败: {message}',
+        'presets.confirmDelete': '确定要删除预设 "{name}" 吗？',
+        'presets.modelUnavailable': '预设 "{name}" 使用的模型 {model} 当前不可用，已保留当前模型',
+        'presets.invalidFile': '文件中没有预设列表',
+        'presets.imported': '已导入 {count} 个预设',
+        'presets.importSkipped': '，跳过 {count} 个 (已存在或格式无效)',
+        'presets.importFailed': '导入预设失败: {message}',
+        'generate.submit': '开始生成',
+        'generate.batchInfo': '将生成 {count} 张 (最多同时 {concurrency} 个请求)',
+        'generate.emptyPrompt': '请输入提示词或上传参考图片',
+        'generate.tooMany': '单次最多生成 {max} 张，当前展开为 {count} 张',
+        'generate.failed': '生成过程中发生错误',
+        'generate.queued': '排队中',
+        'generate.processing': '生成中...',
+        'lightbox.download': '保存原图',
+        'lightbox.info': '详情',
+        'lightbox.edit': '对话编辑',
+        'lightbox.editUnsupported': '{model} 不支持对话编辑',
+        'lightbox.maskUnsupported': '{model} 不支持局部重绘',
+        'lightbox.remixHint': '用这张作品的参数还原控制面板',
+        'lightbox.viewSource': '查看源图',
+        'lightbox.referenceCount': '{count} 张参考图',
+        'lightbox.tags': '标签',
+        'lightbox.tagPlaceholder': '添加标签，回车确认',
+        'lightbox.albums': '相册',
+        'lightbox.albumPlaceholder': '新建相册并加入，回车确认',
+        'lightbox.delete': '删除作品',
+        'edit.hint': '在这张图的基础上继续修改，使用左侧面板的模型与比例设置',
+        'edit.deleted': '已删除',
+        'edit.placeholder': '例如: 把天空调暗一些',
+        'edit.submit': '发送修改',
+        'share.title': '分享',
+        'share.hint': '任何拿到链接的人都可以查看这张图片，随时可以撤销',
+        'share.link': '分享链接',
+        'share.validUntil': '{time} 前有效',
+        'share.validForever': '永久有效',
+        'share.promptHidden': '已隐藏提示词',
+        'share.copy': '复制链接',
+        'share.copied': '已复制',
+        'share.open': '打开',
+        'share.expiry': '有效期',
+        'share.expiryDay': '1 天',
+        'share.expiryWeek': '7 天',
+        'share.expiryMonth': '30 天',
+        'share.expiryForever': '永久',
+        'share.hidePrompt': '隐藏提示词',
+        'share.create': '创建分享链接',
+        'share.revoke': '撤销分享',
+        'share.clearExpired': '清除已过期的链接',
+        'share.createFailed': '创建分享失败',
+        'share.revokeFailed': '撤销分享失败',
+        'share.copyFailed': '复制失败，请手动复制链接',
+        'metadata.title': '生成信息',
+        'metadata.dropHint': '松开以读取图片中的生成信息',
+        'metadata.restore': '还原参数',
+        'metadata.import': '导入画廊',
+        'metadata.notFound': '图片中没有找到生成信息 (仅支持从本应用下载的 PNG / JPEG)',
+        'metadata.readFailed': '读取图片失败: {message}',
+        'gallery.title': '画廊',
+        'gallery.batch': '批量',
+        'gallery.imageToImage': '图生图',
+        'gallery.filterAll': '全部',
+        'gallery.favorite': '收藏',
+        'gallery.favorited': '已收藏',
+        'gallery.unfavorite': '取消收藏',
+        'gallery.select': '选择',
+        'gallery.selectAll': '全选',
+        'gallery.exportSelected': '导出所选 ({count})',
+        'gallery.exportAll': '导出全部',
+        'gallery.import': '导入',
+        'gallery.clear': '清空',
+        'gallery.searchPlaceholder': '搜索提示词或标签...',
+        'gallery.noMatches': '没有匹配的作品',
+        'gallery.empty': '暂无作品',
+        'gallery.count': '{count} 张',
+        'gallery.loadMore': '加载更多 (剩余 {count} 张)',
+        'gallery.confirmClear': '清空历史?\n此操作无法撤销，建议先导出备份。',
+        'gallery.confirmClearSynced': '清空历史? (将同时删除服务端的作品)\n此操作无法撤销，建议先导出备份。',
+        'gallery.confirmDelete': '删除这张作品?',
+        'gallery.confirmDeleteSynced': '删除这张作品? (将同时删除服务端的作品)',
+        'gallery.exportFailed': '导出失败: {message}',
+        'gallery.importFailed': '导入失败: {message}',
+        'gallery.missingManifest': '压缩包中缺少 manifest.json',
+        'gallery.imported': '已导入 {count} 张作品',
+        'gallery.importSkipped': '，跳过 {count} 张 (已存在或缺少图片)'
+    },
+    en: {
+        'common.cancel': 'Cancel',
+        'common.clear': 'Clear',
+        'common.delete': 'Delete',
+        'common.remove': 'Remove',
+        'common.retry': 'Retry',
+        'locale.switch': 'Switch language',
+        'models.fast': 'Fast',
+        'zip.invalid': 'Not a valid ZIP file',
+        'zip.unsupportedMethod': 'Unsupported compression method: {name}',
+        'errorCode.SAFETY_BLOCKED': 'Blocked by safety filters',
+        'errorCode.NO_IMAGE': 'No image generated',
+        'errorCode.QUOTA': 'Upstream quota exhausted',
+        'errorCode.UPSTREAM_TIMEOUT': 'Upstream timeout',
+        'errorCode.BAD_INPUT': 'Invalid parameters',
+        'errorCode.UPSTREAM_ERROR': 'Upstream error',
+        'errorCode.RATE_LIMITED': 'Usage limit exceeded',
+        'errorCode.default': 'Generation failed',
+        'mask.title': 'Inpaint',
+        'mask.brush': 'Brush',
+        'mask.eraser': 'Eraser',
+        'mask.size': 'Size',
+        'mask.clear': 'Clear mask',
+        'mask.placeholder': 'Describe what the painted area should become, e.g. a wooden door',
+        'mask.submit': 'Inpaint',
+        'login.title': 'Sign in',
+        'login.switch': 'Switch',
+        'login.switchUser': 'Switch user',
+        'login.logout': 'Sign out',
+        'login.usage': 'Usage',
+        'login.protected': 'This Worker is password protected',
+        'login.enterCode': 'Please enter your access code',
+        'login.wrongCode': 'Wrong access code, please try again',
+        'login.expired': 'Your session has expired, please sign in again',
+        'quota.daily': 'Today',
+        'quota.rpm': 'Per minute',
+        'quota.resetAt': '(resets {time})',
+        'controls.model': 'Model',
+        'controls.modelForbidden': 'Your account cannot use {model}',
+        'controls.imageSize': 'Resolution',
+        'controls.aspectRatio': 'Aspect ratio',
+        'controls.references': 'References',
+        'references.use': 'Use as reference',
+        'references.dropHint': 'Drop onto the references area to add them as references',
+        'references.maxDimension': 'Max side',
+        'references.maxBytes': 'Max per image',
+        'references.settingsHint': 'Newly added references are downscaled and compressed to these limits',
+        'references.payload': '{count} / {max} images · {size} / {limit}',
+        'references.preparing': 'Compressing references...',
+        'references.moveEarlier': 'Move earlier',
+        'references.moveLater': 'Move later',
+        'references.tooMany': 'You can add at most {max} reference images',
+        'references.decodeFailed': 'Cannot read image {name}',
+        'references.tooLarge': '{name} is still larger than {limit} after compression',
+        'references.payloadTooLarge': 'References total {size}, over the {limit} limit. Remove some or lower the compression settings',
+        'controls.addImages': 'Add images (select, paste or drop)',
+        'controls.stream': 'Streaming',
+        'controls.streamOn': 'Shows progress live; reloading the page stops the generation',
+        'controls.streamOff': 'Background job mode; results survive reloading or closing the page',
+        'controls.batch': 'Batch size',
+        'controls.promptPlaceholder': 'Enter a prompt... {a|b} expands to every combination, [a|b] picks one at random',
+        'enhance.hint': 'Let the model expand this into a more detailed prompt',
+        'enhance.button': 'Enhance',
+        'enhance.stylePlaceholder': 'Style hint (optional), e.g. film grain, cyberpunk',
+        'enhance.translate': 'Translate to English',
+        'enhance.retry': 'Enhance again',
+        'enhance.running': 'Enhancing...',
+        'enhance.accept': 'Accept',
+        'enhance.edit': 'Edit',
+        'enhance.diff': 'Show diff',
+        'enhance.discard': 'Discard',
+        'enhance.emptyPrompt': 'Enter a prompt to enhance first',
+        'presets.title': 'Presets',
+        'presets.save': 'Save current',
+        'presets.import': 'Import',
+        'presets.importHint': 'Import presets from a JSON file',
+        'presets.export': 'Export',
+        'presets.empty': 'Save a model, resolution, aspect ratio and style template you use often, then apply it with one click',
+        'presets.namePlaceholder': 'Preset name, e.g. Pro 2K cinematic',
+        'presets.templatePlaceholder': 'Prompt template (optional), e.g. {subject}, cinematic lighting, 35mm film',
+        'presets.templateHint': '{subject} in the template is replaced with the current prompt; without it the template is appended to the end of the prompt.',
+        'presets.includeSettings': 'Include current settings ({settings})',
+        'presets.confirmSave': 'Save',
+        'presets.emptyName': 'Enter a preset name',
+        'presets.saveFailed': 'Could not save the preset: {message}',
+        'presets.confirmDelete': 'Delete preset "{name}"?',
+        'presets.modelUnavailable': 'Preset "{name}" uses {model}, which is not available right now; keeping the current model',
+        'presets.invalidFile': 'The file does not contain a preset list',
+        'presets.imported': 'Imported {count} presets',
+        'presets.importSkipped': ', skipped {count} (already present or invalid)',
+        'presets.importFailed': 'Could not import presets: {message}',
+        'generate.submit': 'Generate',
+        'generate.batchInfo': '{count} images will be generated (up to {concurrency} requests at a time)',
+        'generate.emptyPrompt': 'Enter a prompt or upload a reference image',
+        'generate.tooMany': 'At most {max} images per run, this prompt expands to {count}',
+        'generate.failed': 'Something went wrong during generation',
+        'generate.queued': 'Queued',
+        'generate.processing': 'Processing...',
+        'lightbox.download': 'Download',
+        'lightbox.info': 'Details',
+        'lightbox.edit': 'Chat edit',
+        'lightbox.editUnsupported': '{model} does not support chat editing',
+        'lightbox.maskUnsupported': '{model} does not support inpainting',
+        'lightbox.remixHint': 'Restore the control panel from this image',
+        'lightbox.viewSource': 'View source image',
+        'lightbox.referenceCount': '{count} reference images',
+        'lightbox.tags': 'Tags',
+        'lightbox.tagPlaceholder': 'Add a tag and press Enter',
+        'lightbox.albums': 'Albums',
+        'lightbox.albumPlaceholder': 'New album, press Enter to add',
+        'lightbox.delete': 'Delete image',
+        'edit.hint': 'Keep editing this image using the model and aspect ratio from the left panel',
+        'edit.deleted': 'Deleted',
+        'edit.placeholder': 'e.g. make the sky a little darker',
+        'edit.submit': 'Send edit',
+        'share.title': 'Share',
+        'share.hint': 'Anyone with the link can view this image. You can revoke it at any time',
+        'share.link': 'Share link',
+        'share.validUntil': 'Valid until {time}',
+        'share.validForever': 'Never expires',
+        'share.promptHidden': 'prompt hidden',
+        'share.copy': 'Copy link',
+        'share.copied': 'Copied',
+        'share.open': 'Open',
+        'share.expiry': 'Expires after',
+        'share.expiryDay': '1 day',
+        'share.expiryWeek': '7 days',
+        'share.expiryMonth': '30 days',
+        'share.expiryForever': 'Never',
+        'share.hidePrompt': 'Hide prompt',
+        'share.create': 'Create share link',
+        'share.revoke': 'Revoke link',
+        'share.clearExpired': 'Remove expired link',
+        'share.createFailed': 'Failed to create the share link',
+        'share.revokeFailed': 'Failed to revoke the share link',
+        'share.copyFailed': 'Copy failed, please copy the link manually',
+        'metadata.title': 'Generation info',
+        'metadata.dropHint': 'Drop to read the generation info in this image',
+        'metadata.restore': 'Restore parameters',
+        'metadata.import': 'Import to gallery',
+        'metadata.notFound': 'No generation info found (only PNG / JPEG files downloaded from this app are supported)',
+        'metadata.readFailed': 'Failed to read the image: {message}',
+        'gallery.title': 'Gallery',
+        'gallery.batch': 'Batch',
+        'gallery.imageToImage': 'Image to Image',
+        'gallery.filterAll': 'All',
+        'gallery.favorite': 'Favorite',
+        'gallery.favorited': 'Favorited',
+        'gallery.unfavorite': 'Remove from favorites',
+        'gallery.select': 'Select',
+        'gallery.selectAll': 'Select all',
+        'gallery.exportSelected': 'Export selected ({count})',
+        'gallery.exportAll': 'Export all',
+        'gallery.import': 'Import',
+        'gallery.clear': 'Clear',
+        'gallery.searchPlaceholder': 'Search prompts or tags...',
+        'gallery.noMatches': 'No matching images',
+        'gallery.empty': 'No images yet',
+        'gallery.count': '{count} images',
+        'gallery.loadMore': 'Load more ({count} remaining)',
+        'gallery.confirmClear': 'Clear history?\nThis cannot be undone, consider exporting a backup first.',
+        'gallery.confirmClearSynced': 'Clear history? (images on the server will be deleted too)\nThis cannot be undone, consider exporting a backup first.',
+        'gallery.confirmDelete': 'Delete this image?',
+        'gallery.confirmDeleteSynced': 'Delete this image? (it will be deleted from the server too)',
+        'gallery.exportFailed': 'Export failed: {message}',
+        'gallery.importFailed': 'Import failed: {message}',
+        'gallery.missingManifest': 'manifest.json is missing from the archive',
+        'gallery.imported': 'Imported {count} images',
+        'gallery.importSkipped': ', skipped {count} (already present or missing the image)'
+    }
+};
+
+// 页面加载时 <html lang> 已由服务端按 Accept-Language 设置，并被本地保存的选择覆盖
+let currentLocale = MESSAGES[document.documentElement.lang] ? document.documentElement.lang : DEFAULT_LOCALE;
+
+const hasMessage = (key) => key in MESSAGES[currentLocale];
+
+// 缺少译文时回退到默认语言；{name} 占位符由 params 替换
+const t = (key, params = {}) => {
+    const template = hasMessage(key) ? MESSAGES[currentLocale][key] : (MESSAGES[DEFAULT_LOCALE][key] || key);
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+const setCurrentLocale = (locale) => {
+    currentLocale = locale;
+    document.documentElement.lang = locale;
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (e) {
+        // 隐私模式下无法保存，仅对当前页面生效
+    }
+};
+
+const localeHeaders = () => ({ 'Accept-Language': currentLocale });
+
+// --- IndexedDB Manager ---
+const DB_NAME = 'GeminiGalleryDB';
+const DB_VERSION = 6;
+// 作品: { id, image, thumbnail, prompt, model, timestamp, tags, albums, favorite, owner, ... }
+// owner 为创建或同步该作品的账号 (未登录时为 null)，画廊只显示和同步当前账号的作品
+const STORE_NAME = 'images';
+// 进行中的异步任务 (/api/jobs)，刷新页面后继续轮询: { jobId, pendingId, job }
+const JOB_STORE_NAME = 'jobs';
+// 控制面板预设: { id, name, model, imageSize, aspectRatio, template, createdAt }
+const PRESET_STORE_NAME = 'presets';
+// 失败的生成任务卡片，刷新页面后仍可重试: { id, prompt, timestamp, model, status, error, job }
+const FAILED_STORE_NAME = 'failed';
+
+// 作品的可编辑字段默认值 (favorite 使用 0/1，布尔值无法作为索引键)；未指定 owner 时归属当前账号
+const withDefaults = (image) => ({ tags: [], albums: [], favorite: 0, owner: galleryOwner(), ...image });
+
+// 当前账号 (未登录或服务端未开启登录时为 null)
+const galleryOwner = () => {
+  const session = sessionStore.load();
+  return session ? session.user.name : null;
+};
+const isOwnItem = (item) => (item.owner ?? null) === galleryOwner();
+
+const dbHelper = {
+  open: () => {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        const store = db.objectStoreNames.contains(STORE_NAME)
+          ? event.target.transaction.objectStore(STORE_NAME)
+          : db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+
+        // v2: 添加索引，并为旧记录补全标签、相册、收藏字段
+        if (event.oldVersion < 2) {
+          store.createIndex('timestamp', 'timestamp');
+          store.createIndex('model', 'model');
+          store.createIndex('tags', 'tags', { multiEntry: true });
+          store.createIndex('albums', 'albums', { multiEntry: true });
+          store.createIndex('favorite', 'favorite');
+          store.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (cursor) {
+              cursor.update(withDefaults(cursor.value));
+              cursor.continue();
+            }
+          };
+        }
+
+        // v3: 保存进行中的异步任务
+        if (!db.objectStoreNames.contains(JOB_STORE_NAME)) {
+          db.createObjectStore(JOB_STORE_NAME, { keyPath: 'jobId' });
+        }
+
+        // v4: 保存控制面板预设
+        if (!db.objectStoreNames.contains(PRESET_STORE_NAME)) {
+          db.createObjectStore(PRESET_STORE_NAME, { keyPath: 'id' });
+        }
+
+        // v5: 保存失败的生成任务
+        if (!db.objectStoreNames.contains(FAILED_STORE_NAME)) {
+          db.createObjectStore(FAILED_STORE_NAME, { keyPath: 'id' });
+        }
+
+        // v6: 作品按账号区分，旧作品归属升级时登录的账号
+        if (event.oldVersion >= 2 && event.oldVersion < 6) {
+          const owner = galleryOwner();
+          store.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (cursor) {
+              if (!('owner' in cursor.value)) cursor.update({ ...cursor.value, owner });
+              cursor.continue();
+            }
+          };
+        }
+      };
+      request.onsuccess = (event) => resolve(event.target.result);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  },
+  add: async (image) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.add(withDefaults(image));
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  put: async (image) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.put(image);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  remove: async (id) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.delete(id);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  get: async (id) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.get(id);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  // 按时间倒序返回当前账号的所有作品
+  getAll: async () => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.index('timestamp').getAll();
+      req.onsuccess = () => resolve(req.result.filter(isOwnItem).reverse());
+      req.onerror = () => reject(req.error);
+    });
+  },
+  // 通过索引筛选当前账号的作品: type 为索引名 (favorite / model / tags / albums)，按时间倒序返回
+  query: async ({ type, value }) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.index(type).getAll(value);
+      req.onsuccess = () => resolve(req.result.filter(isOwnItem).sort((a, b) => b.timestamp - a.timestamp));
+      req.onerror = () => reject(req.error);
+    });
+  },
+  // 旧版本以 data URL 保存原图 (url 字段)，启动时转换为 Blob 并补全缩略图
+  migrateDataUrls: async () => {
+    const legacy = (await dbHelper.getAll()).filter(item => typeof item.url === 'string');
+    for (const { url, ...item } of legacy) {
+      await dbHelper.put({ ...item, ...(await toStoredImage(await dataUrlToBlob(url))) });
+    }
+    return legacy.length;
+  },
+  // 清空当前账号的作品，其他账号的作品保留
+  clear: async () => {
+     const db = await dbHelper.open();
+     return new Promise((resolve, reject) => {
+       const tx = db.transaction(STORE_NAME, 'readwrite');
+       const req = tx.objectStore(STORE_NAME).openCursor();
+       req.onsuccess = () => {
+         const cursor = req.result;
+         if (!cursor) return;
+         if (isOwnItem(cursor.value)) cursor.delete();
+         cursor.continue();
+       };
+       tx.oncomplete = () => resolve(true);
+       tx.onerror = () => reject(tx.error);
+     });
+  },
+  putJob: async (record) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(JOB_STORE_NAME, 'readwrite').objectStore(JOB_STORE_NAME).put(record);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  removeJob: async (jobId) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(JOB_STORE_NAME, 'readwrite').objectStore(JOB_STORE_NAME).delete(jobId);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  getJobs: async () => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(JOB_STORE_NAME, 'readonly').objectStore(JOB_STORE_NAME).getAll();
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  putFailed: async (record) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(FAILED_STORE_NAME, 'readwrite').objectStore(FAILED_STORE_NAME).put(record);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  removeFailed: async (id) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(FAILED_STORE_NAME, 'readwrite').objectStore(FAILED_STORE_NAME).delete(id);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  // 按时间倒序返回失败的任务
+  getFailed: async () => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(FAILED_STORE_NAME, 'readonly').objectStore(FAILED_STORE_NAME).getAll();
+      req.onsuccess = () => resolve(req.result.sort((a, b) => b.timestamp - a.timestamp));
+      req.onerror = () => reject(req.error);
+    });
+  },
+  putPreset: async (preset) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(PRESET_STORE_NAME, 'readwrite').objectStore(PRESET_STORE_NAME).put(preset);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  removePreset: async (id) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(PRESET_STORE_NAME, 'readwrite').objectStore(PRESET_STORE_NAME).delete(id);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  // 按创建时间正序返回所有预设
+  getPresets: async () => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(PRESET_STORE_NAME, 'readonly').objectStore(PRESET_STORE_NAME).getAll();
+      req.onsuccess = () => resolve(req.result.sort((a, b) => a.createdAt - b.createdAt));
+      req.onerror = () => reject(req.error);
+    });
+  }
+};
+
+// --- ZIP Archive ---
+// 用于画廊导入导出: 写入时不压缩 (图片本身已经压缩)，读取时支持不压缩和 deflate 两种格式
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const zipHelper = {
+  // files: [{ name, data: Uint8Array }]，返回 ZIP 文件的 Blob
+  create: (files) => {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    let centralSize = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const crc = crc32(file.data);
+      const size = file.data.length;
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 0x0800, true); // 文件名使用 UTF-8
+      header.setUint16(8, 0, true); // 不压缩
+      header.setUint16(10, dosTime, true);
+      header.setUint16(12, dosDate, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, size, true);
+      header.setUint32(22, size, true);
+      header.setUint16(26, name.length, true);
+      localParts.push(header.buffer, name, file.data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, size, true);
+      entry.setUint32(24, size, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      centralParts.push(entry.buffer, name);
+
+      offset += 30 + name.length + size;
+      centralSize += 46 + name.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end.buffer], { type: 'application/zip' });
+  },
+  // 读取 ZIP 文件，返回 { 文件名: Uint8Array }
+  read: async (blob) => {
+    const buffer = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(buffer.buffer);
+
+    // 从末尾向前查找 End of Central Directory
+    let eocd = buffer.length - 22;
+    while (eocd >= 0 && view.getUint32(eocd, true) !== 0x06054b50) eocd--;
+    if (eocd < 0) throw new Error(t('zip.invalid'));
+
+    const count = view.getUint16(eocd + 10, true);
+    let ptr = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const files = {};
+
+    for (let i = 0; i < count; i++) {
+      const method = view.getUint16(ptr + 10, true);
+      const compressedSize = view.getUint32(ptr + 20, true);
+      const nameLength = view.getUint16(ptr + 28, true);
+      const extraLength = view.getUint16(ptr + 30, true);
+      const commentLength = view.getUint16(ptr + 32, true);
+      const localOffset = view.getUint32(ptr + 42, true);
+      const name = decoder.decode(buffer.subarray(ptr + 46, ptr + 46 + nameLength));
+      ptr += 46 + nameLength + extraLength + commentLength;
+      if (name.endsWith('/')) continue;
+
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) {
+        files[name] = data;
+      } else if (method === 8) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        files[name] = new Uint8Array(await new Response(stream).arrayBuffer());
+      } else {
+        throw new Error(t('zip.unsupportedMethod', { name }));
+      }
+    }
+    return files;
+  }
+};
+
+const MIME_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+const extensionOf = (mimeType) => MIME_EXTENSIONS[mimeType] || 'png';
+const mimeTypeOf = (fileName) => {
+    const ext = fileName.split('.').pop().toLowerCase();
+    return Object.keys(MIME_EXTENSIONS).find(mime => MIME_EXTENSIONS[mime] === ext) || (ext === 'jpeg' ? 'image/jpeg' : 'image/png');
+};
+
+// --- 图片元数据 ---
+// 下载和导出的作品会在文件中写入生成信息 (PNG 的 tEXt / iTXt 块、JPEG 的 XMP)，
+// 文件离开应用后依然保留，拖回页面即可还原参数或导入画廊
+const APP_NAME = "Gz'nano";
+const METADATA_KEYWORD = 'gz-nano';
+const XMP_NAMESPACE = 'http://ns.adobe.com/xap/1.0/';
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+// 写入前先移除这些文本块，重复下载导入的作品时信息不会叠加
+const PNG_TEXT_KEYWORDS = ['Description', 'Software', 'Creation Time', METADATA_KEYWORD];
+// JPEG 段的数据部分最多 65533 字节
+const MAX_JPEG_SEGMENT_BYTES = 65533;
+
+// 写入文件的作品信息 (不包含参考图等二进制数据)
+const toImageRecord = (item) => ({
+    app: METADATA_KEYWORD,
+    version: 1,
+    id: item.id,
+    prompt: item.prompt || '',
+    model: item.model || '',
+    timestamp: item.timestamp,
+    params: item.params ? {
+        model: item.params.model,
+        prompt: item.params.prompt,
+        aspectRatio: item.params.aspectRatio,
+        imageSize: item.params.imageSize
+    } : null
+});
+
+const concatBytes = (parts) => {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+};
+
+const latin1Bytes = (text) => Uint8Array.from(text, c => c.charCodeAt(0) & 0xFF);
+
+const escapeXml = (text) => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const unescapeXml = (text) => text.replace(/&(amp|lt|gt|quot|#39);/g, (_, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" }[name]));
+
+// 返回 PNG 的所有块 [{ type, start, end, data }]，不是 PNG 时返回 null
+const readPngChunks = (bytes) => {
+    if (bytes.length < 8 || PNG_SIGNATURE.some((b, i) => bytes[i] !== b)) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8;
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const end = offset + 12 + length;
+        if (end > bytes.length) break;
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        chunks.push({ type, start: offset, end, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset = end;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+};
+
+const pngChunk = (type, data) => {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(latin1Bytes(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+};
+
+// tEXt 只能保存 Latin-1 文本，提示词等内容使用 iTXt (UTF-8，不压缩)
+const pngTextChunk = (keyword, text) => pngChunk('tEXt', concatBytes([latin1Bytes(keyword), [0], latin1Bytes(text)]));
+const pngITextChunk = (keyword, text) => pngChunk('iTXt', concatBytes([latin1Bytes(keyword), [0, 0, 0, 0, 0], new TextEncoder().encode(text)]));
+
+// 读取 tEXt / iTXt 块的 { keyword, text }，压缩的 iTXt 不处理
+const readPngText = (chunk) => {
+    const separator = chunk.data.indexOf(0);
+    if (separator < 0) return null;
+    const keyword = String.fromCharCode(...chunk.data.subarray(0, separator));
+    if (chunk.type === 'tEXt') {
+        return { keyword, text: String.fromCharCode(...chunk.data.subarray(separator + 1)) };
+    }
+    if (chunk.data[separator + 1] !== 0) return { keyword, text: null };
+    const languageEnd = chunk.data.indexOf(0, separator + 3);
+    const translatedEnd = languageEnd < 0 ? -1 : chunk.data.indexOf(0, languageEnd + 1);
+    if (translatedEnd < 0) return { keyword, text: null };
+    return { keyword, text: new TextDecoder().decode(chunk.data.subarray(translatedEnd + 1)) };
+};
+
+const writePngMetadata = (bytes, record) => {
+    const chunks = readPngChunks(bytes);
+    if (!chunks) return null;
+    const kept = chunks.filter(chunk => {
+        if (chunk.type !== 'tEXt' && chunk.type !== 'iTXt') return true;
+        const text = readPngText(chunk);
+        return !text || !PNG_TEXT_KEYWORDS.includes(text.keyword);
+    });
+    // 文本块写在图像数据之前，只读取文件开头的工具也能拿到
+    const insertAt = kept.findIndex(chunk => chunk.type === 'IDAT');
+    if (insertAt < 0) return null;
+    const textChunks = [
+        pngTextChunk('Software', APP_NAME),
+        pngTextChunk('Creation Time', new Date(record.timestamp).toUTCString()),
+        pngITextChunk('Description', record.prompt),
+        pngITextChunk(METADATA_KEYWORD, JSON.stringify(record))
+    ];
+    return concatBytes([
+        PNG_SIGNATURE,
+        ...kept.slice(0, insertAt).map(chunk => bytes.subarray(chunk.start, chunk.end)),
+        ...textChunks,
+        ...kept.slice(insertAt).map(chunk => bytes.subarray(chunk.start, chunk.end))
+    ]);
+};
+
+// 返回 JPEG 图像数据之前的段 [{ type, start, end, data }] 与图像数据的起始位置，不是 JPEG 时返回 null
+const readJpegSegments = (bytes) => {
+    if (bytes.length < 4 || bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+    const segments = [];
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const type = bytes[offset + 1];
+        if (type === 0xDA) break;
+        const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+        if (end > bytes.length) return null;
+        segments.push({ type, start: offset, end, data: bytes.subarray(offset + 4, end) });
+        offset = end;
+    }
+    return { segments, bodyStart: offset };
+};
+
+const isXmpSegment = (segment) => segment.type === 0xE1
+    && new TextDecoder().decode(segment.data.subarray(0, XMP_NAMESPACE.length + 1)) === XMP_NAMESPACE + '\0';
+
+const buildXmp = (record, withDescription) => (
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="' + XMP_NAMESPACE + '"' +
+    ' xmlns:gznano="https://github.com/genz27/Nano_Gaallery/ns/1.0/"' +
+    ' xmp:CreatorTool="' + escapeXml(APP_NAME) + '"' +
+    ' xmp:CreateDate="' + new Date(record.timestamp).toISOString() + '"' +
+    ' gznano:record="' + escapeXml(JSON.stringify(record)) + '">' +
+    (withDescription ? '<dc:description><rdf:Alt><rdf:li xml:lang="x-default">' + escapeXml(record.prompt) + '</rdf:li></rdf:Alt></dc:description>' : '') +
+    '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>'
+);
+
+const writeJpegMetadata = (bytes, record) => {
+    const parsed = readJpegSegments(bytes);
+    if (!parsed) return null;
+    // 提示词很长时 XMP 可能超过单个段的上限，先省略 dc:description (record 中已包含提示词)
+    let payload = new TextEncoder().encode(XMP_NAMESPACE + '\0' + buildXmp(record, true));
+    if (payload.length > MAX_JPEG_SEGMENT_BYTES) {
+        payload = new TextEncoder().encode(XMP_NAMESPACE + '\0' + buildXmp(record, false));
+    }
+    if (payload.length > MAX_JPEG_SEGMENT_BYTES) return null;
+    const segment = concatBytes([[0xFF, 0xE1, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF], payload]);
+
+    const kept = parsed.segments.filter(s => !isXmpSegment(s));
+    // JFIF (APP0) 与 EXIF (APP1) 必须在最前面，XMP 写在它们之后
+    let insertAt = 0;
+    while (insertAt < kept.length && (kept[insertAt].type === 0xE0 || kept[insertAt].type === 0xE1)) insertAt++;
+    return concatBytes([
+        [0xFF, 0xD8],
+        ...kept.slice(0, insertAt).map(s => bytes.subarray(s.start, s.end)),
+        segment,
+        ...kept.slice(insertAt).map(s => bytes.subarray(s.start, s.end)),
+        bytes.subarray(parsed.bodyStart)
+    ]);
+};
+
+// 返回写入了生成信息的图片，不支持的格式 (例如 WebP) 或写入失败时返回原图
+const embedImageMetadata = async (blob, record) => {
+    try {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const written = blob.type === 'image/jpeg' ? writeJpegMetadata(bytes, record) : writePngMetadata(bytes, record);
+        return written ? new Blob([written], { type: blob.type }) : blob;
+    } catch (err) {
+        console.error(err);
+        return blob;
+    }
+};
+
+// 读取图片中的生成信息，没有时返回 null
+const readImageMetadata = async (blob) => {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let json = null;
+    const chunks = readPngChunks(bytes);
+    if (chunks) {
+        for (const chunk of chunks) {
+            if (chunk.type !== 'tEXt' && chunk.type !== 'iTXt') continue;
+            const text = readPngText(chunk);
+            if (text && text.keyword === METADATA_KEYWORD) json = text.text;
+        }
+    }
+    const jpeg = !chunks && readJpegSegments(bytes);
+    if (jpeg) {
+        const segment = jpeg.segments.find(isXmpSegment);
+        const match = segment && new TextDecoder().decode(segment.data).match(/gznano:record="([^"]*)"/);
+        if (match) json = unescapeXml(match[1]);
+    }
+    if (!json) return null;
+    try {
+        const record = JSON.parse(json);
+        return record && record.app === METADATA_KEYWORD && typeof record.prompt === 'string' ? record : null;
+    } catch {
+        return null;
+    }
+};
+
+// --- Session ---
+// 登录令牌保存在 localStorage 中，过期后需要重新登录
+const SESSION_KEY = 'gz_session';
+
+const sessionStore = {
+    load: () => {
+        try {
+            const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+            return session && session.expiresAt > Date.now() ? session : null;
+        } catch (e) {
+            return null;
+        }
+    },
+    save: (session) => localStorage.setItem(SESSION_KEY, JSON.stringify(session)),
+    clear: () => localStorage.removeItem(SESSION_KEY)
+};
+
+const authHeaders = () => {
+    const session = sessionStore.load();
+    return { ...localeHeaders(), ...(session && session.token ? { Authorization: 'Bearer ' + session.token } : {}) };
+};
+
+// --- Server Gallery Sync ---
+// 服务端绑定了 GALLERY_BUCKET / GALLERY_KV 时，画廊会与服务端双向同步
+const galleryApi = {
+    request: async (path, options = {}) => {
+        const response = await fetch('/api/gallery' + path, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...authHeaders()
+            }
+        });
+        // 网关或代理返回的错误页不是 JSON，按 HTTP 状态码报错
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || 'Request failed (HTTP ' + response.status + ')');
+        }
+        return data;
+    },
+    list: () => galleryApi.request(''),
+    get: async (id) => {
+        // 服务端以 data URL 保存原图，取回后转换为 Blob 并生成缩略图
+        const { url, ...record } = await galleryApi.request('/' + encodeURIComponent(id));
+        Object.assign(record, await toStoredImage(await dataUrlToBlob(url)));
+        // 参考图在服务端以 data URL 保存，取回后还原为 Blob
+        if (record.params && record.params.referenceImages) {
+            record.params.referenceImages = await Promise.all(record.params.referenceImages.map(dataUrlToBlob));
+        }
+        return record;
+    },
+    put: async (item) => {
+        // synced 仅用于本地记录同步状态，不上传；缩略图在取回时重新生成
+        // 分享的撤销凭证 (share.token) 只保存在本地
+        const { synced, image, thumbnail, ...record } = item;
+        record.url = await blobToDataUrl(image);
+        if (record.share) {
+            const { token, ...share } = record.share;
+            record.share = share;
+        }
+        if (record.params && record.params.referenceImages) {
+            record.params = { ...record.params, referenceImages: await Promise.all(record.params.referenceImages.map(blobToDataUrl)) };
+        }
+        return galleryApi.request('/' + encodeURIComponent(item.id), {
+            method: 'PUT',
+            body: JSON.stringify(record)
+        });
+    },
+    remove: (id) => galleryApi.request('/' + encodeURIComponent(id), { method: 'DELETE' })
+};
+
+// --- Constants & Icons ---
+// 可用模型从 /api/models 读取，读取完成前 (或失败时) 使用默认的 Gemini 模型
+const DEFAULT_MODELS = [
+    { id: 'gemini-2.5-flash-image', label: 'Nano', description: 'Flash / ' + t('models.fast'), pro: false, imageSizes: [], features: { history: true, mask: true } },
+    { id: 'gemini-3-pro-image-preview', label: 'Nano Pro', description: 'Pro / 4K', pro: true, imageSizes: ['1K', '2K', '4K'], features: { history: true, mask: true } }
+];
+
+const Icons = {
+    Aperture: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"/><line x1="14.31" x2="20.05" y1="8" y2="17.94"/><line x1="9.69" x2="21.17" y1="8" y2="8"/><line x1="7.38" x2="14.69" y1="12" y2="2.06"/><line x1="9.69" x2="3.95" y1="16" y2="6.06"/><line x1="14.31" x2="2.83" y1="16" y2="16"/><line x1="16.62" x2="9.31" y1="12" y2="21.94"/></svg>,
+    Wand2: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m21.64 3.64-1.28-1.28a1.21 1.21 0 0 0-1.72 0L2.36 18.64a1.21 1.21 0 0 0 0 1.72l1.28 1.28a1.2 1.2 0 0 0 1.72 0L21.64 5.36a1.2 1.2 0 0 0 0-1.72Z"/><path d="m14 7 3 3"/><path d="M5 6v4"/><path d="M19 14v4"/><path d="M10 2v2"/><path d="M7 8H3"/><path d="M21 16h-4"/><path d="M11 3H9"/></svg>,
+    Trash2: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/><line x1="10" x2="10" y1="11" y2="17"/><line x1="14" x2="14" y1="11" y2="17"/></svg>,
+    Sparkles: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m12 3-1.912 5.813a2 2 0 0 1-1.275 1.275L3 12l5.813 1.912a2 2 0 0 1 1.275 1.275L12 21l1.912-5.813a2 2 0 0 1 1.275-1.275L12 3Z"/><path d="M5 3v4"/><path d="M9 3v4"/><path d="M3 7h4"/><path d="M3 5h4"/></svg>,
+    Loader2: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 12a9 9 0 1 1-6.219-8.56"/></svg>,
+    Upload: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" x2="12" y1="3" y2="15"/></svg>,
+    Maximize: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M8 3H5a2 2 0 0 0-2 2v3"/><path d="M21 8V5a2 2 0 0 0-2-2h-3"/><path d="M3 16v3a2 2 0 0 0 2 2h3"/><path d="M16 21h3a2 2 0 0 0 2-2v-3"/></svg>,
+    AlertCircle: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"/><line x1="12" x2="12" y1="8" y2="12"/><line x1="12" x2="12.01" y1="16" y2="16"/></svg>,
+    X: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M18 6 6 18"/><path d="m6 6 18 18"/></svg>,
+    Github: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M15 22v-4a4.8 4.8 0 0 0-1-3.5c3 0 6-2 6-5.5.08-1.25-.27-2.48-1-3.5.28-1.15.28-2.35 0-3.5 0 0-1 0-3 1.5-2.64-.5-5.36.5-8 0C6 2 5 2 5 2c-.3 1.15-.3 2.35 0 3.5A5.403 5.403 0 0 0 4 9c0 3.5 3 5.5 6 5.5-.39.49-.68 1.05-.85 1.65-.17.6-.22 1.23-.15 1.85v4"/><path d="M9 18c-4.51 2-5-2-7-2"/></svg>,
+    Download: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" x2="12" y1="15" y2="3"/></svg>,
+    Repeat: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m17 2 4 4-4 4"/><path d="M3 11v-1a4 4 0 0 1 4-4h14"/><path d="m7 22-4-4 4-4"/><path d="M21 13v1a4 4 0 0 1-4 4H3"/></svg>,
+    Tag: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12.586 2.586A2 2 0 0 0 11.172 2H4a2 2 0 0 0-2 2v7.172a2 2 0 0 0 .586 1.414l8.704 8.704a2.426 2.426 0 0 0 3.42 0l6.58-6.58a2.426 2.426 0 0 0 0-3.42z"/><circle cx="7.5" cy="7.5" r=".5" fill="currentColor"/></svg>,
+    MessageSquare: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>,
+    Brush: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m9.06 11.9 8.07-8.06a2.85 2.85 0 1 1 4.03 4.03l-8.06 8.08"/><path d="M7.07 14.94c-1.66 0-3 1.35-3 3.02 0 1.33-2.5 1.52-2 2.02 1.08 1.1 2.49 2.02 4 2.02 2.2 0 4-1.8 4-4.04a3.01 3.01 0 0 0-3-3.02z"/></svg>,
+    Send: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m22 2-7 20-4-9-9-4Z"/><path d="M22 2 11 13"/></svg>,
+    User: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2"/><circle cx="12" cy="7" r="4"/></svg>,
+    LogOut: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"/><polyline points="16 17 21 12 16 7"/><line x1="21" x2="9" y1="12" y2="12"/></svg>,
+    Lock: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect width="18" height="11" x="3" y="11" rx="2" ry="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/></svg>,
+    ImagePlus: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M16 5h6"/><path d="M19 2v6"/><path d="M21 11.5V19a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h7.5"/><path d="m21 15-3.086-3.086a2 2 0 0 0-2.828 0L6 21"/><circle cx="9" cy="9" r="2"/></svg>,
+    Share2: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><line x1="8.59" x2="15.42" y1="13.51" y2="17.49"/><line x1="15.41" x2="8.59" y1="6.51" y2="10.49"/></svg>
+};
+
+// 逐行解析 NDJSON 流式响应
+const readNdjson = async (response, onEvent) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) onEvent(JSON.parse(line));
+        }
+    }
+    if (buffer.trim()) onEvent(JSON.parse(buffer));
+};
+
+// 作品的对话编辑记录；普通作品视为 "提示词 -> 图片" 的一轮对话
+const getThread = (item) => item.thread || [
+    { role: 'user', text: item.prompt },
+    { role: 'model', imageId: item.id, thoughtSignature: item.thoughtSignature || null }
+];
+
+// 将对话记录还原为发送给 /api/generate 的 history，模型轮次从画廊读取图片
+const buildHistory = async (thread) => {
+    const turns = [];
+    for (const turn of thread) {
+        if (turn.role === 'user') {
+            if (turn.text) turns.push({ role: 'user', text: turn.text });
+            continue;
+        }
+        const item = await dbHelper.get(turn.imageId);
+        if (!item) continue;
+        turns.push({
+            role: 'model',
+            images: [{
+                data: await fileToBase64(item.image),
+                mimeType: item.image.type,
+                thoughtSignature: turn.thoughtSignature
+            }]
+        });
+    }
+    return turns;
+};
+
+// 画面比例从 /api/models 读取，读取完成前 (或失败时) 使用默认值
+const DEFAULT_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+const ASPECT_RATIO_PATTERN = /^\d+:\d+$/;
+
+// 从 ratios 中选择与图片尺寸最接近的画面比例
+const closestAspectRatio = (width, height, ratios) => {
+    const target = Math.log(width / height);
+    return ratios.reduce((best, ratio) => {
+        const [w, h] = ratio.split(':').map(Number);
+        const [bw, bh] = best.split(':').map(Number);
+        return Math.abs(Math.log(w / h) - target) < Math.abs(Math.log(bw / bh) - target) ? ratio : best;
+    });
+};
+
+// 词级 diff (英文按单词，中文按字)，返回 [{ type: 'same' | 'added' | 'removed', text }]
+const DIFF_TOKEN_PATTERN = /[A-Za-z0-9_'-]+|\s+|[^\sA-Za-z0-9_'-]/g;
+// 词数过多时不逐词比较，直接显示为整段替换
+const MAX_DIFF_CELLS = 250000;
+
+const diffWords = (before, after) => {
+    const a = before.match(DIFF_TOKEN_PATTERN) || [];
+    const b = after.match(DIFF_TOKEN_PATTERN) || [];
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        return [{ type: 'removed', text: before }, { type: 'added', text: after }];
+    }
+
+    // lcs[i][j]: a[i..] 与 b[j..] 的最长公共子序列长度
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    const push = (type, text) => {
+        const last = result[result.length - 1];
+        if (last && last.type === type) last.text += text;
+        else result.push({ type, text });
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return result;
+};
+
+// 生成失败的错误类型 (服务端返回的 code)，未知类型显示为通用的生成失败
+const generationErrorLabel = (code) => (hasMessage('errorCode.' + code) ? t('errorCode.' + code) : t('errorCode.default'));
+
+// 异步任务的轮询间隔
+const JOB_POLL_INTERVAL = 2000;
+
+// 分享链接的有效期选项 (与服务端 SHARE_EXPIRY_OPTIONS 一致)
+const SHARE_EXPIRY_OPTIONS = [
+    { labelKey: 'share.expiryDay', value: 24 * 60 * 60 },
+    { labelKey: 'share.expiryWeek', value: 7 * 24 * 60 * 60 },
+    { labelKey: 'share.expiryMonth', value: 30 * 24 * 60 * 60 },
+    { labelKey: 'share.expiryForever', value: null }
+];
+
+// 将接口返回的错误 ({ error, code, details }) 转换为 Error
+const generationError = (data) => Object.assign(new Error(data.error || 'Request failed'), { code: data.code, details: data.details });
+
+// 安全拦截的原因: blockReason / finishReason 以及概率较高的安全类别
+const describeSafetyDetails = (details) => {
+    if (!details) return [];
+    const lines = [details.blockReason || details.finishReason, details.message].filter(Boolean);
+    (details.safetyRatings || [])
+        .filter(rating => rating.blocked || (rating.probability && rating.probability !== 'NEGLIGIBLE'))
+        .forEach(rating => lines.push(rating.category.replace('HARM_CATEGORY_', '') + ': ' + rating.probability));
+    return lines;
+};
+
+// --- Batch Generation ---
+// 批量生成时同时进行的请求数上限
+const BATCH_CONCURRENCY = 3;
+// 单次批量生成最多展开的任务数
+const MAX_BATCH_JOBS = 32;
+const VARIANT_COUNTS = [1, 2, 3, 4];
+
+// 提示词矩阵 {a|b}: 展开为所有组合，例如 "a {cat|dog} in {watercolor|ink}" 展开为 4 条
+const MATRIX_PATTERN = /\{([^{}]*\|[^{}]*)\}/;
+// 通配符 [a|b]: 每个任务随机选择其中一项
+const WILDCARD_PATTERN = /\[([^\[\]]*\|[^\[\]]*)\]/g;
+
+const expandPromptMatrix = (text) => {
+    const match = MATRIX_PATTERN.exec(text);
+    if (!match) return [text];
+    const head = text.slice(0, match.index);
+    const tail = text.slice(match.index + match[0].length);
+    return match[1].split('|').flatMap(option => expandPromptMatrix(head + option.trim() + tail));
+};
+
+// 展开后的提示词数量 (各组选项数的乘积)，用于在展开前检查是否超出上限
+const countPromptMatrix = (text) => {
+    let count = 1;
+    for (const match of text.matchAll(new RegExp(MATRIX_PATTERN.source, 'g'))) {
+        count *= match[1].split('|').length;
+    }
+    return count;
+};
+
+const resolveWildcards = (text) => text.replace(WILDCARD_PATTERN, (_, group) => {
+    const options = group.split('|').map(option => option.trim());
+    return options[Math.floor(Math.random() * options.length)];
+});
+
+// --- Presets ---
+// 预设模板中的占位符，替换为当前输入的提示词 (不含 "|"，不会被当作提示词矩阵展开)
+const SUBJECT_PLACEHOLDER = '{subject}';
+const MAX_PRESET_NAME_LENGTH = 40;
+
+// 模板包含 {subject} 时用模板包裹提示词，否则把模板作为风格后缀追加到提示词末尾；
+// 提示词为空时直接填入模板，由用户替换占位符
+const applyPromptTemplate = (template, prompt) => {
+    const subject = prompt.trim();
+    if (!template) return prompt;
+    if (!subject) return template;
+    if (template.includes(SUBJECT_PLACEHOLDER)) return template.split(SUBJECT_PLACEHOLDER).join(subject);
+    return subject + ', ' + template;
+};
+
+// 校验导入的预设，缺少名称时返回 null；模型、分辨率、比例与模板均为可选
+const normalizePreset = (raw) => {
+    if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+    const text = (value) => (typeof value === 'string' && value ? value : null);
+    return {
+        id: text(raw.id) || crypto.randomUUID(),
+        name: raw.name.trim().slice(0, MAX_PRESET_NAME_LENGTH),
+        model: text(raw.model),
+        imageSize: text(raw.imageSize),
+        aspectRatio: ASPECT_RATIO_PATTERN.test(raw.aspectRatio) ? raw.aspectRatio : null,
+        template: typeof raw.template === 'string' ? raw.template : '',
+        createdAt: Number(raw.createdAt) || Date.now()
+    };
+};
+
+const blobToDataUrl = (blob) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(blob);
+    });
+};
+
+const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+// 画廊缩略图的短边像素
+const THUMBNAIL_SIZE = 320;
+// 画廊每页显示的作品数
+const GALLERY_PAGE_SIZE = 48;
+
+// 生成画廊缩略图 (JPEG，透明区域填充白色)
+const createThumbnail = async (blob) => {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.min(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+};
+
+// 作品在本地的存储形式: 原图与缩略图均为 Blob (无法生成缩略图时直接使用原图)
+const toStoredImage = async (blob) => ({
+    image: blob,
+    thumbnail: (await createThumbnail(blob).catch(() => null)) || blob
+});
+
+const fileToBase64 = (file) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+           const result = reader.result;
+           const base64 = result.split(',')[1];
+           resolve(base64);
+        };
+        reader.onerror = reject;
+        reader.readAsDataURL(file);
+    });
+};
+
+// --- 参考图 ---
+// 与服务端的请求校验一致 (MAX_INPUT_IMAGES / MAX_IMAGE_BYTES / MAX_TOTAL_IMAGE_BYTES)
+const MAX_REFERENCE_IMAGES = 14;
+const MAX_REFERENCE_TOTAL_BYTES = 20 * 1024 * 1024;
+// 服务端接受的格式，其他格式 (GIF、BMP 等) 一律重新编码
+const REFERENCE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'];
+// 添加参考图时按最长边与单张大小压缩 (单张上限不超过服务端的 7MB)，设置保存在本地
+const REFERENCE_SETTINGS_KEY = 'gz_reference_settings';
+const REFERENCE_DIMENSION_OPTIONS = [1024, 1536, 2048, 3072, 4096];
+const REFERENCE_BYTE_OPTIONS = [1, 2, 4, 7].map(mb => mb * 1024 * 1024);
+const DEFAULT_REFERENCE_SETTINGS = { maxDimension: 2048, maxBytes: 4 * 1024 * 1024 };
+const REFERENCE_JPEG_QUALITIES = [0.92, 0.85, 0.75, 0.6];
+// 参考图之间拖动排序时使用的 dataTransfer 类型 (不含 Files，不会触发拖入图片的处理)
+const REFERENCE_DRAG_TYPE = 'application/x-gz-reference';
+
+const referenceSettingsStore = {
+    load: () => {
+        try {
+            const settings = JSON.parse(localStorage.getItem(REFERENCE_SETTINGS_KEY));
+            return settings ? { ...DEFAULT_REFERENCE_SETTINGS, ...settings } : DEFAULT_REFERENCE_SETTINGS;
+        } catch (e) {
+            return DEFAULT_REFERENCE_SETTINGS;
+        }
+    },
+    save: (settings) => localStorage.setItem(REFERENCE_SETTINGS_KEY, JSON.stringify(settings))
+};
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? (bytes / 1024 / 1024).toFixed(1) + ' MB' : Math.max(1, Math.round(bytes / 1024)) + ' KB');
+
+// 缩小并重新编码为 JPEG (透明区域填充白色)，先逐步降低质量，仍超出大小时继续缩小尺寸；
+// 格式、尺寸与大小都已符合设置的图片原样保留，避免重复压缩损失画质
+const prepareReferenceImage = async (file, { maxDimension, maxBytes }) => {
+    const name = file.name || 'image';
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch (err) {
+        // 浏览器无法解码 (例如部分浏览器中的 HEIC)，格式与大小符合要求时直接发送
+        if (REFERENCE_MIME_TYPES.includes(file.type) && file.size <= maxBytes) return file;
+        throw new Error(t('references.decodeFailed', { name }));
+    }
+    try {
+        const longest = Math.max(bitmap.width, bitmap.height);
+        if (REFERENCE_MIME_TYPES.includes(file.type) && file.size <= maxBytes && longest <= maxDimension) return file;
+
+        let scale = Math.min(1, maxDimension / longest);
+        while (true) {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+            canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            for (const quality of REFERENCE_JPEG_QUALITIES) {
+                const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', quality));
+                if (blob && blob.size <= maxBytes) {
+                    return new File([blob], name.replace(/\.[^.]+$/, '') + '.jpg', { type: 'image/jpeg' });
+                }
+            }
+            if (Math.max(canvas.width, canvas.height) <= 256) {
+                throw new Error(t('references.tooLarge', { name, limit: formatBytes(maxBytes) }));
+            }
+            scale *= 0.75;
+        }
+    } finally {
+        bitmap.close();
+    }
+};
+
+// 显示 Blob 图片，卸载或切换图片时释放 object URL
+function BlobImage({ blob, ...props }) {
+    const [src, setSrc] = useState(null);
+
+    useEffect(() => {
+        if (!blob) return;
+        const url = URL.createObjectURL(blob);
+        setSrc(url);
+        return () => URL.revokeObjectURL(url);
+    }, [blob]);
+
+    return src ? <img src={src} {...props} /> : null;
+}
+
+// --- Mask Editor ---
+// 局部重绘: 在图片上涂抹需要修改的区域，导出与原图同尺寸的黑白蒙版 (白色为修改区域)
+function MaskEditor({ source, busy, error, onCancel, onSubmit }) {
+    const imgRef = useRef(null);
+    const canvasRef = useRef(null);
+    const drawing = useRef(false);
+    const lastPoint = useRef(null);
+    const [tool, setTool] = useState('brush');
+    const [brushSize, setBrushSize] = useState(40);
+    const [maskPrompt, setMaskPrompt] = useState('');
+    const [hasMask, setHasMask] = useState(false);
+
+    const handleImageLoad = () => {
+        const canvas = canvasRef.current;
+        canvas.width = imgRef.current.naturalWidth;
+        canvas.height = imgRef.current.naturalHeight;
+    };
+
+    // 将指针位置换算为原图像素坐标，画笔大小按屏幕像素计算
+    const toCanvasPoint = (e) => {
+        const canvas = canvasRef.current;
+        const rect = canvas.getBoundingClientRect();
+        const scale = canvas.width / rect.width;
+        return { x: (e.clientX - rect.left) * scale, y: (e.clientY - rect.top) * scale, scale };
+    };
+
+    const drawTo = (point) => {
+        const ctx = canvasRef.current.getContext('2d');
+        ctx.globalCompositeOperation = tool === 'eraser' ? 'destination-out' : 'source-over';
+        ctx.strokeStyle = '#fff';
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = brushSize * point.scale;
+        const from = lastPoint.current || point;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(point.x + 0.01, point.y);
+        ctx.stroke();
+        lastPoint.current = point;
+    };
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        drawing.current = true;
+        lastPoint.current = null;
+        drawTo(toCanvasPoint(e));
+        if (tool === 'brush') setHasMask(true);
+    };
+
+    const handlePointerMove = (e) => {
+        if (drawing.current) drawTo(toCanvasPoint(e));
+    };
+
+    const handlePointerUp = () => {
+        drawing.current = false;
+        lastPoint.current = null;
+    };
+
+    const clearMask = () => {
+        const canvas = canvasRef.current;
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        setHasMask(false);
+    };
+
+    // 涂抹过的像素导出为白色，其余为黑色
+    const exportMask = () => {
+        const canvas = canvasRef.current;
+        const out = document.createElement('canvas');
+        out.width = canvas.width;
+        out.height = canvas.height;
+        const ctx = out.getContext('2d');
+        ctx.drawImage(canvas, 0, 0);
+        ctx.globalCompositeOperation = 'source-in';
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, out.width, out.height);
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, out.width, out.height);
+        return out.toDataURL('image/png').split(',')[1];
+    };
+
+    const handleSubmit = () => {
+        if (!hasMask || !maskPrompt.trim() || busy) return;
+        onSubmit({
+            mask: exportMask(),
+            prompt: maskPrompt.trim(),
+            width: canvasRef.current.width,
+            height: canvasRef.current.height
+        });
+    };
+
+    return (
+        <div className="fixed inset-0 z-[105] flex flex-col bg-black/95 backdrop-blur-sm animate-fadeIn">
+            <div className="bg-white border-b-2 border-black px-4 py-3 flex flex-wrap items-center gap-3">
+                <h3 className="text-sm font-black uppercase tracking-widest mr-2">{t('mask.title')}</h3>
+                <div className="flex border-2 border-black divide-x-2 divide-black">
+                    {[['brush', t('mask.brush')], ['eraser', t('mask.eraser')]].map(([value, label]) => (
+                        <button
+                            key={value}
+                            onClick={() => setTool(value)}
+                            className={'px-3 py-1 text-xs font-bold transition-colors ' + (tool === value ? 'bg-black text-white' : 'bg-white text-black hover:bg-zinc-100')}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <label className="flex items-center gap-2 text-xs font-bold">
+                    {t('mask.size')}
+                    <input type="range" min="5" max="150" value={brushSize} onChange={(e) => setBrushSize(Number(e.target.value))} className="accent-black" />
+                </label>
+                <button onClick={clearMask} className="text-xs font-bold underline hover:no-underline">{t('mask.clear')}</button>
+                <div className="flex-1"></div>
+                <button onClick={onCancel} className="p-1 hover:bg-zinc-100">
+                    <Icons.X className="w-5 h-5" />
+                </button>
+            </div>
+
+            <div className="flex-1 min-h-0 flex items-center justify-center p-4">
+                <div className="relative inline-block">
+                    <img ref={imgRef} src={source} onLoad={handleImageLoad} className="block max-w-full max-h-[70vh] object-contain select-none" draggable={false} />
+                    <canvas
+                        ref={canvasRef}
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        onPointerCancel={handlePointerUp}
+                        className="absolute inset-0 w-full h-full opacity-60 mix-blend-difference cursor-crosshair touch-none"
+                    />
+                </div>
+            </div>
+
+            <div className="bg-white border-t-2 border-black p-4 flex flex-col md:flex-row gap-2">
+                <input
+                    value={maskPrompt}
+                    onChange={(e) => setMaskPrompt(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleSubmit()}
+                    placeholder={t('mask.placeholder')}
+                    className="flex-1 p-3 border-2 border-black text-sm font-medium focus:outline-none focus:bg-zinc-50"
+                />
+                <button
+                    onClick={handleSubmit}
+                    disabled={busy || !hasMask || !maskPrompt.trim()}
+                    className="px-8 py-3 bg-black text-white font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-zinc-800 disabled:opacity-30 disabled:cursor-not-allowed"
+                >
+                    {busy ? <Icons.Loader2 className="w-4 h-4 animate-spin" /> : <Icons.Brush className="w-4 h-4" />}
+                    {t('mask.submit')}
+                </button>
+            </div>
+            {error && (
+                <div className="bg-white border-t-2 border-black px-4 py-2 flex items-start gap-2">
+                    <Icons.AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                    <p className="text-xs font-bold">{error}</p>
+                </div>
+            )}
+        </div>
+    );
+}
+
+function App() {
+    const [locale, setLocale] = useState(currentLocale);
+    const [prompt, setPrompt] = useState('');
+    const [variantCount, setVariantCount] = useState(1);
+    const [models, setModels] = useState(DEFAULT_MODELS);
+    // 服务端是否支持异步任务 (/api/jobs) 与分享链接 (/api/shares)
+    const [jobsEnabled, setJobsEnabled] = useState(false);
+    const [sharesEnabled, setSharesEnabled] = useState(false);
+    const [model, setModel] = useState(DEFAULT_MODELS[0].id);
+    const [aspectRatios, setAspectRatios] = useState(DEFAULT_ASPECT_RATIOS);
+    const [aspectRatio, setAspectRatio] = useState('1:1');
+    const [imageSize, setImageSize] = useState('1K');
+    const [referenceImages, setReferenceImages] = useState([]);
+    const [referenceSettings, setReferenceSettings] = useState(referenceSettingsStore.load);
+    const [preparingReferences, setPreparingReferences] = useState(false);
+    // 拖入的文件是否位于参考图区域上方
+    const [referenceDragging, setReferenceDragging] = useState(false);
+    const [history, setHistory] = useState([]);
+    const [error, setError] = useState(null);
+
+    // Pending Requests Queue
+    const [pendingRequests, setPendingRequests] = useState([]);
+
+    // UI States
+    const [selectedImage, setSelectedImage] = useState(null);
+    // 灯箱侧边栏: null / 'info' (详情、标签、相册) / 'edit' (对话编辑) / 'share' (分享链接)
+    const [lightboxPanel, setLightboxPanel] = useState(null);
+    // 新建分享的选项，expiresIn 为秒数，null 为永久
+    const [shareOptions, setShareOptions] = useState({ expiresIn: SHARE_EXPIRY_OPTIONS[1].value, hidePrompt: false });
+    const [sharing, setSharing] = useState(false);
+    const [shareCopied, setShareCopied] = useState(false);
+    const [tagInput, setTagInput] = useState('');
+    const [albumInput, setAlbumInput] = useState('');
+
+    // Gallery Filters
+    const [searchQuery, setSearchQuery] = useState('');
+    // { type: 'favorite' | 'model' | 'tags' | 'albums', value }
+    const [activeFilter, setActiveFilter] = useState(null);
+    const [filteredItems, setFilteredItems] = useState(null);
+
+    // 多选 (用于导出)
+    const [selecting, setSelecting] = useState(false);
+    const [selectedIds, setSelectedIds] = useState(new Set());
+    const [editPrompt, setEditPrompt] = useState('');
+    const [editing, setEditing] = useState(false);
+
+    // 拖入页面的图片及其中的生成信息: { file, record }
+    const [droppedImage, setDroppedImage] = useState(null);
+    const [fileDragging, setFileDragging] = useState(false);
+    // dragenter / dragleave 会在子元素间反复触发，用计数判断是否真正离开页面
+    const dragDepth = useRef(0);
+    // 局部重绘的源图: { url, file?, sourceId? }
+    const [maskSource, setMaskSource] = useState(null);
+    const [inpainting, setInpainting] = useState(false);
+    const [showLogin, setShowLogin] = useState(false);
+    const [loginCode, setLoginCode] = useState('');
+    const [loginError, setLoginError] = useState(null);
+    const [session, setSession] = useState(sessionStore.load);
+    const [authRequired, setAuthRequired] = useState(false);
+    const [syncEnabled, setSyncEnabled] = useState(false);
+    const [streamMode, setStreamMode] = useState(() => localStorage.getItem('gz_stream') !== '0');
+    const abortControllers = useRef({});
+    // 已取消但尚未开始的批量任务
+    const cancelledJobs = useRef(new Set());
+    const [quota, setQuota] = useState(null);
+
+    // 提示词优化: { original, suggestion, loading, error, editing }
+    const [enhance, setEnhance] = useState(null);
+    const [enhanceStyle, setEnhanceStyle] = useState('');
+    const [presets, setPresets] = useState([]);
+    // 保存预设的表单: { name, template, includeSettings }
+    const [presetDraft, setPresetDraft] = useState(null);
+    const [enhanceTranslate, setEnhanceTranslate] = useState(() => localStorage.getItem('gz_enhance_translate') === '1');
+
+    useEffect(() => {
+        localStorage.setItem('gz_stream', streamMode ? '1' : '0');
+    }, [streamMode]);
+
+    useEffect(() => {
+        localStorage.setItem('gz_enhance_translate', enhanceTranslate ? '1' : '0');
+    }, [enhanceTranslate]);
+
+    useEffect(() => {
+        dbHelper.migrateDataUrls()
+            .then(dbHelper.getAll)
+            .then(setHistory)
+            .catch(console.error)
+            .finally(syncGallery);
+        refreshQuota();
+        refreshSession();
+        refreshModels();
+        resumeJobs().catch(console.error);
+        restoreFailed().catch(console.error);
+        dbHelper.getPresets().then(setPresets).catch(console.error);
+        // 旧版本缓存的明文访问密码不再使用
+        localStorage.removeItem('gz_access_code');
+    }, []);
+
+    const canUsePro = !session || session.user.role !== 'flash';
+    const modelInfo = (id) => models.find(m => m.id === id);
+    const currentModel = modelInfo(model) || models[0];
+    const canUseModel = (entry) => canUsePro || !entry.pro;
+
+    // 服务端不支持当前画面比例时切换到第一个
+    useEffect(() => {
+        if (!aspectRatios.includes(aspectRatio)) setAspectRatio(aspectRatios[0]);
+    }, [aspectRatios]);
+
+    // 当前模型不可用时 (模型列表变化或账号无权使用) 切换到第一个可用模型
+    useEffect(() => {
+        if (!modelInfo(model) || !canUseModel(modelInfo(model))) {
+            setModel((models.find(canUseModel) || models[0]).id);
+        }
+    }, [canUsePro, models]);
+
+    const refreshModels = async () => {
+        try {
+            const response = await fetch('/api/models', { headers: localeHeaders() });
+            const data = await response.json();
+            if (response.ok && data.models.length > 0) setModels(data.models);
+            if (response.ok && Array.isArray(data.aspectRatios) && data.aspectRatios.length > 0) setAspectRatios(data.aspectRatios);
+            if (response.ok) {
+                setJobsEnabled(Boolean(data.jobs));
+                setSharesEnabled(Boolean(data.shares));
+            }
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    // 查询服务端是否需要登录，以及本地令牌是否仍然有效
+    const refreshSession = async () => {
+        try {
+            const response = await fetch('/api/session', { headers: authHeaders() });
+            const data = await response.json();
+            setAuthRequired(data.authRequired);
+            if (data.authRequired && !data.user) {
+                sessionStore.clear();
+                setSession(null);
+            }
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    // 切换界面语言，并重新读取模型列表以获取对应语言的模型说明
+    const changeLocale = (next) => {
+        if (next === locale) return;
+        setCurrentLocale(next);
+        setLocale(next);
+        refreshModels();
+    };
+
+    const handleLogin = async () => {
+        const code = loginCode.trim();
+        if (!code) return;
+        try {
+            const response = await fetch('/api/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...localeHeaders() },
+                body: JSON.stringify({ code })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(response.status === 401 ? t('login.wrongCode') : (data.error || 'Login failed'));
+            }
+            const next = { token: data.token, expiresAt: data.expiresAt, user: data.user };
+            sessionStore.save(next);
+            setSession(next);
+            setShowLogin(false);
+            setLoginCode('');
+            setLoginError(null);
+            setError(null);
+            await reloadGallery();
+            syncGallery();
+            refreshQuota();
+        } catch (err) {
+            setLoginError(err.message);
+        }
+    };
+
+    const logout = () => {
+        sessionStore.clear();
+        setSession(null);
+        setSyncEnabled(false);
+        setQuota(null);
+        reloadGallery();
+    };
+
+    // 令牌失效或被拒绝时，要求重新登录
+    const handleUnauthorized = () => {
+        sessionStore.clear();
+        setSession(null);
+        setShowLogin(true);
+        setError(t('login.expired'));
+        reloadGallery();
+    };
+
+    // 登录、退出或切换账号后只显示当前账号的作品 (其他账号的作品保留在本地，不会被上传)
+    const reloadGallery = async () => {
+        setSelectedImage(null);
+        setSelectedIds(new Set());
+        try {
+            setHistory(await dbHelper.getAll());
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    // 查询当前用户的剩余额度 (服务端未开启用量限制时不显示)
+    const refreshQuota = async () => {
+        try {
+            const response = await fetch('/api/quota', { headers: authHeaders() });
+            if (response.ok) setQuota(await response.json());
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const formatBudget = (budget) => budget.used + '/' + budget.limit;
+
+    // 与服务端画廊同步: 拉取服务端新增、上传本地新增、移除已在其他设备删除的作品
+    // 只有服务端留有删除记录时才删除本地作品；服务端缺少的作品 (例如更换或清空了存储) 会重新上传
+    const syncGallery = async () => {
+        try {
+            const remote = await galleryApi.list();
+            if (!remote.enabled) {
+                setSyncEnabled(false);
+                return;
+            }
+            setSyncEnabled(true);
+
+            const local = await dbHelper.getAll();
+            const localById = new Map(local.map(item => [item.id, item]));
+            const remoteById = new Map(remote.items.map(item => [item.id, item]));
+            const deleted = new Set(remote.deleted || []);
+
+            // 拉取服务端新增或在其他设备修改过的作品
+            for (const meta of remote.items) {
+                const localItem = localById.get(meta.id);
+                if (!localItem || (meta.updatedAt || 0) > (localItem.updatedAt || 0)) {
+                    const item = await galleryApi.get(meta.id);
+                    // 服务端记录不含分享的撤销凭证，保留本地的凭证
+                    if (item.share && localItem && localItem.share && localItem.share.id === item.share.id) {
+                        item.share = { ...item.share, token: localItem.share.token };
+                    }
+                    await dbHelper.put(withDefaults({ ...item, owner: galleryOwner(), synced: true }));
+                }
+            }
+
+            const missing = [];
+            for (const item of local) {
+                const remoteMeta = remoteById.get(item.id);
+                if (!remoteMeta) {
+                    if (item.synced && deleted.has(item.id)) {
+                        await dbHelper.remove(item.id);
+                    } else {
+                        missing.push(item);
+                    }
+                } else if ((item.updatedAt || 0) > (remoteMeta.updatedAt || 0)) {
+                    await galleryApi.put(item);
+                }
+            }
+            await uploadToServer(missing);
+
+            setHistory(await dbHelper.getAll());
+        } catch (err) {
+            // 未授权或网络异常时保持仅本地模式
+            console.error(err);
+            setSyncEnabled(false);
+        }
+    };
+
+    const uploadToServer = async (items) => {
+        for (const item of items) {
+            try {
+                await galleryApi.put(item);
+                await dbHelper.put({ ...item, synced: true });
+            } catch (err) {
+                // 上传失败的作品会在下次同步时重试
+                console.error(err);
+            }
+        }
+    };
+
+    const clearHistory = async () => {
+        if (!confirm(t(syncEnabled ? 'gallery.confirmClearSynced' : 'gallery.confirmClear'))) return;
+        if (syncEnabled) {
+            await Promise.all(history.map(item => galleryApi.remove(item.id).catch(console.error)));
+        }
+        await dbHelper.clear();
+        setHistory([]);
+    };
+
+    // 参考图在添加时按 referenceSettings 压缩，超出数量上限的部分会被丢弃
+    const addReferenceImages = async (files) => {
+        const images = files.filter(file => file.type.startsWith('image/'));
+        if (images.length === 0) return;
+        const room = MAX_REFERENCE_IMAGES - referenceImages.length;
+        const failures = [];
+        if (images.length > room) failures.push(t('references.tooMany', { max: MAX_REFERENCE_IMAGES }));
+        setPreparingReferences(true);
+        try {
+            const prepared = [];
+            for (const file of images.slice(0, Math.max(0, room))) {
+                try {
+                    prepared.push(await prepareReferenceImage(file, referenceSettings));
+                } catch (err) {
+                    console.error(err);
+                    failures.push(err.message);
+                }
+            }
+            setReferenceImages(prev => [...prev, ...prepared].slice(0, MAX_REFERENCE_IMAGES));
+            setError(failures.length > 0 ? failures.join('; ') : null);
+        } finally {
+            setPreparingReferences(false);
+        }
+    };
+
+    const handleImageUpload = (e) => {
+        const files = Array.from(e.target.files || []);
+        e.target.value = '';
+        addReferenceImages(files);
+    };
+
+    const moveReference = (from, to) => {
+        setReferenceImages(prev => {
+            if (to < 0 || to >= prev.length || from === to) return prev;
+            const next = [...prev];
+            next.splice(to, 0, next.splice(from, 1)[0]);
+            return next;
+        });
+    };
+
+    const updateReferenceSettings = (patch) => {
+        setReferenceSettings(prev => {
+            const next = { ...prev, ...patch };
+            referenceSettingsStore.save(next);
+            return next;
+        });
+    };
+
+    // 使用作品原图作为参考图，同样按参考图设置压缩
+    const useAsReference = (item) => addReferenceImages([
+        new File([item.image], 'reference-' + item.id + '.' + extensionOf(item.image.type), { type: item.image.type })
+    ]);
+
+    const referenceBytes = referenceImages.reduce((sum, file) => sum + file.size, 0);
+
+    // 粘贴剪贴板中的图片作为参考图 (弹窗打开时，或在输入框中粘贴带文字的内容时不处理)
+    useEffect(() => {
+        const handlePaste = (e) => {
+            if (selectedImage || maskSource || droppedImage || !e.clipboardData) return;
+            const editable = e.target.closest && e.target.closest('input, textarea, [contenteditable]');
+            if (editable && Array.from(e.clipboardData.types).includes('text/plain')) return;
+            const files = Array.from(e.clipboardData.files).filter(file => file.type.startsWith('image/'));
+            if (files.length === 0) return;
+            e.preventDefault();
+            addReferenceImages(files);
+        };
+        document.addEventListener('paste', handlePaste);
+        return () => document.removeEventListener('paste', handlePaste);
+    }, [selectedImage, maskSource, droppedImage, referenceImages, referenceSettings]);
+
+    const checkAndGenerate = () => {
+        if (authRequired && !sessionStore.load()) {
+            // 未登录或令牌已过期，先登录
+            setShowLogin(true);
+        } else {
+            doGenerate();
+        }
+    };
+
+    const updatePending = (id, update) => {
+        setPendingRequests(prev => prev.map(p => p.id === id ? update(p) : p));
+    };
+
+    const cancelPending = (id) => {
+        const controller = abortControllers.current[id];
+        if (controller) {
+            controller.abort();
+        } else {
+            // 排队中的任务: 标记为已取消并移除卡片
+            cancelledJobs.current.add(id);
+            setPendingRequests(prev => prev.filter(p => p.id !== id));
+        }
+    };
+
+    // 使用相同的参数重新提交失败的任务
+    const retryPending = (req) => {
+        dismissPending(req.id);
+        const { pendingId, jobId, ...job } = req.job;
+        runGeneration(job);
+    };
+
+    // 恢复刷新页面前失败的任务卡片，保留到重试或移除为止
+    const restoreFailed = async () => {
+        const records = await dbHelper.getFailed();
+        if (records.length === 0) return;
+        setPendingRequests(prev => [...prev, ...records]);
+    };
+
+    // 恢复刷新页面前未完成的异步任务
+    const resumeJobs = async () => {
+        const records = await dbHelper.getJobs();
+        if (records.length === 0) return;
+        const jobs = records.map(record => ({ ...record.job, jobId: record.jobId, pendingId: record.pendingId }));
+        setPendingRequests(prev => [...jobs.map(job => createPending(job, 'running')), ...prev]);
+        jobs.forEach(runGeneration);
+    };
+
+    // 轮询异步任务直到完成，返回 { images, thoughtSignatures }；网络中断时继续等待
+    const pollJob = async (jobId, signal) => {
+        while (true) {
+            await new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    clearTimeout(timer);
+                    reject(new DOMException('Aborted', 'AbortError'));
+                };
+                // 每轮等待结束后移除监听，长时间的任务不会在 signal 上累积回调
+                const timer = setTimeout(() => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve();
+                }, JOB_POLL_INTERVAL);
+                signal.addEventListener('abort', onAbort, { once: true });
+            });
+            let response;
+            try {
+                response = await fetch('/api/jobs/' + jobId, { headers: authHeaders(), signal });
+            } catch (err) {
+                if (err.name === 'AbortError') throw err;
+                continue;
+            }
+            const data = await response.json().catch(() => ({}));
+            if (response.status === 401) handleUnauthorized();
+            if (!response.ok && response.status < 500) throw generationError(data);
+            if (data.status === 'succeeded') return data;
+            if (data.status === 'failed') throw generationError(data);
+        }
+    };
+
+    // 移除卡片，失败的任务同时从本地记录中删除
+    const dismissPending = (id) => {
+        setPendingRequests(prev => prev.filter(p => p.id !== id));
+        dbHelper.removeFailed(id).catch(console.error);
+    };
+
+    const createPending = (job, status) => ({
+        id: job.pendingId || crypto.randomUUID(),
+        prompt: job.prompt,
+        timestamp: Date.now(),
+        model: (modelInfo(job.model) || { label: job.model }).label,
+        status,
+        text: '',
+        images: []
+    });
+
+    // 提示词优化: 请求 /api/enhance，结果以 diff 形式展示，由用户选择采用、编辑或放弃
+    const enhancePrompt = async () => {
+        const original = prompt.trim();
+        if (!original) {
+            setError(t('enhance.emptyPrompt'));
+            return;
+        }
+        if (authRequired && !sessionStore.load()) {
+            setShowLogin(true);
+            return;
+        }
+        setEnhance({ original, suggestion: '', loading: true, error: null, editing: false });
+        try {
+            const response = await fetch('/api/enhance', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...authHeaders() },
+                body: JSON.stringify({ prompt: original, translate: enhanceTranslate, style: enhanceStyle })
+            });
+            if (response.status === 401) {
+                setEnhance(null);
+                handleUnauthorized();
+                return;
+            }
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Request failed');
+            setEnhance({ original, suggestion: data.prompt, loading: false, error: null, editing: false });
+        } catch (err) {
+            setEnhance({ original, suggestion: '', loading: false, error: err.message, editing: false });
+        }
+    };
+
+    const acceptEnhance = () => {
+        setPrompt(enhance.suggestion);
+        setEnhance(null);
+    };
+
+    // 应用预设: 还原预设中保存的模型、分辨率与比例，并用模板追加或包裹当前提示词
+    const applyPreset = (preset) => {
+        if (preset.model) {
+            const entry = modelInfo(preset.model);
+            if (entry && canUseModel(entry)) {
+                setModel(entry.id);
+            } else {
+                setError(t('presets.modelUnavailable', { name: preset.name, model: entry ? entry.label : preset.model }));
+            }
+        }
+        if (preset.imageSize) setImageSize(preset.imageSize);
+        if (aspectRatios.includes(preset.aspectRatio)) setAspectRatio(preset.aspectRatio);
+        if (preset.template) setPrompt(prev => applyPromptTemplate(preset.template, prev));
+    };
+
+    const savePreset = async () => {
+        const name = presetDraft.name.trim();
+        if (!name) {
+            setError(t('presets.emptyName'));
+            return;
+        }
+        const preset = normalizePreset({
+            name,
+            template: presetDraft.template.trim(),
+            ...(presetDraft.includeSettings ? { model, imageSize: currentModel.imageSizes.length > 0 ? imageSize : null, aspectRatio } : {})
+        });
+        try {
+            await dbHelper.putPreset(preset);
+            setPresets(prev => [...prev, preset]);
+            setPresetDraft(null);
+        } catch (err) {
+            console.error(err);
+            setError(t('presets.saveFailed', { message: err.message }));
+        }
+    };
+
+    const deletePreset = async (preset) => {
+        if (!confirm(t('presets.confirmDelete', { name: preset.name }))) return;
+        await dbHelper.removePreset(preset.id);
+        setPresets(prev => prev.filter(p => p.id !== preset.id));
+    };
+
+    // 导出为 JSON，便于分享给其他人导入
+    const exportPresets = () => {
+        const data = { app: 'gz-nano', type: 'presets', version: 1, exportedAt: new Date().toISOString(), presets };
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+        link.download = 'gz-nano-presets-' + new Date().toISOString().slice(0, 10) + '.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    };
+
+    // 导入 JSON: 兼容导出文件与预设数组两种格式，按 id 去重，已存在的预设会被跳过
+    const importPresets = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const data = JSON.parse(await file.text());
+            const entries = Array.isArray(data) ? data : data && Array.isArray(data.presets) ? data.presets : null;
+            if (!entries) throw new Error(t('presets.invalidFile'));
+
+            const existing = new Set(presets.map(p => p.id));
+            const added = [];
+            let skipped = 0;
+            for (const entry of entries) {
+                const preset = normalizePreset(entry);
+                if (!preset || existing.has(preset.id)) {
+                    skipped++;
+                    continue;
+                }
+                await dbHelper.putPreset(preset);
+                existing.add(preset.id);
+                added.push(preset);
+            }
+
+            setPresets(await dbHelper.getPresets());
+            alert(t('presets.imported', { count: added.length }) + (skipped > 0 ? t('presets.importSkipped', { count: skipped }) : ''));
+        } catch (err) {
+            console.error(err);
+            setError(t('presets.importFailed', { message: err.message }));
+        }
+    };
+
+    // 按提示词矩阵和生成数量展开的提示词列表；超出上限时不展开，避免组合过多时卡住页面
+    const promptCount = useMemo(() => countPromptMatrix(prompt) * variantCount, [prompt, variantCount]);
+    const expandedPrompts = useMemo(
+        () => promptCount <= MAX_BATCH_JOBS ? expandPromptMatrix(prompt).flatMap(p => Array(variantCount).fill(p)) : [],
+        [prompt, variantCount, promptCount]
+    );
+
+    const doGenerate = () => {
+        if (!prompt.trim() && referenceImages.length === 0) {
+            setError(t('generate.emptyPrompt'));
+            return;
+        }
+        if (promptCount > MAX_BATCH_JOBS) {
+            setError(t('generate.tooMany', { max: MAX_BATCH_JOBS, count: promptCount }));
+            return;
+        }
+        if (preparingReferences) {
+            setError(t('references.preparing'));
+            return;
+        }
+        if (referenceBytes > MAX_REFERENCE_TOTAL_BYTES) {
+            setError(t('references.payloadTooLarge', { size: formatBytes(referenceBytes), limit: formatBytes(MAX_REFERENCE_TOTAL_BYTES) }));
+            return;
+        }
+        setError(null);
+        return runBatch(expandedPrompts.map(p => ({
+            prompt: resolveWildcards(p),
+            referenceImages,
+            model,
+            aspectRatio,
+            imageSize
+        })), prompt);
+    };
+
+    // 批量生成: 每个任务都有自己的卡片，最多同时进行 BATCH_CONCURRENCY 个，结果在画廊中归为一组
+    const runBatch = async (jobs, batchPrompt) => {
+        const batchId = jobs.length > 1 ? crypto.randomUUID() : null;
+        const queued = jobs.map(job => ({ ...job, batchId, batchPrompt, pendingId: crypto.randomUUID() }));
+        setPendingRequests(prev => [...queued.map(job => createPending(job, 'queued')), ...prev]);
+
+        let next = 0;
+        const worker = async () => {
+            while (next < queued.length) {
+                const job = queued[next++];
+                if (cancelledJobs.current.has(job.pendingId)) {
+                    cancelledJobs.current.delete(job.pendingId);
+                    continue;
+                }
+                await runGeneration(job);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, queued.length) }, worker));
+    };
+
+    // 执行一次生成任务，返回保存到画廊的新作品
+    // job: { prompt, referenceImages, model, aspectRatio, imageSize, thread?, parentId?, batchId?, pendingId? }
+    // 传入 thread 时为对话编辑: thread 的最后一轮是本次的用户输入，之前的轮次作为 history 发送
+    // 传入 pendingId 时复用批量生成中已排队的卡片
+    const runGeneration = async (job) => {
+        // Create a pending request item
+        const newPending = createPending(job, 'running');
+        const tempId = newPending.id;
+
+        if (job.pendingId) {
+            updatePending(tempId, () => newPending);
+        } else {
+            // Add to pending queue immediately
+            setPendingRequests(prev => [newPending, ...prev]);
+        }
+
+        const controller = new AbortController();
+        abortControllers.current[tempId] = controller;
+
+        // 已收到的图片，流式模式下中途取消或出错也会保留
+        const received = [];
+        let failure = null;
+        // 关闭流式输出且服务端支持时使用异步任务，刷新页面后可以继续取回结果
+        const useJob = Boolean(job.jobId) || (jobsEnabled && !streamMode);
+        let jobId = job.jobId || null;
+
+        try {
+            let response = null;
+            if (!jobId) {
+                const imagesPayload = await Promise.all(job.referenceImages.map(async (file) => ({
+                    data: await fileToBase64(file),
+                    mimeType: file.type
+                })));
+
+                const history = job.thread ? await buildHistory(job.thread.slice(0, -1)) : undefined;
+
+                response = await fetch(useJob ? '/api/jobs' : '/api/generate', {
+                    method: 'POST',
+                    headers: { 
+                        'Content-Type': 'application/json',
+                        ...authHeaders()
+                    },
+                    body: JSON.stringify({
+                        model: job.model,
+                        prompt: job.prompt || (job.referenceImages.length > 0 ? "Describe these images and modify them" : ""),
+                        images: imagesPayload,
+                        aspectRatio: job.aspectRatio,
+                        imageSize: job.imageSize,
+                        history,
+                        mask: job.mask,
+                        stream: !useJob && streamMode
+                    }),
+                    signal: controller.signal
+                });
+
+                if (response.status === 401) {
+                    // Unauthorized
+                    handleUnauthorized();
+                    setPendingRequests(prev => prev.filter(p => p.id !== tempId));
+                    delete abortControllers.current[tempId];
+                    return [];
+                }
+
+                if (response.status === 429) {
+                    // 超出用量限制
+                    const data = await response.json();
+                    if (data.quota) setQuota(data.quota);
+                    throw generationError({ ...data, error: data.error + ' ' + t('quota.resetAt', { time: new Date(data.resetAt).toLocaleString() }) });
+                }
+            }
+
+            if (useJob) {
+                if (!jobId) {
+                    const data = await response.json();
+                    if (!response.ok) throw generationError(data);
+                    jobId = data.id;
+                    await dbHelper.putJob({ jobId, pendingId: tempId, job: { ...job, jobId } });
+                }
+                const data = await pollJob(jobId, controller.signal);
+                data.images.forEach((url, i) => {
+                    received.push({ url, thoughtSignature: data.thoughtSignatures ? data.thoughtSignatures[i] : null });
+                });
+            } else if (streamMode && response.ok) {
+                await readNdjson(response, (event) => {
+                    if (event.type === 'text') {
+                        updatePending(tempId, p => ({ ...p, text: p.text + event.text }));
+                    } else if (event.type === 'image') {
+                        received.push({ url: event.url, thoughtSignature: event.thoughtSignature });
+                        updatePending(tempId, p => ({ ...p, images: [...p.images, event.url] }));
+                    } else if (event.type === 'error') {
+                        throw generationError(event);
+                    }
+                });
+            } else {
+                const data = await response.json();
+                if (!response.ok) {
+                    throw generationError(data);
+                }
+                data.images.forEach((url, i) => {
+                    received.push({ url, thoughtSignature: data.thoughtSignatures ? data.thoughtSignatures[i] : null });
+                });
+            }
+
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error(err);
+                failure = { message: err.message || t('generate.failed'), code: err.code || null, details: err.details || null };
+                setError(failure.message);
+            }
+        }
+
+        // 完整的生成参数，用于 Remix 还原控制面板 (参考图以 Blob 保存)
+        const params = {
+            model: job.model,
+            prompt: job.prompt,
+            aspectRatio: job.aspectRatio,
+            imageSize: job.imageSize,
+            referenceImages: job.referenceImages.map(file => new Blob([file], { type: file.type }))
+        };
+
+        const newImages = await Promise.all(received.map(async ({ url, thoughtSignature }) => {
+            const id = crypto.randomUUID();
+            const item = {
+                id,
+                ...(await toStoredImage(await dataUrlToBlob(url))),
+                prompt: newPending.prompt,
+                model: newPending.model,
+                timestamp: Date.now(),
+                thoughtSignature: thoughtSignature || null,
+                tags: [],
+                albums: [],
+                favorite: 0,
+                params
+            };
+            if (job.sourceId) {
+                item.sourceId = job.sourceId;
+            }
+            if (job.batchId) {
+                item.batchId = job.batchId;
+                item.batchPrompt = job.batchPrompt;
+            }
+            if (job.thread) {
+                item.parentId = job.parentId;
+                item.thread = [...job.thread, { role: 'model', imageId: id, thoughtSignature: thoughtSignature || null }];
+            }
+            return item;
+        }));
+
+        if (newImages.length > 0) {
+            for (const img of newImages) {
+                await dbHelper.add(img);
+            }
+
+            setHistory(prev => [...newImages, ...prev]);
+
+            if (syncEnabled) {
+                uploadToServer(newImages);
+            }
+        }
+
+        if (jobId) {
+            // 结果已保存到本地画廊 (或任务失败、被取消)，删除本地与服务端的任务记录
+            dbHelper.removeJob(jobId).catch(console.error);
+            fetch('/api/jobs/' + jobId, { method: 'DELETE', headers: authHeaders() }).catch(() => {});
+        }
+
+        // 失败且没有任何结果时保留为错误卡片 (可重试，刷新页面后仍保留)，否则从队列中移除
+        if (failure && newImages.length === 0) {
+            const { jobId: _, ...retryJob } = job;
+            const failed = { ...newPending, status: 'failed', error: failure, job: retryJob };
+            updatePending(tempId, () => failed);
+            dbHelper.putFailed(failed).catch(console.error);
+        } else {
+            setPendingRequests(prev => prev.filter(p => p.id !== tempId));
+        }
+        delete abortControllers.current[tempId];
+        refreshQuota();
+        return newImages;
+    };
+
+    // 对话编辑: 在当前作品的对话基础上继续修改，完成后在灯箱中切换到新作品
+    const sendEdit = async () => {
+        const text = editPrompt.trim();
+        if (!text || !selectedImage || editing) return;
+        if (authRequired && !sessionStore.load()) {
+            setShowLogin(true);
+            return;
+        }
+        setEditing(true);
+        setError(null);
+        const newImages = await runGeneration({
+            prompt: text,
+            referenceImages: [],
+            model,
+            aspectRatio,
+            imageSize,
+            parentId: selectedImage.id,
+            thread: [...getThread(selectedImage), { role: 'user', text }]
+        });
+        setEditing(false);
+        if (newImages.length > 0) {
+            setEditPrompt('');
+            setSelectedImage(newImages[0]);
+        }
+    };
+
+    const openMaskEditor = (source) => {
+        setError(null);
+        setMaskSource(source);
+    };
+
+    const closeMaskEditor = () => {
+        if (maskSource && maskSource.file) URL.revokeObjectURL(maskSource.url);
+        setMaskSource(null);
+    };
+
+    // 局部重绘: 源图与蒙版一起发送，结果作为新作品保存并关联源图
+    const submitInpaint = async ({ mask, prompt: text, width, height }) => {
+        if (authRequired && !sessionStore.load()) {
+            setShowLogin(true);
+            return;
+        }
+        setInpainting(true);
+        setError(null);
+        const newImages = await runGeneration({
+            prompt: text,
+            referenceImages: [maskSource.file],
+            mask: { data: mask, mimeType: 'image/png' },
+            model,
+            aspectRatio: closestAspectRatio(width, height, aspectRatios),
+            imageSize,
+            sourceId: maskSource.sourceId
+        });
+        setInpainting(false);
+        if (newImages.length > 0) {
+            closeMaskEditor();
+            if (maskSource.sourceId) setSelectedImage(newImages[0]);
+        }
+    };
+
+    const openImage = (item) => {
+        setSelectedImage(item);
+        setLightboxPanel(null);
+        setEditPrompt('');
+        setShareCopied(false);
+    };
+
+    // 修改作品的标签、相册、收藏等字段
+    const updateItem = async (id, changes) => {
+        const item = await dbHelper.get(id);
+        if (!item) return;
+        const updated = { ...item, ...changes, updatedAt: Date.now() };
+        await dbHelper.put(updated);
+        setHistory(prev => prev.map(h => h.id === id ? updated : h));
+        setSelectedImage(prev => prev && prev.id === id ? updated : prev);
+        if (syncEnabled) {
+            uploadToServer([updated]);
+        }
+    };
+
+    // 上传作品并创建分享链接，撤销凭证 (token) 保存在作品记录中
+    const createShare = async (item) => {
+        setSharing(true);
+        setError(null);
+        try {
+            const response = await fetch('/api/shares', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...authHeaders() },
+                body: JSON.stringify({
+                    image: { mimeType: item.image.type || 'image/png', data: await fileToBase64(item.image) },
+                    prompt: item.prompt || '',
+                    model: item.model || '',
+                    hidePrompt: shareOptions.hidePrompt,
+                    expiresIn: shareOptions.expiresIn
+                })
+            });
+            if (response.status === 401) {
+                handleUnauthorized();
+                return;
+            }
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || t('share.createFailed'));
+            await updateItem(item.id, {
+                share: { id: data.id, url: data.url, token: data.token, expiresAt: data.expiresAt, hidePrompt: shareOptions.hidePrompt }
+            });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSharing(false);
+        }
+    };
+
+    // 撤销分享；分享已过期或已被删除时同样清除本地记录
+    const revokeShare = async (item) => {
+        setSharing(true);
+        setError(null);
+        try {
+            const response = await fetch('/api/shares/' + item.share.id, {
+                method: 'DELETE',
+                headers: { 'X-Share-Token': item.share.token, ...authHeaders() }
+            });
+            if (response.status === 401) {
+                handleUnauthorized();
+                return;
+            }
+            if (!response.ok && response.status !== 404) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || t('share.revokeFailed'));
+            }
+            await updateItem(item.id, { share: null });
+            setShareCopied(false);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSharing(false);
+        }
+    };
+
+    const copyShareUrl = async (url) => {
+        try {
+            await navigator.clipboard.writeText(url);
+            setShareCopied(true);
+        } catch (err) {
+            setError(t('share.copyFailed'));
+        }
+    };
+
+    // Remix: 用作品的生成参数还原控制面板 (旧作品没有完整参数时只还原提示词和模型)
+    const remixItem = (item) => {
+        const params = item.params || {
+            model: (models.find(m => m.label === item.model) || currentModel).id,
+            prompt: item.prompt
+        };
+        const entry = modelInfo(params.model);
+        if (entry && canUseModel(entry)) setModel(entry.id);
+        if (params.imageSize) setImageSize(params.imageSize);
+        if (aspectRatios.includes(params.aspectRatio)) setAspectRatio(params.aspectRatio);
+        setReferenceImages((params.referenceImages || []).map((blob, i) => (
+            new File([blob], 'reference-' + (i + 1) + '.' + (blob.type.split('/')[1] || 'png'), { type: blob.type })
+        )));
+        setPrompt(params.prompt || '');
+        setVariantCount(1);
+        setSelectedImage(null);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
+    const toggleFavorite = (item) => updateItem(item.id, { favorite: item.favorite ? 0 : 1 });
+
+    const addTag = (item, tag) => {
+        const value = tag.trim().replace(/^#/, '');
+        if (!value || item.tags.includes(value)) return;
+        updateItem(item.id, { tags: [...item.tags, value] });
+    };
+
+    const toggleAlbum = (item, album) => {
+        const value = album.trim();
+        if (!value) return;
+        updateItem(item.id, {
+            albums: item.albums.includes(value) ? item.albums.filter(a => a !== value) : [...item.albums, value]
+        });
+    };
+
+    const toggleSelected = (id) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id); else next.add(id);
+            return next;
+        });
+    };
+
+    const exitSelecting = () => {
+        setSelecting(false);
+        setSelectedIds(new Set());
+    };
+
+    // 导出为 ZIP: images/ 下为作品原图，references/ 下为参考图，manifest.json 记录提示词、模型、时间等信息
+    // 分享链接 (含撤销凭证) 与所属账号不导出，导入的作品归属导入时的账号
+    const exportGallery = async (items) => {
+        if (items.length === 0) return;
+        try {
+            const files = [];
+            const manifestItems = [];
+            for (const item of items) {
+                const file = 'images/' + item.id + '.' + extensionOf(item.image.type);
+                const withMetadata = await embedImageMetadata(item.image, toImageRecord(item));
+                files.push({ name: file, data: new Uint8Array(await withMetadata.arrayBuffer()) });
+
+                const { image, thumbnail, synced, params, share, owner, ...meta } = item;
+                const entry = { ...meta, file };
+                if (params) {
+                    const references = [];
+                    for (const [i, blob] of (params.referenceImages || []).entries()) {
+                        const name = 'references/' + item.id + '-' + (i + 1) + '.' + extensionOf(blob.type);
+                        files.push({ name, data: new Uint8Array(await blob.arrayBuffer()) });
+                        references.push(name);
+                    }
+                    entry.params = { ...params, referenceImages: references };
+                }
+                manifestItems.push(entry);
+            }
+
+            const manifest = { app: 'gz-nano', version: 1, exportedAt: new Date().toISOString(), items: manifestItems };
+            files.unshift({ name: 'manifest.json', data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(zipHelper.create(files));
+            link.download = 'gz-nano-gallery-' + new Date().toISOString().slice(0, 10) + '.zip';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            exitSelecting();
+        } catch (err) {
+            console.error(err);
+            setError(t('gallery.exportFailed', { message: err.message }));
+        }
+    };
+
+    // 导入 ZIP: 按 id 去重，已存在的作品会被跳过
+    const importGallery = async (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const files = await zipHelper.read(file);
+            if (!files['manifest.json']) throw new Error(t('gallery.missingManifest'));
+            const manifest = JSON.parse(new TextDecoder().decode(files['manifest.json']));
+
+            const added = [];
+            let skipped = 0;
+            for (const entry of manifest.items || []) {
+                if (!entry.id || !files[entry.file] || await dbHelper.get(entry.id)) {
+                    skipped++;
+                    continue;
+                }
+                const { file: imageFile, share, owner, ...meta } = entry;
+                const item = {
+                    ...meta,
+                    ...(await toStoredImage(new Blob([files[imageFile]], { type: mimeTypeOf(imageFile) })))
+                };
+                if (entry.params) {
+                    item.params = {
+                        ...entry.params,
+                        referenceImages: (entry.params.referenceImages || [])
+                            .filter(name => files[name])
+                            .map(name => new Blob([files[name]], { type: mimeTypeOf(name) }))
+                    };
+                }
+                await dbHelper.add(item);
+                added.push(item);
+            }
+
+            setHistory(await dbHelper.getAll());
+            if (syncEnabled) {
+                uploadToServer(added);
+            }
+            alert(t('gallery.imported', { count: added.length }) + (skipped > 0 ? t('gallery.importSkipped', { count: skipped }) : ''));
+        } catch (err) {
+            console.error(err);
+            setError(t('gallery.importFailed', { message: err.message }));
+        }
+    };
+
+    const deleteItem = async (item) => {
+        if (!confirm(t(syncEnabled ? 'gallery.confirmDeleteSynced' : 'gallery.confirmDelete'))) return;
+        await dbHelper.remove(item.id);
+        if (syncEnabled) {
+            galleryApi.remove(item.id).catch(console.error);
+        }
+        setHistory(prev => prev.filter(h => h.id !== item.id));
+        setSelectedImage(prev => prev && prev.id === item.id ? null : prev);
+    };
+
+    // 画廊筛选: 标签 / 相册 / 收藏 / 模型通过 IndexedDB 索引查询，搜索在结果中匹配提示词和标签
+    useEffect(() => {
+        if (!activeFilter) {
+            setFilteredItems(null);
+            return;
+        }
+        dbHelper.query(activeFilter).then(setFilteredItems).catch(console.error);
+    }, [activeFilter, history]);
+
+    const searchTerms = searchQuery.toLowerCase().split(' ').filter(Boolean);
+    const visibleItems = (filteredItems || history).filter(item => {
+        if (searchTerms.length === 0) return true;
+        const text = ((item.prompt || '') + ' ' + (item.tags || []).join(' ')).toLowerCase();
+        return searchTerms.every(term => text.includes(term));
+    });
+
+    // 画廊分页: 滚动到底部时继续加载，避免一次渲染全部作品
+    const [visibleCount, setVisibleCount] = useState(GALLERY_PAGE_SIZE);
+    const loadMoreRef = useRef(null);
+    const hasMore = visibleItems.length > visibleCount;
+
+    useEffect(() => {
+        setVisibleCount(GALLERY_PAGE_SIZE);
+    }, [searchQuery, activeFilter]);
+
+    useEffect(() => {
+        if (!hasMore || !loadMoreRef.current) return;
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) setVisibleCount(count => count + GALLERY_PAGE_SIZE);
+        }, { rootMargin: '600px' });
+        observer.observe(loadMoreRef.current);
+        return () => observer.disconnect();
+    }, [hasMore, visibleCount]);
+
+    const allAlbums = [...new Set(history.flatMap(item => item.albums || []))].sort();
+    const filterChips = [
+        { label: t('gallery.filterAll'), filter: null },
+        { label: '★ ' + t('gallery.favorite'), filter: { type: 'favorite', value: 1 } },
+        ...[...new Set(history.map(item => item.model))].map(value => ({ label: value, filter: { type: 'model', value } })),
+        ...allAlbums.map(value => ({ label: '▣ ' + value, filter: { type: 'albums', value } })),
+        ...[...new Set(history.flatMap(item => item.tags || []))].sort().map(value => ({ label: '#' + value, filter: { type: 'tags', value } }))
+    ];
+    const isActiveFilter = (filter) => JSON.stringify(filter) === JSON.stringify(activeFilter);
+
+    // 画廊分组: 同一批次的作品归为一组，显示在该批次最新作品的位置
+    const galleryGroups = [];
+    const batchGroups = {};
+    for (const item of visibleItems.slice(0, visibleCount)) {
+        if (!item.batchId) {
+            galleryGroups.push({ items: [item] });
+            continue;
+        }
+        if (!batchGroups[item.batchId]) {
+            batchGroups[item.batchId] = { batchId: item.batchId, prompt: item.batchPrompt, items: [] };
+            galleryGroups.push(batchGroups[item.batchId]);
+        }
+        batchGroups[item.batchId].items.push(item);
+    }
+
+    const renderHistoryCard = (item) => (
+        <div key={item.id} className={'group relative bg-white border-2 border-black shadow-[4px_4px_0px_0px_rgba(0,0,0,0.1)] hover:shadow-[8px_8px_0px_0px_rgba(0,0,0,1)] transition-all duration-200 cursor-pointer ' + (selecting && selectedIds.has(item.id) ? 'ring-4 ring-black' : '')} onClick={() => selecting ? toggleSelected(item.id) : openImage(item)}>
+          <div className="aspect-square w-full overflow-hidden bg-zinc-100 relative border-b-2 border-black">
+            {selecting && (
+              <div className={'absolute top-2 left-2 z-10 w-6 h-6 border-2 border-black flex items-center justify-center text-xs font-black ' + (selectedIds.has(item.id) ? 'bg-black text-white' : 'bg-white')}>
+                {selectedIds.has(item.id) ? '✓' : ''}
+              </div>
+            )}
+            <BlobImage
+              blob={item.thumbnail}
+              alt={item.prompt}
+              loading="lazy"
+              className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-105"
+            />
+            <div className="absolute inset-0 bg-black/10 opacity-0 group-hover:opacity-100 transition-opacity"></div>
+            <div className="absolute top-2 right-2 flex gap-1">
+              <button
+                onClick={(e) => { e.stopPropagation(); useAsReference(item); }}
+                title={t('references.use')}
+                className="w-6 h-6 flex items-center justify-center bg-white border-2 border-black opacity-0 group-hover:opacity-100 transition-opacity"
+              >
+                <Icons.ImagePlus className="w-3 h-3" />
+              </button>
+              <button
+                onClick={(e) => { e.stopPropagation(); toggleFavorite(item); }}
+                title={t(item.favorite ? 'gallery.unfavorite' : 'gallery.favorite')}
+                className={'w-6 h-6 flex items-center justify-center bg-white border-2 border-black text-xs font-black transition-opacity ' + (item.favorite ? '' : 'opacity-0 group-hover:opacity-100')}
+              >
+                {item.favorite ? '★' : '☆'}
+              </button>
+              <button
+                onClick={(e) => { e.stopPropagation(); deleteItem(item); }}
+                title={t('common.delete')}
+                className="w-6 h-6 flex items-center justify-center bg-white border-2 border-black opacity-0 group-hover:opacity-100 transition-opacity"
+              >
+                <Icons.Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          </div>
+          <div className="p-3">
+            <p className="text-[10px] font-bold text-zinc-900 line-clamp-1 mb-2" title={item.prompt}>
+              {item.prompt || t('gallery.imageToImage')}
+            </p>
+            <div className="flex justify-between items-center gap-1">
+              <span className="text-[9px] uppercase font-bold tracking-wider bg-zinc-100 border border-zinc-200 px-1.5 py-0.5 flex-shrink-0">
+                {item.model}
+              </span>
+              {item.tags && item.tags.length > 0 && (
+                <span className="text-[9px] font-bold text-zinc-500 truncate">
+                  {item.tags.map(tag => '#' + tag).join(' ')}
+                </span>
+              )}
+            </div>
+          </div>
+        </div>
+    );
+
+    const hasDraggedFiles = (e) => Array.from(e.dataTransfer.types || []).includes('Files');
+
+    const handleDragEnter = (e) => {
+        if (!hasDraggedFiles(e)) return;
+        e.preventDefault();
+        dragDepth.current++;
+        setFileDragging(true);
+    };
+
+    const handleDragLeave = (e) => {
+        if (!hasDraggedFiles(e)) return;
+        dragDepth.current = Math.max(0, dragDepth.current - 1);
+        if (dragDepth.current === 0) {
+            setFileDragging(false);
+            setReferenceDragging(false);
+        }
+    };
+
+    const handleDragOver = (e) => {
+        if (hasDraggedFiles(e)) e.preventDefault();
+    };
+
+    // 拖入从本应用下载的图片: 读取其中的生成信息，由用户选择还原参数或导入画廊
+    const handleDrop = async (e) => {
+        if (!hasDraggedFiles(e)) return;
+        e.preventDefault();
+        dragDepth.current = 0;
+        setFileDragging(false);
+        setReferenceDragging(false);
+        const file = Array.from(e.dataTransfer.files).find(f => f.type.startsWith('image/'));
+        if (!file) return;
+        try {
+            const record = await readImageMetadata(file);
+            if (!record) {
+                setError(t('metadata.notFound'));
+                return;
+            }
+            setDroppedImage({ file, record });
+        } catch (err) {
+            console.error(err);
+            setError(t('metadata.readFailed', { message: err.message }));
+        }
+    };
+
+    // 拖到参考图区域的图片直接添加为参考图，不再读取生成信息
+    const handleReferenceDragOver = (e) => {
+        if (!hasDraggedFiles(e)) return;
+        e.preventDefault();
+        if (!referenceDragging) setReferenceDragging(true);
+    };
+
+    const handleReferenceDragLeave = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setReferenceDragging(false);
+    };
+
+    const isReferenceDrag = (e) => Array.from(e.dataTransfer.types || []).includes(REFERENCE_DRAG_TYPE);
+
+    const handleReferenceDrop = (e) => {
+        if (!hasDraggedFiles(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        dragDepth.current = 0;
+        setFileDragging(false);
+        setReferenceDragging(false);
+        addReferenceImages(Array.from(e.dataTransfer.files));
+    };
+
+    const restoreDroppedImage = () => {
+        const { record } = droppedImage;
+        setDroppedImage(null);
+        remixItem({
+            prompt: record.prompt,
+            model: record.model,
+            params: record.params ? { ...record.params, referenceImages: [] } : null
+        });
+    };
+
+    // 导入画廊: 按 id 去重，已存在时直接打开该作品
+    const importDroppedImage = async () => {
+        const { file, record } = droppedImage;
+        setDroppedImage(null);
+        try {
+            const existing = record.id ? await dbHelper.get(record.id) : null;
+            if (existing) {
+                openImage(withDefaults(existing));
+                return;
+            }
+            const item = {
+                id: record.id || crypto.randomUUID(),
+                ...(await toStoredImage(new Blob([file], { type: file.type }))),
+                prompt: record.prompt,
+                model: record.model,
+                timestamp: Number(record.timestamp) || Date.now(),
+                thoughtSignature: null,
+                tags: [],
+                albums: [],
+                favorite: 0
+            };
+            if (record.params) {
+                item.params = { ...record.params, referenceImages: [] };
+            }
+            await dbHelper.add(item);
+            setHistory(await dbHelper.getAll());
+            if (syncEnabled) {
+                uploadToServer([item]);
+            }
+            openImage(item);
+        } catch (err) {
+            console.error(err);
+            setError(t('gallery.importFailed', { message: err.message }));
+        }
+    };
+
+    // 下载的文件中写入提示词、模型、比例、分辨率与时间，见 embedImageMetadata
+    const downloadImage = async (item) => {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await embedImageMetadata(item.image, toImageRecord(item)));
+        link.download = 'gz-nano-' + item.id + '.' + extensionOf(item.image.type);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    };
+
+    return (
+        <div
+            className="min-h-screen bg-white text-black font-sans selection:bg-black selection:text-white"
+            onDragEnter={handleDragEnter}
+            onDragLeave={handleDragLeave}
+            onDragOver={handleDragOver}
+            onDrop={handleDrop}
+        >
+            {/* Drop Overlay */}
+            {fileDragging && (
+                <div className="fixed inset-0 z-[120] flex items-center justify-center bg-white/90 border-4 border-dashed border-black pointer-events-none">
+                    <div className="text-center space-y-2">
+                        <p className="text-sm font-black uppercase tracking-widest">{t('metadata.dropHint')}</p>
+                        <p className="text-xs font-bold text-zinc-500">{t('references.dropHint')}</p>
+                    </div>
+                </div>
+            )}
+
+            {/* Dropped Image: restore parameters or import */}
+            {droppedImage && (
+                <div className="fixed inset-0 z-[110] flex items-center justify-center bg-black/80 backdrop-blur-sm p-4" onClick={() => setDroppedImage(null)}>
+                    <div className="bg-white w-full max-w-md border-2 border-black" onClick={(e) => e.stopPropagation()}>
+                        <div className="p-4 border-b-2 border-black flex gap-4">
+                            <BlobImage blob={droppedImage.file} className="w-24 h-24 object-cover border-2 border-black flex-shrink-0" />
+                            <div className="min-w-0">
+                                <h3 className="text-sm font-black uppercase tracking-widest">{t('metadata.title')}</h3>
+                                <p className="text-xs font-medium mt-2 line-clamp-4 break-words">{droppedImage.record.prompt || t('gallery.imageToImage')}</p>
+                                <p className="text-[10px] font-mono font-bold text-zinc-500 mt-2">
+                                    {[
+                                        droppedImage.record.model,
+                                        droppedImage.record.params && droppedImage.record.params.aspectRatio,
+                                        droppedImage.record.params && droppedImage.record.params.imageSize,
+                                        droppedImage.record.timestamp && new Date(droppedImage.record.timestamp).toLocaleString()
+                                    ].filter(Boolean).join(' · ')}
+                                </p>
+                            </div>
+                        </div>
+                        <div className="p-4 grid grid-cols-2 gap-2">
+                            <button
+                                onClick={restoreDroppedImage}
+                                className="py-3 bg-black text-white font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-zinc-800"
+                            >
+                                <Icons.Repeat className="w-4 h-4" />
+                                {t('metadata.restore')}
+                            </button>
+                            <button
+                                onClick={importDroppedImage}
+                                className="py-3 border-2 border-black font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-zinc-100"
+                            >
+                                <Icons.Upload className="w-4 h-4" />
+                                {t('metadata.import')}
+                            </button>
+                            <button
+                                onClick={() => setDroppedImage(null)}
+                                className="col-span-2 py-2 text-xs font-bold text-zinc-500 hover:text-black uppercase"
+                            >
+                                {t('common.cancel')}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Login Modal */}
+            {showLogin && (
+                <div className="fixed inset-0 z-[110] flex items-center justify-center bg-black/80 backdrop-blur-sm p-4">
+                    <div className="bg-white p-8 w-full max-w-sm border-2 border-black shadow-[8px_8px_0px_0px_rgba(255,255,255,0.2)]">
+                        <div className="flex flex-col items-center gap-4 mb-6">
+                            <div className="p-3 bg-black text-white rounded-full">
+                                <Icons.Lock className="w-6 h-6" />
+                            </div>
+                            <h3 className="text-xl font-black uppercase">{t(session ? 'login.switchUser' : 'login.title')}</h3>
+                            <p className="text-xs text-center text-zinc-500 font-bold">{t('login.protected')}<br/>{t('login.enterCode')}</p>
+                        </div>
+                        <input
+                            type="password"
+                            value={loginCode}
+                            onChange={(e) => setLoginCode(e.target.value)}
+                            placeholder="Enter Access Code"
+                            className="w-full p-3 border-2 border-black mb-4 font-bold text-center focus:outline-none focus:bg-zinc-50"
+                            onKeyDown={(e) => e.key === 'Enter' && handleLogin()}
+                            autoFocus
+                        />
+                        {loginError && (
+                            <p className="text-xs font-bold text-center mb-4">{loginError}</p>
+                        )}
+                        <button 
+                            onClick={handleLogin}
+                            className="w-full bg-black text-white py-3 font-black uppercase tracking-widest hover:bg-zinc-800 transition-colors"
+                        >
+                            {t('login.title')}
+                        </button>
+                        <button 
+                            onClick={() => { setShowLogin(false); setLoginError(null); }}
+                            className="w-full mt-2 py-2 text-xs font-bold text-zinc-500 hover:text-black uppercase"
+                        >
+                            {t('common.cancel')}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* Mask Editor */}
+            {maskSource && (
+                <MaskEditor
+                    source={maskSource.url}
+                    busy={inpainting}
+                    error={error}
+                    onCancel={closeMaskEditor}
+                    onSubmit={submitInpaint}
+                />
+            )}
+
+            {/* Lightbox */}
+            {selectedImage && (
+                <div 
+                    className="fixed inset-0 z-[100] flex bg-black/95 backdrop-blur-sm animate-fadeIn"
+                    onClick={() => setSelectedImage(null)}
+                >
+                    <div className="flex-1 min-w-0 relative flex items-center justify-center p-4 md:p-8">
+                        <button 
+                            className="absolute top-4 right-4 text-white hover:text-zinc-300 z-10 bg-white/10 rounded-full p-2 transition-colors"
+                            onClick={() => setSelectedImage(null)}
+                        >
+                            <Icons.X className="w-8 h-8" />
+                        </button>
+                        <BlobImage
+                            blob={selectedImage.image}
+                            className="max-w-full max-h-full object-contain shadow-2xl"
+                            onClick={(e) => e.stopPropagation()}
+                        />
+                        <div className="absolute bottom-8 left-1/2 -translate-x-1/2 w-full max-w-4xl px-4 flex flex-wrap justify-center gap-2 md:gap-4" onClick={(e) => e.stopPropagation()}>
+                            <button 
+                                onClick={() => downloadImage(selectedImage)} 
+                                className="bg-white text-black px-8 py-3 font-bold uppercase tracking-wider text-sm hover:bg-zinc-200 hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white"
+                            >
+                                <Icons.Download className="w-4 h-4" />
+                                {t('lightbox.download')}
+                            </button>
+                            <button 
+                                onClick={() => setLightboxPanel(prev => prev === 'info' ? null : 'info')} 
+                                className={'px-8 py-3 font-bold uppercase tracking-wider text-sm hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white ' + (lightboxPanel === 'info' ? 'bg-black text-white' : 'bg-white text-black hover:bg-zinc-200')}
+                            >
+                                <Icons.Tag className="w-4 h-4" />
+                                {t('lightbox.info')}
+                            </button>
+                            <button 
+                                onClick={() => setLightboxPanel(prev => prev === 'edit' ? null : 'edit')} 
+                                disabled={!currentModel.features.history}
+                                title={currentModel.features.history ? '' : t('lightbox.editUnsupported', { model: currentModel.label })}
+                                className={'px-8 py-3 font-bold uppercase tracking-wider text-sm hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:scale-100 ' + (lightboxPanel === 'edit' ? 'bg-black text-white' : 'bg-white text-black hover:bg-zinc-200')}
+                            >
+                                <Icons.MessageSquare className="w-4 h-4" />
+                                {t('lightbox.edit')}
+                            </button>
+                            <button 
+                                onClick={() => openMaskEditor({ url: URL.createObjectURL(selectedImage.image), file: selectedImage.image, sourceId: selectedImage.id })} 
+                                disabled={!currentModel.features.mask}
+                                title={currentModel.features.mask ? '' : t('lightbox.maskUnsupported', { model: currentModel.label })}
+                                className="bg-white text-black px-8 py-3 font-bold uppercase tracking-wider text-sm hover:bg-zinc-200 hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:scale-100"
+                            >
+                                <Icons.Brush className="w-4 h-4" />
+                                {t('mask.title')}
+                            </button>
+                            <button 
+                                onClick={() => remixItem(selectedImage)} 
+                                title={t('lightbox.remixHint')}
+                                className="bg-white text-black px-8 py-3 font-bold uppercase tracking-wider text-sm hover:bg-zinc-200 hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white"
+                            >
+                                <Icons.Repeat className="w-4 h-4" />
+                                Remix
+                            </button>
+                            <button 
+                                onClick={() => {
+                                    useAsReference(selectedImage);
+                                    setSelectedImage(null);
+                                    window.scrollTo({ top: 0, behavior: 'smooth' });
+                                }} 
+                                className="bg-white text-black px-8 py-3 font-bold uppercase tracking-wider text-sm hover:bg-zinc-200 hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white"
+                            >
+                                <Icons.ImagePlus className="w-4 h-4" />
+                                {t('references.use')}
+                            </button>
+                            {sharesEnabled && (
+                                <button 
+                                    onClick={() => setLightboxPanel(prev => prev === 'share' ? null : 'share')} 
+                                    className={'px-8 py-3 font-bold uppercase tracking-wider text-sm hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white ' + (lightboxPanel === 'share' ? 'bg-black text-white' : 'bg-white text-black hover:bg-zinc-200')}
+                                >
+                                    <Icons.Share2 className="w-4 h-4" />
+                                    {t('share.title')}
+                                </button>
+                            )}
+                        </div>
+                        {selectedImage.sourceId && (
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    const source = history.find(h => h.id === selectedImage.sourceId);
+                                    if (source) openImage(source);
+                                }}
+                                className="absolute top-4 left-4 text-white text-xs font-bold uppercase tracking-wider bg-white/10 hover:bg-white/20 rounded-full px-4 py-2 transition-colors"
+                            >
+                                ← {t('lightbox.viewSource')}
+                            </button>
+                        )}
+                    </div>
+
+                    {/* Info Panel: favourite, tags, albums, delete */}
+                    {lightboxPanel === 'info' && (
+                        <aside className="w-full max-w-sm bg-white border-l-2 border-black flex flex-col" onClick={(e) => e.stopPropagation()}>
+                            <div className="p-4 border-b-2 border-black flex items-center justify-between">
+                                <h3 className="text-sm font-black uppercase tracking-widest">{t('lightbox.info')}</h3>
+                                <button
+                                    onClick={() => toggleFavorite(selectedImage)}
+                                    className={'px-3 py-1 text-xs font-bold border-2 border-black transition-colors ' + (selectedImage.favorite ? 'bg-black text-white' : 'bg-white text-black hover:bg-zinc-100')}
+                                >
+                                    {selectedImage.favorite ? '★ ' + t('gallery.favorited') : '☆ ' + t('gallery.favorite')}
+                                </button>
+                            </div>
+                            <div className="flex-1 overflow-y-auto p-4 space-y-6">
+                                <div>
+                                    <p className="text-xs font-medium whitespace-pre-wrap break-words">{selectedImage.prompt || t('gallery.imageToImage')}</p>
+                                    <p className="text-[10px] font-mono font-bold text-zinc-500 mt-2">
+                                        {selectedImage.model} · {new Date(selectedImage.timestamp).toLocaleString()}
+                                    </p>
+                                    {selectedImage.params && (
+                                        <p className="text-[10px] font-mono font-bold text-zinc-500 mt-1">
+                                            {selectedImage.params.model} · {selectedImage.params.aspectRatio}
+                                            {((modelInfo(selectedImage.params.model) || {}).imageSizes || []).length > 0 ? ' · ' + selectedImage.params.imageSize : ''}
+                                            {selectedImage.params.referenceImages.length > 0 ? ' · ' + t('lightbox.referenceCount', { count: selectedImage.params.referenceImages.length }) : ''}
+                                        </p>
+                                    )}
+                                </div>
+
+                                <div>
+                                    <label className="text-xs font-bold uppercase tracking-widest mb-2 block">{t('lightbox.tags')}</label>
+                                    <div className="flex flex-wrap gap-1 mb-2">
+                                        {selectedImage.tags.map(tag => (
+                                            <span key={tag} className="text-[10px] font-bold border-2 border-black px-1.5 py-0.5 flex items-center gap-1">
+                                                #{tag}
+                                                <button onClick={() => updateItem(selectedImage.id, { tags: selectedImage.tags.filter(t => t !== tag) })}>
+                                                    <Icons.X className="w-3 h-3" />
+                                                </button>
+                                            </span>
+                                        ))}
+                                    </div>
+                                    <input
+                                        value={tagInput}
+                                        onChange={(e) => setTagInput(e.target.value)}
+                                        onKeyDown={(e) => { if (e.key === 'Enter') { addTag(selectedImage, tagInput); setTagInput(''); } }}
+                                        placeholder={t('lightbox.tagPlaceholder')}
+                                        className="w-full p-2 border-2 border-black text-xs font-medium focus:outline-none focus:bg-zinc-50"
+                                    />
+                                </div>
+
+                                <div>
+                                    <label className="text-xs font-bold uppercase tracking-widest mb-2 block">{t('lightbox.albums')}</label>
+                                    <div className="flex flex-wrap gap-1 mb-2">
+                                        {[...new Set([...allAlbums, ...selectedImage.albums])].map(album => (
+                                            <button
+                                                key={album}
+                                                onClick={() => toggleAlbum(selectedImage, album)}
+                                                className={'text-[10px] font-bold border-2 border-black px-1.5 py-0.5 transition-colors ' + (selectedImage.albums.includes(album) ? 'bg-black text-white' : 'bg-white text-black hover:bg-zinc-100')}
+                                            >
+                                                ▣ {album}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <input
+                                        value={albumInput}
+                                        onChange={(e) => setAlbumInput(e.target.value)}
+                                        onKeyDown={(e) => { if (e.key === 'Enter') { toggleAlbum(selectedImage, albumInput); setAlbumInput(''); } }}
+                                        placeholder={t('lightbox.albumPlaceholder')}
+                                        className="w-full p-2 border-2 border-black text-xs font-medium focus:outline-none focus:bg-zinc-50"
+                                    />
+                                </div>
+                            </div>
+                            <div className="p-4 border-t-2 border-black">
+                                <button
+                                    onClick={() => deleteItem(selectedImage)}
+                                    className="w-full py-3 border-2 border-black font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-black hover:text-white transition-colors"
+                                >
+                                    <Icons.Trash2 className="w-4 h-4" />
+                                    {t('lightbox.delete')}
+                                </button>
+                            </div>
+                        </aside>
+                    )}
+
+                    {/* Share Panel: public read-only link with optional expiry */}
+                    {lightboxPanel === 'share' && (
+                        <aside className="w-full max-w-sm bg-white border-l-2 border-black flex flex-col" onClick={(e) => e.stopPropagation()}>
+                            <div className="p-4 border-b-2 border-black">
+                                <h3 className="text-sm font-black uppercase tracking-widest">{t('share.title')}</h3>
+                                <p className="text-[10px] font-bold text-zinc-500 mt-1">
+                                    {t('share.hint')}
+                                </p>
+                            </div>
+                            <div className="flex-1 overflow-y-auto p-4 space-y-6">
+                                {selectedImage.share && (selectedImage.share.expiresAt === null || selectedImage.share.expiresAt > Date.now()) ? (
+                                    <div className="space-y-2">
+                                        <label className="text-xs font-bold uppercase tracking-widest block">{t('share.link')}</label>
+                                        <input
+                                            readOnly
+                                            value={selectedImage.share.url}
+                                            onFocus={(e) => e.target.select()}
+                                            className="w-full p-2 border-2 border-black text-xs font-mono focus:outline-none"
+                                        />
+                                        <p className="text-[10px] font-mono font-bold text-zinc-500">
+                                            {selectedImage.share.expiresAt ? t('share.validUntil', { time: new Date(selectedImage.share.expiresAt).toLocaleString() }) : t('share.validForever')}
+                                            {selectedImage.share.hidePrompt ? ' · ' + t('share.promptHidden') : ''}
+                                        </p>
+                                        <div className="flex gap-2">
+                                            <button
+                                                onClick={() => copyShareUrl(selectedImage.share.url)}
+                                                className="flex-1 py-2 bg-black text-white font-black text-xs uppercase tracking-widest hover:bg-zinc-800"
+                                            >
+                                                {t(shareCopied ? 'share.copied' : 'share.copy')}
+                                            </button>
+                                            <a
+                                                href={selectedImage.share.url}
+                                                target="_blank"
+                                                rel="noopener"
+                                                className="flex-1 py-2 border-2 border-black font-black text-xs uppercase tracking-widest text-center hover:bg-zinc-100"
+                                            >
+                                                {t('share.open')}
+                                            </a>
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <div className="space-y-4">
+                                        <div>
+                                            <label className="text-xs font-bold uppercase tracking-widest mb-2 block">{t('share.expiry')}</label>
+                                            <div className="grid grid-cols-4 gap-1">
+                                                {SHARE_EXPIRY_OPTIONS.map(option => (
+                                                    <button
+                                                        key={option.value}
+                                                        onClick={() => setShareOptions(prev => ({ ...prev, expiresIn: option.value }))}
+                                                        className={'py-2 text-xs font-bold border-2 border-black transition-colors ' + (shareOptions.expiresIn === option.value ? 'bg-black text-white' : 'bg-white text-black hover:bg-zinc-100')}
+                                                    >
+                                                        {t(option.labelKey)}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        </div>
+                                        <label className="flex items-center gap-2 text-xs font-bold cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={shareOptions.hidePrompt}
+                                                onChange={(e) => setShareOptions(prev => ({ ...prev, hidePrompt: e.target.checked }))}
+                                                className="w-4 h-4 accent-black"
+                                            />
+                                            {t('share.hidePrompt')}
+                                        </label>
+                                    </div>
+                                )}
+                                {error && (
+                                    <p className="text-xs font-bold flex items-start gap-2">
+                                        <Icons.AlertCircle className="w-4 h-4 flex-shrink-0" /> {error}
+                                    </p>
+                                )}
+                            </div>
+                            <div className="p-4 border-t-2 border-black">
+                                {selectedImage.share ? (
+                                    <button
+                                        onClick={() => revokeShare(selectedImage)}
+                                        disabled={sharing}
+                                        className="w-full py-3 border-2 border-black font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-black hover:text-white transition-colors disabled:opacity-30"
+                                    >
+                                        {sharing ? <Icons.Loader2 className="w-4 h-4 animate-spin" /> : <Icons.X className="w-4 h-4" />}
+                                        {selectedImage.share.expiresAt !== null && selectedImage.share.expiresAt <= Date.now() ? t('share.clearExpired') : t('share.revoke')}
+                                    </button>
+                                ) : (
+                                    <button
+                                        onClick={() => createShare(selectedImage)}
+                                        disabled={sharing}
+                                        className="w-full py-3 bg-black text-white font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-zinc-800 disabled:opacity-30 disabled:cursor-not-allowed"
+                                    >
+                                        {sharing ? <Icons.Loader2 className="w-4 h-4 animate-spin" /> : <Icons.Share2 className="w-4 h-4" />}
+                                        {t('share.create')}
+                                    </button>
+                                )}
+                            </div>
+                        </aside>
+                    )}
+
+                    {/* Conversational Edit Panel */}
+                    {lightboxPanel === 'edit' && (
+                        <aside className="w-full max-w-sm bg-white border-l-2 border-black flex flex-col" onClick={(e) => e.stopPropagation()}>
+                            <div className="p-4 border-b-2 border-black">
+                                <h3 className="text-sm font-black uppercase tracking-widest">{t('lightbox.edit')}</h3>
+                                <p className="text-[10px] font-bold text-zinc-500 mt-1">
+                                    {t('edit.hint')}
+                                </p>
+                            </div>
+                            <div className="flex-1 overflow-y-auto p-4 space-y-3">
+                                {getThread(selectedImage).map((turn, idx) => {
+                                    if (turn.role === 'user') {
+                                        return (
+                                            <div key={idx} className="ml-8 p-2 bg-black text-white text-xs font-medium">
+                                                {turn.text || t('gallery.imageToImage')}
+                                            </div>
+                                        );
+                                    }
+                                    const item = history.find(h => h.id === turn.imageId);
+                                    return (
+                                        <div key={idx} className="mr-8">
+                                            {item ? (
+                                                <BlobImage
+                                                    blob={item.thumbnail}
+                                                    onClick={() => setSelectedImage(item)}
+                                                    className={'w-24 h-24 object-cover border-2 cursor-pointer ' + (item.id === selectedImage.id ? 'border-black' : 'border-zinc-200 hover:border-black')}
+                                                />
+                                            ) : (
+                                                <div className="w-24 h-24 border-2 border-dashed border-zinc-300 flex items-center justify-center text-[10px] font-bold text-zinc-400">
+                                                    {t('edit.deleted')}
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                                {editing && (
+                                    <div className="mr-8 w-24 h-24 border-2 border-black flex items-center justify-center">
+                                        <div className="w-6 h-6 border-4 border-zinc-200 border-t-black rounded-full animate-spin"></div>
+                                    </div>
+                                )}
+                            </div>
+                            <div className="p-4 border-t-2 border-black space-y-2">
+                                {error && (
+                                    <p className="text-xs font-bold flex items-start gap-2">
+                                        <Icons.AlertCircle className="w-4 h-4 flex-shrink-0" /> {error}
+                                    </p>
+                                )}
+                                <textarea
+                                    value={editPrompt}
+                                    onChange={(e) => setEditPrompt(e.target.value)}
+                                    onKeyDown={(e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); sendEdit(); } }}
+                                    placeholder={t('edit.placeholder')}
+                                    className="w-full h-20 p-2 border-2 border-black text-sm font-medium resize-none focus:outline-none focus:bg-zinc-50"
+                                />
+                                <button
+                                    onClick={sendEdit}
+                                    disabled={editing || !editPrompt.trim()}
+                                    className="w-full py-3 bg-black text-white font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-zinc-800 disabled:opacity-30 disabled:cursor-not-allowed"
+                                >
+                                    {editing ? <Icons.Loader2 className="w-4 h-4 animate-spin" /> : <Icons.Send className="w-4 h-4" />}
+                                    {t('edit.submit')}
+                                </button>
+                            </div>
+                        </aside>
+                    )}
+                </div>
+            )}
+
+            {/* Header */}
+            <header className="fixed top-0 left-0 right-0 h-16 bg-white/95 backdrop-blur-sm border-b-2 border-black z-40 px-6 flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                    <div className="w-8 h-8 bg-black text-white flex items-center justify-center rounded-none">
+                        <Icons.Aperture className="w-5 h-5" />
+                    </div>
+                    <h1 className="text-xl font-black tracking-tighter uppercase">Gz'nano</h1>
+                </div>
+                <div className="flex items-center gap-4">
+                    {authRequired && (session ? (
+                        <div className="flex items-center gap-2">
+                            <Icons.User className="w-4 h-4" />
+                            <span className="text-xs font-bold">{session.user.name}</span>
+                            <span className="text-[10px] font-mono border border-black px-1.5 py-0.5 font-bold uppercase">{session.user.role}</span>
+                            {session.user.role === 'admin' && (
+                                <a href="/admin" className="text-[10px] font-bold uppercase hover:underline text-zinc-500">
+                                    {t('login.usage')}
+                                </a>
+                            )}
+                            <button onClick={() => setShowLogin(true)} className="text-[10px] font-bold uppercase hover:underline text-zinc-500">
+                                {t('login.switch')}
+                            </button>
+                            <button onClick={logout} title={t('login.logout')} className="hover:opacity-70 transition-opacity">
+                                <Icons.LogOut className="w-4 h-4" />
+                            </button>
+                        </div>
+                    ) : (
+                        <button onClick={() => setShowLogin(true)} className="flex items-center gap-2 text-xs font-bold uppercase border-2 border-black px-3 py-1 hover:bg-black hover:text-white transition-colors">
+                            <Icons.Lock className="w-3 h-3" /> {t('login.title')}
+                        </button>
+                    ))}
+                    <div className="flex border border-black" title={t('locale.switch')}>
+                        {SUPPORTED_LOCALES.map(entry => (
+                            <button
+                                key={entry.id}
+                                onClick={() => changeLocale(entry.id)}
+                                className={"px-2 py-0.5 text-[10px] font-bold transition-colors " + (locale === entry.id ? 'bg-black text-white' : 'hover:bg-zinc-100')}
+                            >
+                                {entry.label}
+                            </button>
+                        ))}
+                    </div>
+                    <a href="https://github.com/genz27/Nano_Gaallery" target="_blank" className="flex items-center gap-2 hover:opacity-70 transition-opacity">
+                        <Icons.Github className="w-5 h-5" />
+                        <span className="hidden md:inline text-xs font-bold uppercase">GitHub</span>
+                    </a>
+                    <div className="hidden md:block text-[10px] font-mono border border-black px-2 py-1 rounded-full font-bold uppercase">
+                        {syncEnabled ? 'Cloud Sync' : 'Worker Mode'}
+                    </div>
+                </div>
+            </header>
+
+            <main className="pt-24 pb-12 px-4 md:px-6 max-w-[1600px] mx-auto flex flex-col lg:flex-row gap-8">
+                {/* Controls */}
+                <div className="w-full lg:w-[380px] flex-shrink-0 space-y-6">
+                    <div className="space-y-6">
+                        {/* Model Selection */}
+                        <div>
+                            <label className="text-xs font-bold uppercase tracking-widest mb-2 block flex items-center gap-2">
+                                <Icons.Sparkles className="w-3 h-3" /> {t('controls.model')}
+                            </label>
+                            <div className="grid grid-cols-2 gap-[2px] border-2 border-black bg-black">
+                                {models.map((entry, idx) => (
+                                    <button
+                                        key={entry.id}
+                                        onClick={() => setModel(entry.id)}
+                                        disabled={!canUseModel(entry)}
+                                        title={canUseModel(entry) ? '' : t('controls.modelForbidden', { model: entry.label })}
+                                        className={'py-3 px-3 text-left transition-colors relative disabled:opacity-30 disabled:cursor-not-allowed ' + (
+                                            model === entry.id ? 'bg-black text-white' : 'bg-white text-black hover:bg-zinc-100'
+                                        ) + (models.length % 2 === 1 && idx === models.length - 1 ? ' col-span-2' : '')}
+                                    >
+                                        <div className="text-sm font-bold">{entry.label}</div>
+                                        <div className={'text-[10px] mt-1 font-medium ' + (model === entry.id ? 'text-zinc-400' : 'text-zinc-500')}>
+                                            {entry.description}
+                                        </div>
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        {/* Resolution Settings (仅支持多档分辨率的模型) */}
+                        <div className={'transition-all duration-300 ' + (currentModel.imageSizes.length === 0 ? 'opacity-30 pointer-events-none grayscale' : '')}>
+                           <label className="text-xs font-bold uppercase tracking-widest mb-2 block flex items-center gap-2">
+                             <Icons.Maximize className="w-3 h-3" /> {t('controls.imageSize')}
+                           </label>
+                           <div className="flex border-2 border-black divide-x-2 divide-black">
+                             {(currentModel.imageSizes.length > 0 ? currentModel.imageSizes : ['1K', '2K', '4K']).map((size) => (
+                               <button
+                                 key={size}
+                                 onClick={() => setImageSize(size)}
+                                 className={'flex-1 py-2 text-xs font-bold transition-colors ' + (
+                                   imageSize === size && currentModel.imageSizes.length > 0
+                                   ? 'bg-black text-white'
+                                   : 'bg-white text-black hover:bg-zinc-100'
+                                 )}
+                               >
+                                 {size}
+                               </button>
+                             ))}
+                           </div>
+                        </div>
+
+                        {/* Aspect Ratio */}
+                        <div>
+                           <label className="text-xs font-bold uppercase tracking-widest mb-2 block">{t('controls.aspectRatio')}</label>
+                           <div className="grid grid-cols-5 gap-1">
+                             {aspectRatios.map((ratio) => (
+                               <button
+                                 key={ratio}
+                                 onClick={() => setAspectRatio(ratio)}
+                                 className={'py-2 text-[10px] font-bold border-2 transition-all ' + (
+                                   aspectRatio === ratio
+                                   ? 'bg-black text-white border-black'
+                                   : 'bg-white text-black border-zinc-200 hover:border-black'
+                                 )}
+                               >
+                                 {ratio}
+                               </button>
+                             ))}
+                           </div>
+                        </div>
+
+                        {/* Reference Images */}
+                        <div
+                            onDragOver={handleReferenceDragOver}
+                            onDragLeave={handleReferenceDragLeave}
+                            onDrop={handleReferenceDrop}
+                            className={fileDragging ? 'relative z-[130] bg-white outline-offset-4 ' + (referenceDragging ? 'outline outline-4 outline-black' : 'outline-dashed outline-2 outline-black') : ''}
+                        >
+                           <label className="text-xs font-bold uppercase tracking-widest mb-2 block flex justify-between items-center">
+                             <span>{t('controls.references')}</span>
+                             {referenceImages.length > 0 && (
+                               <button onClick={() => setReferenceImages([])} className="text-black underline text-xs hover:no-underline flex items-center gap-1 font-bold">
+                                 <Icons.Trash2 className="w-3 h-3" /> {t('common.clear')}
+                               </button>
+                             )}
+                           </label>
+
+                           <div className="space-y-2">
+                               <div className="relative group">
+                                 <input 
+                                   id="file-upload"
+                                   type="file" 
+                                   multiple
+                                   accept="image/*" 
+                                   onChange={handleImageUpload}
+                                   className="hidden"
+                                 />
+                                 <label 
+                                   htmlFor="file-upload"
+                                   className="w-full h-20 flex flex-col items-center justify-center gap-1 border-2 border-dashed cursor-pointer transition-all border-zinc-300 hover:border-black hover:bg-zinc-50"
+                                 >
+                                    {preparingReferences
+                                      ? <Icons.Loader2 className="w-5 h-5 animate-spin" />
+                                      : <Icons.Upload className="w-5 h-5 text-zinc-400 group-hover:text-black transition-colors" />}
+                                    <span className="text-[10px] font-bold text-zinc-500 group-hover:text-black transition-colors">{preparingReferences ? t('references.preparing') : t('controls.addImages')}</span>
+                                 </label>
+                               </div>
+
+                               <div className="flex items-center gap-2 text-[10px] font-bold text-zinc-500" title={t('references.settingsHint')}>
+                                 <span>{t('references.maxDimension')}</span>
+                                 <select
+                                   value={referenceSettings.maxDimension}
+                                   onChange={(e) => updateReferenceSettings({ maxDimension: Number(e.target.value) })}
+                                   className="border border-black bg-white px-1 py-0.5 font-mono text-black"
+                                 >
+                                   {REFERENCE_DIMENSION_OPTIONS.map(value => <option key={value} value={value}>{value}px</option>)}
+                                 </select>
+                                 <span>{t('references.maxBytes')}</span>
+                                 <select
+                                   value={referenceSettings.maxBytes}
+                                   onChange={(e) => updateReferenceSettings({ maxBytes: Number(e.target.value) })}
+                                   className="border border-black bg-white px-1 py-0.5 font-mono text-black"
+                                 >
+                                   {REFERENCE_BYTE_OPTIONS.map(value => <option key={value} value={value}>{formatBytes(value)}</option>)}
+                                 </select>
+                               </div>
+
+                               {referenceImages.length > 0 && (
+                                 <div className="grid grid-cols-4 gap-2">
+                                   {referenceImages.map((file, idx) => (
+                                     <div
+                                       key={idx}
+                                       draggable
+                                       onDragStart={(e) => e.dataTransfer.setData(REFERENCE_DRAG_TYPE, String(idx))}
+                                       onDragOver={(e) => { if (isReferenceDrag(e)) e.preventDefault(); }}
+                                       onDrop={(e) => {
+                                         if (!isReferenceDrag(e)) return;
+                                         e.preventDefault();
+                                         moveReference(Number(e.dataTransfer.getData(REFERENCE_DRAG_TYPE)), idx);
+                                       }}
+                                       className="relative aspect-square border-2 border-black bg-zinc-100 group cursor-move"
+                                     >
+                                       <BlobImage blob={file} draggable={false} className="w-full h-full object-cover" />
+                                       <div className="absolute bottom-0 inset-x-0 flex items-center justify-between bg-black/70 text-white text-[9px] font-mono font-bold">
+                                         <button
+                                           onClick={() => moveReference(idx, idx - 1)}
+                                           title={t('references.moveEarlier')}
+                                           className={'px-1 ' + (idx === 0 ? 'invisible' : 'opacity-0 group-hover:opacity-100')}
+                                         >
+                                           ‹
+                                         </button>
+                                         <span>{formatBytes(file.size)}</span>
+                                         <button
+                                           onClick={() => moveReference(idx, idx + 1)}
+                                           title={t('references.moveLater')}
+                                           className={'px-1 ' + (idx === referenceImages.length - 1 ? 'invisible' : 'opacity-0 group-hover:opacity-100')}
+                                         >
+                                           ›
+                                         </button>
+                                       </div>
+                                       <button 
+                                         onClick={() => setReferenceImages(prev => prev.filter((_, i) => i !== idx))}
+                                         className="absolute top-0 right-0 bg-black text-white p-0.5 opacity-0 group-hover:opacity-100 transition-opacity"
+                                       >
+                                         <Icons.X className="w-3 h-3" />
+                                       </button>
+                                       {currentModel.features.mask && (
+                                         <button 
+                                           onClick={() => openMaskEditor({ url: URL.createObjectURL(file), file })}
+                                           title={t('mask.title')}
+                                           className="absolute top-0 left-0 bg-black text-white p-0.5 opacity-0 group-hover:opacity-100 transition-opacity"
+                                         >
+                                           <Icons.Brush className="w-3 h-3" />
+                                         </button>
+                                       )}
+                                     </div>
+                                   ))}
+                                 </div>
+                               )}
+
+                               {referenceImages.length > 0 && (
+                                 <p className={'text-[10px] font-mono font-bold ' + (referenceBytes > MAX_REFERENCE_TOTAL_BYTES ? 'text-black underline' : 'text-zinc-500')}>
+                                   {t('references.payload', {
+                                     count: referenceImages.length,
+                                     max: MAX_REFERENCE_IMAGES,
+                                     size: formatBytes(referenceBytes),
+                                     limit: formatBytes(MAX_REFERENCE_TOTAL_BYTES)
+                                   })}
+                                 </p>
+                               )}
+                           </div>
+                        </div>
+                    </div>
+
+                    <div className="space-y-3 pt-6 border-t-2 border-black">
+                        <button
+                            onClick={() => setStreamMode(prev => !prev)}
+                            className="w-full flex items-center justify-between text-xs font-bold uppercase tracking-widest"
+                        >
+                            <span>{t('controls.stream')}</span>
+                            <span className={'w-10 h-5 border-2 border-black flex items-center transition-colors ' + (streamMode ? 'bg-black justify-end' : 'bg-white justify-start')}>
+                                <span className={'w-3 h-3 mx-0.5 ' + (streamMode ? 'bg-white' : 'bg-black')}></span>
+                            </span>
+                        </button>
+                        {jobsEnabled && (
+                            <p className="text-[10px] font-medium text-zinc-400">
+                                {t(streamMode ? 'controls.streamOn' : 'controls.streamOff')}
+                            </p>
+                        )}
+
+                        <div className="flex items-center justify-between">
+                            <span className="text-xs font-bold uppercase tracking-widest">{t('controls.batch')}</span>
+                            <div className="flex border-2 border-black divide-x-2 divide-black">
+                                {VARIANT_COUNTS.map((count) => (
+                                    <button
+                                        key={count}
+                                        onClick={() => setVariantCount(count)}
+                                        className={'w-8 py-1 text-xs font-bold transition-colors ' + (variantCount === count ? 'bg-black text-white' : 'bg-white text-black hover:bg-zinc-100')}
+                                    >
+                                        {count}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div>
+                            <div className="flex items-center justify-between mb-2">
+                                <span className="text-xs font-bold uppercase tracking-widest">{t('presets.title')}</span>
+                                <div className="flex items-center gap-2 text-[10px] font-bold uppercase text-zinc-500">
+                                    <button
+                                        onClick={() => setPresetDraft(presetDraft ? null : { name: '', template: '', includeSettings: true })}
+                                        className="hover:underline hover:text-black"
+                                    >
+                                        {t('presets.save')}
+                                    </button>
+                                    <label className="hover:underline hover:text-black cursor-pointer" title={t('presets.importHint')}>
+                                        {t('presets.import')}
+                                        <input type="file" accept=".json,application/json" onChange={importPresets} className="hidden" />
+                                    </label>
+                                    <button onClick={exportPresets} disabled={presets.length === 0} className="hover:underline hover:text-black disabled:opacity-30">
+                                        {t('presets.export')}
+                                    </button>
+                                </div>
+                            </div>
+
+                            {presetDraft && (
+                                <div className="border-2 border-black p-2 mb-2 space-y-2 bg-white">
+                                    <input
+                                        value={presetDraft.name}
+                                        onChange={(e) => setPresetDraft({ ...presetDraft, name: e.target.value })}
+                                        onKeyDown={(e) => e.key === 'Enter' && savePreset()}
+                                        maxLength={MAX_PRESET_NAME_LENGTH}
+                                        placeholder={t('presets.namePlaceholder')}
+                                        className="w-full px-2 py-1 border-2 border-zinc-200 text-xs font-bold focus:outline-none focus:border-black"
+                                        autoFocus
+                                    />
+                                    <textarea
+                                        value={presetDraft.template}
+                                        onChange={(e) => setPresetDraft({ ...presetDraft, template: e.target.value })}
+                                        placeholder={t('presets.templatePlaceholder')}
+                                        className="w-full h-16 px-2 py-1 border-2 border-zinc-200 text-[10px] font-medium focus:outline-none focus:border-black resize-none block"
+                                    />
+                                    <p className="text-[10px] font-medium text-zinc-400">{t('presets.templateHint')}</p>
+                                    <div className="flex items-center justify-between gap-2">
+                                        <label className="flex items-center gap-1 text-[10px] font-bold cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={presetDraft.includeSettings}
+                                                onChange={(e) => setPresetDraft({ ...presetDraft, includeSettings: e.target.checked })}
+                                                className="accent-black"
+                                            />
+                                            {t('presets.includeSettings', {
+                                                settings: [currentModel.label, currentModel.imageSizes.length > 0 ? imageSize : null, aspectRatio].filter(Boolean).join(' / ')
+                                            })}
+                                        </label>
+                                        <div className="flex gap-1">
+                                            <button onClick={() => setPresetDraft(null)} className="px-2 py-1 border-2 border-black text-[10px] font-bold hover:bg-zinc-100">
+                                                {t('common.cancel')}
+                                            </button>
+                                            <button onClick={savePreset} className="px-2 py-1 border-2 border-black bg-black text-white text-[10px] font-bold hover:bg-zinc-800">
+                                                {t('presets.confirmSave')}
+                                            </button>
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+
+                            {presets.length > 0 ? (
+                                <div className="flex flex-wrap gap-1">
+                                    {presets.map(preset => (
+                                        <div key={preset.id} className="group flex items-center border-2 border-black text-[10px] font-bold">
+                                            <button
+                                                onClick={() => applyPreset(preset)}
+                                                title={[
+                                                    [modelInfo(preset.model) ? modelInfo(preset.model).label : preset.model, preset.imageSize, preset.aspectRatio].filter(Boolean).join(' / '),
+                                                    preset.template
+                                                ].filter(Boolean).join('\n')}
+                                                className="px-2 py-1 hover:bg-black hover:text-white transition-colors"
+                                            >
+                                                {preset.name}
+                                            </button>
+                                            <button
+                                                onClick={() => deletePreset(preset)}
+                                                title={t('common.delete')}
+                                                className="px-1 py-1 border-l-2 border-black hover:bg-black hover:text-white"
+                                            >
+                                                <Icons.X className="w-3 h-3" />
+                                            </button>
+                                        </div>
+                                    ))}
+                                </div>
+                            ) : !presetDraft && (
+                                <p className="text-[10px] font-medium text-zinc-400">{t('presets.empty')}</p>
+                            )}
+                        </div>
+
+                        <div className="relative">
+                            <textarea
+                                value={prompt}
+                                onChange={(e) => setPrompt(e.target.value)}
+                                placeholder={t('controls.promptPlaceholder')}
+                                className="w-full h-28 p-3 pb-9 bg-white border-2 border-black focus:ring-4 focus:ring-zinc-100 focus:outline-none transition-all text-sm font-medium placeholder:text-zinc-400 resize-none block"
+                            />
+                            <button
+                                onClick={enhancePrompt}
+                                disabled={!prompt.trim() || (enhance && enhance.loading)}
+                                title={t('enhance.hint')}
+                                className="absolute bottom-2 right-2 px-2 py-1 bg-white border-2 border-black text-[10px] font-bold hover:bg-black hover:text-white transition-colors disabled:opacity-30 disabled:hover:bg-white disabled:hover:text-black"
+                            >
+                                ✨ {t('enhance.button')}
+                            </button>
+                        </div>
+
+                        {enhance && (
+                            <div className="border-2 border-black bg-white">
+                                <div className="flex items-center gap-2 p-2 border-b-2 border-black">
+                                    <input
+                                        value={enhanceStyle}
+                                        onChange={(e) => setEnhanceStyle(e.target.value)}
+                                        onKeyDown={(e) => e.key === 'Enter' && enhancePrompt()}
+                                        placeholder={t('enhance.stylePlaceholder')}
+                                        className="flex-1 min-w-0 px-2 py-1 border-2 border-zinc-200 text-[10px] font-medium focus:outline-none focus:border-black"
+                                    />
+                                    <label className="flex items-center gap-1 text-[10px] font-bold whitespace-nowrap cursor-pointer">
+                                        <input type="checkbox" checked={enhanceTranslate} onChange={(e) => setEnhanceTranslate(e.target.checked)} className="accent-black" />
+                                        {t('enhance.translate')}
+                                    </label>
+                                    <button
+                                        onClick={enhancePrompt}
+                                        disabled={enhance.loading}
+                                        title={t('enhance.retry')}
+                                        className="p-1 border-2 border-black hover:bg-black hover:text-white disabled:opacity-30"
+                                    >
+                                        <Icons.Repeat className="w-3 h-3" />
+                                    </button>
+                                </div>
+                                <div className="p-3 max-h-48 overflow-y-auto">
+                                    {enhance.loading ? (
+                                        <p className="text-[10px] font-bold uppercase tracking-widest text-zinc-400 flex items-center gap-2">
+                                            <Icons.Loader2 className="w-3 h-3 animate-spin" /> {t('enhance.running')}
+                                        </p>
+                                    ) : enhance.error ? (
+                                        <p className="text-xs font-bold flex items-start gap-2">
+                                            <Icons.AlertCircle className="w-4 h-4 flex-shrink-0" />
+                                            {enhance.error}
+                                        </p>
+                                    ) : enhance.editing ? (
+                                        <textarea
+                                            value={enhance.suggestion}
+                                            onChange={(e) => setEnhance({ ...enhance, suggestion: e.target.value })}
+                                            className="w-full h-32 p-2 border-2 border-black text-xs font-medium focus:outline-none resize-none block"
+                                            autoFocus
+                                        />
+                                    ) : (
+                                        <p className="text-xs font-medium leading-relaxed whitespace-pre-wrap break-words">
+                                            {diffWords(enhance.original, enhance.suggestion).map((part, idx) => (
+                                                <span
+                                                    key={idx}
+                                                    className={part.type === 'added' ? 'bg-black text-white' : part.type === 'removed' ? 'line-through text-zinc-400' : ''}
+                                                >
+                                                    {part.text}
+                                                </span>
+                                            ))}
+                                        </p>
+                                    )}
+                                </div>
+                                <div className="flex border-t-2 border-black divide-x-2 divide-black">
+                                    <button
+                                        onClick={acceptEnhance}
+                                        disabled={enhance.loading || !enhance.suggestion.trim()}
+                                        className="flex-1 py-2 text-[10px] font-bold uppercase bg-black text-white hover:bg-zinc-800 disabled:opacity-30"
+                                    >
+                                        {t('enhance.accept')}
+                                    </button>
+                                    <button
+                                        onClick={() => setEnhance({ ...enhance, editing: !enhance.editing })}
+                                        disabled={enhance.loading || !enhance.suggestion}
+                                        className="flex-1 py-2 text-[10px] font-bold uppercase hover:bg-zinc-100 disabled:opacity-30"
+                                    >
+                                        {t(enhance.editing ? 'enhance.diff' : 'enhance.edit')}
+                                    </button>
+                                    <button
+                                        onClick={() => setEnhance(null)}
+                                        className="flex-1 py-2 text-[10px] font-bold uppercase hover:bg-zinc-100"
+                                    >
+                                        {t('enhance.discard')}
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {promptCount > 1 && (
+                            <p className={'text-[10px] font-bold ' + (promptCount > MAX_BATCH_JOBS ? 'text-black underline' : 'text-zinc-500')}>
+                                {t('generate.batchInfo', { count: promptCount, concurrency: BATCH_CONCURRENCY })}
+                            </p>
+                        )}
+
+                        {error && (
+                          <div className="p-2 bg-white border-2 border-black flex items-start gap-2">
+                            <Icons.AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                            <p className="text-xs font-bold">{error}</p>
+                          </div>
+                        )}
+
+                        <button
+                          onClick={checkAndGenerate}
+                          className="w-full py-4 font-black text-sm uppercase tracking-widest flex items-center justify-center gap-2 transition-all border-2 border-black shadow-[4px_4px_0px_0px_rgba(0,0,0,1)] active:translate-x-[2px] active:translate-y-[2px] active:shadow-none bg-black text-white hover:bg-zinc-800"
+                        >
+                          <Icons.Wand2 className="w-4 h-4" />
+                          {t('generate.submit')}{promptCount > 1 ? ' (' + promptCount + ')' : ''}
+                        </button>
+
+                        {quota && quota.enabled && (
+                          <div className="flex flex-wrap justify-center gap-2 text-[10px] font-mono font-bold uppercase text-zinc-500">
+                            {quota.daily.limit !== null && (
+                              <span className={quota.daily.remaining === 0 ? 'text-black underline' : ''}>{t('quota.daily')} {formatBudget(quota.daily)}</span>
+                            )}
+                            {quota.pro.limit !== null && (
+                              <span className={quota.pro.remaining === 0 ? 'text-black underline' : ''}>Pro {formatBudget(quota.pro)}</span>
+                            )}
+                            {quota.rpm.limit !== null && (
+                              <span className={quota.rpm.remaining === 0 ? 'text-black underline' : ''}>{t('quota.rpm')} {formatBudget(quota.rpm)}</span>
+                            )}
+                          </div>
+                        )}
+                    </div>
+                </div>
+
+                {/* Gallery */}
+                <div className="flex-1 min-w-0">
+                  <div className="mb-6 pb-2 border-b-2 border-black flex items-end justify-between">
+                    <h2 className="text-3xl font-black uppercase tracking-tighter leading-none">{t('gallery.title')}</h2>
+                    <div className="flex gap-2 items-center">
+                        {selecting ? (
+                            <>
+                                <button onClick={() => setSelectedIds(new Set(visibleItems.map(item => item.id)))} className="text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2">
+                                    {t('gallery.selectAll')}
+                                </button>
+                                <button
+                                    onClick={() => exportGallery(history.filter(item => selectedIds.has(item.id)))}
+                                    disabled={selectedIds.size === 0}
+                                    className="text-[10px] font-bold uppercase hover:underline text-black mr-2 disabled:opacity-30"
+                                >
+                                    {t('gallery.exportSelected', { count: selectedIds.size })}
+                                </button>
+                                <button onClick={exitSelecting} className="text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2">
+                                    {t('common.cancel')}
+                                </button>
+                            </>
+                        ) : (
+                            <>
+                                <button onClick={() => setSelecting(true)} disabled={history.length === 0} className="text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2 disabled:opacity-30">
+                                    {t('gallery.select')}
+                                </button>
+                                <button onClick={() => exportGallery(history)} disabled={history.length === 0} className="text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2 disabled:opacity-30">
+                                    {t('gallery.exportAll')}
+                                </button>
+                                <label className="text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2 cursor-pointer">
+                                    {t('gallery.import')}
+                                    <input type="file" accept=".zip,application/zip" onChange={importGallery} className="hidden" />
+                                </label>
+                            </>
+                        )}
+                        <button onClick={clearHistory} className="text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2">
+                            {t('gallery.clear')}
+                        </button>
+                        <span className="text-xs font-mono font-bold border border-black px-2 py-1">
+                          {(history.length + pendingRequests.length).toString().padStart(2, '0')}
+                        </span>
+                    </div>
+                  </div>
+
+                  {history.length > 0 && (
+                    <div className="mb-6 space-y-3">
+                      <input
+                        value={searchQuery}
+                        onChange={(e) => setSearchQuery(e.target.value)}
+                        placeholder={t('gallery.searchPlaceholder')}
+                        className="w-full p-2 border-2 border-black text-sm font-medium focus:outline-none focus:bg-zinc-50"
+                      />
+                      <div className="flex flex-wrap gap-2">
+                        {filterChips.map(chip => (
+                          <button
+                            key={chip.label}
+                            onClick={() => setActiveFilter(chip.filter)}
+                            className={'text-[10px] font-bold uppercase border-2 px-2 py-1 transition-colors ' + (isActiveFilter(chip.filter) ? 'bg-black text-white border-black' : 'bg-white text-black border-zinc-200 hover:border-black')}
+                          >
+                            {chip.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {(history.length > 0 && visibleItems.length === 0 && pendingRequests.length === 0) ? (
+                    <div className="h-[200px] flex items-center justify-center border-2 border-dashed border-zinc-200">
+                      <p className="font-bold text-zinc-400 text-sm">{t('gallery.noMatches')}</p>
+                    </div>
+                  ) : (history.length === 0 && pendingRequests.length === 0) ? (
+                    <div className="h-[400px] flex flex-col items-center justify-center text-zinc-300 border-2 border-dashed border-zinc-200 bg-zinc-50/30">
+                      <Icons.Sparkles className="w-12 h-12 mb-2 opacity-20 text-black" />
+                      <p className="font-bold text-zinc-400 text-sm">{t('gallery.empty')}</p>
+                    </div>
+                  ) : (
+                    <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-4">
+
+                      {/* Pending Requests Cards */}
+                      {pendingRequests.map((req) => req.status === 'failed' ? (
+                        <div key={req.id} className="group relative bg-white border-2 border-black">
+                          <div className="aspect-square w-full bg-zinc-50 border-b-2 border-black flex flex-col p-3 gap-2 overflow-hidden">
+                              <div className="flex items-center gap-2">
+                                  <Icons.AlertCircle className="w-4 h-4 flex-shrink-0" />
+                                  <span className="text-[10px] font-bold uppercase tracking-widest bg-black text-white px-1.5 py-0.5">
+                                      {generationErrorLabel(req.error.code)}
+                                  </span>
+                              </div>
+                              <p className="text-xs font-medium text-zinc-600 line-clamp-4 break-words" title={req.error.message}>{req.error.message}</p>
+                              {req.error.code === 'SAFETY_BLOCKED' && (
+                                  <ul className="text-[10px] font-mono text-zinc-500 space-y-0.5 overflow-hidden">
+                                      {describeSafetyDetails(req.error.details).map((line, idx) => <li key={idx} className="truncate">{line}</li>)}
+                                  </ul>
+                              )}
+                              <div className="mt-auto flex gap-2">
+                                  <button
+                                      onClick={() => retryPending(req)}
+                                      className="flex-1 py-2 bg-black text-white text-[10px] font-bold uppercase flex items-center justify-center gap-1 hover:bg-zinc-800"
+                                  >
+                                      <Icons.Repeat className="w-3 h-3" /> {t('common.retry')}
+                                  </button>
+                                  <button
+                                      onClick={() => dismissPending(req.id)}
+                                      className="px-3 py-2 border-2 border-black text-[10px] font-bold uppercase hover:bg-zinc-100"
+                                  >
+                                      {t('common.remove')}
+                                  </button>
+                              </div>
+                          </div>
+                          <div className="p-3 opacity-50">
+                            <p className="text-[10px] font-bold truncate">{req.prompt}</p>
+                          </div>
+                        </div>
+                      ) : (
+                        <div key={req.id} className={'group relative bg-white border-2 border-black ' + (req.images.length === 0 && req.status === 'running' ? 'animate-pulse' : '')}>
+                          <div className="aspect-square w-full bg-zinc-50 border-b-2 border-black flex flex-col items-center justify-center gap-2 relative overflow-hidden">
+                              {req.images.length > 0 ? (
+                                  <img src={req.images[req.images.length - 1]} className="w-full h-full object-cover" />
+                              ) : (
+                                  req.status === 'queued' ? (
+                                      <p className="text-[10px] font-bold uppercase tracking-widest text-zinc-400">{t('generate.queued')}</p>
+                                  ) : (
+                                      <>
+                                          <div className="w-8 h-8 border-4 border-zinc-200 border-t-black rounded-full animate-spin"></div>
+                                          <p className="text-[10px] font-bold uppercase tracking-widest text-zinc-400">{t('generate.processing')}</p>
+                                      </>
+                                  )
+                              )}
+                              {req.text && (
+                                  <p className="absolute bottom-0 left-0 right-0 max-h-16 overflow-hidden bg-white/90 border-t-2 border-black p-2 text-[10px] font-medium text-zinc-600 line-clamp-3">
+                                      {req.text}
+                                  </p>
+                              )}
+                              <button
+                                  onClick={() => cancelPending(req.id)}
+                                  title={t('common.cancel')}
+                                  className="absolute top-1 right-1 bg-black text-white p-1 opacity-0 group-hover:opacity-100 transition-opacity"
+                              >
+                                  <Icons.X className="w-3 h-3" />
+                              </button>
+                          </div>
+                          <div className="p-3 opacity-50">
+                            <p className="text-[10px] font-bold truncate">{req.prompt}</p>
+                          </div>
+                        </div>
+                      ))}
+
+                      {/* History Cards */}
+                      {galleryGroups.map((group) => group.items.length === 1 && !group.batchId ? renderHistoryCard(group.items[0]) : (
+                        <div key={group.batchId} className="col-span-full border-2 border-dashed border-black p-3">
+                          <div className="flex items-center justify-between mb-3">
+                            <p className="text-[10px] font-bold truncate" title={group.prompt}>
+                              <span className="uppercase tracking-widest bg-black text-white px-1.5 py-0.5 mr-2">{t('gallery.batch')}</span>
+                              {group.prompt}
+                            </p>
+                            <span className="text-[10px] font-mono font-bold flex-shrink-0 ml-2">{t('gallery.count', { count: group.items.length })}</span>
+                          </div>
+                          <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-4">
+                            {group.items.map(renderHistoryCard)}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {hasMore && (
+                    <button
+                      ref={loadMoreRef}
+                      onClick={() => setVisibleCount(count => count + GALLERY_PAGE_SIZE)}
+                      className="w-full mt-4 py-3 border-2 border-dashed border-zinc-300 text-[10px] font-bold uppercase tracking-widest text-zinc-400 hover:border-black hover:text-black"
+                    >
+                      {t('gallery.loadMore', { count: visibleItems.length - visibleCount })}
+                    </button>
+                  )}
+                </div>
+            </main>
+        </div>
+    );
+}
+
+const root = ReactDOM.createRoot(document.getElementById('root'));
+root.render(<App />);
@@ -5,9 +5,37 @@
  * 1. 在 Cloudflare Workers 创建一个新 Worker。
  * 2. 将此代码粘贴到 worker.js。
  * 3. 在 Settings -> Variables and Secrets 中添加变量:
- *    - GEMINI_API_KEY: (必填) 您的 Google Gemini API Key
+ *    - GEMINI_API_KEY: (必填，除非只使用下方的其他后端) 您的 Google Gemini API Key，多个 Key 用逗号分隔，会自动轮换并在限流时重试
  *    - ACCESS_CODE: (可选) 设置访问密码，设置后用户必须输入密码才能生图
+ *    - ACCESS_CODES: (可选) 多用户访问密码，JSON 数组，例如
+ *      [{"name":"alice","code":"xxx","role":"admin"},{"name":"bob","code":"yyy","role":"flash"}]
+ *      role 可选 flash (仅 Nano) / pro (可用 Nano Pro) / admin (管理员)
+ *    - SESSION_SECRET: (可选) 登录令牌的签名密钥，建议设置为足够长的随机字符串
  *    - GEMINI_BASE_URL: (可选) 自定义 API Base URL，例如 https://my-proxy.com (末尾不要带 slash)，默认为 https://generativelanguage.googleapis.com
+ *    - VERTEX_SERVICE_ACCOUNT: (可选) Vertex AI 服务账号 JSON 密钥，可配合 VERTEX_PROJECT / VERTEX_LOCATION (默认 global)；
+ *      也可以只设置 VERTEX_API_KEY (Express 模式)
+ *    - OPENAI_API_KEY: (可选) OpenAI 兼容图片接口的 Key，OPENAI_BASE_URL 默认为 https://api.openai.com/v1
+ *    - MOCK_PROVIDER: (可选) 设为 true 时提供返回占位图的 Mock 模型，无需联网即可开发调试
+ *    - IMAGE_MODELS: (可选) 自定义模型列表 (JSON 数组)，见 DEFAULT_IMAGE_MODELS
+ *    - ENHANCE_MODEL: (可选) 提示词优化使用的文本模型，默认为 gemini-2.5-flash (使用 GEMINI_API_KEY)
+ * 4. (可选) 在 Settings -> Bindings 中绑定存储，开启画廊云同步与异步任务 (/api/jobs):
+ *    - GALLERY_BUCKET: R2 Bucket 绑定 (优先使用)
+ *    - GALLERY_KV: KV Namespace 绑定 (未绑定 R2 时使用)
+ *    - GENERATION_JOBS: (可选) Durable Object 绑定 (类 GenerationJobRunner)，长时间的任务不会被中断
+ *    绑定存储后还可以创建公开的分享链接 (/s/:id)；未开启登录时需要另外设置 ALLOW_ANONYMOUS_SHARES=true 才能创建分享
+ * 5. (可选) 绑定 Durable Object QUOTA_LIMITER (类 QuotaLimiter) 并设置以下变量，开启用量限制 (不设置则不限制):
+ *    - RATE_LIMIT_RPM: 每个用户每分钟最多请求次数
+ *    - DAILY_IMAGE_LIMIT: 每个用户每天最多生成图片数
+ *    - PRO_DAILY_IMAGE_LIMIT: 每个用户每天最多使用 Nano Pro 生成的图片数
+ * 6. (可选) 绑定 D1 数据库 USAGE_DB (或 KV Namespace USAGE_KV)，记录每次生成的用量日志，admin 账号可在 /admin 查看统计:
+ *    - USAGE_LOG_RETENTION_DAYS: 日志保留天数，默认 90
+ *    - MODEL_PRICING: (可选) 预估费用使用的单价 (JSON 对象)，见 DEFAULT_MODEL_PRICING
+ *
+ * OpenAI 兼容接口: POST /v1/images/generations 与 /v1/images/edits (multipart)，
+ * 使用 Authorization: Bearer <登录令牌或访问密码> 鉴权，支持跨域调用。
+ *
+ * 前端: 源码位于 src/ (React + JSX)，由 npm run build 编译为文件末尾的 APP_SOURCE、APP_CSS 与 VENDOR_SCRIPTS，
+ * 通过 /assets/app.js、/assets/app.css 与 /assets/vendor/* 同源提供，不访问外部 CDN，配合 Service Worker 支持离线打开与安装到桌面。
  */
 
 export default {
@@ -16,699 +44,7123 @@ export default {
 
     // 1. 处理 API 请求 (后端逻辑)
     if (request.method === 'POST' && url.pathname === '/api/generate') {
-      return await handleGenerateRequest(request, env);
+      return await handleGenerateRequest(request, env, ctx);
     }
 
-    // 2. 处理前端页面请求 (返回内嵌的 HTML)
-    return new Response(HTML_CONTENT, {
+    if (url.pathname === '/api/jobs' || url.pathname.startsWith('/api/jobs/')) {
+      return await handleJobsRequest(request, env, ctx, url);
+    }
+
+    if (request.method === 'POST' && url.pathname === '/api/enhance') {
+      return await handleEnhanceRequest(request, env);
+    }
+
+    if (request.method === 'POST' && url.pathname === '/api/login') {
+      return await handleLoginRequest(request, env);
+    }
+
+    if (request.method === 'GET' && url.pathname === '/api/session') {
+      return await handleSessionRequest(request, env);
+    }
+
+    if (request.method === 'GET' && url.pathname === '/api/quota') {
+      return await handleQuotaRequest(request, env);
+    }
+
+    if (request.method === 'GET' && url.pathname === '/api/models') {
+      return await handleModelsRequest(request, env);
+    }
+
+    if (url.pathname === '/api/gallery' || url.pathname.startsWith('/api/gallery/')) {
+      return await handleGalleryRequest(request, env, url);
+    }
+
+    if (url.pathname === '/api/shares' || url.pathname.startsWith('/api/shares/')) {
+      return await handleSharesRequest(request, env, url);
+    }
+
+    if (request.method === 'GET' && url.pathname.startsWith('/s/')) {
+      return await handleSharePageRequest(request, env, url);
+    }
+
+    if (url.pathname.startsWith('/v1/images/')) {
+      return await handleOpenAIImagesRequest(request, env, url);
+    }
+
+    if (url.pathname === '/api/admin/usage' || url.pathname === '/api/admin/usage.csv') {
+      return await handleAdminUsageRequest(request, env, url);
+    }
+
+    if (request.method === 'GET' && url.pathname === '/admin') {
+      return new Response(renderAdminPage(resolveLocale(request)), {
+        headers: { 'Content-Type': 'text/html;charset=UTF-8', 'Cache-Control': 'no-cache', 'Vary': 'Accept-Language', 'X-Robots-Tag': 'noindex' }
+      });
+    }
+
+    // 2. 处理前端静态资源、Service Worker 与 PWA 清单
+    if (request.method === 'GET') {
+      const asset = handleAssetRequest(url);
+      if (asset) {
+        return asset;
+      }
+    }
+
+    // 3. 处理前端页面请求 (返回内嵌的 HTML)，默认界面语言由 Accept-Language 决定
+    const html = HTML_CONTENT
+      .replaceAll('__APP_VERSION__', getAppVersion())
+      .replaceAll('__APP_LOCALE__', resolveLocale(request));
+    return new Response(html, {
       headers: {
         'Content-Type': 'text/html;charset=UTF-8',
+        'Cache-Control': 'no-cache',
+        'Vary': 'Accept-Language',
       },
     });
   },
 };
 
 /**
- * 处理生成请求，调用 Google Gemini API
+ * 返回 JSON 响应
  */
-async function handleGenerateRequest(request, env) {
-  // 1. 检查 API Key
-  if (!env.GEMINI_API_KEY) {
-    return new Response(JSON.stringify({ error: '服务端未配置 GEMINI_API_KEY' }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+// --- 多语言 ---
+// 错误响应为 { error: 本地化的说明, code: 稳定的错误码, ... }，客户端应根据 code 判断错误类型，error 仅用于展示
+// 语言由请求头 Accept-Language 决定 (前端按界面语言发送)，不支持的语言使用 DEFAULT_LOCALE
+const SUPPORTED_LOCALES = ['zh-CN', 'en'];
+const DEFAULT_LOCALE = 'zh-CN';
+
+// 服务端文本，{name} 为占位符
+const SERVER_MESSAGES = {
+  'zh-CN': {
+    unauthorized: '访问密码错误或未授权',
+    notFound: '接口不存在',
+    unknownEndpoint: '未知的接口: {path}',
+    methodNotAllowed: '不支持的请求方法',
+    invalidJson: '请求体不是有效的 JSON',
+    unreadableRequest: '无法解析请求: {message}',
+    bodyNotObject: '请求体必须是 JSON 对象',
+    requestTooLarge: '请求体不能超过 {limit}',
+    backendNotConfigured: '服务端未配置图片生成后端 (GEMINI_API_KEY 等)',
+    geminiKeyMissing: '服务端未配置 GEMINI_API_KEY',
+    modelForbidden: '当前账号无权使用 {model}',
+    modelNotString: 'model 必须是字符串',
+    unknownModel: '不支持的模型: {model}',
+    modelUnavailable: '模型已不可用: {model}',
+    promptRequired: '请输入提示词',
+    promptTooLong: '提示词不能超过 {limit} 个字符',
+    streamNotBoolean: 'stream 必须是布尔值',
+    invalidAspectRatio: '不支持的画面比例: {value}，可选 {options}',
+    invalidImageSize: '不支持的分辨率: {value}，可选 {options}',
+    imagesNotArray: 'images 必须是数组',
+    maskNotObject: 'mask 必须是图片对象',
+    historyNotArray: 'history 必须是数组',
+    historyTooLong: '对话记录不能超过 {limit} 轮',
+    historyInvalid: '对话记录格式错误',
+    historyUnsupported: '{model} 不支持对话编辑',
+    maskUnsupported: '{model} 不支持局部重绘',
+    tooManyImages: '参考图不能超过 {limit} 张',
+    invalidBase64: '图片数据不是有效的 base64 编码',
+    unsupportedMimeType: '不支持的图片格式: {mimeType}，可选 {options}',
+    imageTooLarge: '单张图片不能超过 {limit}',
+    imagesTooLarge: '图片总大小不能超过 {limit}',
+    rateLimitRpm: '请求过于频繁，请稍后再试',
+    rateLimitDaily: '今日生成额度已用完',
+    rateLimitPro: '今日 Nano Pro 生成额度已用完',
+    quotaUnavailable: '用量计数服务暂时不可用，请稍后重试',
+    promptBlocked: '提示词被安全策略拦截 ({reason})',
+    resultBlocked: '生成结果被安全策略拦截 ({reason})',
+    noImage: 'API 返回成功但未包含图片数据',
+    noImageWithText: '生成失败: {text}',
+    upstreamTimeout: '上游在 {seconds} 秒内未完成响应',
+    upstreamMessage: '{message}',
+    imageDownloadFailed: '下载上游返回的图片失败 (HTTP {status})',
+    vertexAuthFailed: 'Vertex AI 授权失败: {reason}',
+    enhancePromptRequired: '请输入需要优化的提示词',
+    enhanceEmpty: '模型未返回优化结果',
+    jobsDisabled: '服务端未绑定任务存储 (GALLERY_BUCKET 或 GALLERY_KV)',
+    jobNotFound: '任务不存在或已过期',
+    galleryDisabled: '服务端未绑定画廊存储',
+    galleryLoginRequired: '云同步需要服务端开启登录 (ACCESS_CODE 或 ACCESS_CODES)',
+    invalidItemId: '无效的作品 ID',
+    itemNotFound: '作品不存在',
+    missingImage: '缺少图片数据',
+    storageError: '存储操作失败: {message}',
+    sharesDisabled: '服务端未绑定画廊存储，无法分享',
+    anonymousSharesDisabled: '服务端未开启登录，且未允许匿名创建分享 (ALLOW_ANONYMOUS_SHARES)',
+    shareImageTooLarge: '分享的图片不能超过 {limit}',
+    shareFieldsInvalid: 'prompt 与 model 必须是字符串',
+    shareExpiryInvalid: '不支持的有效期',
+    shareNotFound: '分享不存在或已过期',
+    shareForbidden: '无权撤销该分享',
+    openaiPromptRequired: '缺少 prompt',
+    openaiImageRequired: '缺少 image',
+    openaiInvalidN: 'n 必须是 1 到 {max} 之间的整数',
+    openaiInvalidResponseFormat: 'response_format 只能是 url 或 b64_json',
+    openaiUrlUnavailable: '服务端未绑定画廊存储或不允许匿名分享，无法返回图片地址，请使用 response_format=b64_json',
+    openaiUrlStoreFailed: '图片已生成，但保存失败: {message}，请使用 response_format=b64_json 重试',
+    openaiInvalidSize: 'size 格式应为 宽x高，例如 1024x1024',
+    adminOnly: '仅 admin 账号可以查看用量统计 (需要设置 ACCESS_CODES 并以 admin 账号登录)',
+    usageLogDisabled: '未开启用量日志，请绑定 D1 数据库 USAGE_DB 或 KV Namespace USAGE_KV',
+    adminPageTitle: '用量统计',
+    adminLoading: '加载中...',
+    adminEmpty: '暂无数据',
+    adminExportCsv: '导出 CSV',
+    adminExportFailed: '导出失败',
+    adminTruncated: 'KV 中的日志过多，只统计了最近的一部分；日志量较大时建议改用 D1 (USAGE_DB)。',
+    adminLastDays: '最近 {days} 天',
+    adminByDay: '按天',
+    adminByUser: '按用户',
+    adminByModel: '按模型',
+    adminErrorBreakdown: '失败原因',
+    adminDay: '日期 (UTC)',
+    adminCaller: '调用方',
+    adminModel: '模型',
+    adminErrorCode: '错误码',
+    adminRequests: '请求数',
+    adminImages: '图片数',
+    adminErrors: '失败',
+    adminErrorRate: '失败率',
+    adminTokens: 'Token',
+    adminInputTokens: '输入 Token',
+    adminOutputTokens: '输出 Token',
+    adminCost: '预估费用',
+    adminAvgLatency: '平均耗时',
+    adminLastActive: '最近使用',
+    adminLastSeen: '最近出现',
+    adminShare: '占比',
+    adminCostNote: '预估费用按 MODEL_PRICING 中的单价与上游返回的 token 用量计算 (没有 token 用量时按图片张数)，仅供参考，请以服务商账单为准。',
+    sharePageTitle: "Gz'nano 作品",
+    sharePageGeneratedBy: '由 {model} 生成',
+    sharePageValidUntil: '{date} 前有效',
+    sharePageDownload: '下载原图',
+    sharePageCreate: "用 Gz'nano 创作",
+    sharePageUnavailable: '分享链接不存在、已过期或已被撤销。',
+    sharePageOpenApp: "打开 Gz'nano"
+  },
+  en: {
+    unauthorized: 'Invalid access code or not signed in',
+    notFound: 'Not found',
+    unknownEndpoint: 'Unknown endpoint: {path}',
+    methodNotAllowed: 'Method not allowed',
+    invalidJson: 'Request body is not valid JSON',
+    unreadableRequest: 'Unable to parse the request: {message}',
+    bodyNotObject: 'Request body must be a JSON object',
+    requestTooLarge: 'Request body must not exceed {limit}',
+    backendNotConfigured: 'No image generation backend is configured on the server (GEMINI_API_KEY, etc.)',
+    geminiKeyMissing: 'GEMINI_API_KEY is not configured on the server',
+    modelForbidden: 'Your account is not allowed to use {model}',
+    modelNotString: 'model must be a string',
+    unknownModel: 'Unsupported model: {model}',
+    modelUnavailable: 'Model is no longer available: {model}',
+    promptRequired: 'Please enter a prompt',
+    promptTooLong: 'Prompt must not exceed {limit} characters',
+    streamNotBoolean: 'stream must be a boolean',
+    invalidAspectRatio: 'Unsupported aspect ratio: {value}. Options: {options}',
+    invalidImageSize: 'Unsupported image size: {value}. Options: {options}',
+    imagesNotArray: 'images must be an array',
+    maskNotObject: 'mask must be an image object',
+    historyNotArray: 'history must be an array',
+    historyTooLong: 'Conversation history must not exceed {limit} turns',
+    historyInvalid: 'Conversation history is malformed',
+    historyUnsupported: '{model} does not support conversational editing',
+    maskUnsupported: '{model} does not support inpainting',
+    tooManyImages: 'No more than {limit} reference images are allowed',
+    invalidBase64: 'Image data is not valid base64',
+    unsupportedMimeType: 'Unsupported image type: {mimeType}. Options: {options}',
+    imageTooLarge: 'Each image must not exceed {limit}',
+    imagesTooLarge: 'Total image size must not exceed {limit}',
+    rateLimitRpm: 'Too many requests, please try again later',
+    rateLimitDaily: 'Your daily image quota has been used up',
+    rateLimitPro: 'Your daily Nano Pro quota has been used up',
+    quotaUnavailable: 'The usage counter is temporarily unavailable, please try again later',
+    promptBlocked: 'The prompt was blocked by the safety policy ({reason})',
+    resultBlocked: 'The result was blocked by the safety policy ({reason})',
+    noImage: 'The API responded successfully but returned no image',
+    noImageWithText: 'Generation failed: {text}',
+    upstreamTimeout: 'The upstream did not respond within {seconds} seconds',
+    upstreamMessage: '{message}',
+    imageDownloadFailed: 'Failed to download the image returned by the upstream API (HTTP {status})',
+    vertexAuthFailed: 'Vertex AI authorization failed: {reason}',
+    enhancePromptRequired: 'Please enter a prompt to enhance',
+    enhanceEmpty: 'The model returned no enhanced prompt',
+    jobsDisabled: 'No job storage is bound on the server (GALLERY_BUCKET or GALLERY_KV)',
+    jobNotFound: 'Job not found or expired',
+    galleryDisabled: 'No gallery storage is bound on the server',
+    galleryLoginRequired: 'Cloud sync requires sign-in to be enabled on the server (ACCESS_CODE or ACCESS_CODES)',
+    invalidItemId: 'Invalid item ID',
+    itemNotFound: 'Item not found',
+    missingImage: 'Image data is missing',
+    storageError: 'Storage operation failed: {message}',
+    sharesDisabled: 'No gallery storage is bound on the server, sharing is unavailable',
+    anonymousSharesDisabled: 'Sign-in is not enabled on the server and anonymous sharing is not allowed (ALLOW_ANONYMOUS_SHARES)',
+    shareImageTooLarge: 'Shared images must not exceed {limit}',
+    shareFieldsInvalid: 'prompt and model must be strings',
+    shareExpiryInvalid: 'Unsupported expiry',
+    shareNotFound: 'Share not found or expired',
+    shareForbidden: 'You are not allowed to revoke this share',
+    openaiPromptRequired: 'prompt is required',
+    openaiImageRequired: 'image is required',
+    openaiInvalidN: 'n must be an integer between 1 and {max}',
+    openaiInvalidResponseFormat: 'response_format must be url or b64_json',
+    openaiUrlUnavailable: 'Image URLs are unavailable because no gallery storage is bound or anonymous sharing is not allowed; use response_format=b64_json',
+    openaiUrlStoreFailed: 'The image was generated but could not be stored: {message}; retry with response_format=b64_json',
+    openaiInvalidSize: 'size must be WIDTHxHEIGHT, for example 1024x1024',
+    adminOnly: 'Only admin accounts can view usage statistics (set ACCESS_CODES and sign in as an admin)',
+    usageLogDisabled: 'Usage logging is disabled. Bind a D1 database USAGE_DB or a KV namespace USAGE_KV',
+    adminPageTitle: 'Usage',
+    adminLoading: 'Loading...',
+    adminEmpty: 'No data',
+    adminExportCsv: 'Export CSV',
+    adminExportFailed: 'Export failed',
+    adminTruncated: 'There are too many logs in KV, so only the most recent ones are included. Use D1 (USAGE_DB) for larger volumes.',
+    adminLastDays: 'Last {days} days',
+    adminByDay: 'By day',
+    adminByUser: 'By user',
+    adminByModel: 'By model',
+    adminErrorBreakdown: 'Failures',
+    adminDay: 'Day (UTC)',
+    adminCaller: 'Caller',
+    adminModel: 'Model',
+    adminErrorCode: 'Error code',
+    adminRequests: 'Requests',
+    adminImages: 'Images',
+    adminErrors: 'Errors',
+    adminErrorRate: 'Error rate',
+    adminTokens: 'Tokens',
+    adminInputTokens: 'Input tokens',
+    adminOutputTokens: 'Output tokens',
+    adminCost: 'Est. cost',
+    adminAvgLatency: 'Avg latency',
+    adminLastActive: 'Last active',
+    adminLastSeen: 'Last seen',
+    adminShare: 'Share',
+    adminCostNote: 'Estimated cost uses the prices in MODEL_PRICING and the token usage reported upstream (or the image count when no usage is reported). It is an estimate; your provider invoice is authoritative.',
+    sharePageTitle: "Gz'nano artwork",
+    sharePageGeneratedBy: 'Generated with {model}',
+    sharePageValidUntil: 'Valid until {date}',
+    sharePageDownload: 'Download original',
+    sharePageCreate: "Create with Gz'nano",
+    sharePageUnavailable: 'This share link does not exist, has expired or has been revoked.',
+    sharePageOpenApp: "Open Gz'nano"
   }
+};
 
-  // 2. 检查访问密码 (如果设置了)
-  if (env.ACCESS_CODE) {
-    const authHeader = request.headers.get('x-access-code');
-    // 简单的比对验证
-    if (!authHeader || authHeader !== env.ACCESS_CODE) {
-      return new Response(JSON.stringify({ error: '访问密码错误或未授权', code: 'UNAUTHORIZED' }), {
-        status: 401,
-        headers: { 'Content-Type': 'application/json' }
-      });
+/**
+ * 按 Accept-Language (含 q 权重) 选择语言，例如 "en-US,en;q=0.9,zh;q=0.8" 返回 en
+ */
+function resolveLocale(request) {
+  const ranges = (request.headers.get('Accept-Language') || '').split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag: tag.toLowerCase(), q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(range => range.tag && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  for (const { tag } of ranges) {
+    const locale = SUPPORTED_LOCALES.find(l => l.toLowerCase() === tag)
+      || SUPPORTED_LOCALES.find(l => l.split('-')[0].toLowerCase() === tag.split('-')[0]);
+    if (locale) {
+      return locale;
     }
   }
+  return DEFAULT_LOCALE;
+}
 
-  try {
-    const { model, prompt, images, aspectRatio, imageSize } = await request.json();
-
-    // 3. 构建 API URL (支持自定义 Base URL)
-    const baseUrl = env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com';
-    // 移除可能存在的末尾斜杠
-    const cleanBaseUrl = baseUrl.replace(/\/$/, '');
-    const apiUrl = `${cleanBaseUrl}/v1beta/models/${model}:generateContent?key=${env.GEMINI_API_KEY}`;
-
-    const parts = [];
-    
-    // 放入参考图
-    if (images && Array.isArray(images)) {
-      images.forEach(img => {
-        parts.push({
-          inlineData: {
-            mimeType: img.mimeType || 'image/jpeg',
-            data: img.data 
-          }
-        });
-      });
-    }
+/**
+ * 返回本地化的文本，params 中的值替换 {name} 占位符；缺少译文时使用 DEFAULT_LOCALE
+ */
+function translate(locale, key, params = {}) {
+  const template = SERVER_MESSAGES[locale]?.[key] ?? SERVER_MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => name in params ? formatMessageParam(params[name]) : match);
+}
 
-    // 放入提示词
-    if (prompt) {
-      parts.push({ text: prompt });
-    }
+// 说明文本中的参数: 非字符串的值 (例如客户端传入的对象) 以截断后的 JSON 显示，避免出现 [object Object]
+const MAX_MESSAGE_PARAM_LENGTH = 100;
 
-    const generationConfig = {
-      imageConfig: {
-        aspectRatio: aspectRatio || '1:1'
-      }
-    };
+function formatMessageParam(value) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    return String(value);
+  }
+  let text;
+  try {
+    text = JSON.stringify(value) ?? String(value);
+  } catch {
+    text = String(value);
+  }
+  return text.length > MAX_MESSAGE_PARAM_LENGTH ? `${text.slice(0, MAX_MESSAGE_PARAM_LENGTH)}…` : text;
+}
 
-    if (model === 'gemini-3-pro-image-preview' && imageSize) {
-      generationConfig.imageConfig.imageSize = imageSize; 
-    }
+/**
+ * 模型描述等可配置文本: 字符串原样返回，{ 'zh-CN': ..., en: ... } 按语言选择
+ */
+function localizeText(locale, text) {
+  if (!isPlainObject(text)) {
+    return String(text || '');
+  }
+  return String(text[locale] ?? text[DEFAULT_LOCALE] ?? Object.values(text)[0] ?? '');
+}
 
-    const payload = {
-      contents: [{ parts }],
-      generationConfig: generationConfig
-    };
+/**
+ * 返回错误响应 { error, code, ...extra }，error 按请求的语言本地化
+ */
+function errorResponse(request, status, code, key, params = {}, extra = {}, headers = {}) {
+  return jsonResponse({ error: translate(resolveLocale(request), key, params), code, ...extra }, status, headers);
+}
 
-    const googleResponse = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
+// --- 访问控制 ---
+// flash: 仅可使用 Nano；pro: 可使用 Nano Pro；admin: 管理员
+const ROLES = ['flash', 'pro', 'admin'];
+const SESSION_TTL_SECONDS = 12 * 60 * 60;
 
-    if (!googleResponse.ok) {
-      const errorText = await googleResponse.text();
-      try {
-        const errJson = JSON.parse(errorText);
-        throw new Error(errJson.error?.message || errorText);
-      } catch (e) {
-        throw new Error(`Google API Error (${googleResponse.status}): ${errorText}`);
-      }
-    }
+/**
+ * 是否需要登录 (设置了 ACCESS_CODE 或 ACCESS_CODES)
+ */
+function isAuthRequired(env) {
+  return Boolean(env.ACCESS_CODE || env.ACCESS_CODES);
+}
 
-    const data = await googleResponse.json();
-    const generatedImages = [];
-    
-    if (data.candidates && data.candidates[0].content && data.candidates[0].content.parts) {
-      for (const part of data.candidates[0].content.parts) {
-        if (part.inlineData && part.inlineData.data) {
-          const mime = part.inlineData.mimeType || 'image/png';
-          generatedImages.push(`data:${mime};base64,${part.inlineData.data}`);
+/**
+ * 读取账号配置: ACCESS_CODES 中的多个账号，以及旧配置 ACCESS_CODE 对应的 default 账号 (pro 角色)
+ * ACCESS_CODES 格式错误时忽略其中的账号，此时仍需登录，不会变成开放访问
+ */
+function getAccessUsers(env) {
+  const users = [];
+  if (env.ACCESS_CODES) {
+    try {
+      for (const user of JSON.parse(env.ACCESS_CODES)) {
+        if (user && user.name && user.code) {
+          users.push({
+            name: String(user.name),
+            code: String(user.code),
+            role: ROLES.includes(user.role) ? user.role : 'flash'
+          });
         }
       }
+    } catch (e) {
+      console.error('ACCESS_CODES 不是有效的 JSON', e);
     }
+  }
+  if (env.ACCESS_CODE) {
+    users.push({ name: 'default', code: env.ACCESS_CODE, role: 'pro' });
+  }
+  return users;
+}
 
-    if (generatedImages.length === 0) {
-        const textPart = data.candidates?.[0]?.content?.parts?.find(p => p.text);
-        if (textPart) {
-            throw new Error(`生成失败: ${textPart.text}`);
-        }
-        throw new Error('API 返回成功但未包含图片数据');
+/**
+ * 常量时间比较两个字符串 (先做摘要，避免泄露长度和前缀信息)
+ */
+async function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const [da, db] = await Promise.all([a, b].map(v => crypto.subtle.digest('SHA-256', encoder.encode(v))));
+  const va = new Uint8Array(da);
+  const vb = new Uint8Array(db);
+  let diff = 0;
+  for (let i = 0; i < va.length; i++) {
+    diff |= va[i] ^ vb[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * 根据访问密码查找账号，逐个比较所有账号，不提前退出
+ */
+async function findUserByCode(env, code) {
+  let match = null;
+  for (const user of getAccessUsers(env)) {
+    if (await timingSafeEqual(code, user.code) && !match) {
+      match = { name: user.name, role: user.role };
     }
+  }
+  return match;
+}
 
-    return new Response(JSON.stringify({ images: generatedImages }), {
-      headers: { 'Content-Type': 'application/json' }
-    });
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * 令牌签名密钥；未设置 SESSION_SECRET 时由账号配置派生，修改密码后旧令牌随之失效
+ */
+function getSessionKey(env) {
+  const secret = env.SESSION_SECRET || `gz-session:${env.ACCESS_CODES || ''}:${env.ACCESS_CODE || ''}`;
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+/**
+ * 签发登录令牌: base64url(payload).base64url(HMAC-SHA256)
+ */
+async function createSessionToken(env, user) {
+  const exp = Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS;
+  const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify({ sub: user.name, exp })));
+  const signature = await crypto.subtle.sign('HMAC', await getSessionKey(env), new TextEncoder().encode(payload));
+  return { token: `${payload}.${base64UrlEncode(new Uint8Array(signature))}`, expiresAt: exp * 1000 };
+}
+
+/**
+ * 校验登录令牌，返回当前账号 (角色以最新配置为准)，无效或过期时返回 null
+ */
+async function verifySessionToken(env, token) {
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await getSessionKey(env),
+      base64UrlDecode(signature),
+      new TextEncoder().encode(payload)
+    );
+    if (!valid) {
+      return null;
+    }
+    const { sub, exp } = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    if (!exp || exp * 1000 < Date.now()) {
+      return null;
+    }
+    const user = getAccessUsers(env).find(u => u.name === sub);
+    return user ? { name: user.name, role: user.role } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 获取当前请求的账号
+ * 请求头 Authorization: Bearer <令牌或访问密码>；未开启登录时所有人均为 anonymous (pro 角色)
+ * 未登录或凭证无效时返回 null
+ */
+async function getSession(request, env) {
+  if (!isAuthRequired(env)) {
+    return { name: 'anonymous', role: 'pro', anonymous: true };
+  }
+  const header = request.headers.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!token) {
+    return null;
+  }
+  return (await verifySessionToken(env, token)) || (await findUserByCode(env, token));
+}
+
+function unauthorizedResponse(request) {
+  return errorResponse(request, 401, 'UNAUTHORIZED', 'unauthorized');
+}
+
+/**
+ * 使用访问密码换取登录令牌 (POST /api/login)
+ */
+async function handleLoginRequest(request, env) {
+  if (!isAuthRequired(env)) {
+    return jsonResponse({ authRequired: false, token: null, user: { name: 'anonymous', role: 'pro' } });
+  }
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse(request, 400, 'INVALID_JSON', 'invalidJson');
+  }
+  const code = isPlainObject(body) ? body.code : null;
+  const user = typeof code === 'string' && code ? await findUserByCode(env, code) : null;
+  if (!user) {
+    return unauthorizedResponse(request);
+  }
+  const { token, expiresAt } = await createSessionToken(env, user);
+  return jsonResponse({ authRequired: true, token, expiresAt, user });
+}
+
+/**
+ * 查询当前登录状态 (GET /api/session)
+ */
+async function handleSessionRequest(request, env) {
+  const session = await getSession(request, env);
+  return jsonResponse({
+    authRequired: isAuthRequired(env),
+    user: session ? { name: session.name, role: session.role } : null
+  });
+}
+
+// 局部重绘时附加在蒙版前的说明 (蒙版中白色为需要修改的区域)
+const INPAINT_INSTRUCTION = 'The image above is the source image. The next image is an edit mask with the same dimensions: '
+  + 'white pixels mark the region to modify and black pixels must remain unchanged. '
+  + 'Apply the following instruction only inside the white region, keep everything outside it identical to the source, '
+  + 'blend the edit seamlessly with its surroundings, and return the full edited image.';
+
+/**
+ * 生成请求的公共前置检查 (/api/generate 与 /api/jobs 共用):
+ * 后端配置、登录状态、请求参数、模型权限与用量限制 (预留一张图片的额度)
+ * 返回 { session, entry, generation, stream, callerId, reservation }，检查未通过时返回 { response }
+ */
+async function prepareGeneration(request, env) {
+  // 1. 检查是否配置了生成后端
+  const models = getImageModels(env);
+  if (models.length === 0) {
+    return { response: errorResponse(request, 500, 'NOT_CONFIGURED', 'backendNotConfigured') };
+  }
+
+  // 2. 检查登录状态 (如果开启了)
+  const session = await getSession(request, env);
+  if (!session) {
+    return { response: unauthorizedResponse(request) };
+  }
+
+  // 3. 解析并校验请求参数
+  if (Number(request.headers.get('Content-Length')) > MAX_REQUEST_BYTES) {
+    return { response: validationErrorResponse(request, invalid('PAYLOAD_TOO_LARGE', 'requestTooLarge', { limit: formatMegabytes(MAX_REQUEST_BYTES) })) };
+  }
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return { response: validationErrorResponse(request, invalid('INVALID_JSON', 'invalidJson')) };
+  }
+  const parsed = parseGenerateRequest(body, models);
+  if (parsed.error) {
+    return { response: validationErrorResponse(request, parsed.error) };
+  }
+  const { entry, generation, stream } = parsed;
+
+  const isPro = entry.pro;
+  if (isPro && session.role === 'flash') {
+    return { response: errorResponse(request, 403, 'FORBIDDEN', 'modelForbidden', { model: entry.label }) };
+  }
+
+  // 4. 检查并预留用量额度 (如果开启了)
+  const callerId = getCallerId(request, session);
+  const { reservation, response } = await reserveQuota(request, env, callerId, isPro);
+  if (response) {
+    return { response };
+  }
+
+  return { session, entry, generation, stream, callerId, reservation };
+}
+
+/**
+ * 处理生成请求，由模型注册表中对应的后端完成生成
+ */
+async function handleGenerateRequest(request, env, ctx) {
+  const prepared = await prepareGeneration(request, env);
+  if (prepared.response) {
+    return prepared.response;
+  }
+  const { entry, generation, stream, callerId, reservation } = prepared;
+  const startedAt = Date.now();
+
+  // 调用后端，流式模式逐条转发
+  if (stream) {
+    // 结算与日志分别执行，其中一项失败不会跳过另一项
+    return streamGenerateResponse(env, ctx, entry, generation, resolveLocale(request), ({ images, usage, error, cancelled }) => Promise.allSettled([
+      settleQuota(env, reservation, images),
+      recordUsageLog(env, { caller: callerId, source: 'stream', entry, generation, startedAt, images, usage, error, cancelled })
+    ]));
+  }
 
+  let generated;
+  try {
+    generated = await generateImages(env, entry, generation);
   } catch (error) {
-    return new Response(JSON.stringify({ error: error.message }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+    ctx.waitUntil(Promise.all([
+      settleQuota(env, reservation, 0),
+      recordUsageLog(env, { caller: callerId, source: 'generate', entry, generation, startedAt, error })
+    ]));
+    return upstreamErrorResponse(request, error);
   }
+
+  // 结算与日志在响应返回后写入，写入失败也不影响已生成的图片
+  const { results, usage } = generated;
+  ctx.waitUntil(Promise.all([
+    settleQuota(env, reservation, results.length),
+    recordUsageLog(env, { caller: callerId, source: 'generate', entry, generation, startedAt, images: results.length, usage })
+  ]));
+
+  return jsonResponse({
+    images: results.map(result => toDataUrl(result.inlineData)),
+    thoughtSignatures: results.map(result => result.thoughtSignature)
+  });
 }
 
+// --- 异步任务 ---
+// POST /api/jobs 提交生成任务并立即返回任务 ID，生成在服务端后台执行，结果保存在画廊存储中 (jobs/ 前缀)，
+// 客户端通过 GET /api/jobs/:id 轮询，刷新页面或关闭标签页后仍可取回结果。
+// 绑定 Durable Object GENERATION_JOBS (类 GenerationJobRunner) 时由其 alarm 执行 (最长 15 分钟)；
+// 否则使用 ctx.waitUntil，Cloudflare 只会在响应返回后继续执行约 30 秒，耗时较长的生成可能被中断。
+const JOB_PREFIX = 'jobs/';
+const JOB_TTL_SECONDS = 24 * 60 * 60;
+
 /**
- * 前端 HTML 代码
+ * 获取任务存储，与画廊共用 R2 / KV 绑定；均未绑定时返回 null
+ * 任务记录: { id, owner, model, status: queued | running | succeeded | failed, createdAt, updatedAt, expiresAt, result?, error? }
+ * 任务输入 (包含参考图) 单独保存，执行完成后删除
  */
-const HTML_CONTENT = `
-<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Gz'nano</title>
-    <script src="https://cdn.tailwindcss.com"></script>
-    <link rel="icon" type="image/svg+xml" href="https://upload.wikimedia.org/wikipedia/commons/8/8a/Google_Gemini_logo.svg" />
-    <style>
-      @import url('https://fonts.googleapis.com/css2?family=Noto+Sans+SC:wght@300;400;500;700&display=swap');
-      body { font-family: 'Noto Sans SC', sans-serif; background-color: #fafafa; color: #18181b; }
-      ::-webkit-scrollbar { width: 6px; height: 6px; }
-      ::-webkit-scrollbar-track { background: transparent; }
-      ::-webkit-scrollbar-thumb { background: #e4e4e7; border-radius: 3px; }
-      ::-webkit-scrollbar-thumb:hover { background: #d4d4d8; }
-      @keyframes fadeIn { from { opacity: 0; } to { opacity: 1; } }
-      .animate-fadeIn { animation: fadeIn 0.3s ease-out forwards; }
-    </style>
-    <!-- React & Babel -->
-    <script src="https://unpkg.com/react@18/umd/react.production.min.js" crossorigin></script>
-    <script src="https://unpkg.com/react-dom@18/umd/react-dom.production.min.js" crossorigin></script>
-    <script src="https://unpkg.com/@babel/standalone/babel.min.js"></script>
-    <!-- Lucide Icons -->
-    <script src="https://unpkg.com/lucide@latest"></script>
-</head>
-<body>
-    <div id="root"></div>
+function getJobStore(env) {
+  const recordKey = (id) => `${JOB_PREFIX}${id}`;
+  const inputKey = (id) => `${JOB_PREFIX}${id}/input`;
 
-    <script type="text/babel">
-        const { useState, useEffect, useRef } = React;
-
-        // --- IndexedDB Manager ---
-        const DB_NAME = 'GeminiGalleryDB';
-        const DB_VERSION = 1;
-        const STORE_NAME = 'images';
-
-        const dbHelper = {
-          open: () => {
-            return new Promise((resolve, reject) => {
-              const request = indexedDB.open(DB_NAME, DB_VERSION);
-              request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains(STORE_NAME)) {
-                  db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-                }
-              };
-              request.onsuccess = (event) => resolve(event.target.result);
-              request.onerror = (event) => reject(event.target.error);
-            });
-          },
-          add: async (image) => {
-            const db = await dbHelper.open();
-            return new Promise((resolve, reject) => {
-              const tx = db.transaction(STORE_NAME, 'readwrite');
-              const store = tx.objectStore(STORE_NAME);
-              const req = store.add(image);
-              req.onsuccess = () => resolve(true);
-              req.onerror = () => reject(req.error);
-            });
-          },
-          getAll: async () => {
-            const db = await dbHelper.open();
-            return new Promise((resolve, reject) => {
-              const tx = db.transaction(STORE_NAME, 'readonly');
-              const store = tx.objectStore(STORE_NAME);
-              const req = store.getAll();
-              req.onsuccess = () => resolve(req.result.reverse());
-              req.onerror = () => reject(req.error);
-            });
-          },
-          clear: async () => {
-             const db = await dbHelper.open();
-             return new Promise((resolve, reject) => {
-               const tx = db.transaction(STORE_NAME, 'readwrite');
-               const store = tx.objectStore(STORE_NAME);
-               const req = store.clear();
-               req.onsuccess = () => resolve(true);
-               req.onerror = () => reject(req.error);
-             });
-          }
-        };
+  if (env.GALLERY_BUCKET) {
+    const bucket = env.GALLERY_BUCKET;
+    // R2 没有自动过期，读取时检查 expiresAt，并在创建任务时顺带清理过期的记录
+    const read = async (key) => {
+      const obj = await bucket.get(key);
+      if (!obj) return null;
+      const value = await obj.json();
+      if (value.expiresAt < Date.now()) {
+        await bucket.delete(key);
+        return null;
+      }
+      return value;
+    };
+    return {
+      get: (id) => read(recordKey(id)),
+      put: (job) => bucket.put(recordKey(job.id), JSON.stringify(job)),
+      delete: (id) => bucket.delete([recordKey(id), inputKey(id)]),
+      getInput: (id) => read(inputKey(id)),
+      putInput: (id, input) => bucket.put(inputKey(id), JSON.stringify({ ...input, expiresAt: Date.now() + JOB_TTL_SECONDS * 1000 })),
+      deleteInput: (id) => bucket.delete(inputKey(id)),
+      cleanup: async () => {
+        const page = await bucket.list({ prefix: JOB_PREFIX, limit: 100 });
+        const expired = page.objects
+          .filter(obj => obj.uploaded.getTime() + JOB_TTL_SECONDS * 1000 < Date.now())
+          .map(obj => obj.key);
+        if (expired.length > 0) {
+          await bucket.delete(expired);
+        }
+      }
+    };
+  }
 
-        // --- Constants & Icons ---
-        const MODELS = {
-            NANO: 'gemini-2.5-flash-image',
-            NANO_PRO: 'gemini-3-pro-image-preview'
-        };
+  if (env.GALLERY_KV) {
+    const kv = env.GALLERY_KV;
+    return {
+      get: (id) => kv.get(recordKey(id), 'json'),
+      put: (job) => kv.put(recordKey(job.id), JSON.stringify(job), { expirationTtl: JOB_TTL_SECONDS }),
+      delete: (id) => Promise.all([kv.delete(recordKey(id)), kv.delete(inputKey(id))]),
+      getInput: (id) => kv.get(inputKey(id), 'json'),
+      putInput: (id, input) => kv.put(inputKey(id), JSON.stringify(input), { expirationTtl: JOB_TTL_SECONDS }),
+      deleteInput: (id) => kv.delete(inputKey(id)),
+      // KV 记录会自动过期
+      cleanup: async () => {}
+    };
+  }
 
-        const Icons = {
-            Aperture: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"/><line x1="14.31" x2="20.05" y1="8" y2="17.94"/><line x1="9.69" x2="21.17" y1="8" y2="8"/><line x1="7.38" x2="14.69" y1="12" y2="2.06"/><line x1="9.69" x2="3.95" y1="16" y2="6.06"/><line x1="14.31" x2="2.83" y1="16" y2="16"/><line x1="16.62" x2="9.31" y1="12" y2="21.94"/></svg>,
-            Wand2: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m21.64 3.64-1.28-1.28a1.21 1.21 0 0 0-1.72 0L2.36 18.64a1.21 1.21 0 0 0 0 1.72l1.28 1.28a1.2 1.2 0 0 0 1.72 0L21.64 5.36a1.2 1.2 0 0 0 0-1.72Z"/><path d="m14 7 3 3"/><path d="M5 6v4"/><path d="M19 14v4"/><path d="M10 2v2"/><path d="M7 8H3"/><path d="M21 16h-4"/><path d="M11 3H9"/></svg>,
-            Trash2: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/><line x1="10" x2="10" y1="11" y2="17"/><line x1="14" x2="14" y1="11" y2="17"/></svg>,
-            Sparkles: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m12 3-1.912 5.813a2 2 0 0 1-1.275 1.275L3 12l5.813 1.912a2 2 0 0 1 1.275 1.275L12 21l1.912-5.813a2 2 0 0 1 1.275-1.275L12 3Z"/><path d="M5 3v4"/><path d="M9 3v4"/><path d="M3 7h4"/><path d="M3 5h4"/></svg>,
-            Loader2: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 12a9 9 0 1 1-6.219-8.56"/></svg>,
-            Upload: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" x2="12" y1="3" y2="15"/></svg>,
-            Maximize: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M8 3H5a2 2 0 0 0-2 2v3"/><path d="M21 8V5a2 2 0 0 0-2-2h-3"/><path d="M3 16v3a2 2 0 0 0 2 2h3"/><path d="M16 21h3a2 2 0 0 0 2-2v-3"/></svg>,
-            AlertCircle: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"/><line x1="12" x2="12" y1="8" y2="12"/><line x1="12" x2="12.01" y1="16" y2="16"/></svg>,
-            X: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M18 6 6 18"/><path d="m6 6 18 18"/></svg>,
-            Github: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M15 22v-4a4.8 4.8 0 0 0-1-3.5c3 0 6-2 6-5.5.08-1.25-.27-2.48-1-3.5.28-1.15.28-2.35 0-3.5 0 0-1 0-3 1.5-2.64-.5-5.36.5-8 0C6 2 5 2 5 2c-.3 1.15-.3 2.35 0 3.5A5.403 5.403 0 0 0 4 9c0 3.5 3 5.5 6 5.5-.39.49-.68 1.05-.85 1.65-.17.6-.22 1.23-.15 1.85v4"/><path d="M9 18c-4.51 2-5-2-7-2"/></svg>,
-            Download: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" x2="12" y1="15" y2="3"/></svg>,
-            Lock: (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect width="18" height="11" x="3" y="11" rx="2" ry="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/></svg>
-        };
+  return null;
+}
 
-        const fileToBase64 = (file) => {
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onload = () => {
-                   const result = reader.result;
-                   const base64 = result.split(',')[1];
-                   resolve(base64);
-                };
-                reader.onerror = reject;
-                reader.readAsDataURL(file);
-            });
-        };
+/**
+ * 异步任务接口
+ * - POST /api/jobs: 参数与 /api/generate 相同 (不支持 stream)，返回 202 { id, status }
+ * - GET /api/jobs/:id: 返回 { id, status, model, createdAt, updatedAt }，
+ *   成功时附带 { images, thoughtSignatures }，失败时附带 { error, code, details } (与 /api/generate 的格式相同)
+ * - DELETE /api/jobs/:id: 删除任务，尚未开始执行的任务不会再执行
+ */
+async function handleJobsRequest(request, env, ctx, url) {
+  const store = getJobStore(env);
+  if (!store) {
+    return errorResponse(request, 404, 'JOBS_DISABLED', 'jobsDisabled');
+  }
 
-        function App() {
-            const [prompt, setPrompt] = useState('');
-            const [model, setModel] = useState(MODELS.NANO);
-            const [aspectRatio, setAspectRatio] = useState('1:1');
-            const [imageSize, setImageSize] = useState('1K');
-            const [referenceImages, setReferenceImages] = useState([]);
-            const [history, setHistory] = useState([]);
-            const [error, setError] = useState(null);
-            
-            // Pending Requests Queue
-            const [pendingRequests, setPendingRequests] = useState([]);
-            
-            // UI States
-            const [selectedImage, setSelectedImage] = useState(null);
-            const [showPasswordModal, setShowPasswordModal] = useState(false);
-            const [accessCodeInput, setAccessCodeInput] = useState('');
-
-            useEffect(() => {
-                dbHelper.getAll().then(setHistory).catch(console.error);
-            }, []);
-
-            const handleImageUpload = (e) => {
-                if (e.target.files && e.target.files.length > 0) {
-                    setReferenceImages(prev => [...prev, ...Array.from(e.target.files)]);
-                }
-                e.target.value = '';
-            };
+  if (request.method === 'POST' && url.pathname === '/api/jobs') {
+    const prepared = await prepareGeneration(request, env);
+    if (prepared.response) {
+      return prepared.response;
+    }
+    const { session, entry, generation, callerId, reservation } = prepared;
 
-            const checkAndGenerate = () => {
-                // 检查本地是否有密码缓存
-                const savedCode = localStorage.getItem('gz_access_code');
-                if (savedCode) {
-                    doGenerate(savedCode);
-                } else {
-                    // 没有密码，弹出输入框
-                    setShowPasswordModal(true);
-                }
-            };
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      // 匿名访问时不校验归属 (任务 ID 本身不可猜测)
+      owner: session.anonymous ? null : session.name,
+      model: entry.id,
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: now + JOB_TTL_SECONDS * 1000
+    };
+    await store.putInput(job.id, { model: entry.id, generation, callerId, reservation });
+    await store.put(job);
 
-            const handlePasswordSubmit = () => {
-                if (accessCodeInput.trim()) {
-                    localStorage.setItem('gz_access_code', accessCodeInput.trim());
-                    setShowPasswordModal(false);
-                    doGenerate(accessCodeInput.trim());
-                }
-            };
+    if (env.GENERATION_JOBS) {
+      const runner = env.GENERATION_JOBS.get(env.GENERATION_JOBS.idFromName(job.id));
+      await runner.fetch('https://jobs/run', { method: 'POST', body: JSON.stringify({ id: job.id }) });
+    } else {
+      ctx.waitUntil(runJob(env, job.id).catch(error => failJob(env, job.id, error)));
+    }
+    ctx.waitUntil(store.cleanup().catch(error => console.error('清理过期任务失败', error)));
 
-            const doGenerate = async (code) => {
-                if (!prompt.trim() && referenceImages.length === 0) {
-                    setError("请输入提示词或上传参考图片");
-                    return;
-                }
-                setError(null);
+    return jsonResponse({ id: job.id, status: job.status }, 202);
+  }
 
-                // Create a pending request item
-                const tempId = crypto.randomUUID();
-                const newPending = {
-                    id: tempId,
-                    prompt: prompt,
-                    timestamp: Date.now(),
-                    model: model === MODELS.NANO_PRO ? 'Nano Pro' : 'Nano'
-                };
+  const id = url.pathname.slice('/api/jobs/'.length);
+  if (!id || id.includes('/') || !['GET', 'DELETE'].includes(request.method)) {
+    return errorResponse(request, 404, 'NOT_FOUND', 'notFound');
+  }
 
-                // Add to pending queue immediately
-                setPendingRequests(prev => [newPending, ...prev]);
+  const session = await getSession(request, env);
+  if (!session) {
+    return unauthorizedResponse(request);
+  }
 
-                try {
-                    const imagesPayload = await Promise.all(referenceImages.map(async (file) => ({
-                        data: await fileToBase64(file),
-                        mimeType: file.type
-                    })));
-
-                    const response = await fetch('/api/generate', {
-                        method: 'POST',
-                        headers: { 
-                            'Content-Type': 'application/json',
-                            'x-access-code': code || '' 
-                        },
-                        body: JSON.stringify({
-                            model,
-                            prompt: prompt || (referenceImages.length > 0 ? "Describe these images and modify them" : ""),
-                            images: imagesPayload,
-                            aspectRatio,
-                            imageSize
-                        })
-                    });
-
-                    const data = await response.json();
-
-                    if (response.status === 401) {
-                        // Unauthorized
-                        localStorage.removeItem('gz_access_code');
-                        setShowPasswordModal(true);
-                        setAccessCodeInput('');
-                        setError("访问密码错误，请重新输入");
-                        setPendingRequests(prev => prev.filter(p => p.id !== tempId));
-                        return;
-                    }
-
-                    if (!response.ok) {
-                        throw new Error(data.error || 'Request failed');
-                    }
-
-                    const urls = data.images;
-                    const newImages = urls.map(url => ({
-                        id: crypto.randomUUID(),
-                        url,
-                        prompt: newPending.prompt,
-                        model: newPending.model,
-                        timestamp: Date.now()
-                    }));
-
-                    for (const img of newImages) {
-                        await dbHelper.add(img);
-                    }
-                    
-                    setHistory(prev => [...newImages, ...prev]);
+  const job = await store.get(id);
+  if (!job || (job.owner && job.owner !== session.name)) {
+    return errorResponse(request, 404, 'NOT_FOUND', 'jobNotFound');
+  }
 
-                } catch (err) {
-                    console.error(err);
-                    setError(err.message || "生成过程中发生错误");
-                } finally {
-                    // Remove from pending queue
-                    setPendingRequests(prev => prev.filter(p => p.id !== tempId));
-                }
-            };
+  if (request.method === 'DELETE') {
+    await store.delete(id);
+    return jsonResponse({ ok: true });
+  }
 
-            const downloadImage = (url, id) => {
-                const link = document.createElement('a');
-                link.href = url;
-                link.download = `gz-nano-${id}.png`;
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-            };
+  // 失败原因在执行时以消息 key 保存，按查询请求的语言输出
+  const { owner, expiresAt, result, error, ...status } = job;
+  const failure = error && {
+    error: error.messageKey ? translate(resolveLocale(request), error.messageKey, error.messageParams) : error.error,
+    code: error.code,
+    details: error.details
+  };
+  return jsonResponse({ ...status, ...result, ...failure });
+}
 
-            return (
-                <div className="min-h-screen bg-white text-black font-sans selection:bg-black selection:text-white">
-                    {/* Password Modal */}
-                    {showPasswordModal && (
-                        <div className="fixed inset-0 z-[110] flex items-center justify-center bg-black/80 backdrop-blur-sm p-4">
-                            <div className="bg-white p-8 w-full max-w-sm border-2 border-black shadow-[8px_8px_0px_0px_rgba(255,255,255,0.2)]">
-                                <div className="flex flex-col items-center gap-4 mb-6">
-                                    <div className="p-3 bg-black text-white rounded-full">
-                                        <Icons.Lock className="w-6 h-6" />
-                                    </div>
-                                    <h3 className="text-xl font-black uppercase">需要访问密码</h3>
-                                    <p className="text-xs text-center text-zinc-500 font-bold">此 Worker 已设置访问保护<br/>请输入密码继续</p>
-                                </div>
-                                <input
-                                    type="password"
-                                    value={accessCodeInput}
-                                    onChange={(e) => setAccessCodeInput(e.target.value)}
-                                    placeholder="Enter Access Code"
-                                    className="w-full p-3 border-2 border-black mb-4 font-bold text-center focus:outline-none focus:bg-zinc-50"
-                                    onKeyDown={(e) => e.key === 'Enter' && handlePasswordSubmit()}
-                                />
-                                <button 
-                                    onClick={handlePasswordSubmit}
-                                    className="w-full bg-black text-white py-3 font-black uppercase tracking-widest hover:bg-zinc-800 transition-colors"
-                                >
-                                    确认
-                                </button>
-                                <button 
-                                    onClick={() => setShowPasswordModal(false)}
-                                    className="w-full mt-2 py-2 text-xs font-bold text-zinc-500 hover:text-black uppercase"
-                                >
-                                    取消
-                                </button>
-                            </div>
-                        </div>
-                    )}
-
-                    {/* Lightbox */}
-                    {selectedImage && (
-                        <div 
-                            className="fixed inset-0 z-[100] flex items-center justify-center bg-black/95 backdrop-blur-sm p-4 md:p-8 animate-fadeIn"
-                            onClick={() => setSelectedImage(null)}
-                        >
-                            <button 
-                                className="absolute top-4 right-4 text-white hover:text-zinc-300 z-10 bg-white/10 rounded-full p-2 transition-colors"
-                                onClick={() => setSelectedImage(null)}
-                            >
-                                <Icons.X className="w-8 h-8" />
-                            </button>
-                            <img 
-                                src={selectedImage.url} 
-                                className="max-w-full max-h-full object-contain shadow-2xl" 
-                                onClick={(e) => e.stopPropagation()} 
-                            />
-                            <div className="absolute bottom-8 left-1/2 -translate-x-1/2 flex gap-4" onClick={(e) => e.stopPropagation()}>
-                                <button 
-                                    onClick={() => downloadImage(selectedImage.url, selectedImage.id)} 
-                                    className="bg-white text-black px-8 py-3 font-bold uppercase tracking-wider text-sm hover:bg-zinc-200 hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white"
-                                >
-                                    <Icons.Download className="w-4 h-4" />
-                                    保存原图
-                                </button>
-                            </div>
-                        </div>
-                    )}
-
-                    {/* Header */}
-                    <header className="fixed top-0 left-0 right-0 h-16 bg-white/95 backdrop-blur-sm border-b-2 border-black z-40 px-6 flex items-center justify-between">
-                        <div className="flex items-center gap-3">
-                            <div className="w-8 h-8 bg-black text-white flex items-center justify-center rounded-none">
-                                <Icons.Aperture className="w-5 h-5" />
-                            </div>
-                            <h1 className="text-xl font-black tracking-tighter uppercase">Gz'nano</h1>
-                        </div>
-                        <div className="flex items-center gap-4">
-                            <a href="https://github.com/genz27/Nano_Gaallery" target="_blank" className="flex items-center gap-2 hover:opacity-70 transition-opacity">
-                                <Icons.Github className="w-5 h-5" />
-                                <span className="hidden md:inline text-xs font-bold uppercase">GitHub</span>
-                            </a>
-                            <div className="hidden md:block text-[10px] font-mono border border-black px-2 py-1 rounded-full font-bold uppercase">
-                                Worker Mode
-                            </div>
-                        </div>
-                    </header>
-
-                    <main className="pt-24 pb-12 px-4 md:px-6 max-w-[1600px] mx-auto flex flex-col lg:flex-row gap-8">
-                        {/* Controls */}
-                        <div className="w-full lg:w-[380px] flex-shrink-0 space-y-6">
-                            <div className="space-y-6">
-                                {/* Model Selection */}
-                                <div>
-                                    <label className="text-xs font-bold uppercase tracking-widest mb-2 block flex items-center gap-2">
-                                        <Icons.Sparkles className="w-3 h-3" /> 模型选择
-                                    </label>
-                                    <div className="grid grid-cols-2 gap-0 border-2 border-black bg-white">
-                                        <button
-                                            onClick={() => setModel(MODELS.NANO)}
-                                            className={`py-3 px-3 text-left transition-colors relative border-r-2 border-black ${
-                                                model === MODELS.NANO ? 'bg-black text-white' : 'bg-white text-black hover:bg-zinc-100'
-                                            }`}
-                                        >
-                                            <div className="text-sm font-bold">Nano</div>
-                                            <div className={`text-[10px] mt-1 font-medium ${model === MODELS.NANO ? 'text-zinc-400' : 'text-zinc-500'}`}>
-                                                Flash / 极速
-                                            </div>
-                                        </button>
-                                        <button
-                                            onClick={() => setModel(MODELS.NANO_PRO)}
-                                            className={`py-3 px-3 text-left transition-colors relative ${
-                                                model === MODELS.NANO_PRO ? 'bg-black text-white' : 'bg-white text-black hover:bg-zinc-100'
-                                            }`}
-                                        >
-                                            <div className="text-sm font-bold">Nano Pro</div>
-                                            <div className={`text-[10px] mt-1 font-medium ${model === MODELS.NANO_PRO ? 'text-zinc-400' : 'text-zinc-500'}`}>
-                                                Pro / 4K
-                                            </div>
-                                        </button>
-                                    </div>
-                                </div>
-
-                                {/* Resolution Settings (Pro Only) */}
-                                <div className={`transition-all duration-300 ${model !== MODELS.NANO_PRO ? 'opacity-30 pointer-events-none grayscale' : ''}`}>
-                                   <label className="text-xs font-bold uppercase tracking-widest mb-2 block flex items-center gap-2">
-                                     <Icons.Maximize className="w-3 h-3" /> 分辨率
-                                   </label>
-                                   <div className="flex border-2 border-black divide-x-2 divide-black">
-                                     {['1K', '2K', '4K'].map((size) => (
-                                       <button
-                                         key={size}
-                                         onClick={() => setImageSize(size)}
-                                         className={`flex-1 py-2 text-xs font-bold transition-colors ${
-                                           imageSize === size && model === MODELS.NANO_PRO
-                                           ? 'bg-black text-white'
-                                           : 'bg-white text-black hover:bg-zinc-100'
-                                         }`}
-                                       >
-                                         {size}
-                                       </button>
-                                     ))}
-                                   </div>
-                                </div>
-
-                                {/* Aspect Ratio */}
-                                <div>
-                                   <label className="text-xs font-bold uppercase tracking-widest mb-2 block">画面比例</label>
-                                   <div className="grid grid-cols-5 gap-1">
-                                     {['1:1', '3:4', '4:3', '9:16', '16:9'].map((ratio) => (
-                                       <button
-                                         key={ratio}
-                                         onClick={() => setAspectRatio(ratio)}
-                                         className={`py-2 text-[10px] font-bold border-2 transition-all ${
-                                           aspectRatio === ratio
-                                           ? 'bg-black text-white border-black'
-                                           : 'bg-white text-black border-zinc-200 hover:border-black'
-                                         }`}
-                                       >
-                                         {ratio}
-                                       </button>
-                                     ))}
-                                   </div>
-                                </div>
-
-                                {/* Reference Images */}
-                                <div>
-                                   <label className="text-xs font-bold uppercase tracking-widest mb-2 block flex justify-between items-center">
-                                     <span>参考图</span>
-                                     {referenceImages.length > 0 && (
-                                       <button onClick={() => setReferenceImages([])} className="text-black underline text-xs hover:no-underline flex items-center gap-1 font-bold">
-                                         <Icons.Trash2 className="w-3 h-3" /> 清除
-                                       </button>
-                                     )}
-                                   </label>
-                                   
-                                   <div className="space-y-2">
-                                       <div className="relative group">
-                                         <input 
-                                           id="file-upload"
-                                           type="file" 
-                                           multiple
-                                           accept="image/*" 
-                                           onChange={handleImageUpload}
-                                           className="hidden"
-                                         />
-                                         <label 
-                                           htmlFor="file-upload"
-                                           className="w-full h-20 flex flex-col items-center justify-center gap-1 border-2 border-dashed cursor-pointer transition-all border-zinc-300 hover:border-black hover:bg-zinc-50"
-                                         >
-                                            <Icons.Upload className="w-5 h-5 text-zinc-400 group-hover:text-black transition-colors" />
-                                            <span className="text-[10px] font-bold text-zinc-500 group-hover:text-black transition-colors">添加图片 (支持多选)</span>
-                                         </label>
-                                       </div>
-
-                                       {referenceImages.length > 0 && (
-                                         <div className="grid grid-cols-4 gap-2">
-                                           {referenceImages.map((file, idx) => (
-                                             <div key={idx} className="relative aspect-square border-2 border-black bg-zinc-100 group">
-                                               <img 
-                                                 src={URL.createObjectURL(file)} 
-                                                 className="w-full h-full object-cover" 
-                                                 onLoad={(e) => URL.revokeObjectURL(e.target.src)}
-                                               />
-                                               <button 
-                                                 onClick={() => setReferenceImages(prev => prev.filter((_, i) => i !== idx))}
-                                                 className="absolute top-0 right-0 bg-black text-white p-0.5 opacity-0 group-hover:opacity-100 transition-opacity"
-                                               >
-                                                 <Icons.X className="w-3 h-3" />
-                                               </button>
-                                             </div>
-                                           ))}
-                                         </div>
-                                       )}
-                                   </div>
-                                </div>
-                            </div>
-
-                            <div className="space-y-3 pt-6 border-t-2 border-black">
-                                <textarea
-                                    value={prompt}
-                                    onChange={(e) => setPrompt(e.target.value)}
-                                    placeholder="输入提示词..."
-                                    className="w-full h-28 p-3 bg-white border-2 border-black focus:ring-4 focus:ring-zinc-100 focus:outline-none transition-all text-sm font-medium placeholder:text-zinc-400 resize-none block"
-                                />
-                                
-                                {error && (
-                                  <div className="p-2 bg-white border-2 border-black flex items-start gap-2">
-                                    <Icons.AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
-                                    <p className="text-xs font-bold">{error}</p>
-                                  </div>
-                                )}
-
-                                <button
-                                  onClick={checkAndGenerate}
-                                  className="w-full py-4 font-black text-sm uppercase tracking-widest flex items-center justify-center gap-2 transition-all border-2 border-black shadow-[4px_4px_0px_0px_rgba(0,0,0,1)] active:translate-x-[2px] active:translate-y-[2px] active:shadow-none bg-black text-white hover:bg-zinc-800"
-                                >
-                                  <Icons.Wand2 className="w-4 h-4" />
-                                  开始生成
-                                </button>
-                            </div>
-                        </div>
-
-                        {/* Gallery */}
-                        <div className="flex-1 min-w-0">
-                          <div className="mb-6 pb-2 border-b-2 border-black flex items-end justify-between">
-                            <h2 className="text-3xl font-black uppercase tracking-tighter leading-none">Gallery</h2>
-                            <div className="flex gap-2 items-center">
-                                <button onClick={() => { if(confirm('清空历史?')) dbHelper.clear().then(() => setHistory([])); }} className="text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2">
-                                    清空
-                                </button>
-                                <span className="text-xs font-mono font-bold border border-black px-2 py-1">
-                                  {(history.length + pendingRequests.length).toString().padStart(2, '0')}
-                                </span>
-                            </div>
-                          </div>
-
-                          {(history.length === 0 && pendingRequests.length === 0) ? (
-                            <div className="h-[400px] flex flex-col items-center justify-center text-zinc-300 border-2 border-dashed border-zinc-200 bg-zinc-50/30">
-                              <Icons.Sparkles className="w-12 h-12 mb-2 opacity-20 text-black" />
-                              <p className="font-bold text-zinc-400 text-sm">暂无作品</p>
-                            </div>
-                          ) : (
-                            <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-4">
-                              
-                              {/* Pending Requests Cards */}
-                              {pendingRequests.map((req) => (
-                                <div key={req.id} className="group relative bg-white border-2 border-black animate-pulse">
-                                  <div className="aspect-square w-full bg-zinc-50 border-b-2 border-black flex flex-col items-center justify-center gap-2">
-                                      <div className="w-8 h-8 border-4 border-zinc-200 border-t-black rounded-full animate-spin"></div>
-                                      <p className="text-[10px] font-bold uppercase tracking-widest text-zinc-400">Processing...</p>
-                                  </div>
-                                  <div className="p-3 opacity-50">
-                                    <p className="text-[10px] font-bold truncate">{req.prompt}</p>
-                                  </div>
-                                </div>
-                              ))}
-
-                              {/* History Cards */}
-                              {history.map((item) => (
-                                <div key={item.id} className="group relative bg-white border-2 border-black shadow-[4px_4px_0px_0px_rgba(0,0,0,0.1)] hover:shadow-[8px_8px_0px_0px_rgba(0,0,0,1)] transition-all duration-200 cursor-pointer" onClick={() => setSelectedImage(item)}>
-                                  <div className="aspect-square w-full overflow-hidden bg-zinc-100 relative border-b-2 border-black">
-                                    <img 
-                                      src={item.url} 
-                                      alt={item.prompt} 
-                                      className="w-full h-full object-cover transition-transform duration-500 group-hover:scale-105" 
-                                    />
-                                    <div className="absolute inset-0 bg-black/10 opacity-0 group-hover:opacity-100 transition-opacity"></div>
-                                  </div>
-                                  <div className="p-3">
-                                    <p className="text-[10px] font-bold text-zinc-900 line-clamp-1 mb-2" title={item.prompt}>
-                                      {item.prompt || 'Image to Image'}
-                                    </p>
-                                    <div className="flex justify-between items-center">
-                                      <span className="text-[9px] uppercase font-bold tracking-wider bg-zinc-100 border border-zinc-200 px-1.5 py-0.5">
-                                        {item.model}
-                                      </span>
-                                    </div>
-                                  </div>
-                                </div>
-                              ))}
-                            </div>
-                          )}
-                        </div>
-                    </main>
-                </div>
-            );
-        }
-
-        const root = ReactDOM.createRoot(document.getElementById('root'));
-        root.render(<App />);
-    </script>
-</body>
-</html>
+/**
+ * 任务失败时保存的错误信息，消息以 key 保存，查询时按请求的语言输出
+ */
+function toJobError(error) {
+  const { code, message, details, messageKey, messageParams } = toUpstreamError(error);
+  return { error: message, code, details, messageKey, messageParams };
+}
+
+/**
+ * 执行任务: 读取任务输入并调用后端生成，结果写回任务记录
+ * 任务已被删除或已执行过时直接返回；执行期间被删除 (DELETE) 时不再写回结果，避免留下孤立的记录
+ */
+async function runJob(env, id) {
+  const store = getJobStore(env);
+  const [job, input] = await Promise.all([store.get(id), store.getInput(id)]);
+  if (!job || !input || (job.status !== 'queued' && job.status !== 'running')) {
+    return;
+  }
+
+  await store.put({ ...job, status: 'running', updatedAt: Date.now() });
+  const startedAt = Date.now();
+  const entry = getImageModels(env).find(m => m.id === input.model);
+  let outcome;
+  let log;
+  let images = 0;
+  try {
+    if (!entry) {
+      throw upstreamError('UPSTREAM_ERROR', 'modelUnavailable', { model: input.model });
+    }
+    const { results, usage } = await generateImages(env, entry, input.generation);
+    images = results.length;
+    log = { entry, images, usage };
+    outcome = {
+      status: 'succeeded',
+      result: {
+        images: results.map(result => toDataUrl(result.inlineData)),
+        thoughtSignatures: results.map(result => result.thoughtSignature)
+      }
+    };
+  } catch (error) {
+    log = { entry: entry || { id: input.model }, error };
+    outcome = { status: 'failed', error: toJobError(error) };
+  }
+
+  // 结算与日志不影响任务结果: 其中一项失败时另一项照常执行，已生成的图片仍保存为成功
+  await Promise.allSettled([
+    settleQuota(env, input.reservation, images),
+    recordUsageLog(env, { caller: input.callerId, source: 'job', generation: input.generation, startedAt, ...log })
+  ]);
+
+  if (await store.get(id)) {
+    await store.put({ ...job, ...outcome, updatedAt: Date.now() });
+  }
+  await store.deleteInput(id);
+}
+
+/**
+ * runJob 因存储读写失败而中断时调用: 记录日志，并尽量把未结束的任务标记为失败，
+ * 避免任务一直停留在 queued / running 状态；本身不会抛出异常
+ */
+async function failJob(env, id, error) {
+  console.error('执行任务失败', id, error);
+  try {
+    const store = getJobStore(env);
+    const job = await store.get(id);
+    if (job && (job.status === 'queued' || job.status === 'running')) {
+      await store.put({ ...job, status: 'failed', updatedAt: Date.now(), error: toJobError(error) });
+    }
+    await store.deleteInput(id);
+  } catch (e) {
+    console.error('记录任务失败状态失败', id, e);
+  }
+}
+
+/**
+ * 在 Durable Object 中执行任务 (可选，需绑定为 GENERATION_JOBS)
+ * 每个任务对应一个实例，收到请求后通过 alarm 在后台执行，不受 waitUntil 的时间限制；
+ * 执行中实例被重置时 alarm 会自动重试。
+ */
+export class GenerationJobRunner {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const { id } = await request.json();
+    await this.state.storage.put('id', id);
+    await this.state.storage.setAlarm(Date.now());
+    return new Response(null, { status: 202 });
+  }
+
+  async alarm() {
+    const id = await this.state.storage.get('id');
+    if (id) {
+      await runJob(this.env, id);
+    }
+    await this.state.storage.deleteAll();
+  }
+}
+
+// --- 请求校验 ---
+const MAX_PROMPT_LENGTH = 10000;
+// 参考图数量上限 (Gemini 3 Pro 最多支持 14 张)
+const MAX_INPUT_IMAGES = 14;
+// 单张图片 (参考图、蒙版、对话记录中的图片) 解码后的大小上限
+const MAX_IMAGE_BYTES = 7 * 1024 * 1024;
+// 一次请求中所有图片解码后的总大小上限 (Gemini 内联数据的请求上限为 20MB)
+const MAX_TOTAL_IMAGE_BYTES = 20 * 1024 * 1024;
+// 请求体大小上限 (base64 编码后约为原始大小的 4/3)
+const MAX_REQUEST_BYTES = 28 * 1024 * 1024;
+const MAX_HISTORY_TURNS = 50;
+const ALLOWED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'];
+// Gemini 支持的画面比例 (OpenAI 兼容接口的 size 也会映射到其中最接近的比例)
+const GEMINI_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// 校验错误码对应的 HTTP 状态码，未列出的为 400
+const VALIDATION_ERROR_STATUS = {
+  PAYLOAD_TOO_LARGE: 413
+};
+
+/**
+ * 校验错误: { code: 机器可读的错误码, key / params: 说明文本 (见 SERVER_MESSAGES), field?: 出错的字段, status: HTTP 状态码 }
+ */
+function invalid(code, key, params = {}, field = null) {
+  return { code, key, params, field, status: VALIDATION_ERROR_STATUS[code] ?? 400 };
+}
+
+function validationErrorResponse(request, error) {
+  return errorResponse(request, error.status, error.code, error.key, error.params, { field: error.field });
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)}MB`;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 解析并校验 /api/generate 的请求体
+ * 返回 { entry, generation, stream }，校验失败时返回 { error }
+ * 模型只能是 getImageModels 中已配置的 ID (上游模型名由注册表决定，不使用客户端传入的值)
+ */
+function parseGenerateRequest(body, models) {
+  if (!isPlainObject(body)) {
+    return { error: invalid('INVALID_JSON', 'bodyNotObject') };
+  }
+  const { model, prompt, images = [], mask = null, aspectRatio = '1:1', imageSize = null, history = [], stream = false } = body;
+
+  if (model !== undefined && typeof model !== 'string') {
+    return { error: invalid('UNKNOWN_MODEL', 'modelNotString', {}, 'model') };
+  }
+  const entry = model ? models.find(m => m.id === model) : models[0];
+  if (!entry) {
+    return { error: invalid('UNKNOWN_MODEL', 'unknownModel', { model }, 'model') };
+  }
+
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return { error: invalid('INVALID_PROMPT', 'promptRequired', {}, 'prompt') };
+  }
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    return { error: invalid('PROMPT_TOO_LONG', 'promptTooLong', { limit: MAX_PROMPT_LENGTH }, 'prompt') };
+  }
+  if (typeof stream !== 'boolean') {
+    return { error: invalid('INVALID_PARAMETER', 'streamNotBoolean', {}, 'stream') };
+  }
+
+  if (!GEMINI_ASPECT_RATIOS.includes(aspectRatio)) {
+    return { error: invalid('INVALID_ASPECT_RATIO', 'invalidAspectRatio', { value: aspectRatio, options: GEMINI_ASPECT_RATIOS.join(' / ') }, 'aspectRatio') };
+  }
+  // 没有分辨率档位的模型忽略 imageSize (由模型决定)，但取值仍需是已知的档位
+  const knownSizes = entry.imageSizes.length > 0 ? entry.imageSizes : PRO_IMAGE_SIZES;
+  if (imageSize !== null && !knownSizes.includes(imageSize)) {
+    return { error: invalid('INVALID_IMAGE_SIZE', 'invalidImageSize', { value: imageSize, options: knownSizes.join(' / ') }, 'imageSize') };
+  }
+
+  if (!Array.isArray(images)) {
+    return { error: invalid('INVALID_IMAGE', 'imagesNotArray', {}, 'images') };
+  }
+  if (mask !== null && !isPlainObject(mask)) {
+    return { error: invalid('INVALID_IMAGE', 'maskNotObject', {}, 'mask') };
+  }
+  if (!Array.isArray(history)) {
+    return { error: invalid('INVALID_HISTORY', 'historyNotArray', {}, 'history') };
+  }
+  if (history.length > MAX_HISTORY_TURNS) {
+    return { error: invalid('INVALID_HISTORY', 'historyTooLong', { limit: MAX_HISTORY_TURNS }, 'history') };
+  }
+  for (const [i, turn] of history.entries()) {
+    const valid = isPlainObject(turn)
+      && (turn.role === 'user' || turn.role === 'model')
+      && (turn.text === undefined || typeof turn.text === 'string')
+      && (turn.images === undefined || (Array.isArray(turn.images) && turn.images.every(isPlainObject)));
+    if (!valid) {
+      return { error: invalid('INVALID_HISTORY', 'historyInvalid', {}, `history[${i}]`) };
+    }
+  }
+
+  const hasHistory = history.length > 0;
+  const hasMask = mask !== null;
+  if ((hasHistory && !entry.features.history) || (hasMask && !entry.features.mask)) {
+    return { error: invalid('UNSUPPORTED', hasHistory ? 'historyUnsupported' : 'maskUnsupported', { model: entry.label }, hasHistory ? 'history' : 'mask') };
+  }
+
+  const generation = {
+    prompt,
+    images: images.map(img => isPlainObject(img) ? { mimeType: img.mimeType || 'image/jpeg', data: img.data } : {}),
+    mask: hasMask ? { mimeType: mask.mimeType || 'image/png', data: mask.data } : null,
+    aspectRatio,
+    imageSize: entry.imageSizes.includes(imageSize) ? imageSize : null,
+    history
+  };
+  const error = validateGenerationImages(generation);
+  return error ? { error } : { entry, generation, stream };
+}
+
+/**
+ * 校验生成请求中的全部图片 (参考图、蒙版与对话记录): 数量、格式、单张大小与总大小
+ * 通过时返回 null，否则返回校验错误
+ */
+function validateGenerationImages(generation) {
+  if (generation.images.length > MAX_INPUT_IMAGES) {
+    return invalid('TOO_MANY_IMAGES', 'tooManyImages', { limit: MAX_INPUT_IMAGES }, 'images');
+  }
+
+  const inputs = generation.images.map((image, i) => [image, `images[${i}]`]);
+  if (generation.mask) {
+    inputs.push([generation.mask, 'mask']);
+  }
+  generation.history.forEach((turn, i) => {
+    (turn.images || []).forEach((image, j) => inputs.push([image, `history[${i}].images[${j}]`]));
+  });
+
+  let totalBytes = 0;
+  for (const [image, field] of inputs) {
+    if (typeof image.data !== 'string' || !BASE64_PATTERN.test(image.data)) {
+      return invalid('INVALID_IMAGE', 'invalidBase64', {}, field);
+    }
+    if (!ALLOWED_IMAGE_TYPES.includes(image.mimeType)) {
+      return invalid('UNSUPPORTED_MIME_TYPE', 'unsupportedMimeType', { mimeType: image.mimeType, options: ALLOWED_IMAGE_TYPES.join(' / ') }, field);
+    }
+    const bytes = Math.floor(image.data.length * 3 / 4) - (image.data.endsWith('==') ? 2 : image.data.endsWith('=') ? 1 : 0);
+    if (bytes > MAX_IMAGE_BYTES) {
+      return invalid('IMAGE_TOO_LARGE', 'imageTooLarge', { limit: formatMegabytes(MAX_IMAGE_BYTES) }, field);
+    }
+    totalBytes += bytes;
+  }
+  if (totalBytes > MAX_TOTAL_IMAGE_BYTES) {
+    return invalid('PAYLOAD_TOO_LARGE', 'imagesTooLarge', { limit: formatMegabytes(MAX_TOTAL_IMAGE_BYTES) });
+  }
+  return null;
+}
+
+// --- 提示词优化 ---
+const DEFAULT_ENHANCE_MODEL = 'gemini-2.5-flash';
+const MAX_ENHANCE_PROMPT_LENGTH = 2000;
+
+const ENHANCE_INSTRUCTION = 'You rewrite short prompts for an image generation model into detailed prompts. '
+  + 'Describe the subject, composition, setting, lighting, color palette, mood and medium in one vivid paragraph, '
+  + 'staying faithful to the intent of the original. '
+  + 'Keep any {a|b} or [a|b] groups exactly as written, because they are expanded into several prompts later. '
+  + 'Reply with the rewritten prompt only: no preamble, no quotes, no markdown.';
+
+/**
+ * 提示词优化 (POST /api/enhance)，使用 Gemini 文本模型将简短的提示词扩写为详细的生图提示词
+ * 请求: { prompt, translate?: 是否翻译为英文, style?: 风格提示 }，返回 { prompt }
+ * 与 /api/generate 使用相同的登录校验、GEMINI_BASE_URL 与 Key 轮换
+ */
+async function handleEnhanceRequest(request, env) {
+  if (getApiKeys(env).length === 0) {
+    return errorResponse(request, 500, 'NOT_CONFIGURED', 'geminiKeyMissing');
+  }
+
+  const session = await getSession(request, env);
+  if (!session) {
+    return unauthorizedResponse(request);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse(request, 400, 'INVALID_JSON', 'invalidJson');
+  }
+  const { prompt, translate: toEnglish, style } = isPlainObject(body) ? body : {};
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return errorResponse(request, 400, 'INVALID_PROMPT', 'enhancePromptRequired', {}, { field: 'prompt' });
+  }
+  if (prompt.length > MAX_ENHANCE_PROMPT_LENGTH) {
+    return errorResponse(request, 400, 'PROMPT_TOO_LONG', 'promptTooLong', { limit: MAX_ENHANCE_PROMPT_LENGTH }, { field: 'prompt' });
+  }
+
+  const model = env.ENHANCE_MODEL || DEFAULT_ENHANCE_MODEL;
+  const usageLog = { caller: getCallerId(request, session), source: 'enhance', entry: { id: model, model, provider: 'gemini' }, startedAt: Date.now() };
+  try {
+    const rules = [
+      toEnglish
+        ? 'Write the rewritten prompt in English, translating the original if needed.'
+        : 'Write the rewritten prompt in the same language as the original.'
+    ];
+    if (typeof style === 'string' && style.trim()) {
+      rules.push(`Apply this style direction: ${style.trim()}`);
+    }
+
+    const googleResponse = await fetchGemini(env, model, 'generateContent', {
+      systemInstruction: { parts: [{ text: `${ENHANCE_INSTRUCTION} ${rules.join(' ')}` }] },
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: { temperature: 0.8 }
+    });
+
+    const parts = await readGeminiParts(googleResponse);
+    const usage = collectUsage(parts);
+    const text = parts.filter(part => part.text && !part.thought).map(part => part.text).join('').trim();
+    if (!text) {
+      throw Object.assign(upstreamError('UPSTREAM_ERROR', 'enhanceEmpty'), { usage });
+    }
+    await recordUsageLog(env, { ...usageLog, usage });
+    return jsonResponse({ prompt: text });
+  } catch (error) {
+    await recordUsageLog(env, { ...usageLog, error });
+    return upstreamErrorResponse(request, error);
+  }
+}
+
+// --- API Key 轮换与重试 ---
+// 可重试的上游状态码
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+// Retry-After 超过该时长时不再等待，直接返回错误
+const MAX_RETRY_WAIT_MS = 20000;
+// 连续失败达到该次数后，Key 会被暂停使用一段时间
+const KEY_FAILURE_THRESHOLD = 3;
+const KEY_BENCH_MS = 5 * 60 * 1000;
+// 无效 / 被禁用的 Key 暂停更久
+const INVALID_KEY_BENCH_MS = 60 * 60 * 1000;
+
+// 各 Key 的状态，在同一个 isolate 内的请求之间共享
+const keyStates = new Map();
+
+/**
+ * 解析 GEMINI_API_KEY，支持用逗号或换行分隔多个 Key
+ */
+function getApiKeys(env) {
+  return (env.GEMINI_API_KEY || '').split(/[\s,]+/).filter(Boolean);
+}
+
+function getKeyState(key) {
+  if (!keyStates.has(key)) {
+    keyStates.set(key, { lastUsed: 0, lastThrottled: 0, failures: 0, benchedUntil: 0 });
+  }
+  return keyStates.get(key);
+}
+
+/**
+ * 选择下一个 Key: 跳过暂停中的 Key，优先最久未被限流的，其次最久未使用的 (轮询)
+ * 尽量避开上一次失败的 Key；所有 Key 都在暂停时，选择最早恢复的那个
+ */
+function pickApiKey(keys, previous) {
+  const now = Date.now();
+  const candidates = keys.length > 1 ? keys.filter(k => k !== previous) : keys;
+  const available = candidates.filter(k => getKeyState(k).benchedUntil <= now);
+
+  if (available.length === 0) {
+    return [...candidates].sort((a, b) => getKeyState(a).benchedUntil - getKeyState(b).benchedUntil)[0];
+  }
+
+  return available.sort((a, b) => {
+    const sa = getKeyState(a);
+    const sb = getKeyState(b);
+    return (sa.lastThrottled - sb.lastThrottled) || (sa.lastUsed - sb.lastUsed);
+  })[0];
+}
+
+/**
+ * 记录一次失败；连续失败过多或上游要求等待时暂停该 Key
+ */
+function markKeyFailure(key, retryAfterMs) {
+  const state = getKeyState(key);
+  state.failures++;
+  const now = Date.now();
+  if (state.failures >= KEY_FAILURE_THRESHOLD) {
+    state.benchedUntil = now + Math.max(KEY_BENCH_MS, retryAfterMs || 0);
+  } else if (retryAfterMs) {
+    state.benchedUntil = now + retryAfterMs;
+  }
+}
+
+/**
+ * 解析等待时间 (毫秒)：优先 Retry-After 响应头 (秒数或 HTTP 日期)，
+ * 其次 Google 错误详情中的 RetryInfo.retryDelay (例如 "37s")
+ */
+function parseRetryAfter(header, errorText) {
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  const match = /"retryDelay"\s*:\s*"([\d.]+)s"/.exec(errorText || '');
+  return match ? Number(match[1]) * 1000 : null;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 调用 Gemini API：在多个 Key 之间轮换，对限流 (429) 和 5xx 错误按指数退避重试
+ * 返回最后一次的上游响应，由调用方处理非 2xx 的情况
+ */
+async function fetchGemini(env, model, method, payload, signal) {
+  // 构建 API URL (支持自定义 Base URL)
+  const baseUrl = env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com';
+  // 移除可能存在的末尾斜杠
+  const cleanBaseUrl = baseUrl.replace(/\/$/, '');
+  const query = method === 'streamGenerateContent' ? 'alt=sse&' : '';
+  const keys = getApiKeys(env);
+
+  let key = null;
+  for (let attempt = 0; ; attempt++) {
+    key = pickApiKey(keys, key);
+    const state = getKeyState(key);
+    state.lastUsed = Date.now();
+
+    let response;
+    try {
+      response = await fetch(`${cleanBaseUrl}/v1beta/models/${model}:${method}?${query}key=${key}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal
+      });
+    } catch (error) {
+      // 网络错误: 换一个 Key 重试，请求被取消时直接抛出
+      if (signal?.aborted || attempt >= MAX_RETRIES) throw error;
+      markKeyFailure(key);
+      await sleep(Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS));
+      continue;
+    }
+
+    if (response.ok) {
+      state.failures = 0;
+      return response;
+    }
+
+    // Key 无效或被禁用: 长时间暂停，若还有其他 Key 则立即换一个
+    if (response.status === 401 || response.status === 403) {
+      state.benchedUntil = Date.now() + INVALID_KEY_BENCH_MS;
+      if (keys.length > 1 && attempt < MAX_RETRIES) {
+        await response.body?.cancel();
+        continue;
+      }
+      return response;
+    }
+
+    if (!RETRYABLE_STATUS.includes(response.status) || attempt >= MAX_RETRIES) {
+      return response;
+    }
+
+    const errorText = await response.text();
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'), errorText);
+    if (response.status === 429) {
+      state.lastThrottled = Date.now();
+    }
+    markKeyFailure(key, retryAfter);
+
+    // 有其他可用 Key 时直接换 Key 重试，否则按 Retry-After / 指数退避等待
+    const next = pickApiKey(keys, key);
+    if (next === key || getKeyState(next).benchedUntil > Date.now()) {
+      const delay = retryAfter ?? Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+      if (delay > MAX_RETRY_WAIT_MS) {
+        return new Response(errorText, { status: response.status, headers: response.headers });
+      }
+      await sleep(delay + Math.random() * 100);
+    }
+  }
+}
+
+// 历史对话中缺少 thoughtSignature 的模型图片 (例如旧作品) 使用该占位值跳过校验
+const SKIP_THOUGHT_SIGNATURE = 'skip_thought_signature_validator';
+
+/**
+ * 将前端传入的历史对话转换为多轮 contents
+ * history: [{ role: 'user' | 'model', text?, images?: [{ data, mimeType, thoughtSignature? }] }]
+ */
+function buildHistoryContents(history) {
+  const contents = [];
+  if (!Array.isArray(history)) {
+    return contents;
+  }
+  for (const turn of history) {
+    const role = turn.role === 'model' ? 'model' : 'user';
+    const turnParts = [];
+    for (const img of Array.isArray(turn.images) ? turn.images : []) {
+      const part = { inlineData: { mimeType: img.mimeType || 'image/png', data: img.data } };
+      if (role === 'model') {
+        part.thoughtSignature = img.thoughtSignature || SKIP_THOUGHT_SIGNATURE;
+      }
+      turnParts.push(part);
+    }
+    if (turn.text) {
+      turnParts.push({ text: turn.text });
+    }
+    if (turnParts.length > 0) {
+      contents.push({ role, parts: turnParts });
+    }
+  }
+  return contents;
+}
+
+/**
+ * 构建 Gemini (AI Studio / Vertex AI) 的 generateContent 请求体
+ * 本轮用户输入依次为: 参考图、蒙版及区域编辑说明 (局部重绘)、提示词；多轮对话编辑时先放入之前的对话
+ */
+function buildGeminiPayload(generation) {
+  const parts = generation.images.map(inlineData => ({ inlineData }));
+  if (generation.mask) {
+    parts.push({ text: generation.maskInstruction || INPAINT_INSTRUCTION });
+    parts.push({ inlineData: generation.mask });
+  }
+  if (generation.prompt) {
+    parts.push({ text: generation.prompt });
+  }
+
+  const contents = buildHistoryContents(generation.history);
+  contents.push({ role: 'user', parts });
+
+  const imageConfig = {};
+  if (generation.aspectRatio) {
+    imageConfig.aspectRatio = generation.aspectRatio;
+  }
+  if (generation.imageSize) {
+    imageConfig.imageSize = generation.imageSize;
+  }
+  return { contents, generationConfig: { imageConfig } };
+}
+
+/**
+ * 读取 generateContent 响应中的 parts，被安全策略拦截时抛出 SAFETY_BLOCKED
+ */
+async function readGeminiParts(response) {
+  if (!response.ok) {
+    throw await readGoogleError(response);
+  }
+  const data = await response.json();
+  const parts = data.candidates?.[0]?.content?.parts || [];
+  checkGeminiBlocked(data, parts.some(part => part.inlineData));
+  return data.usageMetadata ? [...parts, { usage: toGeminiUsage(data.usageMetadata) }] : parts;
+}
+
+/**
+ * 逐个产出 streamGenerateContent (SSE) 响应中的 parts，被安全策略拦截时抛出 SAFETY_BLOCKED
+ */
+async function* streamGeminiParts(response) {
+  if (!response.ok) {
+    throw await readGoogleError(response);
+  }
+  let hasImage = false;
+  for await (const chunk of readSseEvents(response.body)) {
+    const parts = chunk.candidates?.[0]?.content?.parts || [];
+    hasImage = hasImage || parts.some(part => part.inlineData);
+    checkGeminiBlocked(chunk, hasImage);
+    yield* parts;
+    // 每个分块都带有截至目前的累计用量，以最后一次为准
+    if (chunk.usageMetadata) {
+      yield { usage: toGeminiUsage(chunk.usageMetadata) };
+    }
+  }
+}
+
+/**
+ * 将 Gemini 的 usageMetadata 转换为 { inputTokens, outputTokens, totalTokens } (思考 token 计入输出)
+ */
+function toGeminiUsage(metadata) {
+  const inputTokens = metadata.promptTokenCount || 0;
+  const outputTokens = (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0);
+  return { inputTokens, outputTokens, totalTokens: metadata.totalTokenCount || inputTokens + outputTokens };
+}
+
+/**
+ * 取 parts 中最后一次上报的 token 用量，没有时返回 null
+ */
+function collectUsage(parts) {
+  const reports = parts.filter(part => part.usage);
+  return reports.length > 0 ? reports[reports.length - 1].usage : null;
+}
+
+/**
+ * 合并多次调用的 token 用量 (OpenAI 兼容接口 n > 1 时)
+ */
+function sumUsage(usages) {
+  const reported = usages.filter(Boolean);
+  if (reported.length === 0) {
+    return null;
+  }
+  return reported.reduce((sum, usage) => ({
+    inputTokens: sum.inputTokens + usage.inputTokens,
+    outputTokens: sum.outputTokens + usage.outputTokens,
+    totalTokens: sum.totalTokens + usage.totalTokens
+  }));
+}
+
+/**
+ * 检查 Gemini 响应是否被安全策略拦截: 提示词被拦截 (promptFeedback.blockReason)，
+ * 或候选结果因安全原因终止 (finishReason) 且没有返回图片
+ */
+function checkGeminiBlocked(data, hasImage) {
+  const blockReason = data.promptFeedback?.blockReason;
+  if (blockReason) {
+    throw upstreamError('SAFETY_BLOCKED', 'promptBlocked', { reason: blockReason }, {
+      blockReason,
+      message: data.promptFeedback.blockReasonMessage,
+      safetyRatings: data.promptFeedback.safetyRatings || []
+    });
+  }
+  const candidate = data.candidates?.[0];
+  if (!hasImage && SAFETY_FINISH_REASONS.includes(candidate?.finishReason)) {
+    throw upstreamError('SAFETY_BLOCKED', 'resultBlocked', { reason: candidate.finishReason }, {
+      finishReason: candidate.finishReason,
+      message: candidate.finishMessage,
+      safetyRatings: candidate.safetyRatings || []
+    });
+  }
+}
+
+/**
+ * 调用模型对应的后端生成图片，返回 { results: [{ inlineData, thoughtSignature }], usage }
+ * 未返回图片时抛出 NO_IMAGE (优先使用模型返回的文字说明原因)，错误的 usage 为已消耗的用量
+ */
+async function generateImages(env, entry, generation, signal) {
+  const parts = await IMAGE_PROVIDERS[entry.provider].generate(env, entry.model, generation, withUpstreamTimeout(signal));
+  const usage = collectUsage(parts);
+  const results = parts
+    .filter(part => part.inlineData && part.inlineData.data)
+    .map(part => ({ inlineData: part.inlineData, thoughtSignature: part.thoughtSignature || null }));
+
+  if (results.length === 0) {
+    throw Object.assign(noImageError(parts.filter(part => part.text && !part.thought).map(part => part.text).join('')), { usage });
+  }
+  return { results, usage };
+}
+
+/**
+ * 读取 Google API 的错误响应，返回带类型的错误
+ */
+async function readGoogleError(googleResponse) {
+  const errorText = await googleResponse.text();
+  try {
+    const errJson = JSON.parse(errorText);
+    return upstreamErrorForStatus(googleResponse.status, errJson.error?.message || errorText, { reason: errJson.error?.status });
+  } catch (e) {
+    return upstreamErrorForStatus(googleResponse.status, `Google API Error (${googleResponse.status}): ${errorText}`);
+  }
+}
+
+// --- 上游错误 ---
+// 生成失败时返回带类型的错误 { error, code, details }，流式模式下为 { type: 'error', error, code, details }
+//   SAFETY_BLOCKED    提示词或生成结果被安全策略拦截，details 包含 blockReason / finishReason 与 safetyRatings
+//   NO_IMAGE          模型没有返回图片，details.text 为模型返回的说明
+//   QUOTA             上游额度不足或被限流 (已在所有 Key 之间重试)
+//   UPSTREAM_TIMEOUT  上游在 UPSTREAM_TIMEOUT_MS 内未完成响应
+//   BAD_INPUT         上游拒绝了请求参数 (例如图片无法解析)
+//   UPSTREAM_ERROR    其他上游错误 (鉴权失败、5xx 等)
+const UPSTREAM_ERROR_STATUS = {
+  SAFETY_BLOCKED: 422,
+  NO_IMAGE: 422,
+  BAD_INPUT: 400,
+  QUOTA: 503,
+  UPSTREAM_TIMEOUT: 504,
+  UPSTREAM_ERROR: 502
+};
+const UPSTREAM_TIMEOUT_MS = 3 * 60 * 1000;
+// 表示内容被安全策略拦截的 finishReason
+const SAFETY_FINISH_REASONS = [
+  'SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII',
+  'IMAGE_SAFETY', 'IMAGE_PROHIBITED_CONTENT', 'IMAGE_RECITATION'
+];
+
+/**
+ * 带类型的上游错误，说明文本以消息 key 保存 (messageKey / messageParams)，返回给客户端时按请求的语言输出；
+ * message 为默认语言的文本，用于日志
+ */
+function upstreamError(code, messageKey, messageParams = {}, details = {}) {
+  return Object.assign(new Error(translate(DEFAULT_LOCALE, messageKey, messageParams)), { code, details, messageKey, messageParams });
+}
+
+/**
+ * 按上游 HTTP 状态码分类错误，message 为上游返回的原文
+ */
+function upstreamErrorForStatus(status, message, details = {}) {
+  const code = status === 429 ? 'QUOTA'
+    : status === 408 || status === 504 ? 'UPSTREAM_TIMEOUT'
+    : status === 400 || status === 413 || status === 422 ? 'BAD_INPUT'
+    : 'UPSTREAM_ERROR';
+  return upstreamError(code, 'upstreamMessage', { message }, { status, ...details });
+}
+
+function noImageError(text) {
+  return text
+    ? upstreamError('NO_IMAGE', 'noImageWithText', { text }, { text })
+    : upstreamError('NO_IMAGE', 'noImage', {}, { text });
+}
+
+/**
+ * 将生成过程中的异常转换为带类型的错误 (超时与未分类的异常)
+ */
+function toUpstreamError(error) {
+  if (typeof error.code === 'string' && UPSTREAM_ERROR_STATUS[error.code]) {
+    return error;
+  }
+  if (error.name === 'TimeoutError') {
+    return upstreamError('UPSTREAM_TIMEOUT', 'upstreamTimeout', { seconds: UPSTREAM_TIMEOUT_MS / 1000 });
+  }
+  return upstreamError('UPSTREAM_ERROR', 'upstreamMessage', { message: error.message });
+}
+
+/**
+ * 按指定语言输出错误说明 (没有消息 key 的异常使用原文)
+ */
+function localizeError(locale, error) {
+  return error.messageKey ? translate(locale, error.messageKey, error.messageParams) : error.message;
+}
+
+function upstreamErrorResponse(request, error) {
+  const upstream = toUpstreamError(error);
+  return jsonResponse({
+    error: localizeError(resolveLocale(request), upstream),
+    code: upstream.code,
+    details: upstream.details
+  }, UPSTREAM_ERROR_STATUS[upstream.code]);
+}
+
+/**
+ * 为上游请求附加超时 (同时保留调用方的取消信号)
+ */
+function withUpstreamTimeout(signal) {
+  const timeout = AbortSignal.timeout(UPSTREAM_TIMEOUT_MS);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+/**
+ * 将 inlineData 转换为 data URL
+ */
+function toDataUrl(inlineData) {
+  const mime = inlineData.mimeType || 'image/png';
+  return `data:${mime};base64,${inlineData.data}`;
+}
+
+/**
+ * 逐个解析 SSE 响应中的 data 事件
+ */
+async function* readSseEvents(body) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += value.replace(/\r\n/g, '\n');
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const event = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = event.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('');
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+/**
+ * 流式生成: 由后端逐个产出内容 (Gemini 使用 streamGenerateContent)，并以 NDJSON 的形式逐条转发给前端
+ * 不支持流式的后端在生成完成后一次性转发
+ * 每行一个事件:
+ *   { type: 'text', text }   模型返回的中间文本 (不含思考过程)
+ *   { type: 'image', url, thoughtSignature }   生成的图片 (data URL)，多轮编辑时需回传签名
+ *   { type: 'done' }         生成完成
+ *   { type: 'error', error, code, details } 生成失败，code 见 UPSTREAM_ERROR_STATUS
+ * 前端断开连接 (取消) 时会同时中止上游请求。
+ * locale 为错误说明使用的语言；onComplete({ images, usage, error, cancelled }) 在上游响应结束后调用，用于记录用量。
+ * 转发过程注册到 ctx.waitUntil，响应返回后 isolate 不会提前结束，用量记录不会丢失。
+ */
+function streamGenerateResponse(env, ctx, entry, generation, locale, onComplete) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const upstream = new AbortController();
+
+  const send = async (event) => {
+    try {
+      await writer.write(encoder.encode(JSON.stringify(event) + '\n'));
+    } catch (e) {
+      // 前端已断开
+      upstream.abort();
+      throw e;
+    }
+  };
+
+  const pump = async () => {
+    let imageCount = 0;
+    let text = '';
+    let usage = null;
+    let failure = null;
+    try {
+      const provider = IMAGE_PROVIDERS[entry.provider];
+      const signal = withUpstreamTimeout(upstream.signal);
+      const source = provider.stream
+        ? provider.stream(env, entry.model, generation, signal)
+        : await provider.generate(env, entry.model, generation, signal);
+
+      for await (const part of source) {
+        if (part.inlineData && part.inlineData.data) {
+          imageCount++;
+          await send({ type: 'image', url: toDataUrl(part.inlineData), thoughtSignature: part.thoughtSignature || null });
+        } else if (part.text && !part.thought) {
+          // 思考过程 (thought) 不转发给前端
+          text += part.text;
+          await send({ type: 'text', text: part.text });
+        } else if (part.usage) {
+          usage = part.usage;
+        }
+      }
+
+      if (imageCount === 0) {
+        throw noImageError(text);
+      }
+      await send({ type: 'done' });
+    } catch (error) {
+      failure = error;
+      if (!upstream.signal.aborted) {
+        const upstreamFailure = toUpstreamError(error);
+        await send({
+          type: 'error',
+          error: localizeError(locale, upstreamFailure),
+          code: upstreamFailure.code,
+          details: upstreamFailure.details
+        }).catch(() => {});
+      }
+    } finally {
+      await onComplete({ images: imageCount, usage, error: failure, cancelled: upstream.signal.aborted }).catch(() => {});
+      await writer.close().catch(() => {});
+    }
+  };
+
+  ctx.waitUntil(pump());
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+// --- 模型注册表 ---
+// 前端从 GET /api/models 读取可用模型，后端未配置的模型不会出现在列表中
+// 可通过 IMAGE_MODELS (JSON 数组) 覆盖，每项: { id, label, description, provider, model (上游模型名，默认为 id), pro, imageSizes }
+// description 可以是字符串，也可以是按语言区分的对象，例如 { "zh-CN": "极速", "en": "Fast" }
+// pro 为 true 的模型仅 pro / admin 账号可用，并计入 Pro 每日额度
+const PRO_IMAGE_SIZES = ['1K', '2K', '4K'];
+
+const DEFAULT_IMAGE_MODELS = [
+  { id: 'gemini-2.5-flash-image', label: 'Nano', description: { 'zh-CN': 'Flash / 极速', en: 'Flash / Fast' }, provider: 'gemini' },
+  { id: 'gemini-3-pro-image-preview', label: 'Nano Pro', description: 'Pro / 4K', provider: 'gemini', pro: true, imageSizes: PRO_IMAGE_SIZES },
+  { id: 'vertex/gemini-2.5-flash-image', label: 'Nano (Vertex)', description: { 'zh-CN': 'Vertex AI / 极速', en: 'Vertex AI / Fast' }, provider: 'vertex', model: 'gemini-2.5-flash-image' },
+  { id: 'vertex/gemini-3-pro-image-preview', label: 'Nano Pro (Vertex)', description: 'Vertex AI / 4K', provider: 'vertex', model: 'gemini-3-pro-image-preview', pro: true, imageSizes: PRO_IMAGE_SIZES },
+  { id: 'openai/gpt-image-1', label: 'GPT Image', description: { 'zh-CN': 'OpenAI 兼容接口', en: 'OpenAI compatible' }, provider: 'openai', model: 'gpt-image-1', pro: true },
+  { id: 'mock/nano', label: 'Mock', description: { 'zh-CN': '本地占位图', en: 'Local placeholder' }, provider: 'mock' },
+  { id: 'mock/nano-pro', label: 'Mock Pro', description: { 'zh-CN': '本地占位图 / 4K', en: 'Local placeholder / 4K' }, provider: 'mock', pro: true, imageSizes: PRO_IMAGE_SIZES }
+];
+
+/**
+ * 读取当前可用的模型 (只包含已配置的后端)
+ */
+function getImageModels(env) {
+  let models = DEFAULT_IMAGE_MODELS;
+  if (env.IMAGE_MODELS) {
+    try {
+      const custom = JSON.parse(env.IMAGE_MODELS);
+      if (Array.isArray(custom)) {
+        models = custom;
+      }
+    } catch (e) {
+      console.error('IMAGE_MODELS 不是有效的 JSON', e);
+    }
+  }
+  return models
+    .filter(m => m && m.id && IMAGE_PROVIDERS[m.provider] && IMAGE_PROVIDERS[m.provider].isConfigured(env))
+    .map(m => ({
+      id: String(m.id),
+      label: String(m.label || m.id),
+      description: isPlainObject(m.description) ? m.description : String(m.description || ''),
+      provider: m.provider,
+      model: String(m.model || m.id),
+      pro: Boolean(m.pro),
+      imageSizes: Array.isArray(m.imageSizes) ? m.imageSizes : [],
+      features: IMAGE_PROVIDERS[m.provider].features
+    }));
+}
+
+/**
+ * 查询可用模型 (GET /api/models)，不返回上游模型名
+ */
+async function handleModelsRequest(request, env) {
+  const locale = resolveLocale(request);
+  const models = getImageModels(env).map(({ provider, model, description, ...entry }) => ({
+    ...entry,
+    description: localizeText(locale, description)
+  }));
+  // aspectRatios: 支持的画面比例；jobs / shares: 是否可以使用异步任务接口 (/api/jobs) 与分享链接 (/api/shares)
+  return jsonResponse({
+    models,
+    aspectRatios: GEMINI_ASPECT_RATIOS,
+    jobs: Boolean(getJobStore(env)),
+    shares: canCreateShares(env)
+  });
+}
+
+// --- 图片生成后端 ---
+// 每个后端提供:
+//   features                                { history, mask } 是否支持对话编辑与局部重绘
+//   isConfigured(env)                       是否已配置
+//   generate(env, model, generation, signal)  返回 parts: [{ text } | { inlineData, thoughtSignature } | { usage }]
+//   stream(env, model, generation, signal)    (可选) 逐个产出 parts
+// usage: { inputTokens, outputTokens, totalTokens } 上游返回的 token 用量 (可选，多次上报时以最后一次为准)
+// generation: { prompt, images: [inlineData], mask, maskInstruction?, aspectRatio, imageSize, history }
+const IMAGE_PROVIDERS = {
+  // Google AI Studio (GEMINI_API_KEY)
+  gemini: {
+    features: { history: true, mask: true },
+    isConfigured: (env) => getApiKeys(env).length > 0,
+    async generate(env, model, generation, signal) {
+      return readGeminiParts(await fetchGemini(env, model, 'generateContent', buildGeminiPayload(generation), signal));
+    },
+    async *stream(env, model, generation, signal) {
+      yield* streamGeminiParts(await fetchGemini(env, model, 'streamGenerateContent', buildGeminiPayload(generation), signal));
+    }
+  },
+
+  // Vertex AI (VERTEX_SERVICE_ACCOUNT 或 VERTEX_API_KEY)，请求与响应格式与 AI Studio 相同
+  vertex: {
+    features: { history: true, mask: true },
+    isConfigured: (env) => Boolean(env.VERTEX_SERVICE_ACCOUNT || env.VERTEX_API_KEY),
+    async generate(env, model, generation, signal) {
+      return readGeminiParts(await fetchVertex(env, model, 'generateContent', buildGeminiPayload(generation), signal));
+    },
+    async *stream(env, model, generation, signal) {
+      yield* streamGeminiParts(await fetchVertex(env, model, 'streamGenerateContent', buildGeminiPayload(generation), signal));
+    }
+  },
+
+  // OpenAI 兼容的图片接口 (OPENAI_API_KEY)，不支持多轮对话与黑白蒙版
+  openai: {
+    features: { history: false, mask: false },
+    isConfigured: (env) => Boolean(env.OPENAI_API_KEY),
+    generate: generateWithOpenAI
+  },
+
+  // 本地占位图 (MOCK_PROVIDER=true)，不访问网络，相同的请求总是返回相同的图片
+  mock: {
+    features: { history: true, mask: true },
+    isConfigured: (env) => ['1', 'true'].includes(String(env.MOCK_PROVIDER || '').toLowerCase()),
+    async generate(env, model, generation) {
+      const seed = hashString(JSON.stringify([
+        model, generation.prompt, generation.aspectRatio, generation.imageSize,
+        generation.images.length, generation.history.length, Boolean(generation.mask)
+      ]));
+      const png = await createPlaceholderPng(seed, generation.aspectRatio);
+      return [
+        { text: `Mock image for: ${generation.prompt || '(no prompt)'}` },
+        { inlineData: { mimeType: 'image/png', data: bytesToBase64(png) }, thoughtSignature: null }
+      ];
+    }
+  }
+};
+
+// Vertex AI 访问令牌缓存 (按服务账号)
+const vertexTokens = new Map();
+
+/**
+ * 使用服务账号签发 JWT 并换取 Vertex AI 访问令牌，令牌在过期前 1 分钟内会重新获取
+ */
+async function getVertexAccessToken(account) {
+  const cached = vertexTokens.get(account.client_email);
+  if (cached && cached.expiresAt > Date.now() + 60 * 1000) {
+    return cached.token;
+  }
+
+  const tokenUri = account.token_uri || 'https://oauth2.googleapis.com/token';
+  const now = Math.floor(Date.now() / 1000);
+  const encoder = new TextEncoder();
+  const header = base64UrlEncode(encoder.encode(JSON.stringify({ alg: 'RS256', typ: 'JWT' })));
+  const claims = base64UrlEncode(encoder.encode(JSON.stringify({
+    iss: account.client_email,
+    scope: 'https://www.googleapis.com/auth/cloud-platform',
+    aud: tokenUri,
+    iat: now,
+    exp: now + 3600
+  })));
+  const der = Uint8Array.from(atob(account.private_key.replace(/-----[^-]+-----/g, '').replace(/\s+/g, '')), c => c.charCodeAt(0));
+  const key = await crypto.subtle.importKey('pkcs8', der, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', key, encoder.encode(`${header}.${claims}`));
+
+  const response = await fetch(tokenUri, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: `${header}.${claims}.${base64UrlEncode(new Uint8Array(signature))}`
+    })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw upstreamError('UPSTREAM_ERROR', 'vertexAuthFailed', { reason: data.error_description || data.error || response.status });
+  }
+  vertexTokens.set(account.client_email, { token: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 });
+  return data.access_token;
+}
+
+/**
+ * 调用 Vertex AI: 设置了 VERTEX_SERVICE_ACCOUNT 时使用服务账号 (项目默认取自服务账号)，
+ * 否则使用 VERTEX_API_KEY (Express 模式)
+ */
+async function fetchVertex(env, model, method, payload, signal) {
+  const params = new URLSearchParams(method === 'streamGenerateContent' ? { alt: 'sse' } : {});
+  const headers = { 'Content-Type': 'application/json' };
+  let url;
+
+  if (env.VERTEX_SERVICE_ACCOUNT) {
+    const account = JSON.parse(env.VERTEX_SERVICE_ACCOUNT);
+    const project = env.VERTEX_PROJECT || account.project_id;
+    const location = env.VERTEX_LOCATION || 'global';
+    const host = location === 'global' ? 'aiplatform.googleapis.com' : `${location}-aiplatform.googleapis.com`;
+    url = `https://${host}/v1/projects/${project}/locations/${location}/publishers/google/models/${model}:${method}`;
+    headers.Authorization = `Bearer ${await getVertexAccessToken(account)}`;
+  } else {
+    url = `https://aiplatform.googleapis.com/v1/publishers/google/models/${model}:${method}`;
+    params.set('key', env.VERTEX_API_KEY);
+  }
+  if (params.size > 0) {
+    url += `?${params}`;
+  }
+
+  return fetch(url, { method: 'POST', headers, body: JSON.stringify(payload), signal });
+}
+
+/**
+ * 将画面比例转换为 OpenAI 支持的尺寸 (dall-e-3 的横竖图为 1792，其余模型为 1536)
+ */
+function toOpenAISize(model, aspectRatio = '1:1') {
+  const [w, h] = aspectRatio.split(':').map(Number);
+  if (!(w > 0 && h > 0) || w === h) {
+    return '1024x1024';
+  }
+  const long = model.startsWith('dall-e-3') ? 1792 : 1536;
+  return w > h ? `${long}x1024` : `1024x${long}`;
+}
+
+/**
+ * 调用 OpenAI 兼容的图片接口 (OPENAI_BASE_URL，默认 https://api.openai.com/v1)
+ * 有参考图时使用 /images/edits，否则使用 /images/generations
+ */
+async function generateWithOpenAI(env, model, generation, signal) {
+  const baseUrl = (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const size = toOpenAISize(model, generation.aspectRatio);
+  const headers = { Authorization: `Bearer ${env.OPENAI_API_KEY}` };
+  let response;
+
+  if (generation.images.length > 0) {
+    const form = new FormData();
+    form.append('model', model);
+    form.append('prompt', generation.prompt || '');
+    form.append('size', size);
+    form.append('n', '1');
+    // 单张参考图使用 image 字段，多张使用 image[]
+    const field = generation.images.length > 1 ? 'image[]' : 'image';
+    generation.images.forEach((img, i) => {
+      const ext = img.mimeType.split('/')[1] || 'png';
+      form.append(field, new Blob([base64ToBytes(img.data)], { type: img.mimeType }), `image-${i + 1}.${ext}`);
+    });
+    response = await fetch(`${baseUrl}/images/edits`, { method: 'POST', headers, body: form, signal });
+  } else {
+    response = await fetch(`${baseUrl}/images/generations`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, prompt: generation.prompt, size, n: 1 }),
+      signal
+    });
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = data.error?.message || `OpenAI API Error (${response.status})`;
+    if (data.error?.code === 'content_policy_violation' || data.error?.code === 'moderation_blocked') {
+      throw upstreamError('SAFETY_BLOCKED', 'upstreamMessage', { message }, { status: response.status, reason: data.error.code });
+    }
+    throw upstreamErrorForStatus(response.status, message, { reason: data.error?.code });
+  }
+
+  const parts = [];
+  for (const image of data.data || []) {
+    if (image.revised_prompt) {
+      parts.push({ text: image.revised_prompt });
+    }
+    if (image.b64_json) {
+      parts.push({ inlineData: { mimeType: 'image/png', data: image.b64_json } });
+    } else if (image.url) {
+      // dall-e 系列默认返回临时 URL，下载后转换为 base64；下载失败时不能把错误页面当作图片保存
+      const file = await fetch(image.url, { signal });
+      const contentType = file.headers.get('Content-Type') || '';
+      if (!file.ok || !contentType.startsWith('image/')) {
+        throw upstreamError('UPSTREAM_ERROR', 'imageDownloadFailed', { status: file.status }, { status: file.status, contentType });
+      }
+      parts.push({ inlineData: await fileToInlineData(await file.blob()) });
+    }
+  }
+  // gpt-image-1 返回 usage，dall-e 系列没有
+  if (data.usage) {
+    parts.push({
+      usage: {
+        inputTokens: data.usage.input_tokens || 0,
+        outputTokens: data.usage.output_tokens || 0,
+        totalTokens: data.usage.total_tokens || 0
+      }
+    });
+  }
+  return parts;
+}
+
+// 占位图的短边像素与方格大小
+const PLACEHOLDER_SIZE = 256;
+const PLACEHOLDER_CELL = 32;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (const b of bytes) {
+    crc = crcTable[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * FNV-1a 32 位哈希
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(new TextEncoder().encode(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * 生成占位 PNG: 颜色由 seed 决定的棋盘格，尺寸符合画面比例
+ */
+async function createPlaceholderPng(seed, aspectRatio = '1:1') {
+  const [w, h] = aspectRatio.split(':').map(Number);
+  const scale = w > 0 && h > 0 ? PLACEHOLDER_SIZE / Math.min(w, h) : 0;
+  const width = Math.round(w * scale) || PLACEHOLDER_SIZE;
+  const height = Math.round(h * scale) || PLACEHOLDER_SIZE;
+
+  const dark = [(seed >>> 16) & 0xFF, (seed >>> 8) & 0xFF, seed & 0xFF];
+  const light = dark.map(c => Math.round((c + 255 * 2) / 3));
+  const stride = width * 3 + 1;
+  // 每行以过滤类型 0 (None) 开头，后接 RGB 像素
+  const raw = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const odd = (Math.floor(x / PLACEHOLDER_CELL) + Math.floor(y / PLACEHOLDER_CELL)) % 2;
+      raw.set(odd ? light : dark, y * stride + 1 + x * 3);
+    }
+  }
+  const compressed = new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'));
+  const idat = new Uint8Array(await new Response(compressed).arrayBuffer());
+
+  const header = new DataView(new ArrayBuffer(13));
+  header.setUint32(0, width);
+  header.setUint32(4, height);
+  header.setUint8(8, 8); // 位深度
+  header.setUint8(9, 2); // RGB
+
+  const signature = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  const chunks = [signature, pngChunk('IHDR', new Uint8Array(header.buffer)), pngChunk('IDAT', idat), pngChunk('IEND', new Uint8Array(0))];
+  return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
+
+// --- 用量限制 ---
+// 计数保存在 Durable Object QUOTA_LIMITER (类 QuotaLimiter) 中，每个调用方对应一个实例。
+// 生成前在实例内一次完成检查与占用 (按预计生成的图片数预留每日额度)，并发请求也不会超出限制；
+// 生成结束后按实际生成的图片数结算，退还未用完的预留额度。
+const QUOTA_MESSAGES = {
+  rpm: 'rateLimitRpm',
+  daily: 'rateLimitDaily',
+  pro: 'rateLimitPro'
+};
+
+/**
+ * 读取用量限制配置，未设置或非正数表示不限制
+ */
+function getQuotaLimits(env) {
+  const parse = (value) => {
+    const n = parseInt(value, 10);
+    return n > 0 ? n : null;
+  };
+  return {
+    rpm: parse(env.RATE_LIMIT_RPM),
+    daily: parse(env.DAILY_IMAGE_LIMIT),
+    pro: parse(env.PRO_DAILY_IMAGE_LIMIT)
+  };
+}
+
+/**
+ * 调用方身份，用于区分不同用户的用量；已登录时按账号统计，否则按 IP 统计
+ */
+function getCallerId(request, session) {
+  if (session && !session.anonymous) {
+    return 'user:' + session.name;
+  }
+  return 'ip:' + (request.headers.get('CF-Connecting-IP') || 'unknown');
+}
+
+/**
+ * 当前的计数窗口: 每日额度在 UTC 零点重置，每分钟额度在下一分钟重置
+ */
+function quotaWindows(now = Date.now()) {
+  const day = new Date(now).toISOString().slice(0, 10);
+  const minute = Math.floor(now / 60000);
+  return {
+    day,
+    minute,
+    dayResetAt: Date.parse(day) + 24 * 60 * 60 * 1000,
+    minuteResetAt: (minute + 1) * 60000
+  };
+}
+
+/**
+ * 由计数生成额度状态 (/api/quota 与 429 响应中的 quota 字段)
+ */
+function toQuotaStatus(limits, usage, windows) {
+  const budget = (limit, used, resetAt) => ({
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    resetAt
+  });
+  return {
+    enabled: true,
+    rpm: budget(limits.rpm, usage.requests, windows.minuteResetAt),
+    daily: budget(limits.daily, usage.images, windows.dayResetAt),
+    pro: budget(limits.pro, usage.pro, windows.dayResetAt)
+  };
+}
+
+/**
+ * 调用调用方对应的 QuotaLimiter 实例，未绑定 QUOTA_LIMITER 时返回 null (不限制)
+ */
+async function callQuotaLimiter(env, callerId, action, params = {}) {
+  if (!env.QUOTA_LIMITER) {
+    return null;
+  }
+  const limiter = env.QUOTA_LIMITER.get(env.QUOTA_LIMITER.idFromName(callerId));
+  const response = await limiter.fetch(`https://quota/${action}`, {
+    method: 'POST',
+    body: JSON.stringify({ ...params, limits: getQuotaLimits(env) })
+  });
+  if (!response.ok) {
+    throw new Error(`QuotaLimiter ${action} failed: HTTP ${response.status}`);
+  }
+  return await response.json();
+}
+
+/**
+ * 查询调用方的剩余额度，未开启用量限制时返回 { enabled: false }
+ */
+async function getQuotaStatus(env, callerId) {
+  const result = await callQuotaLimiter(env, callerId, 'status');
+  return result ? result.quota : { enabled: false };
+}
+
+/**
+ * 预留一次请求的额度: 占用一次每分钟请求数，并预留 images 张每日额度
+ * 返回 { reservation } (未开启用量限制时为 null，结算时原样传给 settleQuota)；
+ * 超出限制时返回 { response } (结构化的 429)，计数服务不可用时返回 503
+ */
+async function reserveQuota(request, env, callerId, isPro, images = 1) {
+  let result;
+  try {
+    result = await callQuotaLimiter(env, callerId, 'reserve', { images, isPro });
+  } catch (error) {
+    console.error('预留用量额度失败', error);
+    return { response: errorResponse(request, 503, 'QUOTA_UNAVAILABLE', 'quotaUnavailable') };
+  }
+  if (!result) {
+    return { reservation: null };
+  }
+
+  if (result.exceeded) {
+    const resetAt = result.quota[result.exceeded].resetAt;
+    return {
+      response: errorResponse(
+        request, 429, 'RATE_LIMITED', QUOTA_MESSAGES[result.exceeded], {},
+        { limit: result.exceeded, resetAt, quota: result.quota },
+        { 'Retry-After': String(Math.ceil((resetAt - Date.now()) / 1000)) }
+      )
+    };
+  }
+  return { reservation: { callerId, isPro, images, day: result.day } };
+}
+
+/**
+ * 按实际生成的图片数结算预留的额度
+ * 不会抛出异常: 结算失败时只记录日志，不影响已经生成的结果
+ */
+async function settleQuota(env, reservation, images) {
+  if (!reservation || images === reservation.images) {
+    return;
+  }
+  try {
+    await callQuotaLimiter(env, reservation.callerId, 'settle', {
+      reserved: reservation.images,
+      used: images,
+      isPro: reservation.isPro,
+      day: reservation.day
+    });
+  } catch (error) {
+    console.error('结算用量额度失败', error);
+  }
+}
+
+/**
+ * 用量计数 (Durable Object，需绑定为 QUOTA_LIMITER)
+ * 每个调用方一个实例，保存当前分钟的请求数与当天 (UTC) 的图片数。
+ * 实例等待存储读写时不会处理其他请求，同一次请求内的读取、检查与写入是原子的。
+ *   POST /reserve { limits, images, isPro }: 检查并占用额度，超出时返回 { exceeded, quota }
+ *   POST /settle { limits, reserved, used, isPro, day }: 按实际生成的图片数调整预留当天的计数
+ *   POST /status { limits }: 返回 { day, quota }
+ */
+export class QuotaLimiter {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const action = new URL(request.url).pathname.slice(1);
+    const { limits, images = 0, isPro = false, reserved = 0, used = 0, day } = await request.json();
+    const windows = quotaWindows();
+    const stored = (await this.state.storage.get('usage')) || {};
+    const sameDay = stored.day === windows.day;
+    const usage = {
+      day: windows.day,
+      minute: windows.minute,
+      requests: stored.minute === windows.minute ? stored.requests : 0,
+      images: sameDay ? stored.images : 0,
+      pro: sameDay ? stored.pro : 0
+    };
+
+    if (action === 'reserve') {
+      const quota = toQuotaStatus(limits, usage, windows);
+      const exceeded = ['rpm', 'daily', 'pro']
+        .filter(name => name !== 'pro' || isPro)
+        .find(name => quota[name].remaining !== null && quota[name].remaining < (name === 'rpm' ? 1 : images));
+      if (exceeded) {
+        return jsonResponse({ exceeded, quota });
+      }
+      usage.requests += 1;
+      usage.images += images;
+      if (isPro) {
+        usage.pro += images;
+      }
+    } else if (action === 'settle') {
+      // 跨过 UTC 零点的请求不再调整，新的一天从零开始计数
+      if (day === windows.day) {
+        const delta = used - reserved;
+        usage.images = Math.max(0, usage.images + delta);
+        if (isPro) {
+          usage.pro = Math.max(0, usage.pro + delta);
+        }
+      }
+    } else if (action !== 'status') {
+      return new Response('Not Found', { status: 404 });
+    }
+
+    if (action !== 'status') {
+      await this.state.storage.put('usage', usage);
+      // 计数在当天结束后失效，到时清理存储
+      await this.state.storage.setAlarm(windows.dayResetAt);
+    }
+    return jsonResponse({ day: windows.day, quota: toQuotaStatus(limits, usage, windows) });
+  }
+
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
+
+/**
+ * 查询当前用户的剩余额度 (GET /api/quota)
+ */
+async function handleQuotaRequest(request, env) {
+  const session = await getSession(request, env);
+  if (!session) {
+    return unauthorizedResponse(request);
+  }
+  try {
+    return jsonResponse(await getQuotaStatus(env, getCallerId(request, session)));
+  } catch (error) {
+    console.error('查询用量额度失败', error);
+    return errorResponse(request, 503, 'QUOTA_UNAVAILABLE', 'quotaUnavailable');
+  }
+}
+
+// --- 用量日志 ---
+// 每次调用生成后端 (/api/generate、异步任务、OpenAI 兼容接口与提示词优化) 记录一条日志:
+// 调用方、模型、尺寸、耗时、结果、token 用量与预估费用 (不记录提示词与图片)。
+// 保存在 D1 (USAGE_DB，优先) 或 KV (USAGE_KV)；admin 账号可在 /admin 查看按用户、按天的汇总并导出 CSV
+const USAGE_PREFIX = 'usage/';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_USAGE_RETENTION_DAYS = 90;
+const DEFAULT_USAGE_QUERY_DAYS = 30;
+// KV 单次查询最多列出的页数 (每页 1000 条，每页算一次子请求)，避免超出 Worker 每次请求 50 个子请求的限制
+const MAX_USAGE_KV_PAGES = 40;
+// KV key 使用倒序时间戳，按字典序列出时新的日志在前
+const USAGE_KEY_TIME_MAX = 9999999999999;
+
+// 预估费用的单价 (美元): input / output 为每百万 token，image 为每张图片 (上游未返回 token 用量时使用)
+// 键为上游模型名，可通过 MODEL_PRICING (格式相同的 JSON 对象) 覆盖或补充；没有单价的模型不计费用
+const DEFAULT_MODEL_PRICING = {
+  'gemini-2.5-flash-image': { input: 0.3, output: 30, image: 0.039 },
+  'gemini-3-pro-image-preview': { input: 2, output: 120, image: 0.134 },
+  'gpt-image-1': { input: 10, output: 40, image: 0.042 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 }
+};
+
+// 日志字段与 D1 列名，也是导出 CSV 的列
+const USAGE_LOG_COLUMNS = {
+  id: 'id',
+  time: 'time',
+  caller: 'caller',
+  source: 'source',
+  model: 'model',
+  upstreamModel: 'upstream_model',
+  provider: 'provider',
+  imageSize: 'image_size',
+  aspectRatio: 'aspect_ratio',
+  inputImages: 'input_images',
+  images: 'images',
+  status: 'status',
+  code: 'code',
+  latencyMs: 'latency_ms',
+  inputTokens: 'input_tokens',
+  outputTokens: 'output_tokens',
+  totalTokens: 'total_tokens',
+  cost: 'cost'
+};
+
+// D1 表结构，首次读写时创建
+const USAGE_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS usage_logs (
+    id TEXT PRIMARY KEY, time INTEGER NOT NULL, caller TEXT, source TEXT, model TEXT, upstream_model TEXT, provider TEXT,
+    image_size TEXT, aspect_ratio TEXT, input_images INTEGER, images INTEGER, status TEXT, code TEXT, latency_ms INTEGER,
+    input_tokens INTEGER, output_tokens INTEGER, total_tokens INTEGER, cost REAL
+  )`,
+  'CREATE INDEX IF NOT EXISTS usage_logs_time ON usage_logs (time)'
+];
+let usageSchemaReady = null;
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function getUsageRetentionDays(env) {
+  const days = parseInt(env.USAGE_LOG_RETENTION_DAYS, 10);
+  return days > 0 ? days : DEFAULT_USAGE_RETENTION_DAYS;
+}
+
+/**
+ * 获取用量日志存储，D1 优先；均未绑定时返回 null
+ * - add(log): 写入一条日志
+ * - list(from, to): 返回 { logs, truncated }，logs 为 [from, to) 时间范围内的日志 (新的在前)；
+ *   truncated 表示 KV 中的日志过多，只读取了最近的一部分
+ */
+function getUsageLogStore(env) {
+  const retentionMs = getUsageRetentionDays(env) * DAY_MS;
+
+  if (env.USAGE_DB) {
+    const db = env.USAGE_DB;
+    const fields = Object.keys(USAGE_LOG_COLUMNS);
+    const columns = Object.values(USAGE_LOG_COLUMNS);
+    const ready = () => {
+      usageSchemaReady = usageSchemaReady || db.batch(USAGE_SCHEMA.map(sql => db.prepare(sql))).catch(error => {
+        usageSchemaReady = null;
+        throw error;
+      });
+      return usageSchemaReady;
+    };
+    return {
+      add: async (log) => {
+        await ready();
+        await db.prepare(`INSERT INTO usage_logs (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+          .bind(...fields.map(field => log[field] ?? null))
+          .run();
+      },
+      list: async (from, to) => {
+        await ready();
+        // D1 没有自动过期，查询时顺带删除超出保留期的日志
+        await db.prepare('DELETE FROM usage_logs WHERE time < ?').bind(Date.now() - retentionMs).run();
+        const { results } = await db.prepare('SELECT * FROM usage_logs WHERE time >= ? AND time < ? ORDER BY time DESC').bind(from, to).all();
+        return {
+          logs: results.map(row => Object.fromEntries(fields.map(field => [field, row[USAGE_LOG_COLUMNS[field]]]))),
+          truncated: false
+        };
+      }
+    };
+  }
+
+  if (env.USAGE_KV) {
+    const kv = env.USAGE_KV;
+    // 整条日志保存在 key 的 metadata 中 (小于 1KB)，列出即可读取，无需逐条 get；到期后自动删除
+    // key 按时间倒序排列，从最新的日志开始列出，早于 from 或达到页数上限时停止
+    return {
+      add: (log) => kv.put(`${USAGE_PREFIX}${String(USAGE_KEY_TIME_MAX - log.time).padStart(13, '0')}-${log.id}`, '', {
+        metadata: log,
+        expirationTtl: Math.ceil(retentionMs / 1000)
+      }),
+      list: async (from, to) => {
+        const logs = [];
+        let cursor;
+        for (let pages = 0; pages < MAX_USAGE_KV_PAGES; pages++) {
+          const page = await kv.list({ prefix: USAGE_PREFIX, cursor });
+          const entries = page.keys.map(key => key.metadata).filter(Boolean);
+          logs.push(...entries.filter(log => log.time >= from && log.time < to));
+          if (page.list_complete || entries.some(log => log.time < from)) {
+            return { logs, truncated: false };
+          }
+          cursor = page.cursor;
+        }
+        return { logs, truncated: true };
+      }
+    };
+  }
+
+  return null;
+}
+
+function getModelPricing(env) {
+  if (env.MODEL_PRICING) {
+    try {
+      return { ...DEFAULT_MODEL_PRICING, ...JSON.parse(env.MODEL_PRICING) };
+    } catch (e) {
+      console.error('MODEL_PRICING 不是有效的 JSON', e);
+    }
+  }
+  return DEFAULT_MODEL_PRICING;
+}
+
+/**
+ * 按单价预估一次调用的费用 (美元)，有 token 用量时按 token 计算，否则按图片张数；没有单价时返回 null
+ */
+function estimateCost(env, upstreamModel, images, usage) {
+  const pricing = getModelPricing(env)[upstreamModel];
+  if (!pricing) {
+    return null;
+  }
+  if (usage && (usage.inputTokens || usage.outputTokens)) {
+    return (usage.inputTokens * (pricing.input || 0) + usage.outputTokens * (pricing.output || 0)) / 1e6;
+  }
+  return images * (pricing.image || 0);
+}
+
+/**
+ * 记录一次后端调用，未绑定存储时忽略；写入失败只输出日志，不影响请求本身
+ * entry 为模型注册表中的模型 ({ id, model, provider })，error 为失败原因，cancelled 表示前端中途取消
+ */
+async function recordUsageLog(env, { caller, source, entry, generation = null, startedAt, images = 0, usage = null, error = null, cancelled = false }) {
+  const store = getUsageLogStore(env);
+  if (!store) {
+    return;
+  }
+  usage = usage || (error && error.usage) || null;
+  const upstreamModel = entry.model || entry.id;
+  const status = cancelled ? 'cancelled' : error ? 'error' : 'ok';
+  const log = {
+    id: crypto.randomUUID(),
+    time: Date.now(),
+    caller,
+    source,
+    model: entry.id,
+    upstreamModel,
+    provider: entry.provider || null,
+    imageSize: generation?.imageSize || null,
+    aspectRatio: generation?.aspectRatio || null,
+    inputImages: generation ? generation.images.length : 0,
+    images,
+    status,
+    code: status === 'error' ? toUpstreamError(error).code : null,
+    latencyMs: Date.now() - startedAt,
+    inputTokens: usage ? usage.inputTokens : null,
+    outputTokens: usage ? usage.outputTokens : null,
+    totalTokens: usage ? usage.totalTokens : null,
+    cost: estimateCost(env, upstreamModel, images, usage)
+  };
+  try {
+    await store.add(log);
+  } catch (e) {
+    console.error('写入用量日志失败', e);
+  }
+}
+
+/**
+ * 汇总日志: 总计、按天、按用户、按模型，以及按错误码统计的失败与取消
+ */
+function summarizeUsage(logs) {
+  const group = (list, keyOf) => {
+    const rows = new Map();
+    for (const log of list) {
+      const key = keyOf(log);
+      const row = rows.get(key) || { key, requests: 0, images: 0, errors: 0, inputTokens: 0, outputTokens: 0, cost: 0, latencyMs: 0, lastTime: 0 };
+      row.requests++;
+      row.images += log.images || 0;
+      row.errors += log.status === 'error' ? 1 : 0;
+      row.inputTokens += log.inputTokens || 0;
+      row.outputTokens += log.outputTokens || 0;
+      row.cost += log.cost || 0;
+      row.latencyMs += log.latencyMs || 0;
+      row.lastTime = Math.max(row.lastTime, log.time);
+      rows.set(key, row);
+    }
+    return [...rows.values()].map(({ latencyMs, ...row }) => ({ ...row, avgLatencyMs: Math.round(latencyMs / row.requests) }));
+  };
+  const byCost = (a, b) => b.cost - a.cost || b.requests - a.requests;
+
+  return {
+    totals: group(logs, () => 'total')[0] || null,
+    byDay: group(logs, log => utcDay(log.time)).sort((a, b) => b.key.localeCompare(a.key)),
+    byUser: group(logs, log => log.caller).sort(byCost),
+    byModel: group(logs, log => log.model).sort(byCost),
+    errors: group(logs.filter(log => log.status !== 'ok'), log => log.code || log.status.toUpperCase()).sort((a, b) => b.requests - a.requests)
+  };
+}
+
+function toUsageCsv(logs) {
+  const fields = Object.keys(USAGE_LOG_COLUMNS);
+  const cell = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    // 以 = + - @ 等开头的文本会被表格软件当作公式执行，加上 ' 前缀按文本处理
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = logs.map(log => fields.map(field => cell(field === 'time' ? new Date(log.time).toISOString() : log[field])).join(','));
+  return [Object.values(USAGE_LOG_COLUMNS).join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * 用量统计接口 (仅 admin 账号)
+ * - GET /api/admin/usage?days=30: 返回 { days, from, to, truncated, totals, byDay, byUser, byModel, errors }
+ * - GET /api/admin/usage.csv?days=30: 导出时间范围内的全部日志；只读取了部分日志时带上 X-Usage-Truncated: 1
+ * days 按 UTC 自然日计算 (包含今天)，不超过日志保留天数
+ */
+async function handleAdminUsageRequest(request, env, url) {
+  if (request.method !== 'GET') {
+    return errorResponse(request, 405, 'METHOD_NOT_ALLOWED', 'methodNotAllowed');
+  }
+  const session = await getSession(request, env);
+  if (!session) {
+    return unauthorizedResponse(request);
+  }
+  if (session.role !== 'admin') {
+    return errorResponse(request, 403, 'FORBIDDEN', 'adminOnly');
+  }
+  const store = getUsageLogStore(env);
+  if (!store) {
+    return errorResponse(request, 404, 'USAGE_LOG_DISABLED', 'usageLogDisabled');
+  }
+
+  const days = Math.min(Math.max(parseInt(url.searchParams.get('days'), 10) || DEFAULT_USAGE_QUERY_DAYS, 1), getUsageRetentionDays(env));
+  const to = Date.now();
+  const from = Date.parse(utcDay(to)) - (days - 1) * DAY_MS;
+  const { logs, truncated } = await store.list(from, to);
+
+  if (url.pathname.endsWith('.csv')) {
+    return new Response(toUsageCsv(logs), {
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="gz-nano-usage-${utcDay(from)}-${utcDay(to)}.csv"`,
+        'Cache-Control': 'no-store',
+        ...(truncated ? { 'X-Usage-Truncated': '1' } : {})
+      }
+    });
+  }
+  return jsonResponse({ days, from, to, truncated, ...summarizeUsage(logs) });
+}
+
+/**
+ * 渲染用量统计页面 (/admin)
+ * 页面本身不校验权限，数据由页面脚本使用本地保存的登录令牌请求 /api/admin/usage
+ */
+function renderAdminPage(locale) {
+  const t = (key, params) => escapeHtml(translate(locale, key, params));
+  const head = (keys) => `<tr>${keys.map(key => `<th>${t(key)}</th>`).join('')}</tr>`;
+  const stats = ['adminRequests', 'adminImages', 'adminErrors', 'adminInputTokens', 'adminOutputTokens', 'adminCost'];
+  const table = (id, titleKey, columns) => `
+    <section>
+      <h2>${t(titleKey)}</h2>
+      <div class="scroll"><table><thead>${head(columns)}</thead><tbody id="${id}"></tbody></table></div>
+    </section>`;
+  // 页面脚本使用的文本，转义 < 避免提前结束 script 标签
+  const messages = JSON.stringify({
+    loading: translate(locale, 'adminLoading'),
+    empty: translate(locale, 'adminEmpty'),
+    exportFailed: translate(locale, 'adminExportFailed'),
+    truncated: translate(locale, 'adminTruncated')
+  }).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${t('adminPageTitle')} · Gz'nano</title>
+    <link rel="icon" type="image/svg+xml" href="/icon.svg">
+    <style>
+      body { margin: 0; font-family: system-ui, -apple-system, 'Noto Sans SC', sans-serif; background: #fafafa; color: #18181b; }
+      main { max-width: 1200px; margin: 0 auto; padding: 32px 16px; }
+      header { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; justify-content: space-between; margin-bottom: 24px; }
+      h1 { margin: 0; font-size: 20px; font-weight: 900; text-transform: uppercase; letter-spacing: -0.02em; }
+      h2 { margin: 0 0 12px; font-size: 12px; font-weight: 900; text-transform: uppercase; letter-spacing: 0.1em; }
+      .controls { display: flex; gap: 8px; align-items: center; }
+      select, button, .controls a { padding: 6px 12px; border: 2px solid #000; background: #fff; font: 700 12px system-ui, sans-serif; color: #000; text-decoration: none; cursor: pointer; }
+      button { background: #000; color: #fff; }
+      #status { min-height: 20px; margin: 0 0 16px; font-size: 13px; font-weight: 700; }
+      .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 12px; margin-bottom: 24px; }
+      .card { border: 2px solid #000; background: #fff; padding: 12px; }
+      .card span { display: block; font-size: 11px; font-weight: 700; color: #71717a; text-transform: uppercase; }
+      .card strong { display: block; margin-top: 4px; font: 900 22px/1.2 ui-monospace, monospace; }
+      section { margin-bottom: 24px; border: 2px solid #000; background: #fff; padding: 16px; }
+      .scroll { overflow-x: auto; }
+      table { width: 100%; border-collapse: collapse; font: 12px/1.5 ui-monospace, monospace; }
+      th { text-align: left; font: 700 11px system-ui, sans-serif; text-transform: uppercase; color: #71717a; border-bottom: 2px solid #000; padding: 6px 8px; white-space: nowrap; }
+      td { border-bottom: 1px solid #e4e4e7; padding: 6px 8px; white-space: nowrap; }
+      td.empty { color: #a1a1aa; text-align: center; }
+      .note { font-size: 11px; color: #71717a; }
+    </style>
+</head>
+<body>
+  <main>
+    <header>
+      <h1>${t('adminPageTitle')}</h1>
+      <div class="controls">
+        <select id="days">
+          ${[1, 7, 30, 90].map(days => `<option value="${days}"${days === DEFAULT_USAGE_QUERY_DAYS ? ' selected' : ''}>${t('adminLastDays', { days })}</option>`).join('')}
+        </select>
+        <button id="export" type="button">${t('adminExportCsv')}</button>
+        <a href="/">Gz'nano</a>
+      </div>
+    </header>
+    <p id="status"></p>
+    <div class="cards" id="totals"></div>
+    ${table('by-day', 'adminByDay', ['adminDay', ...stats])}
+    ${table('by-user', 'adminByUser', ['adminCaller', ...stats, 'adminLastActive'])}
+    ${table('by-model', 'adminByModel', ['adminModel', ...stats, 'adminAvgLatency'])}
+    ${table('errors', 'adminErrorBreakdown', ['adminErrorCode', 'adminRequests', 'adminShare', 'adminLastSeen'])}
+    <p class="note">${t('adminCostNote')}</p>
+  </main>
+  <script>
+    const MESSAGES = ${messages};
+    const TOTAL_LABELS = ${JSON.stringify(['adminRequests', 'adminImages', 'adminErrorRate', 'adminTokens', 'adminCost', 'adminAvgLatency'].map(key => translate(locale, key))).replace(/</g, '\\u003c')};
+    const $ = (id) => document.getElementById(id);
+    const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    const number = (n) => Number(n || 0).toLocaleString();
+    const money = (n) => '$' + Number(n || 0).toFixed(n >= 1 ? 2 : 4);
+    const time = (t) => new Date(t).toLocaleString();
+    const stats = (row) => [number(row.requests), number(row.images), number(row.errors), number(row.inputTokens), number(row.outputTokens), money(row.cost)];
+
+    // 与主页面共用本地保存的登录令牌 (gz_session)
+    const requestHeaders = () => {
+      const headers = { 'Accept-Language': document.documentElement.lang };
+      try {
+        const session = JSON.parse(localStorage.getItem('gz_session'));
+        if (session && session.expiresAt > Date.now()) headers.Authorization = 'Bearer ' + session.token;
+      } catch (e) {}
+      return headers;
+    };
+
+    const fill = (id, rows, cells) => {
+      $(id).innerHTML = rows.length > 0
+        ? rows.map((row) => '<tr>' + cells(row).map((cell) => '<td>' + escapeHtml(cell) + '</td>').join('') + '</tr>').join('')
+        : '<tr><td colspan="9" class="empty">' + escapeHtml(MESSAGES.empty) + '</td></tr>';
+    };
+
+    const load = async () => {
+      $('status').textContent = MESSAGES.loading;
+      try {
+        const response = await fetch('/api/admin/usage?days=' + $('days').value, { headers: requestHeaders() });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        const totals = data.totals || { requests: 0, images: 0, errors: 0, inputTokens: 0, outputTokens: 0, cost: 0, avgLatencyMs: 0 };
+        const values = [
+          number(totals.requests),
+          number(totals.images),
+          (totals.requests ? (totals.errors / totals.requests * 100).toFixed(1) : '0.0') + '%',
+          number(totals.inputTokens + totals.outputTokens),
+          money(totals.cost),
+          number(totals.avgLatencyMs) + ' ms'
+        ];
+        $('totals').innerHTML = values.map((value, i) => '<div class="card"><span>' + escapeHtml(TOTAL_LABELS[i]) + '</span><strong>' + escapeHtml(value) + '</strong></div>').join('');
+        fill('by-day', data.byDay, (row) => [row.key].concat(stats(row)));
+        fill('by-user', data.byUser, (row) => [row.key].concat(stats(row), [time(row.lastTime)]));
+        fill('by-model', data.byModel, (row) => [row.key].concat(stats(row), [number(row.avgLatencyMs) + ' ms']));
+        fill('errors', data.errors, (row) => [row.key, number(row.requests), (row.requests / totals.requests * 100).toFixed(1) + '%', time(row.lastTime)]);
+        $('status').textContent = data.truncated ? MESSAGES.truncated : '';
+      } catch (error) {
+        $('status').textContent = error.message;
+      }
+    };
+
+    // CSV 需要携带登录令牌，先下载为 Blob 再保存
+    const exportCsv = async () => {
+      try {
+        const response = await fetch('/api/admin/usage.csv?days=' + $('days').value, { headers: requestHeaders() });
+        if (!response.ok) throw new Error((await response.json()).error);
+        const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = match ? match[1] : 'usage.csv';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        if (response.headers.get('X-Usage-Truncated')) $('status').textContent = MESSAGES.truncated;
+      } catch (error) {
+        $('status').textContent = MESSAGES.exportFailed + ': ' + error.message;
+      }
+    };
+
+    $('days').addEventListener('change', load);
+    $('export').addEventListener('click', exportCsv);
+    load();
+  </script>
+</body>
+</html>`;
+}
+
+// --- 画廊云同步 ---
+const GALLERY_PREFIX = 'gallery/';
+// 删除记录 (墓碑)，同步时客户端据此删除本地副本，而不是把服务端缺少的作品都当作已删除
+const GALLERY_DELETED_PREFIX = 'gallery-deleted/';
+const GALLERY_DELETED_TTL_SECONDS = 90 * 24 * 60 * 60;
+// 列表元数据中提示词的最大长度 (R2 customMetadata / KV metadata 有大小限制)
+const GALLERY_META_PROMPT_LENGTH = 300;
+// 单条记录 (JSON，包含原图与参考图的 data URL) 的大小上限，KV 单个值不能超过 25 MiB
+const MAX_GALLERY_ITEM_BYTES = 24 * 1024 * 1024;
+
+/**
+ * 获取画廊存储，优先使用 R2，其次 KV；均未绑定时返回 null (仅本地模式)
+ *
+ * 每个账号的作品保存在各自的前缀下 (gallery/<账号>/<id>)，互相不可见；
+ * 删除作品时在 gallery-deleted/<账号>/<id> 留下墓碑，保留 90 天。
+ * 每条记录以 JSON 形式保存 (包含图片 data URL)，列表所需的摘要信息
+ * 存放在 R2 customMetadata / KV metadata 中，避免列表时逐条读取。
+ */
+function getGalleryStore(env, owner) {
+  const prefix = `${GALLERY_PREFIX}${encodeURIComponent(owner)}/`;
+  const deletedPrefix = `${GALLERY_DELETED_PREFIX}${encodeURIComponent(owner)}/`;
+  const toMeta = (item) => ({
+    prompt: (item.prompt || '').slice(0, GALLERY_META_PROMPT_LENGTH),
+    model: item.model || '',
+    timestamp: item.timestamp || 0,
+    // 标签、收藏等修改后递增，用于多设备同步时判断哪一端更新
+    updatedAt: item.updatedAt || 0
+  });
+
+  if (env.GALLERY_BUCKET) {
+    const bucket = env.GALLERY_BUCKET;
+    return {
+      list: async () => {
+        const items = [];
+        let cursor;
+        do {
+          const page = await bucket.list({ prefix, cursor, include: ['customMetadata'] });
+          for (const obj of page.objects) {
+            const meta = obj.customMetadata || {};
+            items.push({
+              id: obj.key.slice(prefix.length),
+              prompt: meta.prompt || '',
+              model: meta.model || '',
+              timestamp: Number(meta.timestamp) || 0,
+              updatedAt: Number(meta.updatedAt) || 0
+            });
+          }
+          cursor = page.truncated ? page.cursor : undefined;
+        } while (cursor);
+        return items;
+      },
+      get: async (id) => {
+        const obj = await bucket.get(prefix + id);
+        return obj ? await obj.json() : null;
+      },
+      // R2 没有自动过期，列出时顺带清理超过保留期的墓碑
+      listDeleted: async () => {
+        const ids = [];
+        const expired = [];
+        let cursor;
+        do {
+          const page = await bucket.list({ prefix: deletedPrefix, cursor });
+          for (const obj of page.objects) {
+            if (obj.uploaded.getTime() + GALLERY_DELETED_TTL_SECONDS * 1000 < Date.now()) {
+              expired.push(obj.key);
+            } else {
+              ids.push(obj.key.slice(deletedPrefix.length));
+            }
+          }
+          cursor = page.truncated ? page.cursor : undefined;
+        } while (cursor);
+        if (expired.length > 0) {
+          await bucket.delete(expired);
+        }
+        return ids;
+      },
+      put: async (item) => {
+        const meta = toMeta(item);
+        await bucket.put(prefix + item.id, JSON.stringify(item), {
+          httpMetadata: { contentType: 'application/json' },
+          customMetadata: { ...meta, timestamp: String(meta.timestamp), updatedAt: String(meta.updatedAt) }
+        });
+        await bucket.delete(deletedPrefix + item.id);
+      },
+      delete: async (id) => {
+        await bucket.put(deletedPrefix + id, '');
+        await bucket.delete(prefix + id);
+      }
+    };
+  }
+
+  if (env.GALLERY_KV) {
+    const kv = env.GALLERY_KV;
+    return {
+      list: async () => {
+        const items = [];
+        let cursor;
+        do {
+          const page = await kv.list({ prefix, cursor });
+          for (const key of page.keys) {
+            items.push({ id: key.name.slice(prefix.length), ...(key.metadata || {}) });
+          }
+          cursor = page.list_complete ? undefined : page.cursor;
+        } while (cursor);
+        return items;
+      },
+      listDeleted: async () => {
+        const ids = [];
+        let cursor;
+        do {
+          const page = await kv.list({ prefix: deletedPrefix, cursor });
+          ids.push(...page.keys.map(key => key.name.slice(deletedPrefix.length)));
+          cursor = page.list_complete ? undefined : page.cursor;
+        } while (cursor);
+        return ids;
+      },
+      get: async (id) => await kv.get(prefix + id, 'json'),
+      put: async (item) => {
+        await kv.put(prefix + item.id, JSON.stringify(item), { metadata: toMeta(item) });
+        await kv.delete(deletedPrefix + item.id);
+      },
+      delete: async (id) => {
+        await kv.put(deletedPrefix + id, '', { expirationTtl: GALLERY_DELETED_TTL_SECONDS });
+        await kv.delete(prefix + id);
+      }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 处理画廊接口，只能访问当前账号的作品
+ *   GET    /api/gallery      列出所有作品摘要与已删除作品的 id (deleted)，未绑定存储或未开启登录时返回 enabled: false
+ *   GET    /api/gallery/:id  获取单个作品 (包含图片数据)
+ *   PUT    /api/gallery/:id  上传 / 覆盖单个作品
+ *   DELETE /api/gallery/:id  删除单个作品
+ */
+async function handleGalleryRequest(request, env, url) {
+  if (!env.GALLERY_BUCKET && !env.GALLERY_KV) {
+    if (url.pathname === '/api/gallery') {
+      return jsonResponse({ enabled: false, items: [], deleted: [] });
+    }
+    return errorResponse(request, 404, 'GALLERY_DISABLED', 'galleryDisabled');
+  }
+
+  const session = await getSession(request, env);
+  if (!session) {
+    return unauthorizedResponse(request);
+  }
+  // 未开启登录时无法区分用户，不提供云同步，避免画廊被任何人读取或改写
+  if (session.anonymous) {
+    if (url.pathname === '/api/gallery') {
+      return jsonResponse({ enabled: false, items: [], deleted: [] });
+    }
+    return errorResponse(request, 403, 'FORBIDDEN', 'galleryLoginRequired');
+  }
+  const store = getGalleryStore(env, session.name);
+
+  try {
+    if (url.pathname === '/api/gallery') {
+      if (request.method !== 'GET') {
+        return errorResponse(request, 405, 'METHOD_NOT_ALLOWED', 'methodNotAllowed');
+      }
+      const [items, deleted] = await Promise.all([store.list(), store.listDeleted()]);
+      items.sort((a, b) => b.timestamp - a.timestamp);
+      return jsonResponse({ enabled: true, items, deleted });
+    }
+
+    let id;
+    try {
+      id = decodeURIComponent(url.pathname.slice('/api/gallery/'.length));
+    } catch {
+      id = null;
+    }
+    if (!id || id.includes('/')) {
+      return errorResponse(request, 400, 'INVALID_ID', 'invalidItemId');
+    }
+
+    switch (request.method) {
+      case 'GET': {
+        const item = await store.get(id);
+        if (!item) {
+          return errorResponse(request, 404, 'NOT_FOUND', 'itemNotFound');
+        }
+        return jsonResponse(item);
+      }
+      case 'PUT': {
+        // 除图片和基础字段外，其余字段 (例如对话编辑记录 thread) 原样保存
+        const tooLarge = () => errorResponse(request, 413, 'PAYLOAD_TOO_LARGE', 'requestTooLarge', { limit: formatMegabytes(MAX_GALLERY_ITEM_BYTES) });
+        if (Number(request.headers.get('Content-Length')) > MAX_GALLERY_ITEM_BYTES) {
+          return tooLarge();
+        }
+        const body = await request.arrayBuffer();
+        if (body.byteLength > MAX_GALLERY_ITEM_BYTES) {
+          return tooLarge();
+        }
+        let item;
+        try {
+          item = JSON.parse(new TextDecoder().decode(body));
+        } catch {
+          return validationErrorResponse(request, invalid('INVALID_JSON', 'invalidJson'));
+        }
+        if (!isPlainObject(item)) {
+          return validationErrorResponse(request, invalid('INVALID_JSON', 'bodyNotObject'));
+        }
+        if (typeof item.url !== 'string' || !item.url.startsWith('data:image/')) {
+          return errorResponse(request, 400, 'INVALID_IMAGE', 'missingImage', {}, { field: 'url' });
+        }
+        // 分享的撤销凭证不保存到服务端 (旧版本前端会一并上传)
+        const share = isPlainObject(item.share) ? { ...item.share, token: undefined } : item.share;
+        await store.put({
+          ...item,
+          id,
+          prompt: item.prompt || '',
+          model: item.model || '',
+          timestamp: Number(item.timestamp) || Date.now(),
+          share
+        });
+        return jsonResponse({ ok: true });
+      }
+      case 'DELETE':
+        await store.delete(id);
+        return jsonResponse({ ok: true });
+      default:
+        return errorResponse(request, 405, 'METHOD_NOT_ALLOWED', 'methodNotAllowed');
+    }
+  } catch (error) {
+    return errorResponse(request, 500, 'INTERNAL_ERROR', 'storageError', { message: error.message });
+  }
+}
+
+// --- 分享链接 ---
+// 分享的图片与信息保存在画廊存储中 (shares/ 前缀)，任何人都可以通过 /s/:id 查看 (只读页面，带 Open Graph 标签)
+const SHARE_PREFIX = 'shares/';
+// 可选的有效期 (秒)，null 为永久有效
+const SHARE_EXPIRY_OPTIONS = [24 * 60 * 60, 7 * 24 * 60 * 60, 30 * 24 * 60 * 60, null];
+const DEFAULT_SHARE_EXPIRY = 7 * 24 * 60 * 60;
+const MAX_SHARE_IMAGE_BYTES = 20 * 1024 * 1024;
+const SHARE_ID_LENGTH = 12;
+const SHARE_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+
+/**
+ * 获取分享存储，与画廊共用 R2 / KV 绑定；均未绑定时返回 null
+ * 分享记录: { id, owner, token, prompt (隐藏时为 null), model, mimeType, createdAt, expiresAt (永久为 null) }
+ * 图片单独保存，便于直接以图片响应返回
+ */
+function getShareStore(env) {
+  const recordKey = (id) => `${SHARE_PREFIX}${id}`;
+  const imageKey = (id) => `${SHARE_PREFIX}${id}/image`;
+  const isExpired = (share) => share.expiresAt !== null && share.expiresAt < Date.now();
+
+  if (env.GALLERY_BUCKET) {
+    const bucket = env.GALLERY_BUCKET;
+    const remove = (id) => bucket.delete([recordKey(id), imageKey(id)]);
+    return {
+      // R2 没有自动过期，读取到过期的分享时删除
+      get: async (id) => {
+        const obj = await bucket.get(recordKey(id));
+        if (!obj) return null;
+        const share = await obj.json();
+        if (isExpired(share)) {
+          await remove(id);
+          return null;
+        }
+        return share;
+      },
+      getImage: async (id) => {
+        const obj = await bucket.get(imageKey(id));
+        return obj ? obj.body : null;
+      },
+      put: async (share, bytes) => {
+        await bucket.put(imageKey(share.id), bytes, { httpMetadata: { contentType: share.mimeType } });
+        await bucket.put(recordKey(share.id), JSON.stringify(share), { httpMetadata: { contentType: 'application/json' } });
+      },
+      delete: remove
+    };
+  }
+
+  if (env.GALLERY_KV) {
+    const kv = env.GALLERY_KV;
+    return {
+      get: async (id) => {
+        const share = await kv.get(recordKey(id), 'json');
+        return share && !isExpired(share) ? share : null;
+      },
+      getImage: (id) => kv.get(imageKey(id), 'arrayBuffer'),
+      put: async (share, bytes) => {
+        // 有有效期的分享由 KV 自动过期
+        const options = share.expiresAt ? { expiration: Math.floor(share.expiresAt / 1000) } : {};
+        await kv.put(imageKey(share.id), bytes, options);
+        await kv.put(recordKey(share.id), JSON.stringify(share), options);
+      },
+      delete: (id) => Promise.all([kv.delete(recordKey(id)), kv.delete(imageKey(id))])
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 是否可以创建分享: 需要绑定存储；未开启登录时任何人都能借此公开托管图片，需设置 ALLOW_ANONYMOUS_SHARES=true 才允许
+ */
+function canCreateShares(env) {
+  return Boolean(getShareStore(env))
+    && (isAuthRequired(env) || ['1', 'true'].includes(String(env.ALLOW_ANONYMOUS_SHARES || '').toLowerCase()));
+}
+
+function createShareId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(SHARE_ID_LENGTH));
+  return Array.from(bytes, b => SHARE_ID_ALPHABET[b % SHARE_ID_ALPHABET.length]).join('');
+}
+
+/**
+ * 新建分享记录 (图片另行保存)，expiresIn 为秒数或 null (永久)
+ */
+function createShareRecord({ owner, prompt, model, mimeType, expiresIn }) {
+  const now = Date.now();
+  return {
+    id: createShareId(),
+    owner,
+    token: crypto.randomUUID(),
+    prompt,
+    model: model.slice(0, 100),
+    mimeType,
+    createdAt: now,
+    expiresAt: expiresIn === null ? null : now + expiresIn * 1000
+  };
+}
+
+/**
+ * 处理分享接口
+ *   POST   /api/shares      创建分享: { image: { mimeType, data }, prompt, model, hidePrompt?, expiresIn?: 秒数或 null (永久) }
+ *                           返回 { id, url, token, expiresAt }，token 用于撤销
+ *   DELETE /api/shares/:id  撤销分享，需提供 X-Share-Token (或为分享者本人 / 管理员)
+ */
+async function handleSharesRequest(request, env, url) {
+  const store = getShareStore(env);
+  if (!store) {
+    return errorResponse(request, 404, 'SHARES_DISABLED', 'sharesDisabled');
+  }
+
+  const session = await getSession(request, env);
+  if (!session) {
+    return unauthorizedResponse(request);
+  }
+
+  if (request.method === 'POST' && url.pathname === '/api/shares') {
+    if (!canCreateShares(env)) {
+      return errorResponse(request, 403, 'SHARES_DISABLED', 'anonymousSharesDisabled');
+    }
+    if (Number(request.headers.get('Content-Length')) > MAX_REQUEST_BYTES) {
+      return validationErrorResponse(request, invalid('PAYLOAD_TOO_LARGE', 'requestTooLarge', { limit: formatMegabytes(MAX_REQUEST_BYTES) }));
+    }
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return validationErrorResponse(request, invalid('INVALID_JSON', 'invalidJson'));
+    }
+    const { image, prompt = '', model = '', hidePrompt = false, expiresIn = DEFAULT_SHARE_EXPIRY } = isPlainObject(body) ? body : {};
+
+    if (!isPlainObject(image) || typeof image.data !== 'string' || !BASE64_PATTERN.test(image.data)) {
+      return validationErrorResponse(request, invalid('INVALID_IMAGE', 'invalidBase64', {}, 'image'));
+    }
+    if (!ALLOWED_IMAGE_TYPES.includes(image.mimeType)) {
+      return validationErrorResponse(request, invalid('UNSUPPORTED_MIME_TYPE', 'unsupportedMimeType', { mimeType: image.mimeType, options: ALLOWED_IMAGE_TYPES.join(' / ') }, 'image'));
+    }
+    const bytes = base64ToBytes(image.data);
+    if (bytes.length > MAX_SHARE_IMAGE_BYTES) {
+      return validationErrorResponse(request, invalid('IMAGE_TOO_LARGE', 'shareImageTooLarge', { limit: formatMegabytes(MAX_SHARE_IMAGE_BYTES) }, 'image'));
+    }
+    if (typeof prompt !== 'string' || prompt.length > MAX_PROMPT_LENGTH || typeof model !== 'string') {
+      return validationErrorResponse(request, invalid('INVALID_PARAMETER', 'shareFieldsInvalid', {}, 'prompt'));
+    }
+    if (!SHARE_EXPIRY_OPTIONS.includes(expiresIn)) {
+      return validationErrorResponse(request, invalid('INVALID_PARAMETER', 'shareExpiryInvalid', {}, 'expiresIn'));
+    }
+
+    const share = createShareRecord({
+      owner: session.anonymous ? null : session.name,
+      prompt: hidePrompt ? null : prompt,
+      model,
+      mimeType: image.mimeType,
+      expiresIn
+    });
+    await store.put(share, bytes);
+
+    return jsonResponse({
+      id: share.id,
+      url: `${url.origin}/s/${share.id}`,
+      token: share.token,
+      expiresAt: share.expiresAt
+    }, 201);
+  }
+
+  const id = url.pathname.slice('/api/shares/'.length);
+  if (request.method !== 'DELETE' || !id || id.includes('/')) {
+    return errorResponse(request, 404, 'NOT_FOUND', 'notFound');
+  }
+
+  const share = await store.get(id);
+  if (!share) {
+    return errorResponse(request, 404, 'NOT_FOUND', 'shareNotFound');
+  }
+  const token = request.headers.get('X-Share-Token') || '';
+  const allowed = (token && await timingSafeEqual(token, share.token))
+    || (share.owner && share.owner === session.name)
+    || session.role === 'admin';
+  if (!allowed) {
+    return errorResponse(request, 403, 'FORBIDDEN', 'shareForbidden');
+  }
+  await store.delete(id);
+  return jsonResponse({ ok: true });
+}
+
+/**
+ * 公开的分享页面
+ *   GET /s/:id        只读页面 (带 Open Graph / Twitter Card 标签，便于在聊天工具中预览)
+ *   GET /s/:id/image  分享的图片
+ * 分享不存在、已过期或已撤销时返回 404
+ */
+async function handleSharePageRequest(request, env, url) {
+  const [id, suffix] = url.pathname.slice('/s/'.length).split('/');
+  const store = getShareStore(env);
+  const share = store && id && (suffix === undefined || suffix === 'image') ? await store.get(id) : null;
+
+  if (share && suffix === 'image') {
+    const body = await store.getImage(id);
+    if (body) {
+      // 缓存时间较短，撤销后很快失效
+      return new Response(body, {
+        headers: { 'Content-Type': share.mimeType, 'Cache-Control': 'public, max-age=300', 'X-Robots-Tag': 'noindex' }
+      });
+    }
+  }
+
+  return new Response(renderSharePage(share && suffix === undefined ? share : null, url, resolveLocale(request)), {
+    status: share && suffix === undefined ? 200 : 404,
+    headers: { 'Content-Type': 'text/html;charset=UTF-8', 'Cache-Control': 'no-cache', 'Vary': 'Accept-Language', 'X-Robots-Tag': 'noindex' }
+  });
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * 渲染分享页面，share 为 null 时渲染 "链接已失效" 页面
+ */
+function renderSharePage(share, url, locale) {
+  const t = (key, params) => translate(locale, key, params);
+  const pageUrl = `${url.origin}/s/${share ? share.id : ''}`;
+  const imageUrl = share ? `${pageUrl}/image` : '';
+  const title = share && share.prompt
+    ? (share.prompt.length > 60 ? `${share.prompt.slice(0, 60)}…` : share.prompt)
+    : t('sharePageTitle');
+  const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+  const meta = share ? `
+    <meta property="og:type" content="website">
+    <meta property="og:site_name" content="Gz'nano">
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${escapeHtml(share.prompt || t('sharePageGeneratedBy', { model: share.model || 'Gemini' }))}">
+    <meta property="og:url" content="${escapeHtml(pageUrl)}">
+    <meta property="og:image" content="${escapeHtml(imageUrl)}">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:image" content="${escapeHtml(imageUrl)}">` : '';
+
+  const content = share ? `
+    <img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(share.prompt || title)}">
+    <section>
+      ${share.prompt ? `<p class="prompt">${escapeHtml(share.prompt)}</p>` : ''}
+      <p class="meta">${escapeHtml([share.model, formatDate(share.createdAt), share.expiresAt ? t('sharePageValidUntil', { date: formatDate(share.expiresAt) }) : ''].filter(Boolean).join(' · '))}</p>
+      <p class="actions"><a href="${escapeHtml(imageUrl)}" download>${escapeHtml(t('sharePageDownload'))}</a><a href="/">${escapeHtml(t('sharePageCreate'))}</a></p>
+    </section>` : `
+    <section>
+      <p class="prompt">${escapeHtml(t('sharePageUnavailable'))}</p>
+      <p class="actions"><a href="/">${escapeHtml(t('sharePageOpenApp'))}</a></p>
+    </section>`;
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>${meta}
+    <link rel="icon" type="image/svg+xml" href="/icon.svg">
+    <style>
+      body { margin: 0; font-family: system-ui, -apple-system, 'Noto Sans SC', sans-serif; background: #fafafa; color: #18181b; }
+      main { max-width: 960px; margin: 0 auto; padding: 32px 16px; }
+      img { display: block; max-width: 100%; max-height: 80vh; margin: 0 auto; border: 2px solid #000; }
+      section { margin-top: 24px; border: 2px solid #000; background: #fff; padding: 16px; }
+      .prompt { margin: 0 0 8px; font-size: 14px; line-height: 1.6; white-space: pre-wrap; word-break: break-word; }
+      .meta { margin: 0 0 16px; font: 700 11px/1.4 ui-monospace, monospace; color: #71717a; }
+      .actions { margin: 0; display: flex; gap: 8px; flex-wrap: wrap; }
+      .actions a { padding: 8px 16px; border: 2px solid #000; font-size: 12px; font-weight: 700; color: #000; text-decoration: none; }
+      .actions a:first-child { background: #000; color: #fff; }
+    </style>
+</head>
+<body>
+  <main>${content}
+  </main>
+</body>
+</html>`;
+}
+
+// --- OpenAI 兼容接口 ---
+// 将 OpenAI Images API 的请求映射到模型注册表: model 为已注册的模型 ID 时使用该模型，其余 (例如 dall-e-3) 使用第一个非 Pro 模型
+const OPENAI_MAX_N = 4;
+// response_format 为 url 时图片保存为分享 (隐藏提示词)，返回的地址在此时间 (秒) 后失效
+const OPENAI_URL_EXPIRY = 24 * 60 * 60;
+
+const OPENAI_CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+  'Access-Control-Max-Age': '86400'
+};
+
+// OpenAI 的 mask 以透明像素标记修改区域，与局部重绘的黑白蒙版不同
+const OPENAI_MASK_INSTRUCTION = 'The image above is the source image. The next image is an edit mask with the same dimensions: '
+  + 'fully transparent pixels mark the region to modify and opaque pixels must remain unchanged. '
+  + 'Apply the following instruction only inside the transparent region, keep everything else identical to the source, '
+  + 'and return the full edited image.';
+
+/**
+ * 返回 OpenAI 格式的错误: { error: { message, type, param, code } }
+ */
+function openAIError(status, message, type, code = null, param = null, headers = {}) {
+  return jsonResponse({ error: { message, type, param, code } }, status, { ...OPENAI_CORS_HEADERS, ...headers });
+}
+
+/**
+ * 将 OpenAI 的 size (例如 1024x1024、1792x1024) 转换为 aspectRatio 与 imageSize
+ * auto 或未设置时返回空对象 (由模型决定，改图时通常沿用原图比例)；格式错误时返回 null
+ */
+function parseOpenAISize(size) {
+  if (!size || size === 'auto') {
+    return {};
+  }
+  const match = /^(\d+)x(\d+)$/.exec(String(size));
+  if (!match) {
+    return null;
+  }
+  const width = Number(match[1]);
+  const height = Number(match[2]);
+  if (!width || !height) {
+    return null;
+  }
+  const target = Math.log(width / height);
+  const distance = (ratio) => {
+    const [w, h] = ratio.split(':').map(Number);
+    return Math.abs(Math.log(w / h) - target);
+  };
+  const aspectRatio = GEMINI_ASPECT_RATIOS.reduce((best, ratio) => distance(ratio) < distance(best) ? ratio : best);
+  const longest = Math.max(width, height);
+  const imageSize = longest > 2048 ? '4K' : longest > 1024 ? '2K' : '1K';
+  return { aspectRatio, imageSize };
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// 文件扩展名对应的图片类型 (表单字段缺少 Content-Type 时使用)
+const IMAGE_EXTENSION_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  heic: 'image/heic',
+  heif: 'image/heif'
+};
+
+/**
+ * 根据文件头识别图片类型，无法识别时返回 null
+ * PNG / JPEG / WebP 使用固定签名，HEIC / HEIF 读取 ftyp box 中的品牌
+ */
+function sniffImageType(bytes) {
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+  if (bytes.length >= 8 && bytes[0] === 0x89 && ascii(1, 4) === 'PNG') {
+    return 'image/png';
+  }
+  if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) {
+    return 'image/jpeg';
+  }
+  if (bytes.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (bytes.length >= 12 && ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (['heic', 'heix', 'hevc', 'hevx'].includes(brand)) return 'image/heic';
+    if (['mif1', 'msf1', 'heif'].includes(brand)) return 'image/heif';
+  }
+  return null;
+}
+
+/**
+ * 表单中的图片转为 inlineData
+ * 客户端声明的类型不是支持的图片格式时 (例如未设置 Content-Type 的字段为 application/octet-stream)，
+ * 依次根据文件头与文件名判断，都无法判断时保留原类型，由后续校验拒绝
+ */
+async function fileToInlineData(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let mimeType = file.type;
+  if (!ALLOWED_IMAGE_TYPES.includes(mimeType)) {
+    const extension = (file.name || '').split('.').pop().toLowerCase();
+    mimeType = sniffImageType(bytes) || IMAGE_EXTENSION_TYPES[extension] || mimeType || 'application/octet-stream';
+  }
+  return { mimeType, data: bytesToBase64(bytes) };
+}
+
+/**
+ * 读取 /v1/images/edits 的 multipart 表单，图片字段可以是 image 或 image[] (可多张)
+ */
+async function readOpenAIEditForm(request) {
+  const form = await request.formData();
+  const files = [...form.getAll('image'), ...form.getAll('image[]')].filter(file => typeof file !== 'string');
+  const mask = form.get('mask');
+  return {
+    prompt: form.get('prompt'),
+    model: form.get('model'),
+    n: form.has('n') ? Number(form.get('n')) : undefined,
+    size: form.get('size') || undefined,
+    response_format: form.get('response_format') || undefined,
+    images: await Promise.all(files.map(fileToInlineData)),
+    mask: mask && typeof mask !== 'string' ? await fileToInlineData(mask) : null
+  };
+}
+
+/**
+ * OpenAI Images API 兼容接口
+ *   POST /v1/images/generations  JSON: { prompt, model?, n?, size?, response_format? }
+ *   POST /v1/images/edits        multipart: image / image[], mask?, prompt, model?, n?, size?, response_format?
+ * response_format 为 url 时返回 /s/:id/image 地址 (需要绑定画廊存储)，b64_json 时服务端不保存图片
+ */
+async function handleOpenAIImagesRequest(request, env, url) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: OPENAI_CORS_HEADERS });
+  }
+  const locale = resolveLocale(request);
+  const t = (key, params) => translate(locale, key, params);
+
+  const isEdit = url.pathname === '/v1/images/edits';
+  if (!isEdit && url.pathname !== '/v1/images/generations') {
+    return openAIError(404, t('unknownEndpoint', { path: url.pathname }), 'invalid_request_error', 'not_found');
+  }
+  if (request.method !== 'POST') {
+    return openAIError(405, t('methodNotAllowed'), 'invalid_request_error', 'method_not_allowed');
+  }
+  const models = getImageModels(env);
+  if (models.length === 0) {
+    return openAIError(500, t('backendNotConfigured'), 'server_error');
+  }
+
+  const session = await getSession(request, env);
+  if (!session) {
+    return openAIError(401, t('unauthorized'), 'invalid_request_error', 'invalid_api_key');
+  }
+
+  if (Number(request.headers.get('Content-Length')) > MAX_REQUEST_BYTES) {
+    return openAIError(413, t('requestTooLarge', { limit: formatMegabytes(MAX_REQUEST_BYTES) }), 'invalid_request_error', 'payload_too_large');
+  }
+  let params;
+  try {
+    params = isEdit ? await readOpenAIEditForm(request) : await request.json();
+  } catch (error) {
+    return openAIError(400, t('unreadableRequest', { message: error.message }), 'invalid_request_error');
+  }
+  if (!isPlainObject(params)) {
+    return openAIError(400, t('bodyNotObject'), 'invalid_request_error');
+  }
+
+  const { prompt, n = 1, size, response_format: responseFormat = 'url' } = params;
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return openAIError(400, t('openaiPromptRequired'), 'invalid_request_error', 'missing_required_parameter', 'prompt');
+  }
+  if (!Number.isInteger(n) || n < 1 || n > OPENAI_MAX_N) {
+    return openAIError(400, t('openaiInvalidN', { max: OPENAI_MAX_N }), 'invalid_request_error', 'invalid_value', 'n');
+  }
+  if (responseFormat !== 'url' && responseFormat !== 'b64_json') {
+    return openAIError(400, t('openaiInvalidResponseFormat'), 'invalid_request_error', 'invalid_value', 'response_format');
+  }
+  const shareStore = responseFormat === 'url' ? getShareStore(env) : null;
+  if (responseFormat === 'url' && !canCreateShares(env)) {
+    return openAIError(400, t('openaiUrlUnavailable'), 'invalid_request_error', 'unsupported_value', 'response_format');
+  }
+  const imageConfig = parseOpenAISize(size);
+  if (!imageConfig) {
+    return openAIError(400, t('openaiInvalidSize'), 'invalid_request_error', 'invalid_value', 'size');
+  }
+  if (isEdit && params.images.length === 0) {
+    return openAIError(400, t('openaiImageRequired'), 'invalid_request_error', 'missing_required_parameter', 'image');
+  }
+
+  const entry = models.find(m => m.id === params.model) || models.find(m => !m.pro) || models[0];
+  const isPro = entry.pro;
+  if (isPro && session.role === 'flash') {
+    return openAIError(403, t('modelForbidden', { model: entry.label }), 'invalid_request_error', 'model_not_permitted', 'model');
+  }
+  if (params.mask && !entry.features.mask) {
+    return openAIError(400, t('maskUnsupported', { model: entry.label }), 'invalid_request_error', 'invalid_value', 'mask');
+  }
+
+  const generation = {
+    prompt,
+    images: params.images || [],
+    mask: params.mask || null,
+    maskInstruction: OPENAI_MASK_INSTRUCTION,
+    aspectRatio: imageConfig.aspectRatio,
+    imageSize: entry.imageSizes.includes(imageConfig.imageSize) ? imageConfig.imageSize : null,
+    history: []
+  };
+  const invalidImage = validateGenerationImages(generation);
+  if (invalidImage) {
+    return openAIError(invalidImage.status, t(invalidImage.key, invalidImage.params), 'invalid_request_error', invalidImage.code.toLowerCase(), invalidImage.field);
+  }
+
+  const callerId = getCallerId(request, session);
+  const { reservation, response: limited } = await reserveQuota(request, env, callerId, isPro, n);
+  if (limited) {
+    const data = await limited.json();
+    return limited.status === 429
+      ? openAIError(429, data.error, 'rate_limit_error', 'rate_limit_exceeded', null, { 'Retry-After': limited.headers.get('Retry-After') })
+      : openAIError(limited.status, data.error, 'server_error', data.code.toLowerCase());
+  }
+
+  // 每次请求通常只返回一张图片，n > 1 时并发请求
+  const startedAt = Date.now();
+  const settled = await Promise.allSettled(Array.from({ length: n }, () => generateImages(env, entry, generation)));
+  const images = settled
+    .filter(result => result.status === 'fulfilled')
+    .flatMap(result => result.value.results)
+    .slice(0, n)
+    .map(result => result.inlineData);
+  const usage = sumUsage(settled.map(result => (result.status === 'fulfilled' ? result.value.usage : result.reason.usage)));
+  await Promise.allSettled([
+    settleQuota(env, reservation, images.length),
+    recordUsageLog(env, {
+      caller: callerId, source: 'openai', entry, generation, startedAt, images: images.length, usage,
+      error: images.length === 0 ? settled[0].reason : null
+    })
+  ]);
+
+  if (images.length === 0) {
+    const error = toUpstreamError(settled[0].reason);
+    return error.code === 'SAFETY_BLOCKED'
+      ? openAIError(400, localizeError(locale, error), 'invalid_request_error', 'content_policy_violation')
+      : openAIError(UPSTREAM_ERROR_STATUS[error.code], localizeError(locale, error), 'server_error', error.code.toLowerCase());
+  }
+
+  let data;
+  if (responseFormat === 'b64_json') {
+    data = images.map(inlineData => ({ b64_json: inlineData.data }));
+  } else {
+    try {
+      data = await Promise.all(images.map(async inlineData => {
+        const share = createShareRecord({
+          owner: session.anonymous ? null : session.name,
+          prompt: null,
+          model: entry.label,
+          mimeType: inlineData.mimeType,
+          expiresIn: OPENAI_URL_EXPIRY
+        });
+        await shareStore.put(share, base64ToBytes(inlineData.data));
+        return { url: `${url.origin}/s/${share.id}/image` };
+      }));
+    } catch (error) {
+      console.error('保存 OpenAI 接口生成的图片失败', error);
+      return openAIError(500, t('openaiUrlStoreFailed', { message: error.message }), 'server_error');
+    }
+  }
+
+  return jsonResponse({ created: Math.floor(Date.now() / 1000), data }, 200, OPENAI_CORS_HEADERS);
+}
+
+// --- 前端静态资源与离线支持 ---
+// 页面只访问同源地址，第三方脚本 (VENDOR_SCRIPTS) 与前端代码一起打包在 Worker 中，不依赖公共 CDN
+const VENDOR_CACHE_CONTROL = 'public, max-age=86400';
+
+// Service Worker 安装时预缓存的资源，离线时页面可以直接打开 (另外还会缓存当前版本的 /assets/app.js 与 /assets/app.css)
+const SHELL_ASSETS = [
+  '/',
+  '/assets/vendor/react.js',
+  '/assets/vendor/react-dom.js',
+  '/manifest.webmanifest',
+  '/icon.svg'
+];
+
+// 前端代码与样式: 路径 -> [内容, Content-Type]
+const APP_ASSETS = {
+  '/assets/app.js': () => [APP_SOURCE, 'application/javascript; charset=utf-8'],
+  '/assets/app.css': () => [APP_CSS, 'text/css; charset=utf-8']
+};
+
+const APP_ICON_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512"><rect width="512" height="512" fill="#000"/><path d="M256 96c16 88 72 144 160 160-88 16-144 72-160 160-16-88-72-144-160-160 88-16 144-72 160-160z" fill="#fff"/></svg>';
+
+const APP_MANIFEST = {
+  name: "Gz'nano",
+  short_name: "Gz'nano",
+  description: 'Gemini Nano Gallery',
+  start_url: '/',
+  scope: '/',
+  display: 'standalone',
+  background_color: '#fafafa',
+  theme_color: '#000000',
+  icons: [{ src: '/icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any maskable' }]
+};
+
+let appVersion = null;
+
+/**
+ * 前端版本号 (前端代码、样式与第三方脚本的哈希)，用于页面引用与 Service Worker 缓存的失效
+ */
+function getAppVersion() {
+  if (!appVersion) {
+    appVersion = hashString(APP_SOURCE + APP_CSS + Object.values(VENDOR_SCRIPTS).join('')).toString(36);
+  }
+  return appVersion;
+}
+
+/**
+ * 处理前端静态资源请求，不匹配时返回 null
+ * - /assets/vendor/*: 同源的第三方脚本
+ * - /assets/app.js、/assets/app.css: 前端代码与样式
+ * - /sw.js、/manifest.webmanifest、/icon.svg: PWA 相关文件
+ */
+function handleAssetRequest(url) {
+  if (url.pathname.startsWith('/assets/vendor/')) {
+    const script = VENDOR_SCRIPTS[url.pathname.slice('/assets/vendor/'.length)];
+    if (!script) {
+      return new Response('Not Found', { status: 404 });
+    }
+    return new Response(script, {
+      headers: { 'Content-Type': 'application/javascript; charset=utf-8', 'Cache-Control': VENDOR_CACHE_CONTROL }
+    });
+  }
+
+  if (APP_ASSETS[url.pathname]) {
+    const [body, contentType] = APP_ASSETS[url.pathname]();
+    // 带当前版本号的请求内容不会再变化，可以长期缓存
+    const cacheControl = url.searchParams.get('v') === getAppVersion()
+      ? 'public, max-age=31536000, immutable'
+      : 'no-cache';
+    return new Response(body, {
+      headers: { 'Content-Type': contentType, 'Cache-Control': cacheControl }
+    });
+  }
+
+  if (url.pathname === '/sw.js') {
+    return new Response(renderServiceWorker(getAppVersion()), {
+      headers: { 'Content-Type': 'application/javascript; charset=utf-8', 'Cache-Control': 'no-cache' }
+    });
+  }
+
+  if (url.pathname === '/manifest.webmanifest') {
+    return new Response(JSON.stringify(APP_MANIFEST), {
+      headers: { 'Content-Type': 'application/manifest+json', 'Cache-Control': VENDOR_CACHE_CONTROL }
+    });
+  }
+
+  if (url.pathname === '/icon.svg') {
+    return new Response(APP_ICON_SVG, {
+      headers: { 'Content-Type': 'image/svg+xml', 'Cache-Control': VENDOR_CACHE_CONTROL }
+    });
+  }
+
+  return null;
+}
+
+/**
+ * 生成 Service Worker 脚本
+ * 页面优先联网获取 (离线时使用缓存)，静态资源优先使用缓存；API 请求不经过缓存。
+ * 缓存名包含版本号，新版本激活后清理旧缓存。
+ */
+function renderServiceWorker(version) {
+  const shellAssets = [...SHELL_ASSETS, ...Object.keys(APP_ASSETS).map(path => `${path}?v=${version}`)];
+  return `const CACHE_NAME = 'gz-nano-shell-${version}';
+const SHELL_ASSETS = ${JSON.stringify(shellAssets)};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME)
+    .then((cache) => cache.addAll(SHELL_ASSETS))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then((keys) => Promise.all(keys
+      .filter((key) => key.startsWith('gz-nano-shell-') && key !== CACHE_NAME)
+      .map((key) => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+const putInCache = (request, response) => {
+  const copy = response.clone();
+  caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+};
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request)
+      .then((response) => {
+        if (response.ok && url.pathname === '/') {
+          putInCache('/', response);
+        }
+        return response;
+      })
+      .catch(() => caches.match('/', { cacheName: CACHE_NAME })));
+    return;
+  }
+
+  if (url.pathname.startsWith('/assets/') || SHELL_ASSETS.includes(url.pathname)) {
+    event.respondWith(caches.match(request).then((cached) => cached || fetch(request).then((response) => {
+      if (response.ok) {
+        putInCache(request, response);
+      }
+      return response;
+    })));
+  }
+});
+`;
+}
+
+/**
+ * 前端 HTML 代码 (页面外壳，前端源码见 APP_SOURCE)
+ */
+const HTML_CONTENT = `
+<!DOCTYPE html>
+<html lang="__APP_LOCALE__">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Gz'nano</title>
+    <meta name="theme-color" content="#000000">
+    <link rel="manifest" href="/manifest.webmanifest">
+    <link rel="icon" type="image/svg+xml" href="/icon.svg" />
+    <link rel="stylesheet" href="/assets/app.css?v=__APP_VERSION__">
+    <style>
+      body { font-family: system-ui, -apple-system, 'PingFang SC', 'Microsoft YaHei', 'Noto Sans SC', sans-serif; background-color: #fafafa; color: #18181b; }
+      ::-webkit-scrollbar { width: 6px; height: 6px; }
+      ::-webkit-scrollbar-track { background: transparent; }
+      ::-webkit-scrollbar-thumb { background: #e4e4e7; border-radius: 3px; }
+      ::-webkit-scrollbar-thumb:hover { background: #d4d4d8; }
+      @keyframes fadeIn { from { opacity: 0; } to { opacity: 1; } }
+      .animate-fadeIn { animation: fadeIn 0.3s ease-out forwards; }
+    </style>
+    <!-- React -->
+    <script src="/assets/vendor/react.js"></script>
+    <script src="/assets/vendor/react-dom.js"></script>
+</head>
+<body>
+    <div id="root"></div>
+
+    <script>
+        // 加载前端应用 (/assets/app.js 按版本号长期缓存，离线时由 Service Worker 提供)
+        (function () {
+            const APP_VERSION = '__APP_VERSION__';
+            // 界面语言: 用户选择的语言优先，否则使用服务端按 Accept-Language 选择的语言 (与前端 LOCALE_STORAGE_KEY 一致)
+            const BOOT_MESSAGES = {
+                'zh-CN': { loadScript: '无法加载 ', bootFailed: '页面加载失败: ' },
+                en: { loadScript: 'Unable to load ', bootFailed: 'Failed to load the page: ' }
+            };
+            const storedLocale = (() => {
+                try {
+                    return localStorage.getItem('gz_locale');
+                } catch (err) {
+                    return null;
+                }
+            })();
+            if (BOOT_MESSAGES[storedLocale]) document.documentElement.lang = storedLocale;
+            const messages = BOOT_MESSAGES[document.documentElement.lang] || BOOT_MESSAGES['zh-CN'];
+
+            const loadScript = (src) => new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error(messages.loadScript + src));
+                document.head.appendChild(script);
+            });
+
+            loadScript('/assets/app.js?v=' + APP_VERSION).catch((err) => {
+                document.getElementById('root').textContent = messages.bootFailed + err.message;
+            });
+
+            // 旧版本在浏览器中编译源码并缓存编译结果，已不再使用
+            if (window.caches) {
+                caches.delete('gz-nano-compiled').catch(() => {});
+            }
+
+            if ('serviceWorker' in navigator) {
+                window.addEventListener('load', () => {
+                    navigator.serviceWorker.register('/sw.js').catch((err) => console.warn('Service worker registration failed', err));
+                });
+            }
+        })();
+    </script>
+</body>
+</html>
+`;
+
+// --- 前端构建产物 ---
+// 以下内容由 scripts/build.mjs 根据 src/ 与 package.json 中固定版本的依赖生成，请勿手动修改 (修改源码后运行 npm run build)
+
+/**
+ * 前端应用代码 (由 src/app.jsx 编译)，由页面加载脚本直接执行
+ */
+const APP_SOURCE = `const { useState, useEffect, useRef, useMemo } = React;
+const DEFAULT_LOCALE = "zh-CN";
+const LOCALE_STORAGE_KEY = "gz_locale";
+const SUPPORTED_LOCALES = [
+  { id: "zh-CN", label: "中" },
+  { id: "en", label: "EN" }
+];
+const MESSAGES = {
+  "zh-CN": {
+    "common.cancel": "取消",
+    "common.clear": "清除",
+    "common.delete": "删除",
+    "common.remove": "移除",
+    "common.retry": "重试",
+    "locale.switch": "切换语言",
+    "models.fast": "极速",
+    "zip.invalid": "不是有效的 ZIP 文件",
+    "zip.unsupportedMethod": "不支持的压缩方式: {name}",
+    "errorCode.SAFETY_BLOCKED": "安全拦截",
+    "errorCode.NO_IMAGE": "未生成图片",
+    "errorCode.QUOTA": "上游额度不足",
+    "errorCode.UPSTREAM_TIMEOUT": "上游超时",
+    "errorCode.BAD_INPUT": "参数错误",
+    "errorCode.UPSTREAM_ERROR": "上游错误",
+    "errorCode.RATE_LIMITED": "超出用量限制",
+    "errorCode.default": "生成失败",
+    "mask.title": "局部重绘",
+    "mask.brush": "画笔",
+    "mask.eraser": "橡皮",
+    "mask.size": "大小",
+    "mask.clear": "清除蒙版",
+    "mask.placeholder": "描述涂抹区域要改成什么，例如: 换成一扇木门",
+    "mask.submit": "开始重绘",
+    "login.title": "登录",
+    "login.switch": "切换",
+    "login.switchUser": "切换用户",
+    "login.logout": "退出登录",
+    "login.usage": "用量统计",
+    "login.protected": "此 Worker 已设置访问保护",
+    "login.enterCode": "请输入您的访问密码",
+    "login.wrongCode": "访问密码错误，请重新输入",
+    "login.expired": "登录已失效，请重新登录",
+    "quota.daily": "今日",
+    "quota.rpm": "每分钟",
+    "quota.resetAt": "({time} 重置)",
+    "controls.model": "模型选择",
+    "controls.modelForbidden": "当前账号无权使用 {model}",
+    "controls.imageSize": "分辨率",
+    "controls.aspectRatio": "画面比例",
+    "controls.references": "参考图",
+    "references.use": "用作参考图",
+    "references.dropHint": "拖到参考图区域可添加为参考图",
+    "references.maxDimension": "最长边",
+    "references.maxBytes": "单张上限",
+    "references.settingsHint": "新添加的参考图会按此设置缩小并压缩",
+    "references.payload": "{count} / {max} 张 · {size} / {limit}",
+    "references.preparing": "正在压缩参考图...",
+    "references.moveEarlier": "前移",
+    "references.moveLater": "后移",
+    "references.tooMany": "最多只能添加 {max} 张参考图",
+    "references.decodeFailed": "无法读取图片 {name}",
+    "references.tooLarge": "{name} 压缩后仍超过 {limit}",
+    "references.payloadTooLarge": "参考图共 {size}，超过 {limit} 的上限，请删除部分参考图或调低压缩设置",
+    "controls.addImages": "添加图片 (支持多选、粘贴、拖放)",
+    "controls.stream": "流式输出",
+    "controls.streamOn": "实时显示生成过程，刷新页面会中断生成",
+    "controls.streamOff": "后台任务模式，刷新或关闭页面后仍可取回结果",
+    "controls.batch": "生成数量",
+    "controls.promptPlaceholder": "输入提示词... 支持 {a|b} 组合展开、[a|b] 随机选择",
+    "enhance.hint": "让模型扩写为更详细的提示词",
+    "enhance.button": "优化",
+    "enhance.stylePlaceholder": "风格提示 (可选)，例如: 胶片感、赛博朋克",
+    "enhance.translate": "译为英文",
+    "enhance.retry": "重新优化",
+    "enhance.running": "正在优化...",
+    "enhance.accept": "采用",
+    "enhance.edit": "编辑",
+    "enhance.diff": "查看差异",
+    "enhance.discard": "放弃",
+    "enhance.emptyPrompt": "请先输入需要优化的提示词",
+    "presets.title": "预设",
+    "presets.save": "保存当前",
+    "presets.import": "导入",
+    "presets.importHint": "导入 JSON 格式的预设文件",
+    "presets.export": "导出",
+    "presets.empty": "保存常用的模型、分辨率、比例与风格模板，点击即可应用",
+    "presets.namePlaceholder": "预设名称，例如: Pro 2K 宽屏电影感",
+    "presets.templatePlaceholder": "提示词模板 (可选)，例如: {subject}，电影感布光，35mm 胶片",
+    "presets.templateHint": "模板中的 {subject} 会替换为当前提示词；不含 {subject} 时模板会追加到提示词末尾。",
+    "presets.includeSettings": "包含当前设置 ({settings})",
+    "presets.confirmSave": "保存",
+    "presets.emptyName": "请输入预设名称",
+    "presets.saveFailed": "保存预设失败: {message}",
+    "presets.confirmDelete": '确定要删除预设 "{name}" 吗？',
+    "presets.modelUnavailable": '预设 "{name}" 使用的模型 {model} 当前不可用，已保留当前模型',
+    "presets.invalidFile": "文件中没有预设列表",
+    "presets.imported": "已导入 {count} 个预设",
+    "presets.importSkipped": "，跳过 {count} 个 (已存在或格式无效)",
+    "presets.importFailed": "导入预设失败: {message}",
+    "generate.submit": "开始生成",
+    "generate.batchInfo": "将生成 {count} 张 (最多同时 {concurrency} 个请求)",
+    "generate.emptyPrompt": "请输入提示词或上传参考图片",
+    "generate.tooMany": "单次最多生成 {max} 张，当前展开为 {count} 张",
+    "generate.failed": "生成过程中发生错误",
+    "generate.queued": "排队中",
+    "generate.processing": "生成中...",
+    "lightbox.download": "保存原图",
+    "lightbox.info": "详情",
+    "lightbox.edit": "对话编辑",
+    "lightbox.editUnsupported": "{model} 不支持对话编辑",
+    "lightbox.maskUnsupported": "{model} 不支持局部重绘",
+    "lightbox.remixHint": "用这张作品的参数还原控制面板",
+    "lightbox.viewSource": "查看源图",
+    "lightbox.referenceCount": "{count} 张参考图",
+    "lightbox.tags": "标签",
+    "lightbox.tagPlaceholder": "添加标签，回车确认",
+    "lightbox.albums": "相册",
+    "lightbox.albumPlaceholder": "新建相册并加入，回车确认",
+    "lightbox.delete": "删除作品",
+    "edit.hint": "在这张图的基础上继续修改，使用左侧面板的模型与比例设置",
+    "edit.deleted": "已删除",
+    "edit.placeholder": "例如: 把天空调暗一些",
+    "edit.submit": "发送修改",
+    "share.title": "分享",
+    "share.hint": "任何拿到链接的人都可以查看这张图片，随时可以撤销",
+    "share.link": "分享链接",
+    "share.validUntil": "{time} 前有效",
+    "share.validForever": "永久有效",
+    "share.promptHidden": "已隐藏提示词",
+    "share.copy": "复制链接",
+    "share.copied": "已复制",
+    "share.open": "打开",
+    "share.expiry": "有效期",
+    "share.expiryDay": "1 天",
+    "share.expiryWeek": "7 天",
+    "share.expiryMonth": "30 天",
+    "share.expiryForever": "永久",
+    "share.hidePrompt": "隐藏提示词",
+    "share.create": "创建分享链接",
+    "share.revoke": "撤销分享",
+    "share.clearExpired": "清除已过期的链接",
+    "share.createFailed": "创建分享失败",
+    "share.revokeFailed": "撤销分享失败",
+    "share.copyFailed": "复制失败，请手动复制链接",
+    "metadata.title": "生成信息",
+    "metadata.dropHint": "松开以读取图片中的生成信息",
+    "metadata.restore": "还原参数",
+    "metadata.import": "导入画廊",
+    "metadata.notFound": "图片中没有找到生成信息 (仅支持从本应用下载的 PNG / JPEG)",
+    "metadata.readFailed": "读取图片失败: {message}",
+    "gallery.title": "画廊",
+    "gallery.batch": "批量",
+    "gallery.imageToImage": "图生图",
+    "gallery.filterAll": "全部",
+    "gallery.favorite": "收藏",
+    "gallery.favorited": "已收藏",
+    "gallery.unfavorite": "取消收藏",
+    "gallery.select": "选择",
+    "gallery.selectAll": "全选",
+    "gallery.exportSelected": "导出所选 ({count})",
+    "gallery.exportAll": "导出全部",
+    "gallery.import": "导入",
+    "gallery.clear": "清空",
+    "gallery.searchPlaceholder": "搜索提示词或标签...",
+    "gallery.noMatches": "没有匹配的作品",
+    "gallery.empty": "暂无作品",
+    "gallery.count": "{count} 张",
+    "gallery.loadMore": "加载更多 (剩余 {count} 张)",
+    "gallery.confirmClear": "清空历史?\\n此操作无法撤销，建议先导出备份。",
+    "gallery.confirmClearSynced": "清空历史? (将同时删除服务端的作品)\\n此操作无法撤销，建议先导出备份。",
+    "gallery.confirmDelete": "删除这张作品?",
+    "gallery.confirmDeleteSynced": "删除这张作品? (将同时删除服务端的作品)",
+    "gallery.exportFailed": "导出失败: {message}",
+    "gallery.importFailed": "导入失败: {message}",
+    "gallery.missingManifest": "压缩包中缺少 manifest.json",
+    "gallery.imported": "已导入 {count} 张作品",
+    "gallery.importSkipped": "，跳过 {count} 张 (已存在或缺少图片)"
+  },
+  en: {
+    "common.cancel": "Cancel",
+    "common.clear": "Clear",
+    "common.delete": "Delete",
+    "common.remove": "Remove",
+    "common.retry": "Retry",
+    "locale.switch": "Switch language",
+    "models.fast": "Fast",
+    "zip.invalid": "Not a valid ZIP file",
+    "zip.unsupportedMethod": "Unsupported compression method: {name}",
+    "errorCode.SAFETY_BLOCKED": "Blocked by safety filters",
+    "errorCode.NO_IMAGE": "No image generated",
+    "errorCode.QUOTA": "Upstream quota exhausted",
+    "errorCode.UPSTREAM_TIMEOUT": "Upstream timeout",
+    "errorCode.BAD_INPUT": "Invalid parameters",
+    "errorCode.UPSTREAM_ERROR": "Upstream error",
+    "errorCode.RATE_LIMITED": "Usage limit exceeded",
+    "errorCode.default": "Generation failed",
+    "mask.title": "Inpaint",
+    "mask.brush": "Brush",
+    "mask.eraser": "Eraser",
+    "mask.size": "Size",
+    "mask.clear": "Clear mask",
+    "mask.placeholder": "Describe what the painted area should become, e.g. a wooden door",
+    "mask.submit": "Inpaint",
+    "login.title": "Sign in",
+    "login.switch": "Switch",
+    "login.switchUser": "Switch user",
+    "login.logout": "Sign out",
+    "login.usage": "Usage",
+    "login.protected": "This Worker is password protected",
+    "login.enterCode": "Please enter your access code",
+    "login.wrongCode": "Wrong access code, please try again",
+    "login.expired": "Your session has expired, please sign in again",
+    "quota.daily": "Today",
+    "quota.rpm": "Per minute",
+    "quota.resetAt": "(resets {time})",
+    "controls.model": "Model",
+    "controls.modelForbidden": "Your account cannot use {model}",
+    "controls.imageSize": "Resolution",
+    "controls.aspectRatio": "Aspect ratio",
+    "controls.references": "References",
+    "references.use": "Use as reference",
+    "references.dropHint": "Drop onto the references area to add them as references",
+    "references.maxDimension": "Max side",
+    "references.maxBytes": "Max per image",
+    "references.settingsHint": "Newly added references are downscaled and compressed to these limits",
+    "references.payload": "{count} / {max} images · {size} / {limit}",
+    "references.preparing": "Compressing references...",
+    "references.moveEarlier": "Move earlier",
+    "references.moveLater": "Move later",
+    "references.tooMany": "You can add at most {max} reference images",
+    "references.decodeFailed": "Cannot read image {name}",
+    "references.tooLarge": "{name} is still larger than {limit} after compression",
+    "references.payloadTooLarge": "References total {size}, over the {limit} limit. Remove some or lower the compression settings",
+    "controls.addImages": "Add images (select, paste or drop)",
+    "controls.stream": "Streaming",
+    "controls.streamOn": "Shows progress live; reloading the page stops the generation",
+    "controls.streamOff": "Background job mode; results survive reloading or closing the page",
+    "controls.batch": "Batch size",
+    "controls.promptPlaceholder": "Enter a prompt... {a|b} expands to every combination, [a|b] picks one at random",
+    "enhance.hint": "Let the model expand this into a more detailed prompt",
+    "enhance.button": "Enhance",
+    "enhance.stylePlaceholder": "Style hint (optional), e.g. film grain, cyberpunk",
+    "enhance.translate": "Translate to English",
+    "enhance.retry": "Enhance again",
+    "enhance.running": "Enhancing...",
+    "enhance.accept": "Accept",
+    "enhance.edit": "Edit",
+    "enhance.diff": "Show diff",
+    "enhance.discard": "Discard",
+    "enhance.emptyPrompt": "Enter a prompt to enhance first",
+    "presets.title": "Presets",
+    "presets.save": "Save current",
+    "presets.import": "Import",
+    "presets.importHint": "Import presets from a JSON file",
+    "presets.export": "Export",
+    "presets.empty": "Save a model, resolution, aspect ratio and style template you use often, then apply it with one click",
+    "presets.namePlaceholder": "Preset name, e.g. Pro 2K cinematic",
+    "presets.templatePlaceholder": "Prompt template (optional), e.g. {subject}, cinematic lighting, 35mm film",
+    "presets.templateHint": "{subject} in the template is replaced with the current prompt; without it the template is appended to the end of the prompt.",
+    "presets.includeSettings": "Include current settings ({settings})",
+    "presets.confirmSave": "Save",
+    "presets.emptyName": "Enter a preset name",
+    "presets.saveFailed": "Could not save the preset: {message}",
+    "presets.confirmDelete": 'Delete preset "{name}"?',
+    "presets.modelUnavailable": 'Preset "{name}" uses {model}, which is not available right now; keeping the current model',
+    "presets.invalidFile": "The file does not contain a preset list",
+    "presets.imported": "Imported {count} presets",
+    "presets.importSkipped": ", skipped {count} (already present or invalid)",
+    "presets.importFailed": "Could not import presets: {message}",
+    "generate.submit": "Generate",
+    "generate.batchInfo": "{count} images will be generated (up to {concurrency} requests at a time)",
+    "generate.emptyPrompt": "Enter a prompt or upload a reference image",
+    "generate.tooMany": "At most {max} images per run, this prompt expands to {count}",
+    "generate.failed": "Something went wrong during generation",
+    "generate.queued": "Queued",
+    "generate.processing": "Processing...",
+    "lightbox.download": "Download",
+    "lightbox.info": "Details",
+    "lightbox.edit": "Chat edit",
+    "lightbox.editUnsupported": "{model} does not support chat editing",
+    "lightbox.maskUnsupported": "{model} does not support inpainting",
+    "lightbox.remixHint": "Restore the control panel from this image",
+    "lightbox.viewSource": "View source image",
+    "lightbox.referenceCount": "{count} reference images",
+    "lightbox.tags": "Tags",
+    "lightbox.tagPlaceholder": "Add a tag and press Enter",
+    "lightbox.albums": "Albums",
+    "lightbox.albumPlaceholder": "New album, press Enter to add",
+    "lightbox.delete": "Delete image",
+    "edit.hint": "Keep editing this image using the model and aspect ratio from the left panel",
+    "edit.deleted": "Deleted",
+    "edit.placeholder": "e.g. make the sky a little darker",
+    "edit.submit": "Send edit",
+    "share.title": "Share",
+    "share.hint": "Anyone with the link can view this image. You can revoke it at any time",
+    "share.link": "Share link",
+    "share.validUntil": "Valid until {time}",
+    "share.validForever": "Never expires",
+    "share.promptHidden": "prompt hidden",
+    "share.copy": "Copy link",
+    "share.copied": "Copied",
+    "share.open": "Open",
+    "share.expiry": "Expires after",
+    "share.expiryDay": "1 day",
+    "share.expiryWeek": "7 days",
+    "share.expiryMonth": "30 days",
+    "share.expiryForever": "Never",
+    "share.hidePrompt": "Hide prompt",
+    "share.create": "Create share link",
+    "share.revoke": "Revoke link",
+    "share.clearExpired": "Remove expired link",
+    "share.createFailed": "Failed to create the share link",
+    "share.revokeFailed": "Failed to revoke the share link",
+    "share.copyFailed": "Copy failed, please copy the link manually",
+    "metadata.title": "Generation info",
+    "metadata.dropHint": "Drop to read the generation info in this image",
+    "metadata.restore": "Restore parameters",
+    "metadata.import": "Import to gallery",
+    "metadata.notFound": "No generation info found (only PNG / JPEG files downloaded from this app are supported)",
+    "metadata.readFailed": "Failed to read the image: {message}",
+    "gallery.title": "Gallery",
+    "gallery.batch": "Batch",
+    "gallery.imageToImage": "Image to Image",
+    "gallery.filterAll": "All",
+    "gallery.favorite": "Favorite",
+    "gallery.favorited": "Favorited",
+    "gallery.unfavorite": "Remove from favorites",
+    "gallery.select": "Select",
+    "gallery.selectAll": "Select all",
+    "gallery.exportSelected": "Export selected ({count})",
+    "gallery.exportAll": "Export all",
+    "gallery.import": "Import",
+    "gallery.clear": "Clear",
+    "gallery.searchPlaceholder": "Search prompts or tags...",
+    "gallery.noMatches": "No matching images",
+    "gallery.empty": "No images yet",
+    "gallery.count": "{count} images",
+    "gallery.loadMore": "Load more ({count} remaining)",
+    "gallery.confirmClear": "Clear history?\\nThis cannot be undone, consider exporting a backup first.",
+    "gallery.confirmClearSynced": "Clear history? (images on the server will be deleted too)\\nThis cannot be undone, consider exporting a backup first.",
+    "gallery.confirmDelete": "Delete this image?",
+    "gallery.confirmDeleteSynced": "Delete this image? (it will be deleted from the server too)",
+    "gallery.exportFailed": "Export failed: {message}",
+    "gallery.importFailed": "Import failed: {message}",
+    "gallery.missingManifest": "manifest.json is missing from the archive",
+    "gallery.imported": "Imported {count} images",
+    "gallery.importSkipped": ", skipped {count} (already present or missing the image)"
+  }
+};
+let currentLocale = MESSAGES[document.documentElement.lang] ? document.documentElement.lang : DEFAULT_LOCALE;
+const hasMessage = (key) => key in MESSAGES[currentLocale];
+const t = (key, params = {}) => {
+  const template = hasMessage(key) ? MESSAGES[currentLocale][key] : MESSAGES[DEFAULT_LOCALE][key] || key;
+  return template.replace(/\\{(\\w+)\\}/g, (match, name) => name in params ? String(params[name]) : match);
+};
+const setCurrentLocale = (locale) => {
+  currentLocale = locale;
+  document.documentElement.lang = locale;
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch (e) {
+  }
+};
+const localeHeaders = () => ({ "Accept-Language": currentLocale });
+const DB_NAME = "GeminiGalleryDB";
+const DB_VERSION = 6;
+const STORE_NAME = "images";
+const JOB_STORE_NAME = "jobs";
+const PRESET_STORE_NAME = "presets";
+const FAILED_STORE_NAME = "failed";
+const withDefaults = (image) => ({ tags: [], albums: [], favorite: 0, owner: galleryOwner(), ...image });
+const galleryOwner = () => {
+  const session = sessionStore.load();
+  return session ? session.user.name : null;
+};
+const isOwnItem = (item) => (item.owner ?? null) === galleryOwner();
+const dbHelper = {
+  open: () => {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        const store = db.objectStoreNames.contains(STORE_NAME) ? event.target.transaction.objectStore(STORE_NAME) : db.createObjectStore(STORE_NAME, { keyPath: "id" });
+        if (event.oldVersion < 2) {
+          store.createIndex("timestamp", "timestamp");
+          store.createIndex("model", "model");
+          store.createIndex("tags", "tags", { multiEntry: true });
+          store.createIndex("albums", "albums", { multiEntry: true });
+          store.createIndex("favorite", "favorite");
+          store.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (cursor) {
+              cursor.update(withDefaults(cursor.value));
+              cursor.continue();
+            }
+          };
+        }
+        if (!db.objectStoreNames.contains(JOB_STORE_NAME)) {
+          db.createObjectStore(JOB_STORE_NAME, { keyPath: "jobId" });
+        }
+        if (!db.objectStoreNames.contains(PRESET_STORE_NAME)) {
+          db.createObjectStore(PRESET_STORE_NAME, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(FAILED_STORE_NAME)) {
+          db.createObjectStore(FAILED_STORE_NAME, { keyPath: "id" });
+        }
+        if (event.oldVersion >= 2 && event.oldVersion < 6) {
+          const owner = galleryOwner();
+          store.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (cursor) {
+              if (!("owner" in cursor.value)) cursor.update({ ...cursor.value, owner });
+              cursor.continue();
+            }
+          };
+        }
+      };
+      request.onsuccess = (event) => resolve(event.target.result);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  },
+  add: async (image) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, "readwrite");
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.add(withDefaults(image));
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  put: async (image) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, "readwrite");
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.put(image);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  remove: async (id) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, "readwrite");
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.delete(id);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  get: async (id) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, "readonly");
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.get(id);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  // 按时间倒序返回当前账号的所有作品
+  getAll: async () => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, "readonly");
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.index("timestamp").getAll();
+      req.onsuccess = () => resolve(req.result.filter(isOwnItem).reverse());
+      req.onerror = () => reject(req.error);
+    });
+  },
+  // 通过索引筛选当前账号的作品: type 为索引名 (favorite / model / tags / albums)，按时间倒序返回
+  query: async ({ type, value }) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, "readonly");
+      const store = tx.objectStore(STORE_NAME);
+      const req = store.index(type).getAll(value);
+      req.onsuccess = () => resolve(req.result.filter(isOwnItem).sort((a, b) => b.timestamp - a.timestamp));
+      req.onerror = () => reject(req.error);
+    });
+  },
+  // 旧版本以 data URL 保存原图 (url 字段)，启动时转换为 Blob 并补全缩略图
+  migrateDataUrls: async () => {
+    const legacy = (await dbHelper.getAll()).filter((item) => typeof item.url === "string");
+    for (const { url, ...item } of legacy) {
+      await dbHelper.put({ ...item, ...await toStoredImage(await dataUrlToBlob(url)) });
+    }
+    return legacy.length;
+  },
+  // 清空当前账号的作品，其他账号的作品保留
+  clear: async () => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, "readwrite");
+      const req = tx.objectStore(STORE_NAME).openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if (isOwnItem(cursor.value)) cursor.delete();
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => reject(tx.error);
+    });
+  },
+  putJob: async (record) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(JOB_STORE_NAME, "readwrite").objectStore(JOB_STORE_NAME).put(record);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  removeJob: async (jobId) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(JOB_STORE_NAME, "readwrite").objectStore(JOB_STORE_NAME).delete(jobId);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  getJobs: async () => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(JOB_STORE_NAME, "readonly").objectStore(JOB_STORE_NAME).getAll();
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  putFailed: async (record) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(FAILED_STORE_NAME, "readwrite").objectStore(FAILED_STORE_NAME).put(record);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  removeFailed: async (id) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(FAILED_STORE_NAME, "readwrite").objectStore(FAILED_STORE_NAME).delete(id);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  // 按时间倒序返回失败的任务
+  getFailed: async () => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(FAILED_STORE_NAME, "readonly").objectStore(FAILED_STORE_NAME).getAll();
+      req.onsuccess = () => resolve(req.result.sort((a, b) => b.timestamp - a.timestamp));
+      req.onerror = () => reject(req.error);
+    });
+  },
+  putPreset: async (preset) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(PRESET_STORE_NAME, "readwrite").objectStore(PRESET_STORE_NAME).put(preset);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  removePreset: async (id) => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(PRESET_STORE_NAME, "readwrite").objectStore(PRESET_STORE_NAME).delete(id);
+      req.onsuccess = () => resolve(true);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  // 按创建时间正序返回所有预设
+  getPresets: async () => {
+    const db = await dbHelper.open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(PRESET_STORE_NAME, "readonly").objectStore(PRESET_STORE_NAME).getAll();
+      req.onsuccess = () => resolve(req.result.sort((a, b) => a.createdAt - b.createdAt));
+      req.onerror = () => reject(req.error);
+    });
+  }
+};
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 3988292384 ^ c >>> 1 : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+const crc32 = (bytes) => {
+  let crc = 4294967295;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 255] ^ crc >>> 8;
+  }
+  return (crc ^ 4294967295) >>> 0;
+};
+const zipHelper = {
+  // files: [{ name, data: Uint8Array }]，返回 ZIP 文件的 Blob
+  create: (files) => {
+    const encoder = new TextEncoder();
+    const now = /* @__PURE__ */ new Date();
+    const dosTime = now.getHours() << 11 | now.getMinutes() << 5 | now.getSeconds() >> 1;
+    const dosDate = now.getFullYear() - 1980 << 9 | now.getMonth() + 1 << 5 | now.getDate();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    let centralSize = 0;
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const crc = crc32(file.data);
+      const size = file.data.length;
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 67324752, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 2048, true);
+      header.setUint16(8, 0, true);
+      header.setUint16(10, dosTime, true);
+      header.setUint16(12, dosDate, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, size, true);
+      header.setUint32(22, size, true);
+      header.setUint16(26, name.length, true);
+      localParts.push(header.buffer, name, file.data);
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 33639248, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 2048, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, size, true);
+      entry.setUint32(24, size, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      centralParts.push(entry.buffer, name);
+      offset += 30 + name.length + size;
+      centralSize += 46 + name.length;
+    }
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 101010256, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...localParts, ...centralParts, end.buffer], { type: "application/zip" });
+  },
+  // 读取 ZIP 文件，返回 { 文件名: Uint8Array }
+  read: async (blob) => {
+    const buffer = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(buffer.buffer);
+    let eocd = buffer.length - 22;
+    while (eocd >= 0 && view.getUint32(eocd, true) !== 101010256) eocd--;
+    if (eocd < 0) throw new Error(t("zip.invalid"));
+    const count = view.getUint16(eocd + 10, true);
+    let ptr = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const files = {};
+    for (let i = 0; i < count; i++) {
+      const method = view.getUint16(ptr + 10, true);
+      const compressedSize = view.getUint32(ptr + 20, true);
+      const nameLength = view.getUint16(ptr + 28, true);
+      const extraLength = view.getUint16(ptr + 30, true);
+      const commentLength = view.getUint16(ptr + 32, true);
+      const localOffset = view.getUint32(ptr + 42, true);
+      const name = decoder.decode(buffer.subarray(ptr + 46, ptr + 46 + nameLength));
+      ptr += 46 + nameLength + extraLength + commentLength;
+      if (name.endsWith("/")) continue;
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) {
+        files[name] = data;
+      } else if (method === 8) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+        files[name] = new Uint8Array(await new Response(stream).arrayBuffer());
+      } else {
+        throw new Error(t("zip.unsupportedMethod", { name }));
+      }
+    }
+    return files;
+  }
+};
+const MIME_EXTENSIONS = { "image/png": "png", "image/jpeg": "jpg", "image/webp": "webp", "image/gif": "gif" };
+const extensionOf = (mimeType) => MIME_EXTENSIONS[mimeType] || "png";
+const mimeTypeOf = (fileName) => {
+  const ext = fileName.split(".").pop().toLowerCase();
+  return Object.keys(MIME_EXTENSIONS).find((mime) => MIME_EXTENSIONS[mime] === ext) || (ext === "jpeg" ? "image/jpeg" : "image/png");
+};
+const APP_NAME = "Gz'nano";
+const METADATA_KEYWORD = "gz-nano";
+const XMP_NAMESPACE = "http://ns.adobe.com/xap/1.0/";
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const PNG_TEXT_KEYWORDS = ["Description", "Software", "Creation Time", METADATA_KEYWORD];
+const MAX_JPEG_SEGMENT_BYTES = 65533;
+const toImageRecord = (item) => ({
+  app: METADATA_KEYWORD,
+  version: 1,
+  id: item.id,
+  prompt: item.prompt || "",
+  model: item.model || "",
+  timestamp: item.timestamp,
+  params: item.params ? {
+    model: item.params.model,
+    prompt: item.params.prompt,
+    aspectRatio: item.params.aspectRatio,
+    imageSize: item.params.imageSize
+  } : null
+});
+const concatBytes = (parts) => {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+};
+const latin1Bytes = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0) & 255);
+const escapeXml = (text) => String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+const unescapeXml = (text) => text.replace(/&(amp|lt|gt|quot|#39);/g, (_, name) => ({ amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" })[name]);
+const readPngChunks = (bytes) => {
+  if (bytes.length < 8 || PNG_SIGNATURE.some((b, i) => bytes[i] !== b)) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const end = offset + 12 + length;
+    if (end > bytes.length) break;
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    chunks.push({ type, start: offset, end, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset = end;
+    if (type === "IEND") break;
+  }
+  return chunks;
+};
+const pngChunk = (type, data) => {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(latin1Bytes(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+};
+const pngTextChunk = (keyword, text) => pngChunk("tEXt", concatBytes([latin1Bytes(keyword), [0], latin1Bytes(text)]));
+const pngITextChunk = (keyword, text) => pngChunk("iTXt", concatBytes([latin1Bytes(keyword), [0, 0, 0, 0, 0], new TextEncoder().encode(text)]));
+const readPngText = (chunk) => {
+  const separator = chunk.data.indexOf(0);
+  if (separator < 0) return null;
+  const keyword = String.fromCharCode(...chunk.data.subarray(0, separator));
+  if (chunk.type === "tEXt") {
+    return { keyword, text: String.fromCharCode(...chunk.data.subarray(separator + 1)) };
+  }
+  if (chunk.data[separator + 1] !== 0) return { keyword, text: null };
+  const languageEnd = chunk.data.indexOf(0, separator + 3);
+  const translatedEnd = languageEnd < 0 ? -1 : chunk.data.indexOf(0, languageEnd + 1);
+  if (translatedEnd < 0) return { keyword, text: null };
+  return { keyword, text: new TextDecoder().decode(chunk.data.subarray(translatedEnd + 1)) };
+};
+const writePngMetadata = (bytes, record) => {
+  const chunks = readPngChunks(bytes);
+  if (!chunks) return null;
+  const kept = chunks.filter((chunk) => {
+    if (chunk.type !== "tEXt" && chunk.type !== "iTXt") return true;
+    const text = readPngText(chunk);
+    return !text || !PNG_TEXT_KEYWORDS.includes(text.keyword);
+  });
+  const insertAt = kept.findIndex((chunk) => chunk.type === "IDAT");
+  if (insertAt < 0) return null;
+  const textChunks = [
+    pngTextChunk("Software", APP_NAME),
+    pngTextChunk("Creation Time", new Date(record.timestamp).toUTCString()),
+    pngITextChunk("Description", record.prompt),
+    pngITextChunk(METADATA_KEYWORD, JSON.stringify(record))
+  ];
+  return concatBytes([
+    PNG_SIGNATURE,
+    ...kept.slice(0, insertAt).map((chunk) => bytes.subarray(chunk.start, chunk.end)),
+    ...textChunks,
+    ...kept.slice(insertAt).map((chunk) => bytes.subarray(chunk.start, chunk.end))
+  ]);
+};
+const readJpegSegments = (bytes) => {
+  if (bytes.length < 4 || bytes[0] !== 255 || bytes[1] !== 216) return null;
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 255) {
+    const type = bytes[offset + 1];
+    if (type === 218) break;
+    const end = offset + 2 + (bytes[offset + 2] << 8 | bytes[offset + 3]);
+    if (end > bytes.length) return null;
+    segments.push({ type, start: offset, end, data: bytes.subarray(offset + 4, end) });
+    offset = end;
+  }
+  return { segments, bodyStart: offset };
+};
+const isXmpSegment = (segment) => segment.type === 225 && new TextDecoder().decode(segment.data.subarray(0, XMP_NAMESPACE.length + 1)) === XMP_NAMESPACE + "\\0";
+const buildXmp = (record, withDescription) => '<?xpacket begin="\\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?><x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"><rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="' + XMP_NAMESPACE + '" xmlns:gznano="https://github.com/genz27/Nano_Gaallery/ns/1.0/" xmp:CreatorTool="' + escapeXml(APP_NAME) + '" xmp:CreateDate="' + new Date(record.timestamp).toISOString() + '" gznano:record="' + escapeXml(JSON.stringify(record)) + '">' + (withDescription ? '<dc:description><rdf:Alt><rdf:li xml:lang="x-default">' + escapeXml(record.prompt) + "</rdf:li></rdf:Alt></dc:description>" : "") + '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+const writeJpegMetadata = (bytes, record) => {
+  const parsed = readJpegSegments(bytes);
+  if (!parsed) return null;
+  let payload = new TextEncoder().encode(XMP_NAMESPACE + "\\0" + buildXmp(record, true));
+  if (payload.length > MAX_JPEG_SEGMENT_BYTES) {
+    payload = new TextEncoder().encode(XMP_NAMESPACE + "\\0" + buildXmp(record, false));
+  }
+  if (payload.length > MAX_JPEG_SEGMENT_BYTES) return null;
+  const segment = concatBytes([[255, 225, payload.length + 2 >> 8, payload.length + 2 & 255], payload]);
+  const kept = parsed.segments.filter((s) => !isXmpSegment(s));
+  let insertAt = 0;
+  while (insertAt < kept.length && (kept[insertAt].type === 224 || kept[insertAt].type === 225)) insertAt++;
+  return concatBytes([
+    [255, 216],
+    ...kept.slice(0, insertAt).map((s) => bytes.subarray(s.start, s.end)),
+    segment,
+    ...kept.slice(insertAt).map((s) => bytes.subarray(s.start, s.end)),
+    bytes.subarray(parsed.bodyStart)
+  ]);
+};
+const embedImageMetadata = async (blob, record) => {
+  try {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const written = blob.type === "image/jpeg" ? writeJpegMetadata(bytes, record) : writePngMetadata(bytes, record);
+    return written ? new Blob([written], { type: blob.type }) : blob;
+  } catch (err) {
+    console.error(err);
+    return blob;
+  }
+};
+const readImageMetadata = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let json = null;
+  const chunks = readPngChunks(bytes);
+  if (chunks) {
+    for (const chunk of chunks) {
+      if (chunk.type !== "tEXt" && chunk.type !== "iTXt") continue;
+      const text = readPngText(chunk);
+      if (text && text.keyword === METADATA_KEYWORD) json = text.text;
+    }
+  }
+  const jpeg = !chunks && readJpegSegments(bytes);
+  if (jpeg) {
+    const segment = jpeg.segments.find(isXmpSegment);
+    const match = segment && new TextDecoder().decode(segment.data).match(/gznano:record="([^"]*)"/);
+    if (match) json = unescapeXml(match[1]);
+  }
+  if (!json) return null;
+  try {
+    const record = JSON.parse(json);
+    return record && record.app === METADATA_KEYWORD && typeof record.prompt === "string" ? record : null;
+  } catch {
+    return null;
+  }
+};
+const SESSION_KEY = "gz_session";
+const sessionStore = {
+  load: () => {
+    try {
+      const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+      return session && session.expiresAt > Date.now() ? session : null;
+    } catch (e) {
+      return null;
+    }
+  },
+  save: (session) => localStorage.setItem(SESSION_KEY, JSON.stringify(session)),
+  clear: () => localStorage.removeItem(SESSION_KEY)
+};
+const authHeaders = () => {
+  const session = sessionStore.load();
+  return { ...localeHeaders(), ...session && session.token ? { Authorization: "Bearer " + session.token } : {} };
+};
+const galleryApi = {
+  request: async (path, options = {}) => {
+    const response = await fetch("/api/gallery" + path, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        ...authHeaders()
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || "Request failed (HTTP " + response.status + ")");
+    }
+    return data;
+  },
+  list: () => galleryApi.request(""),
+  get: async (id) => {
+    const { url, ...record } = await galleryApi.request("/" + encodeURIComponent(id));
+    Object.assign(record, await toStoredImage(await dataUrlToBlob(url)));
+    if (record.params && record.params.referenceImages) {
+      record.params.referenceImages = await Promise.all(record.params.referenceImages.map(dataUrlToBlob));
+    }
+    return record;
+  },
+  put: async (item) => {
+    const { synced, image, thumbnail, ...record } = item;
+    record.url = await blobToDataUrl(image);
+    if (record.share) {
+      const { token, ...share } = record.share;
+      record.share = share;
+    }
+    if (record.params && record.params.referenceImages) {
+      record.params = { ...record.params, referenceImages: await Promise.all(record.params.referenceImages.map(blobToDataUrl)) };
+    }
+    return galleryApi.request("/" + encodeURIComponent(item.id), {
+      method: "PUT",
+      body: JSON.stringify(record)
+    });
+  },
+  remove: (id) => galleryApi.request("/" + encodeURIComponent(id), { method: "DELETE" })
+};
+const DEFAULT_MODELS = [
+  { id: "gemini-2.5-flash-image", label: "Nano", description: "Flash / " + t("models.fast"), pro: false, imageSizes: [], features: { history: true, mask: true } },
+  { id: "gemini-3-pro-image-preview", label: "Nano Pro", description: "Pro / 4K", pro: true, imageSizes: ["1K", "2K", "4K"], features: { history: true, mask: true } }
+];
+const Icons = {
+  Aperture: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("circle", { cx: "12", cy: "12", r: "10" }), /* @__PURE__ */ React.createElement("line", { x1: "14.31", x2: "20.05", y1: "8", y2: "17.94" }), /* @__PURE__ */ React.createElement("line", { x1: "9.69", x2: "21.17", y1: "8", y2: "8" }), /* @__PURE__ */ React.createElement("line", { x1: "7.38", x2: "14.69", y1: "12", y2: "2.06" }), /* @__PURE__ */ React.createElement("line", { x1: "9.69", x2: "3.95", y1: "16", y2: "6.06" }), /* @__PURE__ */ React.createElement("line", { x1: "14.31", x2: "2.83", y1: "16", y2: "16" }), /* @__PURE__ */ React.createElement("line", { x1: "16.62", x2: "9.31", y1: "12", y2: "21.94" })),
+  Wand2: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "m21.64 3.64-1.28-1.28a1.21 1.21 0 0 0-1.72 0L2.36 18.64a1.21 1.21 0 0 0 0 1.72l1.28 1.28a1.2 1.2 0 0 0 1.72 0L21.64 5.36a1.2 1.2 0 0 0 0-1.72Z" }), /* @__PURE__ */ React.createElement("path", { d: "m14 7 3 3" }), /* @__PURE__ */ React.createElement("path", { d: "M5 6v4" }), /* @__PURE__ */ React.createElement("path", { d: "M19 14v4" }), /* @__PURE__ */ React.createElement("path", { d: "M10 2v2" }), /* @__PURE__ */ React.createElement("path", { d: "M7 8H3" }), /* @__PURE__ */ React.createElement("path", { d: "M21 16h-4" }), /* @__PURE__ */ React.createElement("path", { d: "M11 3H9" })),
+  Trash2: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "M3 6h18" }), /* @__PURE__ */ React.createElement("path", { d: "M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6" }), /* @__PURE__ */ React.createElement("path", { d: "M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2" }), /* @__PURE__ */ React.createElement("line", { x1: "10", x2: "10", y1: "11", y2: "17" }), /* @__PURE__ */ React.createElement("line", { x1: "14", x2: "14", y1: "11", y2: "17" })),
+  Sparkles: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "m12 3-1.912 5.813a2 2 0 0 1-1.275 1.275L3 12l5.813 1.912a2 2 0 0 1 1.275 1.275L12 21l1.912-5.813a2 2 0 0 1 1.275-1.275L12 3Z" }), /* @__PURE__ */ React.createElement("path", { d: "M5 3v4" }), /* @__PURE__ */ React.createElement("path", { d: "M9 3v4" }), /* @__PURE__ */ React.createElement("path", { d: "M3 7h4" }), /* @__PURE__ */ React.createElement("path", { d: "M3 5h4" })),
+  Loader2: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "M21 12a9 9 0 1 1-6.219-8.56" })),
+  Upload: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" }), /* @__PURE__ */ React.createElement("polyline", { points: "17 8 12 3 7 8" }), /* @__PURE__ */ React.createElement("line", { x1: "12", x2: "12", y1: "3", y2: "15" })),
+  Maximize: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "M8 3H5a2 2 0 0 0-2 2v3" }), /* @__PURE__ */ React.createElement("path", { d: "M21 8V5a2 2 0 0 0-2-2h-3" }), /* @__PURE__ */ React.createElement("path", { d: "M3 16v3a2 2 0 0 0 2 2h3" }), /* @__PURE__ */ React.createElement("path", { d: "M16 21h3a2 2 0 0 0 2-2v-3" })),
+  AlertCircle: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("circle", { cx: "12", cy: "12", r: "10" }), /* @__PURE__ */ React.createElement("line", { x1: "12", x2: "12", y1: "8", y2: "12" }), /* @__PURE__ */ React.createElement("line", { x1: "12", x2: "12.01", y1: "16", y2: "16" })),
+  X: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "M18 6 6 18" }), /* @__PURE__ */ React.createElement("path", { d: "m6 6 18 18" })),
+  Github: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "M15 22v-4a4.8 4.8 0 0 0-1-3.5c3 0 6-2 6-5.5.08-1.25-.27-2.48-1-3.5.28-1.15.28-2.35 0-3.5 0 0-1 0-3 1.5-2.64-.5-5.36.5-8 0C6 2 5 2 5 2c-.3 1.15-.3 2.35 0 3.5A5.403 5.403 0 0 0 4 9c0 3.5 3 5.5 6 5.5-.39.49-.68 1.05-.85 1.65-.17.6-.22 1.23-.15 1.85v4" }), /* @__PURE__ */ React.createElement("path", { d: "M9 18c-4.51 2-5-2-7-2" })),
+  Download: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" }), /* @__PURE__ */ React.createElement("polyline", { points: "7 10 12 15 17 10" }), /* @__PURE__ */ React.createElement("line", { x1: "12", x2: "12", y1: "15", y2: "3" })),
+  Repeat: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "m17 2 4 4-4 4" }), /* @__PURE__ */ React.createElement("path", { d: "M3 11v-1a4 4 0 0 1 4-4h14" }), /* @__PURE__ */ React.createElement("path", { d: "m7 22-4-4 4-4" }), /* @__PURE__ */ React.createElement("path", { d: "M21 13v1a4 4 0 0 1-4 4H3" })),
+  Tag: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "M12.586 2.586A2 2 0 0 0 11.172 2H4a2 2 0 0 0-2 2v7.172a2 2 0 0 0 .586 1.414l8.704 8.704a2.426 2.426 0 0 0 3.42 0l6.58-6.58a2.426 2.426 0 0 0 0-3.42z" }), /* @__PURE__ */ React.createElement("circle", { cx: "7.5", cy: "7.5", r: ".5", fill: "currentColor" })),
+  MessageSquare: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z" })),
+  Brush: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "m9.06 11.9 8.07-8.06a2.85 2.85 0 1 1 4.03 4.03l-8.06 8.08" }), /* @__PURE__ */ React.createElement("path", { d: "M7.07 14.94c-1.66 0-3 1.35-3 3.02 0 1.33-2.5 1.52-2 2.02 1.08 1.1 2.49 2.02 4 2.02 2.2 0 4-1.8 4-4.04a3.01 3.01 0 0 0-3-3.02z" })),
+  Send: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "m22 2-7 20-4-9-9-4Z" }), /* @__PURE__ */ React.createElement("path", { d: "M22 2 11 13" })),
+  User: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2" }), /* @__PURE__ */ React.createElement("circle", { cx: "12", cy: "7", r: "4" })),
+  LogOut: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4" }), /* @__PURE__ */ React.createElement("polyline", { points: "16 17 21 12 16 7" }), /* @__PURE__ */ React.createElement("line", { x1: "21", x2: "9", y1: "12", y2: "12" })),
+  Lock: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("rect", { width: "18", height: "11", x: "3", y: "11", rx: "2", ry: "2" }), /* @__PURE__ */ React.createElement("path", { d: "M7 11V7a5 5 0 0 1 10 0v4" })),
+  ImagePlus: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("path", { d: "M16 5h6" }), /* @__PURE__ */ React.createElement("path", { d: "M19 2v6" }), /* @__PURE__ */ React.createElement("path", { d: "M21 11.5V19a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h7.5" }), /* @__PURE__ */ React.createElement("path", { d: "m21 15-3.086-3.086a2 2 0 0 0-2.828 0L6 21" }), /* @__PURE__ */ React.createElement("circle", { cx: "9", cy: "9", r: "2" })),
+  Share2: (props) => /* @__PURE__ */ React.createElement("svg", { ...props, xmlns: "http://www.w3.org/2000/svg", width: "24", height: "24", viewBox: "0 0 24 24", fill: "none", stroke: "currentColor", strokeWidth: "2", strokeLinecap: "round", strokeLinejoin: "round" }, /* @__PURE__ */ React.createElement("circle", { cx: "18", cy: "5", r: "3" }), /* @__PURE__ */ React.createElement("circle", { cx: "6", cy: "12", r: "3" }), /* @__PURE__ */ React.createElement("circle", { cx: "18", cy: "19", r: "3" }), /* @__PURE__ */ React.createElement("line", { x1: "8.59", x2: "15.42", y1: "13.51", y2: "17.49" }), /* @__PURE__ */ React.createElement("line", { x1: "15.41", x2: "8.59", y1: "6.51", y2: "10.49" }))
+};
+const readNdjson = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onEvent(JSON.parse(line));
+    }
+  }
+  if (buffer.trim()) onEvent(JSON.parse(buffer));
+};
+const getThread = (item) => item.thread || [
+  { role: "user", text: item.prompt },
+  { role: "model", imageId: item.id, thoughtSignature: item.thoughtSignature || null }
+];
+const buildHistory = async (thread) => {
+  const turns = [];
+  for (const turn of thread) {
+    if (turn.role === "user") {
+      if (turn.text) turns.push({ role: "user", text: turn.text });
+      continue;
+    }
+    const item = await dbHelper.get(turn.imageId);
+    if (!item) continue;
+    turns.push({
+      role: "model",
+      images: [{
+        data: await fileToBase64(item.image),
+        mimeType: item.image.type,
+        thoughtSignature: turn.thoughtSignature
+      }]
+    });
+  }
+  return turns;
+};
+const DEFAULT_ASPECT_RATIOS = ["1:1", "2:3", "3:2", "3:4", "4:3", "4:5", "5:4", "9:16", "16:9", "21:9"];
+const ASPECT_RATIO_PATTERN = /^\\d+:\\d+$/;
+const closestAspectRatio = (width, height, ratios) => {
+  const target = Math.log(width / height);
+  return ratios.reduce((best, ratio) => {
+    const [w, h] = ratio.split(":").map(Number);
+    const [bw, bh] = best.split(":").map(Number);
+    return Math.abs(Math.log(w / h) - target) < Math.abs(Math.log(bw / bh) - target) ? ratio : best;
+  });
+};
+const DIFF_TOKEN_PATTERN = /[A-Za-z0-9_'-]+|\\s+|[^\\sA-Za-z0-9_'-]/g;
+const MAX_DIFF_CELLS = 25e4;
+const diffWords = (before, after) => {
+  const a = before.match(DIFF_TOKEN_PATTERN) || [];
+  const b = after.match(DIFF_TOKEN_PATTERN) || [];
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [{ type: "removed", text: before }, { type: "added", text: after }];
+  }
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i2 = a.length - 1; i2 >= 0; i2--) {
+    for (let j2 = b.length - 1; j2 >= 0; j2--) {
+      lcs[i2][j2] = a[i2] === b[j2] ? lcs[i2 + 1][j2 + 1] + 1 : Math.max(lcs[i2 + 1][j2], lcs[i2][j2 + 1]);
+    }
+  }
+  const result = [];
+  const push = (type, text) => {
+    const last = result[result.length - 1];
+    if (last && last.type === type) last.text += text;
+    else result.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+  return result;
+};
+const generationErrorLabel = (code) => hasMessage("errorCode." + code) ? t("errorCode." + code) : t("errorCode.default");
+const JOB_POLL_INTERVAL = 2e3;
+const SHARE_EXPIRY_OPTIONS = [
+  { labelKey: "share.expiryDay", value: 24 * 60 * 60 },
+  { labelKey: "share.expiryWeek", value: 7 * 24 * 60 * 60 },
+  { labelKey: "share.expiryMonth", value: 30 * 24 * 60 * 60 },
+  { labelKey: "share.expiryForever", value: null }
+];
+const generationError = (data) => Object.assign(new Error(data.error || "Request failed"), { code: data.code, details: data.details });
+const describeSafetyDetails = (details) => {
+  if (!details) return [];
+  const lines = [details.blockReason || details.finishReason, details.message].filter(Boolean);
+  (details.safetyRatings || []).filter((rating) => rating.blocked || rating.probability && rating.probability !== "NEGLIGIBLE").forEach((rating) => lines.push(rating.category.replace("HARM_CATEGORY_", "") + ": " + rating.probability));
+  return lines;
+};
+const BATCH_CONCURRENCY = 3;
+const MAX_BATCH_JOBS = 32;
+const VARIANT_COUNTS = [1, 2, 3, 4];
+const MATRIX_PATTERN = /\\{([^{}]*\\|[^{}]*)\\}/;
+const WILDCARD_PATTERN = /\\[([^\\[\\]]*\\|[^\\[\\]]*)\\]/g;
+const expandPromptMatrix = (text) => {
+  const match = MATRIX_PATTERN.exec(text);
+  if (!match) return [text];
+  const head = text.slice(0, match.index);
+  const tail = text.slice(match.index + match[0].length);
+  return match[1].split("|").flatMap((option) => expandPromptMatrix(head + option.trim() + tail));
+};
+const countPromptMatrix = (text) => {
+  let count = 1;
+  for (const match of text.matchAll(new RegExp(MATRIX_PATTERN.source, "g"))) {
+    count *= match[1].split("|").length;
+  }
+  return count;
+};
+const resolveWildcards = (text) => text.replace(WILDCARD_PATTERN, (_, group) => {
+  const options = group.split("|").map((option) => option.trim());
+  return options[Math.floor(Math.random() * options.length)];
+});
+const SUBJECT_PLACEHOLDER = "{subject}";
+const MAX_PRESET_NAME_LENGTH = 40;
+const applyPromptTemplate = (template, prompt) => {
+  const subject = prompt.trim();
+  if (!template) return prompt;
+  if (!subject) return template;
+  if (template.includes(SUBJECT_PLACEHOLDER)) return template.split(SUBJECT_PLACEHOLDER).join(subject);
+  return subject + ", " + template;
+};
+const normalizePreset = (raw) => {
+  if (!raw || typeof raw !== "object" || typeof raw.name !== "string" || !raw.name.trim()) return null;
+  const text = (value) => typeof value === "string" && value ? value : null;
+  return {
+    id: text(raw.id) || crypto.randomUUID(),
+    name: raw.name.trim().slice(0, MAX_PRESET_NAME_LENGTH),
+    model: text(raw.model),
+    imageSize: text(raw.imageSize),
+    aspectRatio: ASPECT_RATIO_PATTERN.test(raw.aspectRatio) ? raw.aspectRatio : null,
+    template: typeof raw.template === "string" ? raw.template : "",
+    createdAt: Number(raw.createdAt) || Date.now()
+  };
+};
+const blobToDataUrl = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+};
+const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+const THUMBNAIL_SIZE = 320;
+const GALLERY_PAGE_SIZE = 48;
+const createThumbnail = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.min(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.8));
+};
+const toStoredImage = async (blob) => ({
+  image: blob,
+  thumbnail: await createThumbnail(blob).catch(() => null) || blob
+});
+const fileToBase64 = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = reader.result;
+      const base64 = result.split(",")[1];
+      resolve(base64);
+    };
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+};
+const MAX_REFERENCE_IMAGES = 14;
+const MAX_REFERENCE_TOTAL_BYTES = 20 * 1024 * 1024;
+const REFERENCE_MIME_TYPES = ["image/png", "image/jpeg", "image/webp", "image/heic", "image/heif"];
+const REFERENCE_SETTINGS_KEY = "gz_reference_settings";
+const REFERENCE_DIMENSION_OPTIONS = [1024, 1536, 2048, 3072, 4096];
+const REFERENCE_BYTE_OPTIONS = [1, 2, 4, 7].map((mb) => mb * 1024 * 1024);
+const DEFAULT_REFERENCE_SETTINGS = { maxDimension: 2048, maxBytes: 4 * 1024 * 1024 };
+const REFERENCE_JPEG_QUALITIES = [0.92, 0.85, 0.75, 0.6];
+const REFERENCE_DRAG_TYPE = "application/x-gz-reference";
+const referenceSettingsStore = {
+  load: () => {
+    try {
+      const settings = JSON.parse(localStorage.getItem(REFERENCE_SETTINGS_KEY));
+      return settings ? { ...DEFAULT_REFERENCE_SETTINGS, ...settings } : DEFAULT_REFERENCE_SETTINGS;
+    } catch (e) {
+      return DEFAULT_REFERENCE_SETTINGS;
+    }
+  },
+  save: (settings) => localStorage.setItem(REFERENCE_SETTINGS_KEY, JSON.stringify(settings))
+};
+const formatBytes = (bytes) => bytes >= 1024 * 1024 ? (bytes / 1024 / 1024).toFixed(1) + " MB" : Math.max(1, Math.round(bytes / 1024)) + " KB";
+const prepareReferenceImage = async (file, { maxDimension, maxBytes }) => {
+  const name = file.name || "image";
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (err) {
+    if (REFERENCE_MIME_TYPES.includes(file.type) && file.size <= maxBytes) return file;
+    throw new Error(t("references.decodeFailed", { name }));
+  }
+  try {
+    const longest = Math.max(bitmap.width, bitmap.height);
+    if (REFERENCE_MIME_TYPES.includes(file.type) && file.size <= maxBytes && longest <= maxDimension) return file;
+    let scale = Math.min(1, maxDimension / longest);
+    while (true) {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+      canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      for (const quality of REFERENCE_JPEG_QUALITIES) {
+        const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", quality));
+        if (blob && blob.size <= maxBytes) {
+          return new File([blob], name.replace(/\\.[^.]+$/, "") + ".jpg", { type: "image/jpeg" });
+        }
+      }
+      if (Math.max(canvas.width, canvas.height) <= 256) {
+        throw new Error(t("references.tooLarge", { name, limit: formatBytes(maxBytes) }));
+      }
+      scale *= 0.75;
+    }
+  } finally {
+    bitmap.close();
+  }
+};
+function BlobImage({ blob, ...props }) {
+  const [src, setSrc] = useState(null);
+  useEffect(() => {
+    if (!blob) return;
+    const url = URL.createObjectURL(blob);
+    setSrc(url);
+    return () => URL.revokeObjectURL(url);
+  }, [blob]);
+  return src ? /* @__PURE__ */ React.createElement("img", { src, ...props }) : null;
+}
+function MaskEditor({ source, busy, error, onCancel, onSubmit }) {
+  const imgRef = useRef(null);
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+  const lastPoint = useRef(null);
+  const [tool, setTool] = useState("brush");
+  const [brushSize, setBrushSize] = useState(40);
+  const [maskPrompt, setMaskPrompt] = useState("");
+  const [hasMask, setHasMask] = useState(false);
+  const handleImageLoad = () => {
+    const canvas = canvasRef.current;
+    canvas.width = imgRef.current.naturalWidth;
+    canvas.height = imgRef.current.naturalHeight;
+  };
+  const toCanvasPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const scale = canvas.width / rect.width;
+    return { x: (e.clientX - rect.left) * scale, y: (e.clientY - rect.top) * scale, scale };
+  };
+  const drawTo = (point) => {
+    const ctx = canvasRef.current.getContext("2d");
+    ctx.globalCompositeOperation = tool === "eraser" ? "destination-out" : "source-over";
+    ctx.strokeStyle = "#fff";
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.lineWidth = brushSize * point.scale;
+    const from = lastPoint.current || point;
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(point.x + 0.01, point.y);
+    ctx.stroke();
+    lastPoint.current = point;
+  };
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drawing.current = true;
+    lastPoint.current = null;
+    drawTo(toCanvasPoint(e));
+    if (tool === "brush") setHasMask(true);
+  };
+  const handlePointerMove = (e) => {
+    if (drawing.current) drawTo(toCanvasPoint(e));
+  };
+  const handlePointerUp = () => {
+    drawing.current = false;
+    lastPoint.current = null;
+  };
+  const clearMask = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+    setHasMask(false);
+  };
+  const exportMask = () => {
+    const canvas = canvasRef.current;
+    const out = document.createElement("canvas");
+    out.width = canvas.width;
+    out.height = canvas.height;
+    const ctx = out.getContext("2d");
+    ctx.drawImage(canvas, 0, 0);
+    ctx.globalCompositeOperation = "source-in";
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, out.width, out.height);
+    ctx.globalCompositeOperation = "destination-over";
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, out.width, out.height);
+    return out.toDataURL("image/png").split(",")[1];
+  };
+  const handleSubmit = () => {
+    if (!hasMask || !maskPrompt.trim() || busy) return;
+    onSubmit({
+      mask: exportMask(),
+      prompt: maskPrompt.trim(),
+      width: canvasRef.current.width,
+      height: canvasRef.current.height
+    });
+  };
+  return /* @__PURE__ */ React.createElement("div", { className: "fixed inset-0 z-[105] flex flex-col bg-black/95 backdrop-blur-sm animate-fadeIn" }, /* @__PURE__ */ React.createElement("div", { className: "bg-white border-b-2 border-black px-4 py-3 flex flex-wrap items-center gap-3" }, /* @__PURE__ */ React.createElement("h3", { className: "text-sm font-black uppercase tracking-widest mr-2" }, t("mask.title")), /* @__PURE__ */ React.createElement("div", { className: "flex border-2 border-black divide-x-2 divide-black" }, [["brush", t("mask.brush")], ["eraser", t("mask.eraser")]].map(([value, label]) => /* @__PURE__ */ React.createElement(
+    "button",
+    {
+      key: value,
+      onClick: () => setTool(value),
+      className: "px-3 py-1 text-xs font-bold transition-colors " + (tool === value ? "bg-black text-white" : "bg-white text-black hover:bg-zinc-100")
+    },
+    label
+  ))), /* @__PURE__ */ React.createElement("label", { className: "flex items-center gap-2 text-xs font-bold" }, t("mask.size"), /* @__PURE__ */ React.createElement("input", { type: "range", min: "5", max: "150", value: brushSize, onChange: (e) => setBrushSize(Number(e.target.value)), className: "accent-black" })), /* @__PURE__ */ React.createElement("button", { onClick: clearMask, className: "text-xs font-bold underline hover:no-underline" }, t("mask.clear")), /* @__PURE__ */ React.createElement("div", { className: "flex-1" }), /* @__PURE__ */ React.createElement("button", { onClick: onCancel, className: "p-1 hover:bg-zinc-100" }, /* @__PURE__ */ React.createElement(Icons.X, { className: "w-5 h-5" }))), /* @__PURE__ */ React.createElement("div", { className: "flex-1 min-h-0 flex items-center justify-center p-4" }, /* @__PURE__ */ React.createElement("div", { className: "relative inline-block" }, /* @__PURE__ */ React.createElement("img", { ref: imgRef, src: source, onLoad: handleImageLoad, className: "block max-w-full max-h-[70vh] object-contain select-none", draggable: false }), /* @__PURE__ */ React.createElement(
+    "canvas",
+    {
+      ref: canvasRef,
+      onPointerDown: handlePointerDown,
+      onPointerMove: handlePointerMove,
+      onPointerUp: handlePointerUp,
+      onPointerCancel: handlePointerUp,
+      className: "absolute inset-0 w-full h-full opacity-60 mix-blend-difference cursor-crosshair touch-none"
+    }
+  ))), /* @__PURE__ */ React.createElement("div", { className: "bg-white border-t-2 border-black p-4 flex flex-col md:flex-row gap-2" }, /* @__PURE__ */ React.createElement(
+    "input",
+    {
+      value: maskPrompt,
+      onChange: (e) => setMaskPrompt(e.target.value),
+      onKeyDown: (e) => e.key === "Enter" && handleSubmit(),
+      placeholder: t("mask.placeholder"),
+      className: "flex-1 p-3 border-2 border-black text-sm font-medium focus:outline-none focus:bg-zinc-50"
+    }
+  ), /* @__PURE__ */ React.createElement(
+    "button",
+    {
+      onClick: handleSubmit,
+      disabled: busy || !hasMask || !maskPrompt.trim(),
+      className: "px-8 py-3 bg-black text-white font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-zinc-800 disabled:opacity-30 disabled:cursor-not-allowed"
+    },
+    busy ? /* @__PURE__ */ React.createElement(Icons.Loader2, { className: "w-4 h-4 animate-spin" }) : /* @__PURE__ */ React.createElement(Icons.Brush, { className: "w-4 h-4" }),
+    t("mask.submit")
+  )), error && /* @__PURE__ */ React.createElement("div", { className: "bg-white border-t-2 border-black px-4 py-2 flex items-start gap-2" }, /* @__PURE__ */ React.createElement(Icons.AlertCircle, { className: "w-4 h-4 mt-0.5 flex-shrink-0" }), /* @__PURE__ */ React.createElement("p", { className: "text-xs font-bold" }, error)));
+}
+function App() {
+  const [locale, setLocale] = useState(currentLocale);
+  const [prompt, setPrompt] = useState("");
+  const [variantCount, setVariantCount] = useState(1);
+  const [models, setModels] = useState(DEFAULT_MODELS);
+  const [jobsEnabled, setJobsEnabled] = useState(false);
+  const [sharesEnabled, setSharesEnabled] = useState(false);
+  const [model, setModel] = useState(DEFAULT_MODELS[0].id);
+  const [aspectRatios, setAspectRatios] = useState(DEFAULT_ASPECT_RATIOS);
+  const [aspectRatio, setAspectRatio] = useState("1:1");
+  const [imageSize, setImageSize] = useState("1K");
+  const [referenceImages, setReferenceImages] = useState([]);
+  const [referenceSettings, setReferenceSettings] = useState(referenceSettingsStore.load);
+  const [preparingReferences, setPreparingReferences] = useState(false);
+  const [referenceDragging, setReferenceDragging] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState(null);
+  const [pendingRequests, setPendingRequests] = useState([]);
+  const [selectedImage, setSelectedImage] = useState(null);
+  const [lightboxPanel, setLightboxPanel] = useState(null);
+  const [shareOptions, setShareOptions] = useState({ expiresIn: SHARE_EXPIRY_OPTIONS[1].value, hidePrompt: false });
+  const [sharing, setSharing] = useState(false);
+  const [shareCopied, setShareCopied] = useState(false);
+  const [tagInput, setTagInput] = useState("");
+  const [albumInput, setAlbumInput] = useState("");
+  const [searchQuery, setSearchQuery] = useState("");
+  const [activeFilter, setActiveFilter] = useState(null);
+  const [filteredItems, setFilteredItems] = useState(null);
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(/* @__PURE__ */ new Set());
+  const [editPrompt, setEditPrompt] = useState("");
+  const [editing, setEditing] = useState(false);
+  const [droppedImage, setDroppedImage] = useState(null);
+  const [fileDragging, setFileDragging] = useState(false);
+  const dragDepth = useRef(0);
+  const [maskSource, setMaskSource] = useState(null);
+  const [inpainting, setInpainting] = useState(false);
+  const [showLogin, setShowLogin] = useState(false);
+  const [loginCode, setLoginCode] = useState("");
+  const [loginError, setLoginError] = useState(null);
+  const [session, setSession] = useState(sessionStore.load);
+  const [authRequired, setAuthRequired] = useState(false);
+  const [syncEnabled, setSyncEnabled] = useState(false);
+  const [streamMode, setStreamMode] = useState(() => localStorage.getItem("gz_stream") !== "0");
+  const abortControllers = useRef({});
+  const cancelledJobs = useRef(/* @__PURE__ */ new Set());
+  const [quota, setQuota] = useState(null);
+  const [enhance, setEnhance] = useState(null);
+  const [enhanceStyle, setEnhanceStyle] = useState("");
+  const [presets, setPresets] = useState([]);
+  const [presetDraft, setPresetDraft] = useState(null);
+  const [enhanceTranslate, setEnhanceTranslate] = useState(() => localStorage.getItem("gz_enhance_translate") === "1");
+  useEffect(() => {
+    localStorage.setItem("gz_stream", streamMode ? "1" : "0");
+  }, [streamMode]);
+  useEffect(() => {
+    localStorage.setItem("gz_enhance_translate", enhanceTranslate ? "1" : "0");
+  }, [enhanceTranslate]);
+  useEffect(() => {
+    dbHelper.migrateDataUrls().then(dbHelper.getAll).then(setHistory).catch(console.error).finally(syncGallery);
+    refreshQuota();
+    refreshSession();
+    refreshModels();
+    resumeJobs().catch(console.error);
+    restoreFailed().catch(console.error);
+    dbHelper.getPresets().then(setPresets).catch(console.error);
+    localStorage.removeItem("gz_access_code");
+  }, []);
+  const canUsePro = !session || session.user.role !== "flash";
+  const modelInfo = (id) => models.find((m) => m.id === id);
+  const currentModel = modelInfo(model) || models[0];
+  const canUseModel = (entry) => canUsePro || !entry.pro;
+  useEffect(() => {
+    if (!aspectRatios.includes(aspectRatio)) setAspectRatio(aspectRatios[0]);
+  }, [aspectRatios]);
+  useEffect(() => {
+    if (!modelInfo(model) || !canUseModel(modelInfo(model))) {
+      setModel((models.find(canUseModel) || models[0]).id);
+    }
+  }, [canUsePro, models]);
+  const refreshModels = async () => {
+    try {
+      const response = await fetch("/api/models", { headers: localeHeaders() });
+      const data = await response.json();
+      if (response.ok && data.models.length > 0) setModels(data.models);
+      if (response.ok && Array.isArray(data.aspectRatios) && data.aspectRatios.length > 0) setAspectRatios(data.aspectRatios);
+      if (response.ok) {
+        setJobsEnabled(Boolean(data.jobs));
+        setSharesEnabled(Boolean(data.shares));
+      }
+    } catch (err) {
+      console.error(err);
+    }
+  };
+  const refreshSession = async () => {
+    try {
+      const response = await fetch("/api/session", { headers: authHeaders() });
+      const data = await response.json();
+      setAuthRequired(data.authRequired);
+      if (data.authRequired && !data.user) {
+        sessionStore.clear();
+        setSession(null);
+      }
+    } catch (err) {
+      console.error(err);
+    }
+  };
+  const changeLocale = (next) => {
+    if (next === locale) return;
+    setCurrentLocale(next);
+    setLocale(next);
+    refreshModels();
+  };
+  const handleLogin = async () => {
+    const code = loginCode.trim();
+    if (!code) return;
+    try {
+      const response = await fetch("/api/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...localeHeaders() },
+        body: JSON.stringify({ code })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(response.status === 401 ? t("login.wrongCode") : data.error || "Login failed");
+      }
+      const next = { token: data.token, expiresAt: data.expiresAt, user: data.user };
+      sessionStore.save(next);
+      setSession(next);
+      setShowLogin(false);
+      setLoginCode("");
+      setLoginError(null);
+      setError(null);
+      await reloadGallery();
+      syncGallery();
+      refreshQuota();
+    } catch (err) {
+      setLoginError(err.message);
+    }
+  };
+  const logout = () => {
+    sessionStore.clear();
+    setSession(null);
+    setSyncEnabled(false);
+    setQuota(null);
+    reloadGallery();
+  };
+  const handleUnauthorized = () => {
+    sessionStore.clear();
+    setSession(null);
+    setShowLogin(true);
+    setError(t("login.expired"));
+    reloadGallery();
+  };
+  const reloadGallery = async () => {
+    setSelectedImage(null);
+    setSelectedIds(/* @__PURE__ */ new Set());
+    try {
+      setHistory(await dbHelper.getAll());
+    } catch (err) {
+      console.error(err);
+    }
+  };
+  const refreshQuota = async () => {
+    try {
+      const response = await fetch("/api/quota", { headers: authHeaders() });
+      if (response.ok) setQuota(await response.json());
+    } catch (err) {
+      console.error(err);
+    }
+  };
+  const formatBudget = (budget) => budget.used + "/" + budget.limit;
+  const syncGallery = async () => {
+    try {
+      const remote = await galleryApi.list();
+      if (!remote.enabled) {
+        setSyncEnabled(false);
+        return;
+      }
+      setSyncEnabled(true);
+      const local = await dbHelper.getAll();
+      const localById = new Map(local.map((item) => [item.id, item]));
+      const remoteById = new Map(remote.items.map((item) => [item.id, item]));
+      const deleted = new Set(remote.deleted || []);
+      for (const meta of remote.items) {
+        const localItem = localById.get(meta.id);
+        if (!localItem || (meta.updatedAt || 0) > (localItem.updatedAt || 0)) {
+          const item = await galleryApi.get(meta.id);
+          if (item.share && localItem && localItem.share && localItem.share.id === item.share.id) {
+            item.share = { ...item.share, token: localItem.share.token };
+          }
+          await dbHelper.put(withDefaults({ ...item, owner: galleryOwner(), synced: true }));
+        }
+      }
+      const missing = [];
+      for (const item of local) {
+        const remoteMeta = remoteById.get(item.id);
+        if (!remoteMeta) {
+          if (item.synced && deleted.has(item.id)) {
+            await dbHelper.remove(item.id);
+          } else {
+            missing.push(item);
+          }
+        } else if ((item.updatedAt || 0) > (remoteMeta.updatedAt || 0)) {
+          await galleryApi.put(item);
+        }
+      }
+      await uploadToServer(missing);
+      setHistory(await dbHelper.getAll());
+    } catch (err) {
+      console.error(err);
+      setSyncEnabled(false);
+    }
+  };
+  const uploadToServer = async (items) => {
+    for (const item of items) {
+      try {
+        await galleryApi.put(item);
+        await dbHelper.put({ ...item, synced: true });
+      } catch (err) {
+        console.error(err);
+      }
+    }
+  };
+  const clearHistory = async () => {
+    if (!confirm(t(syncEnabled ? "gallery.confirmClearSynced" : "gallery.confirmClear"))) return;
+    if (syncEnabled) {
+      await Promise.all(history.map((item) => galleryApi.remove(item.id).catch(console.error)));
+    }
+    await dbHelper.clear();
+    setHistory([]);
+  };
+  const addReferenceImages = async (files) => {
+    const images = files.filter((file) => file.type.startsWith("image/"));
+    if (images.length === 0) return;
+    const room = MAX_REFERENCE_IMAGES - referenceImages.length;
+    const failures = [];
+    if (images.length > room) failures.push(t("references.tooMany", { max: MAX_REFERENCE_IMAGES }));
+    setPreparingReferences(true);
+    try {
+      const prepared = [];
+      for (const file of images.slice(0, Math.max(0, room))) {
+        try {
+          prepared.push(await prepareReferenceImage(file, referenceSettings));
+        } catch (err) {
+          console.error(err);
+          failures.push(err.message);
+        }
+      }
+      setReferenceImages((prev) => [...prev, ...prepared].slice(0, MAX_REFERENCE_IMAGES));
+      setError(failures.length > 0 ? failures.join("; ") : null);
+    } finally {
+      setPreparingReferences(false);
+    }
+  };
+  const handleImageUpload = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    addReferenceImages(files);
+  };
+  const moveReference = (from, to) => {
+    setReferenceImages((prev) => {
+      if (to < 0 || to >= prev.length || from === to) return prev;
+      const next = [...prev];
+      next.splice(to, 0, next.splice(from, 1)[0]);
+      return next;
+    });
+  };
+  const updateReferenceSettings = (patch) => {
+    setReferenceSettings((prev) => {
+      const next = { ...prev, ...patch };
+      referenceSettingsStore.save(next);
+      return next;
+    });
+  };
+  const useAsReference = (item) => addReferenceImages([
+    new File([item.image], "reference-" + item.id + "." + extensionOf(item.image.type), { type: item.image.type })
+  ]);
+  const referenceBytes = referenceImages.reduce((sum, file) => sum + file.size, 0);
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (selectedImage || maskSource || droppedImage || !e.clipboardData) return;
+      const editable = e.target.closest && e.target.closest("input, textarea, [contenteditable]");
+      if (editable && Array.from(e.clipboardData.types).includes("text/plain")) return;
+      const files = Array.from(e.clipboardData.files).filter((file) => file.type.startsWith("image/"));
+      if (files.length === 0) return;
+      e.preventDefault();
+      addReferenceImages(files);
+    };
+    document.addEventListener("paste", handlePaste);
+    return () => document.removeEventListener("paste", handlePaste);
+  }, [selectedImage, maskSource, droppedImage, referenceImages, referenceSettings]);
+  const checkAndGenerate = () => {
+    if (authRequired && !sessionStore.load()) {
+      setShowLogin(true);
+    } else {
+      doGenerate();
+    }
+  };
+  const updatePending = (id, update) => {
+    setPendingRequests((prev) => prev.map((p) => p.id === id ? update(p) : p));
+  };
+  const cancelPending = (id) => {
+    const controller = abortControllers.current[id];
+    if (controller) {
+      controller.abort();
+    } else {
+      cancelledJobs.current.add(id);
+      setPendingRequests((prev) => prev.filter((p) => p.id !== id));
+    }
+  };
+  const retryPending = (req) => {
+    dismissPending(req.id);
+    const { pendingId, jobId, ...job } = req.job;
+    runGeneration(job);
+  };
+  const restoreFailed = async () => {
+    const records = await dbHelper.getFailed();
+    if (records.length === 0) return;
+    setPendingRequests((prev) => [...prev, ...records]);
+  };
+  const resumeJobs = async () => {
+    const records = await dbHelper.getJobs();
+    if (records.length === 0) return;
+    const jobs = records.map((record) => ({ ...record.job, jobId: record.jobId, pendingId: record.pendingId }));
+    setPendingRequests((prev) => [...jobs.map((job) => createPending(job, "running")), ...prev]);
+    jobs.forEach(runGeneration);
+  };
+  const pollJob = async (jobId, signal) => {
+    while (true) {
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(new DOMException("Aborted", "AbortError"));
+        };
+        const timer = setTimeout(() => {
+          signal.removeEventListener("abort", onAbort);
+          resolve();
+        }, JOB_POLL_INTERVAL);
+        signal.addEventListener("abort", onAbort, { once: true });
+      });
+      let response;
+      try {
+        response = await fetch("/api/jobs/" + jobId, { headers: authHeaders(), signal });
+      } catch (err) {
+        if (err.name === "AbortError") throw err;
+        continue;
+      }
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 401) handleUnauthorized();
+      if (!response.ok && response.status < 500) throw generationError(data);
+      if (data.status === "succeeded") return data;
+      if (data.status === "failed") throw generationError(data);
+    }
+  };
+  const dismissPending = (id) => {
+    setPendingRequests((prev) => prev.filter((p) => p.id !== id));
+    dbHelper.removeFailed(id).catch(console.error);
+  };
+  const createPending = (job, status) => ({
+    id: job.pendingId || crypto.randomUUID(),
+    prompt: job.prompt,
+    timestamp: Date.now(),
+    model: (modelInfo(job.model) || { label: job.model }).label,
+    status,
+    text: "",
+    images: []
+  });
+  const enhancePrompt = async () => {
+    const original = prompt.trim();
+    if (!original) {
+      setError(t("enhance.emptyPrompt"));
+      return;
+    }
+    if (authRequired && !sessionStore.load()) {
+      setShowLogin(true);
+      return;
+    }
+    setEnhance({ original, suggestion: "", loading: true, error: null, editing: false });
+    try {
+      const response = await fetch("/api/enhance", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify({ prompt: original, translate: enhanceTranslate, style: enhanceStyle })
+      });
+      if (response.status === 401) {
+        setEnhance(null);
+        handleUnauthorized();
+        return;
+      }
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Request failed");
+      setEnhance({ original, suggestion: data.prompt, loading: false, error: null, editing: false });
+    } catch (err) {
+      setEnhance({ original, suggestion: "", loading: false, error: err.message, editing: false });
+    }
+  };
+  const acceptEnhance = () => {
+    setPrompt(enhance.suggestion);
+    setEnhance(null);
+  };
+  const applyPreset = (preset) => {
+    if (preset.model) {
+      const entry = modelInfo(preset.model);
+      if (entry && canUseModel(entry)) {
+        setModel(entry.id);
+      } else {
+        setError(t("presets.modelUnavailable", { name: preset.name, model: entry ? entry.label : preset.model }));
+      }
+    }
+    if (preset.imageSize) setImageSize(preset.imageSize);
+    if (aspectRatios.includes(preset.aspectRatio)) setAspectRatio(preset.aspectRatio);
+    if (preset.template) setPrompt((prev) => applyPromptTemplate(preset.template, prev));
+  };
+  const savePreset = async () => {
+    const name = presetDraft.name.trim();
+    if (!name) {
+      setError(t("presets.emptyName"));
+      return;
+    }
+    const preset = normalizePreset({
+      name,
+      template: presetDraft.template.trim(),
+      ...presetDraft.includeSettings ? { model, imageSize: currentModel.imageSizes.length > 0 ? imageSize : null, aspectRatio } : {}
+    });
+    try {
+      await dbHelper.putPreset(preset);
+      setPresets((prev) => [...prev, preset]);
+      setPresetDraft(null);
+    } catch (err) {
+      console.error(err);
+      setError(t("presets.saveFailed", { message: err.message }));
+    }
+  };
+  const deletePreset = async (preset) => {
+    if (!confirm(t("presets.confirmDelete", { name: preset.name }))) return;
+    await dbHelper.removePreset(preset.id);
+    setPresets((prev) => prev.filter((p) => p.id !== preset.id));
+  };
+  const exportPresets = () => {
+    const data = { app: "gz-nano", type: "presets", version: 1, exportedAt: (/* @__PURE__ */ new Date()).toISOString(), presets };
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+    link.download = "gz-nano-presets-" + (/* @__PURE__ */ new Date()).toISOString().slice(0, 10) + ".json";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link.href), 1e3);
+  };
+  const importPresets = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      const entries = Array.isArray(data) ? data : data && Array.isArray(data.presets) ? data.presets : null;
+      if (!entries) throw new Error(t("presets.invalidFile"));
+      const existing = new Set(presets.map((p) => p.id));
+      const added = [];
+      let skipped = 0;
+      for (const entry of entries) {
+        const preset = normalizePreset(entry);
+        if (!preset || existing.has(preset.id)) {
+          skipped++;
+          continue;
+        }
+        await dbHelper.putPreset(preset);
+        existing.add(preset.id);
+        added.push(preset);
+      }
+      setPresets(await dbHelper.getPresets());
+      alert(t("presets.imported", { count: added.length }) + (skipped > 0 ? t("presets.importSkipped", { count: skipped }) : ""));
+    } catch (err) {
+      console.error(err);
+      setError(t("presets.importFailed", { message: err.message }));
+    }
+  };
+  const promptCount = useMemo(() => countPromptMatrix(prompt) * variantCount, [prompt, variantCount]);
+  const expandedPrompts = useMemo(
+    () => promptCount <= MAX_BATCH_JOBS ? expandPromptMatrix(prompt).flatMap((p) => Array(variantCount).fill(p)) : [],
+    [prompt, variantCount, promptCount]
+  );
+  const doGenerate = () => {
+    if (!prompt.trim() && referenceImages.length === 0) {
+      setError(t("generate.emptyPrompt"));
+      return;
+    }
+    if (promptCount > MAX_BATCH_JOBS) {
+      setError(t("generate.tooMany", { max: MAX_BATCH_JOBS, count: promptCount }));
+      return;
+    }
+    if (preparingReferences) {
+      setError(t("references.preparing"));
+      return;
+    }
+    if (referenceBytes > MAX_REFERENCE_TOTAL_BYTES) {
+      setError(t("references.payloadTooLarge", { size: formatBytes(referenceBytes), limit: formatBytes(MAX_REFERENCE_TOTAL_BYTES) }));
+      return;
+    }
+    setError(null);
+    return runBatch(expandedPrompts.map((p) => ({
+      prompt: resolveWildcards(p),
+      referenceImages,
+      model,
+      aspectRatio,
+      imageSize
+    })), prompt);
+  };
+  const runBatch = async (jobs, batchPrompt) => {
+    const batchId = jobs.length > 1 ? crypto.randomUUID() : null;
+    const queued = jobs.map((job) => ({ ...job, batchId, batchPrompt, pendingId: crypto.randomUUID() }));
+    setPendingRequests((prev) => [...queued.map((job) => createPending(job, "queued")), ...prev]);
+    let next = 0;
+    const worker = async () => {
+      while (next < queued.length) {
+        const job = queued[next++];
+        if (cancelledJobs.current.has(job.pendingId)) {
+          cancelledJobs.current.delete(job.pendingId);
+          continue;
+        }
+        await runGeneration(job);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, queued.length) }, worker));
+  };
+  const runGeneration = async (job) => {
+    const newPending = createPending(job, "running");
+    const tempId = newPending.id;
+    if (job.pendingId) {
+      updatePending(tempId, () => newPending);
+    } else {
+      setPendingRequests((prev) => [newPending, ...prev]);
+    }
+    const controller = new AbortController();
+    abortControllers.current[tempId] = controller;
+    const received = [];
+    let failure = null;
+    const useJob = Boolean(job.jobId) || jobsEnabled && !streamMode;
+    let jobId = job.jobId || null;
+    try {
+      let response = null;
+      if (!jobId) {
+        const imagesPayload = await Promise.all(job.referenceImages.map(async (file) => ({
+          data: await fileToBase64(file),
+          mimeType: file.type
+        })));
+        const history2 = job.thread ? await buildHistory(job.thread.slice(0, -1)) : void 0;
+        response = await fetch(useJob ? "/api/jobs" : "/api/generate", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...authHeaders()
+          },
+          body: JSON.stringify({
+            model: job.model,
+            prompt: job.prompt || (job.referenceImages.length > 0 ? "Describe these images and modify them" : ""),
+            images: imagesPayload,
+            aspectRatio: job.aspectRatio,
+            imageSize: job.imageSize,
+            history: history2,
+            mask: job.mask,
+            stream: !useJob && streamMode
+          }),
+          signal: controller.signal
+        });
+        if (response.status === 401) {
+          handleUnauthorized();
+          setPendingRequests((prev) => prev.filter((p) => p.id !== tempId));
+          delete abortControllers.current[tempId];
+          return [];
+        }
+        if (response.status === 429) {
+          const data = await response.json();
+          if (data.quota) setQuota(data.quota);
+          throw generationError({ ...data, error: data.error + " " + t("quota.resetAt", { time: new Date(data.resetAt).toLocaleString() }) });
+        }
+      }
+      if (useJob) {
+        if (!jobId) {
+          const data2 = await response.json();
+          if (!response.ok) throw generationError(data2);
+          jobId = data2.id;
+          await dbHelper.putJob({ jobId, pendingId: tempId, job: { ...job, jobId } });
+        }
+        const data = await pollJob(jobId, controller.signal);
+        data.images.forEach((url, i) => {
+          received.push({ url, thoughtSignature: data.thoughtSignatures ? data.thoughtSignatures[i] : null });
+        });
+      } else if (streamMode && response.ok) {
+        await readNdjson(response, (event) => {
+          if (event.type === "text") {
+            updatePending(tempId, (p) => ({ ...p, text: p.text + event.text }));
+          } else if (event.type === "image") {
+            received.push({ url: event.url, thoughtSignature: event.thoughtSignature });
+            updatePending(tempId, (p) => ({ ...p, images: [...p.images, event.url] }));
+          } else if (event.type === "error") {
+            throw generationError(event);
+          }
+        });
+      } else {
+        const data = await response.json();
+        if (!response.ok) {
+          throw generationError(data);
+        }
+        data.images.forEach((url, i) => {
+          received.push({ url, thoughtSignature: data.thoughtSignatures ? data.thoughtSignatures[i] : null });
+        });
+      }
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        console.error(err);
+        failure = { message: err.message || t("generate.failed"), code: err.code || null, details: err.details || null };
+        setError(failure.message);
+      }
+    }
+    const params = {
+      model: job.model,
+      prompt: job.prompt,
+      aspectRatio: job.aspectRatio,
+      imageSize: job.imageSize,
+      referenceImages: job.referenceImages.map((file) => new Blob([file], { type: file.type }))
+    };
+    const newImages = await Promise.all(received.map(async ({ url, thoughtSignature }) => {
+      const id = crypto.randomUUID();
+      const item = {
+        id,
+        ...await toStoredImage(await dataUrlToBlob(url)),
+        prompt: newPending.prompt,
+        model: newPending.model,
+        timestamp: Date.now(),
+        thoughtSignature: thoughtSignature || null,
+        tags: [],
+        albums: [],
+        favorite: 0,
+        params
+      };
+      if (job.sourceId) {
+        item.sourceId = job.sourceId;
+      }
+      if (job.batchId) {
+        item.batchId = job.batchId;
+        item.batchPrompt = job.batchPrompt;
+      }
+      if (job.thread) {
+        item.parentId = job.parentId;
+        item.thread = [...job.thread, { role: "model", imageId: id, thoughtSignature: thoughtSignature || null }];
+      }
+      return item;
+    }));
+    if (newImages.length > 0) {
+      for (const img of newImages) {
+        await dbHelper.add(img);
+      }
+      setHistory((prev) => [...newImages, ...prev]);
+      if (syncEnabled) {
+        uploadToServer(newImages);
+      }
+    }
+    if (jobId) {
+      dbHelper.removeJob(jobId).catch(console.error);
+      fetch("/api/jobs/" + jobId, { method: "DELETE", headers: authHeaders() }).catch(() => {
+      });
+    }
+    if (failure && newImages.length === 0) {
+      const { jobId: _, ...retryJob } = job;
+      const failed = { ...newPending, status: "failed", error: failure, job: retryJob };
+      updatePending(tempId, () => failed);
+      dbHelper.putFailed(failed).catch(console.error);
+    } else {
+      setPendingRequests((prev) => prev.filter((p) => p.id !== tempId));
+    }
+    delete abortControllers.current[tempId];
+    refreshQuota();
+    return newImages;
+  };
+  const sendEdit = async () => {
+    const text = editPrompt.trim();
+    if (!text || !selectedImage || editing) return;
+    if (authRequired && !sessionStore.load()) {
+      setShowLogin(true);
+      return;
+    }
+    setEditing(true);
+    setError(null);
+    const newImages = await runGeneration({
+      prompt: text,
+      referenceImages: [],
+      model,
+      aspectRatio,
+      imageSize,
+      parentId: selectedImage.id,
+      thread: [...getThread(selectedImage), { role: "user", text }]
+    });
+    setEditing(false);
+    if (newImages.length > 0) {
+      setEditPrompt("");
+      setSelectedImage(newImages[0]);
+    }
+  };
+  const openMaskEditor = (source) => {
+    setError(null);
+    setMaskSource(source);
+  };
+  const closeMaskEditor = () => {
+    if (maskSource && maskSource.file) URL.revokeObjectURL(maskSource.url);
+    setMaskSource(null);
+  };
+  const submitInpaint = async ({ mask, prompt: text, width, height }) => {
+    if (authRequired && !sessionStore.load()) {
+      setShowLogin(true);
+      return;
+    }
+    setInpainting(true);
+    setError(null);
+    const newImages = await runGeneration({
+      prompt: text,
+      referenceImages: [maskSource.file],
+      mask: { data: mask, mimeType: "image/png" },
+      model,
+      aspectRatio: closestAspectRatio(width, height, aspectRatios),
+      imageSize,
+      sourceId: maskSource.sourceId
+    });
+    setInpainting(false);
+    if (newImages.length > 0) {
+      closeMaskEditor();
+      if (maskSource.sourceId) setSelectedImage(newImages[0]);
+    }
+  };
+  const openImage = (item) => {
+    setSelectedImage(item);
+    setLightboxPanel(null);
+    setEditPrompt("");
+    setShareCopied(false);
+  };
+  const updateItem = async (id, changes) => {
+    const item = await dbHelper.get(id);
+    if (!item) return;
+    const updated = { ...item, ...changes, updatedAt: Date.now() };
+    await dbHelper.put(updated);
+    setHistory((prev) => prev.map((h) => h.id === id ? updated : h));
+    setSelectedImage((prev) => prev && prev.id === id ? updated : prev);
+    if (syncEnabled) {
+      uploadToServer([updated]);
+    }
+  };
+  const createShare = async (item) => {
+    setSharing(true);
+    setError(null);
+    try {
+      const response = await fetch("/api/shares", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify({
+          image: { mimeType: item.image.type || "image/png", data: await fileToBase64(item.image) },
+          prompt: item.prompt || "",
+          model: item.model || "",
+          hidePrompt: shareOptions.hidePrompt,
+          expiresIn: shareOptions.expiresIn
+        })
+      });
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || t("share.createFailed"));
+      await updateItem(item.id, {
+        share: { id: data.id, url: data.url, token: data.token, expiresAt: data.expiresAt, hidePrompt: shareOptions.hidePrompt }
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSharing(false);
+    }
+  };
+  const revokeShare = async (item) => {
+    setSharing(true);
+    setError(null);
+    try {
+      const response = await fetch("/api/shares/" + item.share.id, {
+        method: "DELETE",
+        headers: { "X-Share-Token": item.share.token, ...authHeaders() }
+      });
+      if (response.status === 401) {
+        handleUnauthorized();
+        return;
+      }
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || t("share.revokeFailed"));
+      }
+      await updateItem(item.id, { share: null });
+      setShareCopied(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSharing(false);
+    }
+  };
+  const copyShareUrl = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareCopied(true);
+    } catch (err) {
+      setError(t("share.copyFailed"));
+    }
+  };
+  const remixItem = (item) => {
+    const params = item.params || {
+      model: (models.find((m) => m.label === item.model) || currentModel).id,
+      prompt: item.prompt
+    };
+    const entry = modelInfo(params.model);
+    if (entry && canUseModel(entry)) setModel(entry.id);
+    if (params.imageSize) setImageSize(params.imageSize);
+    if (aspectRatios.includes(params.aspectRatio)) setAspectRatio(params.aspectRatio);
+    setReferenceImages((params.referenceImages || []).map((blob, i) => new File([blob], "reference-" + (i + 1) + "." + (blob.type.split("/")[1] || "png"), { type: blob.type })));
+    setPrompt(params.prompt || "");
+    setVariantCount(1);
+    setSelectedImage(null);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+  const toggleFavorite = (item) => updateItem(item.id, { favorite: item.favorite ? 0 : 1 });
+  const addTag = (item, tag) => {
+    const value = tag.trim().replace(/^#/, "");
+    if (!value || item.tags.includes(value)) return;
+    updateItem(item.id, { tags: [...item.tags, value] });
+  };
+  const toggleAlbum = (item, album) => {
+    const value = album.trim();
+    if (!value) return;
+    updateItem(item.id, {
+      albums: item.albums.includes(value) ? item.albums.filter((a) => a !== value) : [...item.albums, value]
+    });
+  };
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+  const exitSelecting = () => {
+    setSelecting(false);
+    setSelectedIds(/* @__PURE__ */ new Set());
+  };
+  const exportGallery = async (items) => {
+    if (items.length === 0) return;
+    try {
+      const files = [];
+      const manifestItems = [];
+      for (const item of items) {
+        const file = "images/" + item.id + "." + extensionOf(item.image.type);
+        const withMetadata = await embedImageMetadata(item.image, toImageRecord(item));
+        files.push({ name: file, data: new Uint8Array(await withMetadata.arrayBuffer()) });
+        const { image, thumbnail, synced, params, share, owner, ...meta } = item;
+        const entry = { ...meta, file };
+        if (params) {
+          const references = [];
+          for (const [i, blob] of (params.referenceImages || []).entries()) {
+            const name = "references/" + item.id + "-" + (i + 1) + "." + extensionOf(blob.type);
+            files.push({ name, data: new Uint8Array(await blob.arrayBuffer()) });
+            references.push(name);
+          }
+          entry.params = { ...params, referenceImages: references };
+        }
+        manifestItems.push(entry);
+      }
+      const manifest = { app: "gz-nano", version: 1, exportedAt: (/* @__PURE__ */ new Date()).toISOString(), items: manifestItems };
+      files.unshift({ name: "manifest.json", data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) });
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(zipHelper.create(files));
+      link.download = "gz-nano-gallery-" + (/* @__PURE__ */ new Date()).toISOString().slice(0, 10) + ".zip";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => URL.revokeObjectURL(link.href), 1e3);
+      exitSelecting();
+    } catch (err) {
+      console.error(err);
+      setError(t("gallery.exportFailed", { message: err.message }));
+    }
+  };
+  const importGallery = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const files = await zipHelper.read(file);
+      if (!files["manifest.json"]) throw new Error(t("gallery.missingManifest"));
+      const manifest = JSON.parse(new TextDecoder().decode(files["manifest.json"]));
+      const added = [];
+      let skipped = 0;
+      for (const entry of manifest.items || []) {
+        if (!entry.id || !files[entry.file] || await dbHelper.get(entry.id)) {
+          skipped++;
+          continue;
+        }
+        const { file: imageFile, share, owner, ...meta } = entry;
+        const item = {
+          ...meta,
+          ...await toStoredImage(new Blob([files[imageFile]], { type: mimeTypeOf(imageFile) }))
+        };
+        if (entry.params) {
+          item.params = {
+            ...entry.params,
+            referenceImages: (entry.params.referenceImages || []).filter((name) => files[name]).map((name) => new Blob([files[name]], { type: mimeTypeOf(name) }))
+          };
+        }
+        await dbHelper.add(item);
+        added.push(item);
+      }
+      setHistory(await dbHelper.getAll());
+      if (syncEnabled) {
+        uploadToServer(added);
+      }
+      alert(t("gallery.imported", { count: added.length }) + (skipped > 0 ? t("gallery.importSkipped", { count: skipped }) : ""));
+    } catch (err) {
+      console.error(err);
+      setError(t("gallery.importFailed", { message: err.message }));
+    }
+  };
+  const deleteItem = async (item) => {
+    if (!confirm(t(syncEnabled ? "gallery.confirmDeleteSynced" : "gallery.confirmDelete"))) return;
+    await dbHelper.remove(item.id);
+    if (syncEnabled) {
+      galleryApi.remove(item.id).catch(console.error);
+    }
+    setHistory((prev) => prev.filter((h) => h.id !== item.id));
+    setSelectedImage((prev) => prev && prev.id === item.id ? null : prev);
+  };
+  useEffect(() => {
+    if (!activeFilter) {
+      setFilteredItems(null);
+      return;
+    }
+    dbHelper.query(activeFilter).then(setFilteredItems).catch(console.error);
+  }, [activeFilter, history]);
+  const searchTerms = searchQuery.toLowerCase().split(" ").filter(Boolean);
+  const visibleItems = (filteredItems || history).filter((item) => {
+    if (searchTerms.length === 0) return true;
+    const text = ((item.prompt || "") + " " + (item.tags || []).join(" ")).toLowerCase();
+    return searchTerms.every((term) => text.includes(term));
+  });
+  const [visibleCount, setVisibleCount] = useState(GALLERY_PAGE_SIZE);
+  const loadMoreRef = useRef(null);
+  const hasMore = visibleItems.length > visibleCount;
+  useEffect(() => {
+    setVisibleCount(GALLERY_PAGE_SIZE);
+  }, [searchQuery, activeFilter]);
+  useEffect(() => {
+    if (!hasMore || !loadMoreRef.current) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) setVisibleCount((count) => count + GALLERY_PAGE_SIZE);
+    }, { rootMargin: "600px" });
+    observer.observe(loadMoreRef.current);
+    return () => observer.disconnect();
+  }, [hasMore, visibleCount]);
+  const allAlbums = [...new Set(history.flatMap((item) => item.albums || []))].sort();
+  const filterChips = [
+    { label: t("gallery.filterAll"), filter: null },
+    { label: "★ " + t("gallery.favorite"), filter: { type: "favorite", value: 1 } },
+    ...[...new Set(history.map((item) => item.model))].map((value) => ({ label: value, filter: { type: "model", value } })),
+    ...allAlbums.map((value) => ({ label: "▣ " + value, filter: { type: "albums", value } })),
+    ...[...new Set(history.flatMap((item) => item.tags || []))].sort().map((value) => ({ label: "#" + value, filter: { type: "tags", value } }))
+  ];
+  const isActiveFilter = (filter) => JSON.stringify(filter) === JSON.stringify(activeFilter);
+  const galleryGroups = [];
+  const batchGroups = {};
+  for (const item of visibleItems.slice(0, visibleCount)) {
+    if (!item.batchId) {
+      galleryGroups.push({ items: [item] });
+      continue;
+    }
+    if (!batchGroups[item.batchId]) {
+      batchGroups[item.batchId] = { batchId: item.batchId, prompt: item.batchPrompt, items: [] };
+      galleryGroups.push(batchGroups[item.batchId]);
+    }
+    batchGroups[item.batchId].items.push(item);
+  }
+  const renderHistoryCard = (item) => /* @__PURE__ */ React.createElement("div", { key: item.id, className: "group relative bg-white border-2 border-black shadow-[4px_4px_0px_0px_rgba(0,0,0,0.1)] hover:shadow-[8px_8px_0px_0px_rgba(0,0,0,1)] transition-all duration-200 cursor-pointer " + (selecting && selectedIds.has(item.id) ? "ring-4 ring-black" : ""), onClick: () => selecting ? toggleSelected(item.id) : openImage(item) }, /* @__PURE__ */ React.createElement("div", { className: "aspect-square w-full overflow-hidden bg-zinc-100 relative border-b-2 border-black" }, selecting && /* @__PURE__ */ React.createElement("div", { className: "absolute top-2 left-2 z-10 w-6 h-6 border-2 border-black flex items-center justify-center text-xs font-black " + (selectedIds.has(item.id) ? "bg-black text-white" : "bg-white") }, selectedIds.has(item.id) ? "✓" : ""), /* @__PURE__ */ React.createElement(
+    BlobImage,
+    {
+      blob: item.thumbnail,
+      alt: item.prompt,
+      loading: "lazy",
+      className: "w-full h-full object-cover transition-transform duration-500 group-hover:scale-105"
+    }
+  ), /* @__PURE__ */ React.createElement("div", { className: "absolute inset-0 bg-black/10 opacity-0 group-hover:opacity-100 transition-opacity" }), /* @__PURE__ */ React.createElement("div", { className: "absolute top-2 right-2 flex gap-1" }, /* @__PURE__ */ React.createElement(
+    "button",
+    {
+      onClick: (e) => {
+        e.stopPropagation();
+        useAsReference(item);
+      },
+      title: t("references.use"),
+      className: "w-6 h-6 flex items-center justify-center bg-white border-2 border-black opacity-0 group-hover:opacity-100 transition-opacity"
+    },
+    /* @__PURE__ */ React.createElement(Icons.ImagePlus, { className: "w-3 h-3" })
+  ), /* @__PURE__ */ React.createElement(
+    "button",
+    {
+      onClick: (e) => {
+        e.stopPropagation();
+        toggleFavorite(item);
+      },
+      title: t(item.favorite ? "gallery.unfavorite" : "gallery.favorite"),
+      className: "w-6 h-6 flex items-center justify-center bg-white border-2 border-black text-xs font-black transition-opacity " + (item.favorite ? "" : "opacity-0 group-hover:opacity-100")
+    },
+    item.favorite ? "★" : "☆"
+  ), /* @__PURE__ */ React.createElement(
+    "button",
+    {
+      onClick: (e) => {
+        e.stopPropagation();
+        deleteItem(item);
+      },
+      title: t("common.delete"),
+      className: "w-6 h-6 flex items-center justify-center bg-white border-2 border-black opacity-0 group-hover:opacity-100 transition-opacity"
+    },
+    /* @__PURE__ */ React.createElement(Icons.Trash2, { className: "w-3 h-3" })
+  ))), /* @__PURE__ */ React.createElement("div", { className: "p-3" }, /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-bold text-zinc-900 line-clamp-1 mb-2", title: item.prompt }, item.prompt || t("gallery.imageToImage")), /* @__PURE__ */ React.createElement("div", { className: "flex justify-between items-center gap-1" }, /* @__PURE__ */ React.createElement("span", { className: "text-[9px] uppercase font-bold tracking-wider bg-zinc-100 border border-zinc-200 px-1.5 py-0.5 flex-shrink-0" }, item.model), item.tags && item.tags.length > 0 && /* @__PURE__ */ React.createElement("span", { className: "text-[9px] font-bold text-zinc-500 truncate" }, item.tags.map((tag) => "#" + tag).join(" ")))));
+  const hasDraggedFiles = (e) => Array.from(e.dataTransfer.types || []).includes("Files");
+  const handleDragEnter = (e) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    dragDepth.current++;
+    setFileDragging(true);
+  };
+  const handleDragLeave = (e) => {
+    if (!hasDraggedFiles(e)) return;
+    dragDepth.current = Math.max(0, dragDepth.current - 1);
+    if (dragDepth.current === 0) {
+      setFileDragging(false);
+      setReferenceDragging(false);
+    }
+  };
+  const handleDragOver = (e) => {
+    if (hasDraggedFiles(e)) e.preventDefault();
+  };
+  const handleDrop = async (e) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    dragDepth.current = 0;
+    setFileDragging(false);
+    setReferenceDragging(false);
+    const file = Array.from(e.dataTransfer.files).find((f) => f.type.startsWith("image/"));
+    if (!file) return;
+    try {
+      const record = await readImageMetadata(file);
+      if (!record) {
+        setError(t("metadata.notFound"));
+        return;
+      }
+      setDroppedImage({ file, record });
+    } catch (err) {
+      console.error(err);
+      setError(t("metadata.readFailed", { message: err.message }));
+    }
+  };
+  const handleReferenceDragOver = (e) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    if (!referenceDragging) setReferenceDragging(true);
+  };
+  const handleReferenceDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setReferenceDragging(false);
+  };
+  const isReferenceDrag = (e) => Array.from(e.dataTransfer.types || []).includes(REFERENCE_DRAG_TYPE);
+  const handleReferenceDrop = (e) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    dragDepth.current = 0;
+    setFileDragging(false);
+    setReferenceDragging(false);
+    addReferenceImages(Array.from(e.dataTransfer.files));
+  };
+  const restoreDroppedImage = () => {
+    const { record } = droppedImage;
+    setDroppedImage(null);
+    remixItem({
+      prompt: record.prompt,
+      model: record.model,
+      params: record.params ? { ...record.params, referenceImages: [] } : null
+    });
+  };
+  const importDroppedImage = async () => {
+    const { file, record } = droppedImage;
+    setDroppedImage(null);
+    try {
+      const existing = record.id ? await dbHelper.get(record.id) : null;
+      if (existing) {
+        openImage(withDefaults(existing));
+        return;
+      }
+      const item = {
+        id: record.id || crypto.randomUUID(),
+        ...await toStoredImage(new Blob([file], { type: file.type })),
+        prompt: record.prompt,
+        model: record.model,
+        timestamp: Number(record.timestamp) || Date.now(),
+        thoughtSignature: null,
+        tags: [],
+        albums: [],
+        favorite: 0
+      };
+      if (record.params) {
+        item.params = { ...record.params, referenceImages: [] };
+      }
+      await dbHelper.add(item);
+      setHistory(await dbHelper.getAll());
+      if (syncEnabled) {
+        uploadToServer([item]);
+      }
+      openImage(item);
+    } catch (err) {
+      console.error(err);
+      setError(t("gallery.importFailed", { message: err.message }));
+    }
+  };
+  const downloadImage = async (item) => {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(await embedImageMetadata(item.image, toImageRecord(item)));
+    link.download = "gz-nano-" + item.id + "." + extensionOf(item.image.type);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link.href), 1e3);
+  };
+  return /* @__PURE__ */ React.createElement(
+    "div",
+    {
+      className: "min-h-screen bg-white text-black font-sans selection:bg-black selection:text-white",
+      onDragEnter: handleDragEnter,
+      onDragLeave: handleDragLeave,
+      onDragOver: handleDragOver,
+      onDrop: handleDrop
+    },
+    fileDragging && /* @__PURE__ */ React.createElement("div", { className: "fixed inset-0 z-[120] flex items-center justify-center bg-white/90 border-4 border-dashed border-black pointer-events-none" }, /* @__PURE__ */ React.createElement("div", { className: "text-center space-y-2" }, /* @__PURE__ */ React.createElement("p", { className: "text-sm font-black uppercase tracking-widest" }, t("metadata.dropHint")), /* @__PURE__ */ React.createElement("p", { className: "text-xs font-bold text-zinc-500" }, t("references.dropHint")))),
+    droppedImage && /* @__PURE__ */ React.createElement("div", { className: "fixed inset-0 z-[110] flex items-center justify-center bg-black/80 backdrop-blur-sm p-4", onClick: () => setDroppedImage(null) }, /* @__PURE__ */ React.createElement("div", { className: "bg-white w-full max-w-md border-2 border-black", onClick: (e) => e.stopPropagation() }, /* @__PURE__ */ React.createElement("div", { className: "p-4 border-b-2 border-black flex gap-4" }, /* @__PURE__ */ React.createElement(BlobImage, { blob: droppedImage.file, className: "w-24 h-24 object-cover border-2 border-black flex-shrink-0" }), /* @__PURE__ */ React.createElement("div", { className: "min-w-0" }, /* @__PURE__ */ React.createElement("h3", { className: "text-sm font-black uppercase tracking-widest" }, t("metadata.title")), /* @__PURE__ */ React.createElement("p", { className: "text-xs font-medium mt-2 line-clamp-4 break-words" }, droppedImage.record.prompt || t("gallery.imageToImage")), /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-mono font-bold text-zinc-500 mt-2" }, [
+      droppedImage.record.model,
+      droppedImage.record.params && droppedImage.record.params.aspectRatio,
+      droppedImage.record.params && droppedImage.record.params.imageSize,
+      droppedImage.record.timestamp && new Date(droppedImage.record.timestamp).toLocaleString()
+    ].filter(Boolean).join(" · ")))), /* @__PURE__ */ React.createElement("div", { className: "p-4 grid grid-cols-2 gap-2" }, /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: restoreDroppedImage,
+        className: "py-3 bg-black text-white font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-zinc-800"
+      },
+      /* @__PURE__ */ React.createElement(Icons.Repeat, { className: "w-4 h-4" }),
+      t("metadata.restore")
+    ), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: importDroppedImage,
+        className: "py-3 border-2 border-black font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-zinc-100"
+      },
+      /* @__PURE__ */ React.createElement(Icons.Upload, { className: "w-4 h-4" }),
+      t("metadata.import")
+    ), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: () => setDroppedImage(null),
+        className: "col-span-2 py-2 text-xs font-bold text-zinc-500 hover:text-black uppercase"
+      },
+      t("common.cancel")
+    )))),
+    showLogin && /* @__PURE__ */ React.createElement("div", { className: "fixed inset-0 z-[110] flex items-center justify-center bg-black/80 backdrop-blur-sm p-4" }, /* @__PURE__ */ React.createElement("div", { className: "bg-white p-8 w-full max-w-sm border-2 border-black shadow-[8px_8px_0px_0px_rgba(255,255,255,0.2)]" }, /* @__PURE__ */ React.createElement("div", { className: "flex flex-col items-center gap-4 mb-6" }, /* @__PURE__ */ React.createElement("div", { className: "p-3 bg-black text-white rounded-full" }, /* @__PURE__ */ React.createElement(Icons.Lock, { className: "w-6 h-6" })), /* @__PURE__ */ React.createElement("h3", { className: "text-xl font-black uppercase" }, t(session ? "login.switchUser" : "login.title")), /* @__PURE__ */ React.createElement("p", { className: "text-xs text-center text-zinc-500 font-bold" }, t("login.protected"), /* @__PURE__ */ React.createElement("br", null), t("login.enterCode"))), /* @__PURE__ */ React.createElement(
+      "input",
+      {
+        type: "password",
+        value: loginCode,
+        onChange: (e) => setLoginCode(e.target.value),
+        placeholder: "Enter Access Code",
+        className: "w-full p-3 border-2 border-black mb-4 font-bold text-center focus:outline-none focus:bg-zinc-50",
+        onKeyDown: (e) => e.key === "Enter" && handleLogin(),
+        autoFocus: true
+      }
+    ), loginError && /* @__PURE__ */ React.createElement("p", { className: "text-xs font-bold text-center mb-4" }, loginError), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: handleLogin,
+        className: "w-full bg-black text-white py-3 font-black uppercase tracking-widest hover:bg-zinc-800 transition-colors"
+      },
+      t("login.title")
+    ), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: () => {
+          setShowLogin(false);
+          setLoginError(null);
+        },
+        className: "w-full mt-2 py-2 text-xs font-bold text-zinc-500 hover:text-black uppercase"
+      },
+      t("common.cancel")
+    ))),
+    maskSource && /* @__PURE__ */ React.createElement(
+      MaskEditor,
+      {
+        source: maskSource.url,
+        busy: inpainting,
+        error,
+        onCancel: closeMaskEditor,
+        onSubmit: submitInpaint
+      }
+    ),
+    selectedImage && /* @__PURE__ */ React.createElement(
+      "div",
+      {
+        className: "fixed inset-0 z-[100] flex bg-black/95 backdrop-blur-sm animate-fadeIn",
+        onClick: () => setSelectedImage(null)
+      },
+      /* @__PURE__ */ React.createElement("div", { className: "flex-1 min-w-0 relative flex items-center justify-center p-4 md:p-8" }, /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          className: "absolute top-4 right-4 text-white hover:text-zinc-300 z-10 bg-white/10 rounded-full p-2 transition-colors",
+          onClick: () => setSelectedImage(null)
+        },
+        /* @__PURE__ */ React.createElement(Icons.X, { className: "w-8 h-8" })
+      ), /* @__PURE__ */ React.createElement(
+        BlobImage,
+        {
+          blob: selectedImage.image,
+          className: "max-w-full max-h-full object-contain shadow-2xl",
+          onClick: (e) => e.stopPropagation()
+        }
+      ), /* @__PURE__ */ React.createElement("div", { className: "absolute bottom-8 left-1/2 -translate-x-1/2 w-full max-w-4xl px-4 flex flex-wrap justify-center gap-2 md:gap-4", onClick: (e) => e.stopPropagation() }, /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: () => downloadImage(selectedImage),
+          className: "bg-white text-black px-8 py-3 font-bold uppercase tracking-wider text-sm hover:bg-zinc-200 hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white"
+        },
+        /* @__PURE__ */ React.createElement(Icons.Download, { className: "w-4 h-4" }),
+        t("lightbox.download")
+      ), /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: () => setLightboxPanel((prev) => prev === "info" ? null : "info"),
+          className: "px-8 py-3 font-bold uppercase tracking-wider text-sm hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white " + (lightboxPanel === "info" ? "bg-black text-white" : "bg-white text-black hover:bg-zinc-200")
+        },
+        /* @__PURE__ */ React.createElement(Icons.Tag, { className: "w-4 h-4" }),
+        t("lightbox.info")
+      ), /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: () => setLightboxPanel((prev) => prev === "edit" ? null : "edit"),
+          disabled: !currentModel.features.history,
+          title: currentModel.features.history ? "" : t("lightbox.editUnsupported", { model: currentModel.label }),
+          className: "px-8 py-3 font-bold uppercase tracking-wider text-sm hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:scale-100 " + (lightboxPanel === "edit" ? "bg-black text-white" : "bg-white text-black hover:bg-zinc-200")
+        },
+        /* @__PURE__ */ React.createElement(Icons.MessageSquare, { className: "w-4 h-4" }),
+        t("lightbox.edit")
+      ), /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: () => openMaskEditor({ url: URL.createObjectURL(selectedImage.image), file: selectedImage.image, sourceId: selectedImage.id }),
+          disabled: !currentModel.features.mask,
+          title: currentModel.features.mask ? "" : t("lightbox.maskUnsupported", { model: currentModel.label }),
+          className: "bg-white text-black px-8 py-3 font-bold uppercase tracking-wider text-sm hover:bg-zinc-200 hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:scale-100"
+        },
+        /* @__PURE__ */ React.createElement(Icons.Brush, { className: "w-4 h-4" }),
+        t("mask.title")
+      ), /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: () => remixItem(selectedImage),
+          title: t("lightbox.remixHint"),
+          className: "bg-white text-black px-8 py-3 font-bold uppercase tracking-wider text-sm hover:bg-zinc-200 hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white"
+        },
+        /* @__PURE__ */ React.createElement(Icons.Repeat, { className: "w-4 h-4" }),
+        "Remix"
+      ), /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: () => {
+            useAsReference(selectedImage);
+            setSelectedImage(null);
+            window.scrollTo({ top: 0, behavior: "smooth" });
+          },
+          className: "bg-white text-black px-8 py-3 font-bold uppercase tracking-wider text-sm hover:bg-zinc-200 hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white"
+        },
+        /* @__PURE__ */ React.createElement(Icons.ImagePlus, { className: "w-4 h-4" }),
+        t("references.use")
+      ), sharesEnabled && /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: () => setLightboxPanel((prev) => prev === "share" ? null : "share"),
+          className: "px-8 py-3 font-bold uppercase tracking-wider text-sm hover:scale-105 transition-all rounded-full flex items-center gap-2 shadow-lg border-2 border-white " + (lightboxPanel === "share" ? "bg-black text-white" : "bg-white text-black hover:bg-zinc-200")
+        },
+        /* @__PURE__ */ React.createElement(Icons.Share2, { className: "w-4 h-4" }),
+        t("share.title")
+      )), selectedImage.sourceId && /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: (e) => {
+            e.stopPropagation();
+            const source = history.find((h) => h.id === selectedImage.sourceId);
+            if (source) openImage(source);
+          },
+          className: "absolute top-4 left-4 text-white text-xs font-bold uppercase tracking-wider bg-white/10 hover:bg-white/20 rounded-full px-4 py-2 transition-colors"
+        },
+        "← ",
+        t("lightbox.viewSource")
+      )),
+      lightboxPanel === "info" && /* @__PURE__ */ React.createElement("aside", { className: "w-full max-w-sm bg-white border-l-2 border-black flex flex-col", onClick: (e) => e.stopPropagation() }, /* @__PURE__ */ React.createElement("div", { className: "p-4 border-b-2 border-black flex items-center justify-between" }, /* @__PURE__ */ React.createElement("h3", { className: "text-sm font-black uppercase tracking-widest" }, t("lightbox.info")), /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: () => toggleFavorite(selectedImage),
+          className: "px-3 py-1 text-xs font-bold border-2 border-black transition-colors " + (selectedImage.favorite ? "bg-black text-white" : "bg-white text-black hover:bg-zinc-100")
+        },
+        selectedImage.favorite ? "★ " + t("gallery.favorited") : "☆ " + t("gallery.favorite")
+      )), /* @__PURE__ */ React.createElement("div", { className: "flex-1 overflow-y-auto p-4 space-y-6" }, /* @__PURE__ */ React.createElement("div", null, /* @__PURE__ */ React.createElement("p", { className: "text-xs font-medium whitespace-pre-wrap break-words" }, selectedImage.prompt || t("gallery.imageToImage")), /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-mono font-bold text-zinc-500 mt-2" }, selectedImage.model, " · ", new Date(selectedImage.timestamp).toLocaleString()), selectedImage.params && /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-mono font-bold text-zinc-500 mt-1" }, selectedImage.params.model, " · ", selectedImage.params.aspectRatio, ((modelInfo(selectedImage.params.model) || {}).imageSizes || []).length > 0 ? " · " + selectedImage.params.imageSize : "", selectedImage.params.referenceImages.length > 0 ? " · " + t("lightbox.referenceCount", { count: selectedImage.params.referenceImages.length }) : "")), /* @__PURE__ */ React.createElement("div", null, /* @__PURE__ */ React.createElement("label", { className: "text-xs font-bold uppercase tracking-widest mb-2 block" }, t("lightbox.tags")), /* @__PURE__ */ React.createElement("div", { className: "flex flex-wrap gap-1 mb-2" }, selectedImage.tags.map((tag) => /* @__PURE__ */ React.createElement("span", { key: tag, className: "text-[10px] font-bold border-2 border-black px-1.5 py-0.5 flex items-center gap-1" }, "#", tag, /* @__PURE__ */ React.createElement("button", { onClick: () => updateItem(selectedImage.id, { tags: selectedImage.tags.filter((t2) => t2 !== tag) }) }, /* @__PURE__ */ React.createElement(Icons.X, { className: "w-3 h-3" }))))), /* @__PURE__ */ React.createElement(
+        "input",
+        {
+          value: tagInput,
+          onChange: (e) => setTagInput(e.target.value),
+          onKeyDown: (e) => {
+            if (e.key === "Enter") {
+              addTag(selectedImage, tagInput);
+              setTagInput("");
+            }
+          },
+          placeholder: t("lightbox.tagPlaceholder"),
+          className: "w-full p-2 border-2 border-black text-xs font-medium focus:outline-none focus:bg-zinc-50"
+        }
+      )), /* @__PURE__ */ React.createElement("div", null, /* @__PURE__ */ React.createElement("label", { className: "text-xs font-bold uppercase tracking-widest mb-2 block" }, t("lightbox.albums")), /* @__PURE__ */ React.createElement("div", { className: "flex flex-wrap gap-1 mb-2" }, [.../* @__PURE__ */ new Set([...allAlbums, ...selectedImage.albums])].map((album) => /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          key: album,
+          onClick: () => toggleAlbum(selectedImage, album),
+          className: "text-[10px] font-bold border-2 border-black px-1.5 py-0.5 transition-colors " + (selectedImage.albums.includes(album) ? "bg-black text-white" : "bg-white text-black hover:bg-zinc-100")
+        },
+        "▣ ",
+        album
+      ))), /* @__PURE__ */ React.createElement(
+        "input",
+        {
+          value: albumInput,
+          onChange: (e) => setAlbumInput(e.target.value),
+          onKeyDown: (e) => {
+            if (e.key === "Enter") {
+              toggleAlbum(selectedImage, albumInput);
+              setAlbumInput("");
+            }
+          },
+          placeholder: t("lightbox.albumPlaceholder"),
+          className: "w-full p-2 border-2 border-black text-xs font-medium focus:outline-none focus:bg-zinc-50"
+        }
+      ))), /* @__PURE__ */ React.createElement("div", { className: "p-4 border-t-2 border-black" }, /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: () => deleteItem(selectedImage),
+          className: "w-full py-3 border-2 border-black font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-black hover:text-white transition-colors"
+        },
+        /* @__PURE__ */ React.createElement(Icons.Trash2, { className: "w-4 h-4" }),
+        t("lightbox.delete")
+      ))),
+      lightboxPanel === "share" && /* @__PURE__ */ React.createElement("aside", { className: "w-full max-w-sm bg-white border-l-2 border-black flex flex-col", onClick: (e) => e.stopPropagation() }, /* @__PURE__ */ React.createElement("div", { className: "p-4 border-b-2 border-black" }, /* @__PURE__ */ React.createElement("h3", { className: "text-sm font-black uppercase tracking-widest" }, t("share.title")), /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-bold text-zinc-500 mt-1" }, t("share.hint"))), /* @__PURE__ */ React.createElement("div", { className: "flex-1 overflow-y-auto p-4 space-y-6" }, selectedImage.share && (selectedImage.share.expiresAt === null || selectedImage.share.expiresAt > Date.now()) ? /* @__PURE__ */ React.createElement("div", { className: "space-y-2" }, /* @__PURE__ */ React.createElement("label", { className: "text-xs font-bold uppercase tracking-widest block" }, t("share.link")), /* @__PURE__ */ React.createElement(
+        "input",
+        {
+          readOnly: true,
+          value: selectedImage.share.url,
+          onFocus: (e) => e.target.select(),
+          className: "w-full p-2 border-2 border-black text-xs font-mono focus:outline-none"
+        }
+      ), /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-mono font-bold text-zinc-500" }, selectedImage.share.expiresAt ? t("share.validUntil", { time: new Date(selectedImage.share.expiresAt).toLocaleString() }) : t("share.validForever"), selectedImage.share.hidePrompt ? " · " + t("share.promptHidden") : ""), /* @__PURE__ */ React.createElement("div", { className: "flex gap-2" }, /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: () => copyShareUrl(selectedImage.share.url),
+          className: "flex-1 py-2 bg-black text-white font-black text-xs uppercase tracking-widest hover:bg-zinc-800"
+        },
+        t(shareCopied ? "share.copied" : "share.copy")
+      ), /* @__PURE__ */ React.createElement(
+        "a",
+        {
+          href: selectedImage.share.url,
+          target: "_blank",
+          rel: "noopener",
+          className: "flex-1 py-2 border-2 border-black font-black text-xs uppercase tracking-widest text-center hover:bg-zinc-100"
+        },
+        t("share.open")
+      ))) : /* @__PURE__ */ React.createElement("div", { className: "space-y-4" }, /* @__PURE__ */ React.createElement("div", null, /* @__PURE__ */ React.createElement("label", { className: "text-xs font-bold uppercase tracking-widest mb-2 block" }, t("share.expiry")), /* @__PURE__ */ React.createElement("div", { className: "grid grid-cols-4 gap-1" }, SHARE_EXPIRY_OPTIONS.map((option) => /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          key: option.value,
+          onClick: () => setShareOptions((prev) => ({ ...prev, expiresIn: option.value })),
+          className: "py-2 text-xs font-bold border-2 border-black transition-colors " + (shareOptions.expiresIn === option.value ? "bg-black text-white" : "bg-white text-black hover:bg-zinc-100")
+        },
+        t(option.labelKey)
+      )))), /* @__PURE__ */ React.createElement("label", { className: "flex items-center gap-2 text-xs font-bold cursor-pointer" }, /* @__PURE__ */ React.createElement(
+        "input",
+        {
+          type: "checkbox",
+          checked: shareOptions.hidePrompt,
+          onChange: (e) => setShareOptions((prev) => ({ ...prev, hidePrompt: e.target.checked })),
+          className: "w-4 h-4 accent-black"
+        }
+      ), t("share.hidePrompt"))), error && /* @__PURE__ */ React.createElement("p", { className: "text-xs font-bold flex items-start gap-2" }, /* @__PURE__ */ React.createElement(Icons.AlertCircle, { className: "w-4 h-4 flex-shrink-0" }), " ", error)), /* @__PURE__ */ React.createElement("div", { className: "p-4 border-t-2 border-black" }, selectedImage.share ? /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: () => revokeShare(selectedImage),
+          disabled: sharing,
+          className: "w-full py-3 border-2 border-black font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-black hover:text-white transition-colors disabled:opacity-30"
+        },
+        sharing ? /* @__PURE__ */ React.createElement(Icons.Loader2, { className: "w-4 h-4 animate-spin" }) : /* @__PURE__ */ React.createElement(Icons.X, { className: "w-4 h-4" }),
+        selectedImage.share.expiresAt !== null && selectedImage.share.expiresAt <= Date.now() ? t("share.clearExpired") : t("share.revoke")
+      ) : /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: () => createShare(selectedImage),
+          disabled: sharing,
+          className: "w-full py-3 bg-black text-white font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-zinc-800 disabled:opacity-30 disabled:cursor-not-allowed"
+        },
+        sharing ? /* @__PURE__ */ React.createElement(Icons.Loader2, { className: "w-4 h-4 animate-spin" }) : /* @__PURE__ */ React.createElement(Icons.Share2, { className: "w-4 h-4" }),
+        t("share.create")
+      ))),
+      lightboxPanel === "edit" && /* @__PURE__ */ React.createElement("aside", { className: "w-full max-w-sm bg-white border-l-2 border-black flex flex-col", onClick: (e) => e.stopPropagation() }, /* @__PURE__ */ React.createElement("div", { className: "p-4 border-b-2 border-black" }, /* @__PURE__ */ React.createElement("h3", { className: "text-sm font-black uppercase tracking-widest" }, t("lightbox.edit")), /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-bold text-zinc-500 mt-1" }, t("edit.hint"))), /* @__PURE__ */ React.createElement("div", { className: "flex-1 overflow-y-auto p-4 space-y-3" }, getThread(selectedImage).map((turn, idx) => {
+        if (turn.role === "user") {
+          return /* @__PURE__ */ React.createElement("div", { key: idx, className: "ml-8 p-2 bg-black text-white text-xs font-medium" }, turn.text || t("gallery.imageToImage"));
+        }
+        const item = history.find((h) => h.id === turn.imageId);
+        return /* @__PURE__ */ React.createElement("div", { key: idx, className: "mr-8" }, item ? /* @__PURE__ */ React.createElement(
+          BlobImage,
+          {
+            blob: item.thumbnail,
+            onClick: () => setSelectedImage(item),
+            className: "w-24 h-24 object-cover border-2 cursor-pointer " + (item.id === selectedImage.id ? "border-black" : "border-zinc-200 hover:border-black")
+          }
+        ) : /* @__PURE__ */ React.createElement("div", { className: "w-24 h-24 border-2 border-dashed border-zinc-300 flex items-center justify-center text-[10px] font-bold text-zinc-400" }, t("edit.deleted")));
+      }), editing && /* @__PURE__ */ React.createElement("div", { className: "mr-8 w-24 h-24 border-2 border-black flex items-center justify-center" }, /* @__PURE__ */ React.createElement("div", { className: "w-6 h-6 border-4 border-zinc-200 border-t-black rounded-full animate-spin" }))), /* @__PURE__ */ React.createElement("div", { className: "p-4 border-t-2 border-black space-y-2" }, error && /* @__PURE__ */ React.createElement("p", { className: "text-xs font-bold flex items-start gap-2" }, /* @__PURE__ */ React.createElement(Icons.AlertCircle, { className: "w-4 h-4 flex-shrink-0" }), " ", error), /* @__PURE__ */ React.createElement(
+        "textarea",
+        {
+          value: editPrompt,
+          onChange: (e) => setEditPrompt(e.target.value),
+          onKeyDown: (e) => {
+            if (e.key === "Enter" && !e.shiftKey) {
+              e.preventDefault();
+              sendEdit();
+            }
+          },
+          placeholder: t("edit.placeholder"),
+          className: "w-full h-20 p-2 border-2 border-black text-sm font-medium resize-none focus:outline-none focus:bg-zinc-50"
+        }
+      ), /* @__PURE__ */ React.createElement(
+        "button",
+        {
+          onClick: sendEdit,
+          disabled: editing || !editPrompt.trim(),
+          className: "w-full py-3 bg-black text-white font-black text-xs uppercase tracking-widest flex items-center justify-center gap-2 hover:bg-zinc-800 disabled:opacity-30 disabled:cursor-not-allowed"
+        },
+        editing ? /* @__PURE__ */ React.createElement(Icons.Loader2, { className: "w-4 h-4 animate-spin" }) : /* @__PURE__ */ React.createElement(Icons.Send, { className: "w-4 h-4" }),
+        t("edit.submit")
+      )))
+    ),
+    /* @__PURE__ */ React.createElement("header", { className: "fixed top-0 left-0 right-0 h-16 bg-white/95 backdrop-blur-sm border-b-2 border-black z-40 px-6 flex items-center justify-between" }, /* @__PURE__ */ React.createElement("div", { className: "flex items-center gap-3" }, /* @__PURE__ */ React.createElement("div", { className: "w-8 h-8 bg-black text-white flex items-center justify-center rounded-none" }, /* @__PURE__ */ React.createElement(Icons.Aperture, { className: "w-5 h-5" })), /* @__PURE__ */ React.createElement("h1", { className: "text-xl font-black tracking-tighter uppercase" }, "Gz'nano")), /* @__PURE__ */ React.createElement("div", { className: "flex items-center gap-4" }, authRequired && (session ? /* @__PURE__ */ React.createElement("div", { className: "flex items-center gap-2" }, /* @__PURE__ */ React.createElement(Icons.User, { className: "w-4 h-4" }), /* @__PURE__ */ React.createElement("span", { className: "text-xs font-bold" }, session.user.name), /* @__PURE__ */ React.createElement("span", { className: "text-[10px] font-mono border border-black px-1.5 py-0.5 font-bold uppercase" }, session.user.role), session.user.role === "admin" && /* @__PURE__ */ React.createElement("a", { href: "/admin", className: "text-[10px] font-bold uppercase hover:underline text-zinc-500" }, t("login.usage")), /* @__PURE__ */ React.createElement("button", { onClick: () => setShowLogin(true), className: "text-[10px] font-bold uppercase hover:underline text-zinc-500" }, t("login.switch")), /* @__PURE__ */ React.createElement("button", { onClick: logout, title: t("login.logout"), className: "hover:opacity-70 transition-opacity" }, /* @__PURE__ */ React.createElement(Icons.LogOut, { className: "w-4 h-4" }))) : /* @__PURE__ */ React.createElement("button", { onClick: () => setShowLogin(true), className: "flex items-center gap-2 text-xs font-bold uppercase border-2 border-black px-3 py-1 hover:bg-black hover:text-white transition-colors" }, /* @__PURE__ */ React.createElement(Icons.Lock, { className: "w-3 h-3" }), " ", t("login.title"))), /* @__PURE__ */ React.createElement("div", { className: "flex border border-black", title: t("locale.switch") }, SUPPORTED_LOCALES.map((entry) => /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        key: entry.id,
+        onClick: () => changeLocale(entry.id),
+        className: "px-2 py-0.5 text-[10px] font-bold transition-colors " + (locale === entry.id ? "bg-black text-white" : "hover:bg-zinc-100")
+      },
+      entry.label
+    ))), /* @__PURE__ */ React.createElement("a", { href: "https://github.com/genz27/Nano_Gaallery", target: "_blank", className: "flex items-center gap-2 hover:opacity-70 transition-opacity" }, /* @__PURE__ */ React.createElement(Icons.Github, { className: "w-5 h-5" }), /* @__PURE__ */ React.createElement("span", { className: "hidden md:inline text-xs font-bold uppercase" }, "GitHub")), /* @__PURE__ */ React.createElement("div", { className: "hidden md:block text-[10px] font-mono border border-black px-2 py-1 rounded-full font-bold uppercase" }, syncEnabled ? "Cloud Sync" : "Worker Mode"))),
+    /* @__PURE__ */ React.createElement("main", { className: "pt-24 pb-12 px-4 md:px-6 max-w-[1600px] mx-auto flex flex-col lg:flex-row gap-8" }, /* @__PURE__ */ React.createElement("div", { className: "w-full lg:w-[380px] flex-shrink-0 space-y-6" }, /* @__PURE__ */ React.createElement("div", { className: "space-y-6" }, /* @__PURE__ */ React.createElement("div", null, /* @__PURE__ */ React.createElement("label", { className: "text-xs font-bold uppercase tracking-widest mb-2 block flex items-center gap-2" }, /* @__PURE__ */ React.createElement(Icons.Sparkles, { className: "w-3 h-3" }), " ", t("controls.model")), /* @__PURE__ */ React.createElement("div", { className: "grid grid-cols-2 gap-[2px] border-2 border-black bg-black" }, models.map((entry, idx) => /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        key: entry.id,
+        onClick: () => setModel(entry.id),
+        disabled: !canUseModel(entry),
+        title: canUseModel(entry) ? "" : t("controls.modelForbidden", { model: entry.label }),
+        className: "py-3 px-3 text-left transition-colors relative disabled:opacity-30 disabled:cursor-not-allowed " + (model === entry.id ? "bg-black text-white" : "bg-white text-black hover:bg-zinc-100") + (models.length % 2 === 1 && idx === models.length - 1 ? " col-span-2" : "")
+      },
+      /* @__PURE__ */ React.createElement("div", { className: "text-sm font-bold" }, entry.label),
+      /* @__PURE__ */ React.createElement("div", { className: "text-[10px] mt-1 font-medium " + (model === entry.id ? "text-zinc-400" : "text-zinc-500") }, entry.description)
+    )))), /* @__PURE__ */ React.createElement("div", { className: "transition-all duration-300 " + (currentModel.imageSizes.length === 0 ? "opacity-30 pointer-events-none grayscale" : "") }, /* @__PURE__ */ React.createElement("label", { className: "text-xs font-bold uppercase tracking-widest mb-2 block flex items-center gap-2" }, /* @__PURE__ */ React.createElement(Icons.Maximize, { className: "w-3 h-3" }), " ", t("controls.imageSize")), /* @__PURE__ */ React.createElement("div", { className: "flex border-2 border-black divide-x-2 divide-black" }, (currentModel.imageSizes.length > 0 ? currentModel.imageSizes : ["1K", "2K", "4K"]).map((size) => /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        key: size,
+        onClick: () => setImageSize(size),
+        className: "flex-1 py-2 text-xs font-bold transition-colors " + (imageSize === size && currentModel.imageSizes.length > 0 ? "bg-black text-white" : "bg-white text-black hover:bg-zinc-100")
+      },
+      size
+    )))), /* @__PURE__ */ React.createElement("div", null, /* @__PURE__ */ React.createElement("label", { className: "text-xs font-bold uppercase tracking-widest mb-2 block" }, t("controls.aspectRatio")), /* @__PURE__ */ React.createElement("div", { className: "grid grid-cols-5 gap-1" }, aspectRatios.map((ratio) => /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        key: ratio,
+        onClick: () => setAspectRatio(ratio),
+        className: "py-2 text-[10px] font-bold border-2 transition-all " + (aspectRatio === ratio ? "bg-black text-white border-black" : "bg-white text-black border-zinc-200 hover:border-black")
+      },
+      ratio
+    )))), /* @__PURE__ */ React.createElement(
+      "div",
+      {
+        onDragOver: handleReferenceDragOver,
+        onDragLeave: handleReferenceDragLeave,
+        onDrop: handleReferenceDrop,
+        className: fileDragging ? "relative z-[130] bg-white outline-offset-4 " + (referenceDragging ? "outline outline-4 outline-black" : "outline-dashed outline-2 outline-black") : ""
+      },
+      /* @__PURE__ */ React.createElement("label", { className: "text-xs font-bold uppercase tracking-widest mb-2 block flex justify-between items-center" }, /* @__PURE__ */ React.createElement("span", null, t("controls.references")), referenceImages.length > 0 && /* @__PURE__ */ React.createElement("button", { onClick: () => setReferenceImages([]), className: "text-black underline text-xs hover:no-underline flex items-center gap-1 font-bold" }, /* @__PURE__ */ React.createElement(Icons.Trash2, { className: "w-3 h-3" }), " ", t("common.clear"))),
+      /* @__PURE__ */ React.createElement("div", { className: "space-y-2" }, /* @__PURE__ */ React.createElement("div", { className: "relative group" }, /* @__PURE__ */ React.createElement(
+        "input",
+        {
+          id: "file-upload",
+          type: "file",
+          multiple: true,
+          accept: "image/*",
+          onChange: handleImageUpload,
+          className: "hidden"
+        }
+      ), /* @__PURE__ */ React.createElement(
+        "label",
+        {
+          htmlFor: "file-upload",
+          className: "w-full h-20 flex flex-col items-center justify-center gap-1 border-2 border-dashed cursor-pointer transition-all border-zinc-300 hover:border-black hover:bg-zinc-50"
+        },
+        preparingReferences ? /* @__PURE__ */ React.createElement(Icons.Loader2, { className: "w-5 h-5 animate-spin" }) : /* @__PURE__ */ React.createElement(Icons.Upload, { className: "w-5 h-5 text-zinc-400 group-hover:text-black transition-colors" }),
+        /* @__PURE__ */ React.createElement("span", { className: "text-[10px] font-bold text-zinc-500 group-hover:text-black transition-colors" }, preparingReferences ? t("references.preparing") : t("controls.addImages"))
+      )), /* @__PURE__ */ React.createElement("div", { className: "flex items-center gap-2 text-[10px] font-bold text-zinc-500", title: t("references.settingsHint") }, /* @__PURE__ */ React.createElement("span", null, t("references.maxDimension")), /* @__PURE__ */ React.createElement(
+        "select",
+        {
+          value: referenceSettings.maxDimension,
+          onChange: (e) => updateReferenceSettings({ maxDimension: Number(e.target.value) }),
+          className: "border border-black bg-white px-1 py-0.5 font-mono text-black"
+        },
+        REFERENCE_DIMENSION_OPTIONS.map((value) => /* @__PURE__ */ React.createElement("option", { key: value, value }, value, "px"))
+      ), /* @__PURE__ */ React.createElement("span", null, t("references.maxBytes")), /* @__PURE__ */ React.createElement(
+        "select",
+        {
+          value: referenceSettings.maxBytes,
+          onChange: (e) => updateReferenceSettings({ maxBytes: Number(e.target.value) }),
+          className: "border border-black bg-white px-1 py-0.5 font-mono text-black"
+        },
+        REFERENCE_BYTE_OPTIONS.map((value) => /* @__PURE__ */ React.createElement("option", { key: value, value }, formatBytes(value)))
+      )), referenceImages.length > 0 && /* @__PURE__ */ React.createElement("div", { className: "grid grid-cols-4 gap-2" }, referenceImages.map((file, idx) => /* @__PURE__ */ React.createElement(
+        "div",
+        {
+          key: idx,
+          draggable: true,
+          onDragStart: (e) => e.dataTransfer.setData(REFERENCE_DRAG_TYPE, String(idx)),
+          onDragOver: (e) => {
+            if (isReferenceDrag(e)) e.preventDefault();
+          },
+          onDrop: (e) => {
+            if (!isReferenceDrag(e)) return;
+            e.preventDefault();
+            moveReference(Number(e.dataTransfer.getData(REFERENCE_DRAG_TYPE)), idx);
+          },
+          className: "relative aspect-square border-2 border-black bg-zinc-100 group cursor-move"
+        },
+        /* @__PURE__ */ React.createElement(BlobImage, { blob: file, draggable: false, className: "w-full h-full object-cover" }),
+        /* @__PURE__ */ React.createElement("div", { className: "absolute bottom-0 inset-x-0 flex items-center justify-between bg-black/70 text-white text-[9px] font-mono font-bold" }, /* @__PURE__ */ React.createElement(
+          "button",
+          {
+            onClick: () => moveReference(idx, idx - 1),
+            title: t("references.moveEarlier"),
+            className: "px-1 " + (idx === 0 ? "invisible" : "opacity-0 group-hover:opacity-100")
+          },
+          "‹"
+        ), /* @__PURE__ */ React.createElement("span", null, formatBytes(file.size)), /* @__PURE__ */ React.createElement(
+          "button",
+          {
+            onClick: () => moveReference(idx, idx + 1),
+            title: t("references.moveLater"),
+            className: "px-1 " + (idx === referenceImages.length - 1 ? "invisible" : "opacity-0 group-hover:opacity-100")
+          },
+          "›"
+        )),
+        /* @__PURE__ */ React.createElement(
+          "button",
+          {
+            onClick: () => setReferenceImages((prev) => prev.filter((_, i) => i !== idx)),
+            className: "absolute top-0 right-0 bg-black text-white p-0.5 opacity-0 group-hover:opacity-100 transition-opacity"
+          },
+          /* @__PURE__ */ React.createElement(Icons.X, { className: "w-3 h-3" })
+        ),
+        currentModel.features.mask && /* @__PURE__ */ React.createElement(
+          "button",
+          {
+            onClick: () => openMaskEditor({ url: URL.createObjectURL(file), file }),
+            title: t("mask.title"),
+            className: "absolute top-0 left-0 bg-black text-white p-0.5 opacity-0 group-hover:opacity-100 transition-opacity"
+          },
+          /* @__PURE__ */ React.createElement(Icons.Brush, { className: "w-3 h-3" })
+        )
+      ))), referenceImages.length > 0 && /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-mono font-bold " + (referenceBytes > MAX_REFERENCE_TOTAL_BYTES ? "text-black underline" : "text-zinc-500") }, t("references.payload", {
+        count: referenceImages.length,
+        max: MAX_REFERENCE_IMAGES,
+        size: formatBytes(referenceBytes),
+        limit: formatBytes(MAX_REFERENCE_TOTAL_BYTES)
+      })))
+    )), /* @__PURE__ */ React.createElement("div", { className: "space-y-3 pt-6 border-t-2 border-black" }, /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: () => setStreamMode((prev) => !prev),
+        className: "w-full flex items-center justify-between text-xs font-bold uppercase tracking-widest"
+      },
+      /* @__PURE__ */ React.createElement("span", null, t("controls.stream")),
+      /* @__PURE__ */ React.createElement("span", { className: "w-10 h-5 border-2 border-black flex items-center transition-colors " + (streamMode ? "bg-black justify-end" : "bg-white justify-start") }, /* @__PURE__ */ React.createElement("span", { className: "w-3 h-3 mx-0.5 " + (streamMode ? "bg-white" : "bg-black") }))
+    ), jobsEnabled && /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-medium text-zinc-400" }, t(streamMode ? "controls.streamOn" : "controls.streamOff")), /* @__PURE__ */ React.createElement("div", { className: "flex items-center justify-between" }, /* @__PURE__ */ React.createElement("span", { className: "text-xs font-bold uppercase tracking-widest" }, t("controls.batch")), /* @__PURE__ */ React.createElement("div", { className: "flex border-2 border-black divide-x-2 divide-black" }, VARIANT_COUNTS.map((count) => /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        key: count,
+        onClick: () => setVariantCount(count),
+        className: "w-8 py-1 text-xs font-bold transition-colors " + (variantCount === count ? "bg-black text-white" : "bg-white text-black hover:bg-zinc-100")
+      },
+      count
+    )))), /* @__PURE__ */ React.createElement("div", null, /* @__PURE__ */ React.createElement("div", { className: "flex items-center justify-between mb-2" }, /* @__PURE__ */ React.createElement("span", { className: "text-xs font-bold uppercase tracking-widest" }, t("presets.title")), /* @__PURE__ */ React.createElement("div", { className: "flex items-center gap-2 text-[10px] font-bold uppercase text-zinc-500" }, /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: () => setPresetDraft(presetDraft ? null : { name: "", template: "", includeSettings: true }),
+        className: "hover:underline hover:text-black"
+      },
+      t("presets.save")
+    ), /* @__PURE__ */ React.createElement("label", { className: "hover:underline hover:text-black cursor-pointer", title: t("presets.importHint") }, t("presets.import"), /* @__PURE__ */ React.createElement("input", { type: "file", accept: ".json,application/json", onChange: importPresets, className: "hidden" })), /* @__PURE__ */ React.createElement("button", { onClick: exportPresets, disabled: presets.length === 0, className: "hover:underline hover:text-black disabled:opacity-30" }, t("presets.export")))), presetDraft && /* @__PURE__ */ React.createElement("div", { className: "border-2 border-black p-2 mb-2 space-y-2 bg-white" }, /* @__PURE__ */ React.createElement(
+      "input",
+      {
+        value: presetDraft.name,
+        onChange: (e) => setPresetDraft({ ...presetDraft, name: e.target.value }),
+        onKeyDown: (e) => e.key === "Enter" && savePreset(),
+        maxLength: MAX_PRESET_NAME_LENGTH,
+        placeholder: t("presets.namePlaceholder"),
+        className: "w-full px-2 py-1 border-2 border-zinc-200 text-xs font-bold focus:outline-none focus:border-black",
+        autoFocus: true
+      }
+    ), /* @__PURE__ */ React.createElement(
+      "textarea",
+      {
+        value: presetDraft.template,
+        onChange: (e) => setPresetDraft({ ...presetDraft, template: e.target.value }),
+        placeholder: t("presets.templatePlaceholder"),
+        className: "w-full h-16 px-2 py-1 border-2 border-zinc-200 text-[10px] font-medium focus:outline-none focus:border-black resize-none block"
+      }
+    ), /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-medium text-zinc-400" }, t("presets.templateHint")), /* @__PURE__ */ React.createElement("div", { className: "flex items-center justify-between gap-2" }, /* @__PURE__ */ React.createElement("label", { className: "flex items-center gap-1 text-[10px] font-bold cursor-pointer" }, /* @__PURE__ */ React.createElement(
+      "input",
+      {
+        type: "checkbox",
+        checked: presetDraft.includeSettings,
+        onChange: (e) => setPresetDraft({ ...presetDraft, includeSettings: e.target.checked }),
+        className: "accent-black"
+      }
+    ), t("presets.includeSettings", {
+      settings: [currentModel.label, currentModel.imageSizes.length > 0 ? imageSize : null, aspectRatio].filter(Boolean).join(" / ")
+    })), /* @__PURE__ */ React.createElement("div", { className: "flex gap-1" }, /* @__PURE__ */ React.createElement("button", { onClick: () => setPresetDraft(null), className: "px-2 py-1 border-2 border-black text-[10px] font-bold hover:bg-zinc-100" }, t("common.cancel")), /* @__PURE__ */ React.createElement("button", { onClick: savePreset, className: "px-2 py-1 border-2 border-black bg-black text-white text-[10px] font-bold hover:bg-zinc-800" }, t("presets.confirmSave"))))), presets.length > 0 ? /* @__PURE__ */ React.createElement("div", { className: "flex flex-wrap gap-1" }, presets.map((preset) => /* @__PURE__ */ React.createElement("div", { key: preset.id, className: "group flex items-center border-2 border-black text-[10px] font-bold" }, /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: () => applyPreset(preset),
+        title: [
+          [modelInfo(preset.model) ? modelInfo(preset.model).label : preset.model, preset.imageSize, preset.aspectRatio].filter(Boolean).join(" / "),
+          preset.template
+        ].filter(Boolean).join("\\n"),
+        className: "px-2 py-1 hover:bg-black hover:text-white transition-colors"
+      },
+      preset.name
+    ), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: () => deletePreset(preset),
+        title: t("common.delete"),
+        className: "px-1 py-1 border-l-2 border-black hover:bg-black hover:text-white"
+      },
+      /* @__PURE__ */ React.createElement(Icons.X, { className: "w-3 h-3" })
+    )))) : !presetDraft && /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-medium text-zinc-400" }, t("presets.empty"))), /* @__PURE__ */ React.createElement("div", { className: "relative" }, /* @__PURE__ */ React.createElement(
+      "textarea",
+      {
+        value: prompt,
+        onChange: (e) => setPrompt(e.target.value),
+        placeholder: t("controls.promptPlaceholder"),
+        className: "w-full h-28 p-3 pb-9 bg-white border-2 border-black focus:ring-4 focus:ring-zinc-100 focus:outline-none transition-all text-sm font-medium placeholder:text-zinc-400 resize-none block"
+      }
+    ), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: enhancePrompt,
+        disabled: !prompt.trim() || enhance && enhance.loading,
+        title: t("enhance.hint"),
+        className: "absolute bottom-2 right-2 px-2 py-1 bg-white border-2 border-black text-[10px] font-bold hover:bg-black hover:text-white transition-colors disabled:opacity-30 disabled:hover:bg-white disabled:hover:text-black"
+      },
+      "✨ ",
+      t("enhance.button")
+    )), enhance && /* @__PURE__ */ React.createElement("div", { className: "border-2 border-black bg-white" }, /* @__PURE__ */ React.createElement("div", { className: "flex items-center gap-2 p-2 border-b-2 border-black" }, /* @__PURE__ */ React.createElement(
+      "input",
+      {
+        value: enhanceStyle,
+        onChange: (e) => setEnhanceStyle(e.target.value),
+        onKeyDown: (e) => e.key === "Enter" && enhancePrompt(),
+        placeholder: t("enhance.stylePlaceholder"),
+        className: "flex-1 min-w-0 px-2 py-1 border-2 border-zinc-200 text-[10px] font-medium focus:outline-none focus:border-black"
+      }
+    ), /* @__PURE__ */ React.createElement("label", { className: "flex items-center gap-1 text-[10px] font-bold whitespace-nowrap cursor-pointer" }, /* @__PURE__ */ React.createElement("input", { type: "checkbox", checked: enhanceTranslate, onChange: (e) => setEnhanceTranslate(e.target.checked), className: "accent-black" }), t("enhance.translate")), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: enhancePrompt,
+        disabled: enhance.loading,
+        title: t("enhance.retry"),
+        className: "p-1 border-2 border-black hover:bg-black hover:text-white disabled:opacity-30"
+      },
+      /* @__PURE__ */ React.createElement(Icons.Repeat, { className: "w-3 h-3" })
+    )), /* @__PURE__ */ React.createElement("div", { className: "p-3 max-h-48 overflow-y-auto" }, enhance.loading ? /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-bold uppercase tracking-widest text-zinc-400 flex items-center gap-2" }, /* @__PURE__ */ React.createElement(Icons.Loader2, { className: "w-3 h-3 animate-spin" }), " ", t("enhance.running")) : enhance.error ? /* @__PURE__ */ React.createElement("p", { className: "text-xs font-bold flex items-start gap-2" }, /* @__PURE__ */ React.createElement(Icons.AlertCircle, { className: "w-4 h-4 flex-shrink-0" }), enhance.error) : enhance.editing ? /* @__PURE__ */ React.createElement(
+      "textarea",
+      {
+        value: enhance.suggestion,
+        onChange: (e) => setEnhance({ ...enhance, suggestion: e.target.value }),
+        className: "w-full h-32 p-2 border-2 border-black text-xs font-medium focus:outline-none resize-none block",
+        autoFocus: true
+      }
+    ) : /* @__PURE__ */ React.createElement("p", { className: "text-xs font-medium leading-relaxed whitespace-pre-wrap break-words" }, diffWords(enhance.original, enhance.suggestion).map((part, idx) => /* @__PURE__ */ React.createElement(
+      "span",
+      {
+        key: idx,
+        className: part.type === "added" ? "bg-black text-white" : part.type === "removed" ? "line-through text-zinc-400" : ""
+      },
+      part.text
+    )))), /* @__PURE__ */ React.createElement("div", { className: "flex border-t-2 border-black divide-x-2 divide-black" }, /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: acceptEnhance,
+        disabled: enhance.loading || !enhance.suggestion.trim(),
+        className: "flex-1 py-2 text-[10px] font-bold uppercase bg-black text-white hover:bg-zinc-800 disabled:opacity-30"
+      },
+      t("enhance.accept")
+    ), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: () => setEnhance({ ...enhance, editing: !enhance.editing }),
+        disabled: enhance.loading || !enhance.suggestion,
+        className: "flex-1 py-2 text-[10px] font-bold uppercase hover:bg-zinc-100 disabled:opacity-30"
+      },
+      t(enhance.editing ? "enhance.diff" : "enhance.edit")
+    ), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: () => setEnhance(null),
+        className: "flex-1 py-2 text-[10px] font-bold uppercase hover:bg-zinc-100"
+      },
+      t("enhance.discard")
+    ))), promptCount > 1 && /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-bold " + (promptCount > MAX_BATCH_JOBS ? "text-black underline" : "text-zinc-500") }, t("generate.batchInfo", { count: promptCount, concurrency: BATCH_CONCURRENCY })), error && /* @__PURE__ */ React.createElement("div", { className: "p-2 bg-white border-2 border-black flex items-start gap-2" }, /* @__PURE__ */ React.createElement(Icons.AlertCircle, { className: "w-4 h-4 mt-0.5 flex-shrink-0" }), /* @__PURE__ */ React.createElement("p", { className: "text-xs font-bold" }, error)), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: checkAndGenerate,
+        className: "w-full py-4 font-black text-sm uppercase tracking-widest flex items-center justify-center gap-2 transition-all border-2 border-black shadow-[4px_4px_0px_0px_rgba(0,0,0,1)] active:translate-x-[2px] active:translate-y-[2px] active:shadow-none bg-black text-white hover:bg-zinc-800"
+      },
+      /* @__PURE__ */ React.createElement(Icons.Wand2, { className: "w-4 h-4" }),
+      t("generate.submit"),
+      promptCount > 1 ? " (" + promptCount + ")" : ""
+    ), quota && quota.enabled && /* @__PURE__ */ React.createElement("div", { className: "flex flex-wrap justify-center gap-2 text-[10px] font-mono font-bold uppercase text-zinc-500" }, quota.daily.limit !== null && /* @__PURE__ */ React.createElement("span", { className: quota.daily.remaining === 0 ? "text-black underline" : "" }, t("quota.daily"), " ", formatBudget(quota.daily)), quota.pro.limit !== null && /* @__PURE__ */ React.createElement("span", { className: quota.pro.remaining === 0 ? "text-black underline" : "" }, "Pro ", formatBudget(quota.pro)), quota.rpm.limit !== null && /* @__PURE__ */ React.createElement("span", { className: quota.rpm.remaining === 0 ? "text-black underline" : "" }, t("quota.rpm"), " ", formatBudget(quota.rpm))))), /* @__PURE__ */ React.createElement("div", { className: "flex-1 min-w-0" }, /* @__PURE__ */ React.createElement("div", { className: "mb-6 pb-2 border-b-2 border-black flex items-end justify-between" }, /* @__PURE__ */ React.createElement("h2", { className: "text-3xl font-black uppercase tracking-tighter leading-none" }, t("gallery.title")), /* @__PURE__ */ React.createElement("div", { className: "flex gap-2 items-center" }, selecting ? /* @__PURE__ */ React.createElement(React.Fragment, null, /* @__PURE__ */ React.createElement("button", { onClick: () => setSelectedIds(new Set(visibleItems.map((item) => item.id))), className: "text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2" }, t("gallery.selectAll")), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: () => exportGallery(history.filter((item) => selectedIds.has(item.id))),
+        disabled: selectedIds.size === 0,
+        className: "text-[10px] font-bold uppercase hover:underline text-black mr-2 disabled:opacity-30"
+      },
+      t("gallery.exportSelected", { count: selectedIds.size })
+    ), /* @__PURE__ */ React.createElement("button", { onClick: exitSelecting, className: "text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2" }, t("common.cancel"))) : /* @__PURE__ */ React.createElement(React.Fragment, null, /* @__PURE__ */ React.createElement("button", { onClick: () => setSelecting(true), disabled: history.length === 0, className: "text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2 disabled:opacity-30" }, t("gallery.select")), /* @__PURE__ */ React.createElement("button", { onClick: () => exportGallery(history), disabled: history.length === 0, className: "text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2 disabled:opacity-30" }, t("gallery.exportAll")), /* @__PURE__ */ React.createElement("label", { className: "text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2 cursor-pointer" }, t("gallery.import"), /* @__PURE__ */ React.createElement("input", { type: "file", accept: ".zip,application/zip", onChange: importGallery, className: "hidden" }))), /* @__PURE__ */ React.createElement("button", { onClick: clearHistory, className: "text-[10px] font-bold uppercase hover:underline text-zinc-500 mr-2" }, t("gallery.clear")), /* @__PURE__ */ React.createElement("span", { className: "text-xs font-mono font-bold border border-black px-2 py-1" }, (history.length + pendingRequests.length).toString().padStart(2, "0")))), history.length > 0 && /* @__PURE__ */ React.createElement("div", { className: "mb-6 space-y-3" }, /* @__PURE__ */ React.createElement(
+      "input",
+      {
+        value: searchQuery,
+        onChange: (e) => setSearchQuery(e.target.value),
+        placeholder: t("gallery.searchPlaceholder"),
+        className: "w-full p-2 border-2 border-black text-sm font-medium focus:outline-none focus:bg-zinc-50"
+      }
+    ), /* @__PURE__ */ React.createElement("div", { className: "flex flex-wrap gap-2" }, filterChips.map((chip) => /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        key: chip.label,
+        onClick: () => setActiveFilter(chip.filter),
+        className: "text-[10px] font-bold uppercase border-2 px-2 py-1 transition-colors " + (isActiveFilter(chip.filter) ? "bg-black text-white border-black" : "bg-white text-black border-zinc-200 hover:border-black")
+      },
+      chip.label
+    )))), history.length > 0 && visibleItems.length === 0 && pendingRequests.length === 0 ? /* @__PURE__ */ React.createElement("div", { className: "h-[200px] flex items-center justify-center border-2 border-dashed border-zinc-200" }, /* @__PURE__ */ React.createElement("p", { className: "font-bold text-zinc-400 text-sm" }, t("gallery.noMatches"))) : history.length === 0 && pendingRequests.length === 0 ? /* @__PURE__ */ React.createElement("div", { className: "h-[400px] flex flex-col items-center justify-center text-zinc-300 border-2 border-dashed border-zinc-200 bg-zinc-50/30" }, /* @__PURE__ */ React.createElement(Icons.Sparkles, { className: "w-12 h-12 mb-2 opacity-20 text-black" }), /* @__PURE__ */ React.createElement("p", { className: "font-bold text-zinc-400 text-sm" }, t("gallery.empty"))) : /* @__PURE__ */ React.createElement("div", { className: "grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-4" }, pendingRequests.map((req) => req.status === "failed" ? /* @__PURE__ */ React.createElement("div", { key: req.id, className: "group relative bg-white border-2 border-black" }, /* @__PURE__ */ React.createElement("div", { className: "aspect-square w-full bg-zinc-50 border-b-2 border-black flex flex-col p-3 gap-2 overflow-hidden" }, /* @__PURE__ */ React.createElement("div", { className: "flex items-center gap-2" }, /* @__PURE__ */ React.createElement(Icons.AlertCircle, { className: "w-4 h-4 flex-shrink-0" }), /* @__PURE__ */ React.createElement("span", { className: "text-[10px] font-bold uppercase tracking-widest bg-black text-white px-1.5 py-0.5" }, generationErrorLabel(req.error.code))), /* @__PURE__ */ React.createElement("p", { className: "text-xs font-medium text-zinc-600 line-clamp-4 break-words", title: req.error.message }, req.error.message), req.error.code === "SAFETY_BLOCKED" && /* @__PURE__ */ React.createElement("ul", { className: "text-[10px] font-mono text-zinc-500 space-y-0.5 overflow-hidden" }, describeSafetyDetails(req.error.details).map((line, idx) => /* @__PURE__ */ React.createElement("li", { key: idx, className: "truncate" }, line))), /* @__PURE__ */ React.createElement("div", { className: "mt-auto flex gap-2" }, /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: () => retryPending(req),
+        className: "flex-1 py-2 bg-black text-white text-[10px] font-bold uppercase flex items-center justify-center gap-1 hover:bg-zinc-800"
+      },
+      /* @__PURE__ */ React.createElement(Icons.Repeat, { className: "w-3 h-3" }),
+      " ",
+      t("common.retry")
+    ), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: () => dismissPending(req.id),
+        className: "px-3 py-2 border-2 border-black text-[10px] font-bold uppercase hover:bg-zinc-100"
+      },
+      t("common.remove")
+    ))), /* @__PURE__ */ React.createElement("div", { className: "p-3 opacity-50" }, /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-bold truncate" }, req.prompt))) : /* @__PURE__ */ React.createElement("div", { key: req.id, className: "group relative bg-white border-2 border-black " + (req.images.length === 0 && req.status === "running" ? "animate-pulse" : "") }, /* @__PURE__ */ React.createElement("div", { className: "aspect-square w-full bg-zinc-50 border-b-2 border-black flex flex-col items-center justify-center gap-2 relative overflow-hidden" }, req.images.length > 0 ? /* @__PURE__ */ React.createElement("img", { src: req.images[req.images.length - 1], className: "w-full h-full object-cover" }) : req.status === "queued" ? /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-bold uppercase tracking-widest text-zinc-400" }, t("generate.queued")) : /* @__PURE__ */ React.createElement(React.Fragment, null, /* @__PURE__ */ React.createElement("div", { className: "w-8 h-8 border-4 border-zinc-200 border-t-black rounded-full animate-spin" }), /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-bold uppercase tracking-widest text-zinc-400" }, t("generate.processing"))), req.text && /* @__PURE__ */ React.createElement("p", { className: "absolute bottom-0 left-0 right-0 max-h-16 overflow-hidden bg-white/90 border-t-2 border-black p-2 text-[10px] font-medium text-zinc-600 line-clamp-3" }, req.text), /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        onClick: () => cancelPending(req.id),
+        title: t("common.cancel"),
+        className: "absolute top-1 right-1 bg-black text-white p-1 opacity-0 group-hover:opacity-100 transition-opacity"
+      },
+      /* @__PURE__ */ React.createElement(Icons.X, { className: "w-3 h-3" })
+    )), /* @__PURE__ */ React.createElement("div", { className: "p-3 opacity-50" }, /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-bold truncate" }, req.prompt)))), galleryGroups.map((group) => group.items.length === 1 && !group.batchId ? renderHistoryCard(group.items[0]) : /* @__PURE__ */ React.createElement("div", { key: group.batchId, className: "col-span-full border-2 border-dashed border-black p-3" }, /* @__PURE__ */ React.createElement("div", { className: "flex items-center justify-between mb-3" }, /* @__PURE__ */ React.createElement("p", { className: "text-[10px] font-bold truncate", title: group.prompt }, /* @__PURE__ */ React.createElement("span", { className: "uppercase tracking-widest bg-black text-white px-1.5 py-0.5 mr-2" }, t("gallery.batch")), group.prompt), /* @__PURE__ */ React.createElement("span", { className: "text-[10px] font-mono font-bold flex-shrink-0 ml-2" }, t("gallery.count", { count: group.items.length }))), /* @__PURE__ */ React.createElement("div", { className: "grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-4" }, group.items.map(renderHistoryCard))))), hasMore && /* @__PURE__ */ React.createElement(
+      "button",
+      {
+        ref: loadMoreRef,
+        onClick: () => setVisibleCount((count) => count + GALLERY_PAGE_SIZE),
+        className: "w-full mt-4 py-3 border-2 border-dashed border-zinc-300 text-[10px] font-bold uppercase tracking-widest text-zinc-400 hover:border-black hover:text-black"
+      },
+      t("gallery.loadMore", { count: visibleItems.length - visibleCount })
+    )))
+  );
+}
+const root = ReactDOM.createRoot(document.getElementById("root"));
+root.render(/* @__PURE__ */ React.createElement(App, null));
+`;
+
+/**
+ * 前端样式 (由 src/app.css 生成的 Tailwind CSS)
+ */
+const APP_CSS = `*,:before,:after{--tw-border-spacing-x: 0;--tw-border-spacing-y: 0;--tw-translate-x: 0;--tw-translate-y: 0;--tw-rotate: 0;--tw-skew-x: 0;--tw-skew-y: 0;--tw-scale-x: 1;--tw-scale-y: 1;--tw-pan-x: ;--tw-pan-y: ;--tw-pinch-zoom: ;--tw-scroll-snap-strictness: proximity;--tw-gradient-from-position: ;--tw-gradient-via-position: ;--tw-gradient-to-position: ;--tw-ordinal: ;--tw-slashed-zero: ;--tw-numeric-figure: ;--tw-numeric-spacing: ;--tw-numeric-fraction: ;--tw-ring-inset: ;--tw-ring-offset-width: 0px;--tw-ring-offset-color: #fff;--tw-ring-color: rgb(59 130 246 / .5);--tw-ring-offset-shadow: 0 0 #0000;--tw-ring-shadow: 0 0 #0000;--tw-shadow: 0 0 #0000;--tw-shadow-colored: 0 0 #0000;--tw-blur: ;--tw-brightness: ;--tw-contrast: ;--tw-grayscale: ;--tw-hue-rotate: ;--tw-invert: ;--tw-saturate: ;--tw-sepia: ;--tw-drop-shadow: ;--tw-backdrop-blur: ;--tw-backdrop-brightness: ;--tw-backdrop-contrast: ;--tw-backdrop-grayscale: ;--tw-backdrop-hue-rotate: ;--tw-backdrop-invert: ;--tw-backdrop-opacity: ;--tw-backdrop-saturate: ;--tw-backdrop-sepia: ;--tw-contain-size: ;--tw-contain-layout: ;--tw-contain-paint: ;--tw-contain-style: }::backdrop{--tw-border-spacing-x: 0;--tw-border-spacing-y: 0;--tw-translate-x: 0;--tw-translate-y: 0;--tw-rotate: 0;--tw-skew-x: 0;--tw-skew-y: 0;--tw-scale-x: 1;--tw-scale-y: 1;--tw-pan-x: ;--tw-pan-y: ;--tw-pinch-zoom: ;--tw-scroll-snap-strictness: proximity;--tw-gradient-from-position: ;--tw-gradient-via-position: ;--tw-gradient-to-position: ;--tw-ordinal: ;--tw-slashed-zero: ;--tw-numeric-figure: ;--tw-numeric-spacing: ;--tw-numeric-fraction: ;--tw-ring-inset: ;--tw-ring-offset-width: 0px;--tw-ring-offset-color: #fff;--tw-ring-color: rgb(59 130 246 / .5);--tw-ring-offset-shadow: 0 0 #0000;--tw-ring-shadow: 0 0 #0000;--tw-shadow: 0 0 #0000;--tw-shadow-colored: 0 0 #0000;--tw-blur: ;--tw-brightness: ;--tw-contrast: ;--tw-grayscale: ;--tw-hue-rotate: ;--tw-invert: ;--tw-saturate: ;--tw-sepia: ;--tw-drop-shadow: ;--tw-backdrop-blur: ;--tw-backdrop-brightness: ;--tw-backdrop-contrast: ;--tw-backdrop-grayscale: ;--tw-backdrop-hue-rotate: ;--tw-backdrop-invert: ;--tw-backdrop-opacity: ;--tw-backdrop-saturate: ;--tw-backdrop-sepia: ;--tw-contain-size: ;--tw-contain-layout: ;--tw-contain-paint: ;--tw-contain-style: }*,:before,:after{box-sizing:border-box;border-width:0;border-style:solid;border-color:#e5e7eb}:before,:after{--tw-content: ""}html,:host{line-height:1.5;-webkit-text-size-adjust:100%;-moz-tab-size:4;tab-size:4;font-family:ui-sans-serif,system-ui,sans-serif,"Apple Color Emoji","Segoe UI Emoji",Segoe UI Symbol,"Noto Color Emoji";font-feature-settings:normal;font-variation-settings:normal;-webkit-tap-highlight-color:transparent}body{margin:0;line-height:inherit}hr{height:0;color:inherit;border-top-width:1px}abbr:where([title]){text-decoration:underline dotted}h1,h2,h3,h4,h5,h6{font-size:inherit;font-weight:inherit}a{color:inherit;text-decoration:inherit}b,strong{font-weight:bolder}code,kbd,samp,pre{font-family:ui-monospace,SFMono-Regular,Menlo,Monaco,Consolas,Liberation Mono,Courier New,monospace;font-feature-settings:normal;font-variation-settings:normal;font-size:1em}small{font-size:80%}sub,sup{font-size:75%;line-height:0;position:relative;vertical-align:baseline}sub{bottom:-.25em}sup{top:-.5em}table{text-indent:0;border-color:inherit;border-collapse:collapse}button,input,optgroup,select,textarea{font-family:inherit;font-feature-settings:inherit;font-variation-settings:inherit;font-size:100%;font-weight:inherit;line-height:inherit;letter-spacing:inherit;color:inherit;margin:0;padding:0}button,select{text-transform:none}button,input:where([type=button]),input:where([type=reset]),input:where([type=submit]){-webkit-appearance:button;background-color:transparent;background-image:none}:-moz-focusring{outline:auto}:-moz-ui-invalid{box-shadow:none}progress{vertical-align:baseline}::-webkit-inner-spin-button,::-webkit-outer-spin-button{height:auto}[type=search]{-webkit-appearance:textfield;outline-offset:-2px}::-webkit-search-decoration{-webkit-appearance:none}::-webkit-file-upload-button{-webkit-appearance:button;font:inherit}summary{display:list-item}blockquote,dl,dd,h1,h2,h3,h4,h5,h6,hr,figure,p,pre{margin:0}fieldset{margin:0;padding:0}legend{padding:0}ol,ul,menu{list-style:none;margin:0;padding:0}dialog{padding:0}textarea{resize:vertical}input::placeholder,textarea::placeholder{opacity:1;color:#9ca3af}button,[role=button]{cursor:pointer}:disabled{cursor:default}img,svg,video,canvas,audio,iframe,embed,object{display:block;vertical-align:middle}img,video{max-width:100%;height:auto}[hidden]:where(:not([hidden=until-found])){display:none}.pointer-events-none{pointer-events:none}.invisible{visibility:hidden}.fixed{position:fixed}.absolute{position:absolute}.relative{position:relative}.inset-0{inset:0}.inset-x-0{left:0;right:0}.bottom-0{bottom:0}.bottom-2{bottom:.5rem}.bottom-8{bottom:2rem}.left-0{left:0}.left-1\\/2{left:50%}.left-2{left:.5rem}.left-4{left:1rem}.right-0{right:0}.right-1{right:.25rem}.right-2{right:.5rem}.right-4{right:1rem}.top-0{top:0}.top-1{top:.25rem}.top-2{top:.5rem}.top-4{top:1rem}.z-10{z-index:10}.z-40{z-index:40}.z-\\[100\\]{z-index:100}.z-\\[105\\]{z-index:105}.z-\\[110\\]{z-index:110}.z-\\[120\\]{z-index:120}.z-\\[130\\]{z-index:130}.col-span-2{grid-column:span 2 / span 2}.col-span-full{grid-column:1 / -1}.mx-0\\.5{margin-left:.125rem;margin-right:.125rem}.mx-auto{margin-left:auto;margin-right:auto}.mb-2{margin-bottom:.5rem}.mb-3{margin-bottom:.75rem}.mb-4{margin-bottom:1rem}.mb-6{margin-bottom:1.5rem}.ml-2{margin-left:.5rem}.ml-8{margin-left:2rem}.mr-2{margin-right:.5rem}.mr-8{margin-right:2rem}.mt-0\\.5{margin-top:.125rem}.mt-1{margin-top:.25rem}.mt-2{margin-top:.5rem}.mt-4{margin-top:1rem}.mt-auto{margin-top:auto}.line-clamp-1{overflow:hidden;display:-webkit-box;-webkit-box-orient:vertical;-webkit-line-clamp:1}.line-clamp-3{overflow:hidden;display:-webkit-box;-webkit-box-orient:vertical;-webkit-line-clamp:3}.line-clamp-4{overflow:hidden;display:-webkit-box;-webkit-box-orient:vertical;-webkit-line-clamp:4}.block{display:block}.inline-block{display:inline-block}.flex{display:flex}.table{display:table}.grid{display:grid}.hidden{display:none}.aspect-square{aspect-ratio:1 / 1}.h-12{height:3rem}.h-16{height:4rem}.h-20{height:5rem}.h-24{height:6rem}.h-28{height:7rem}.h-3{height:.75rem}.h-32{height:8rem}.h-4{height:1rem}.h-5{height:1.25rem}.h-6{height:1.5rem}.h-8{height:2rem}.h-\\[200px\\]{height:200px}.h-\\[400px\\]{height:400px}.h-full{height:100%}.max-h-16{max-height:4rem}.max-h-48{max-height:12rem}.max-h-\\[70vh\\]{max-height:70vh}.max-h-full{max-height:100%}.min-h-0{min-height:0px}.min-h-screen{min-height:100vh}.w-10{width:2.5rem}.w-12{width:3rem}.w-24{width:6rem}.w-3{width:.75rem}.w-4{width:1rem}.w-5{width:1.25rem}.w-6{width:1.5rem}.w-8{width:2rem}.w-full{width:100%}.min-w-0{min-width:0px}.max-w-4xl{max-width:56rem}.max-w-\\[1600px\\]{max-width:1600px}.max-w-full{max-width:100%}.max-w-md{max-width:28rem}.max-w-sm{max-width:24rem}.flex-1{flex:1 1 0%}.flex-shrink-0{flex-shrink:0}.-translate-x-1\\/2{--tw-translate-x: -50%;transform:translate(var(--tw-translate-x),var(--tw-translate-y)) rotate(var(--tw-rotate)) skew(var(--tw-skew-x)) skewY(var(--tw-skew-y)) scaleX(var(--tw-scale-x)) scaleY(var(--tw-scale-y))}@keyframes pulse{50%{opacity:.5}}.animate-pulse{animation:pulse 2s cubic-bezier(.4,0,.6,1) infinite}@keyframes spin{to{transform:rotate(360deg)}}.animate-spin{animation:spin 1s linear infinite}.cursor-crosshair{cursor:crosshair}.cursor-move{cursor:move}.cursor-pointer{cursor:pointer}.touch-none{touch-action:none}.select-none{user-select:none}.resize-none{resize:none}.grid-cols-2{grid-template-columns:repeat(2,minmax(0,1fr))}.grid-cols-4{grid-template-columns:repeat(4,minmax(0,1fr))}.grid-cols-5{grid-template-columns:repeat(5,minmax(0,1fr))}.flex-col{flex-direction:column}.flex-wrap{flex-wrap:wrap}.items-start{align-items:flex-start}.items-end{align-items:flex-end}.items-center{align-items:center}.justify-start{justify-content:flex-start}.justify-end{justify-content:flex-end}.justify-center{justify-content:center}.justify-between{justify-content:space-between}.gap-1{gap:.25rem}.gap-2{gap:.5rem}.gap-3{gap:.75rem}.gap-4{gap:1rem}.gap-8{gap:2rem}.gap-\\[2px\\]{gap:2px}.space-y-0\\.5>:not([hidden])~:not([hidden]){--tw-space-y-reverse: 0;margin-top:calc(.125rem * calc(1 - var(--tw-space-y-reverse)));margin-bottom:calc(.125rem * var(--tw-space-y-reverse))}.space-y-2>:not([hidden])~:not([hidden]){--tw-space-y-reverse: 0;margin-top:calc(.5rem * calc(1 - var(--tw-space-y-reverse)));margin-bottom:calc(.5rem * var(--tw-space-y-reverse))}.space-y-3>:not([hidden])~:not([hidden]){--tw-space-y-reverse: 0;margin-top:calc(.75rem * calc(1 - var(--tw-space-y-reverse)));margin-bottom:calc(.75rem * var(--tw-space-y-reverse))}.space-y-4>:not([hidden])~:not([hidden]){--tw-space-y-reverse: 0;margin-top:calc(1rem * calc(1 - var(--tw-space-y-reverse)));margin-bottom:calc(1rem * var(--tw-space-y-reverse))}.space-y-6>:not([hidden])~:not([hidden]){--tw-space-y-reverse: 0;margin-top:calc(1.5rem * calc(1 - var(--tw-space-y-reverse)));margin-bottom:calc(1.5rem * var(--tw-space-y-reverse))}.divide-x-2>:not([hidden])~:not([hidden]){--tw-divide-x-reverse: 0;border-right-width:calc(2px * var(--tw-divide-x-reverse));border-left-width:calc(2px * calc(1 - var(--tw-divide-x-reverse)))}.divide-black>:not([hidden])~:not([hidden]){--tw-divide-opacity: 1;border-color:rgb(0 0 0 / var(--tw-divide-opacity, 1))}.overflow-hidden{overflow:hidden}.overflow-y-auto{overflow-y:auto}.truncate{overflow:hidden;text-overflow:ellipsis;white-space:nowrap}.whitespace-nowrap{white-space:nowrap}.whitespace-pre-wrap{white-space:pre-wrap}.break-words{overflow-wrap:break-word}.rounded-full{border-radius:9999px}.rounded-none{border-radius:0}.border{border-width:1px}.border-2{border-width:2px}.border-4{border-width:4px}.border-b-2{border-bottom-width:2px}.border-l-2{border-left-width:2px}.border-t-2{border-top-width:2px}.border-dashed{border-style:dashed}.border-black{--tw-border-opacity: 1;border-color:rgb(0 0 0 / var(--tw-border-opacity, 1))}.border-white{--tw-border-opacity: 1;border-color:rgb(255 255 255 / var(--tw-border-opacity, 1))}.border-zinc-200{--tw-border-opacity: 1;border-color:rgb(228 228 231 / var(--tw-border-opacity, 1))}.border-zinc-300{--tw-border-opacity: 1;border-color:rgb(212 212 216 / var(--tw-border-opacity, 1))}.border-t-black{--tw-border-opacity: 1;border-top-color:rgb(0 0 0 / var(--tw-border-opacity, 1))}.bg-black{--tw-bg-opacity: 1;background-color:rgb(0 0 0 / var(--tw-bg-opacity, 1))}.bg-black\\/10{background-color:#0000001a}.bg-black\\/70{background-color:#000000b3}.bg-black\\/80{background-color:#000c}.bg-black\\/95{background-color:#000000f2}.bg-white{--tw-bg-opacity: 1;background-color:rgb(255 255 255 / var(--tw-bg-opacity, 1))}.bg-white\\/10{background-color:#ffffff1a}.bg-white\\/90{background-color:#ffffffe6}.bg-white\\/95{background-color:#fffffff2}.bg-zinc-100{--tw-bg-opacity: 1;background-color:rgb(244 244 245 / var(--tw-bg-opacity, 1))}.bg-zinc-50{--tw-bg-opacity: 1;background-color:rgb(250 250 250 / var(--tw-bg-opacity, 1))}.bg-zinc-50\\/30{background-color:#fafafa4d}.object-contain{object-fit:contain}.object-cover{object-fit:cover}.p-0\\.5{padding:.125rem}.p-1{padding:.25rem}.p-2{padding:.5rem}.p-3{padding:.75rem}.p-4{padding:1rem}.p-8{padding:2rem}.px-1{padding-left:.25rem;padding-right:.25rem}.px-1\\.5{padding-left:.375rem;padding-right:.375rem}.px-2{padding-left:.5rem;padding-right:.5rem}.px-3{padding-left:.75rem;padding-right:.75rem}.px-4{padding-left:1rem;padding-right:1rem}.px-6{padding-left:1.5rem;padding-right:1.5rem}.px-8{padding-left:2rem;padding-right:2rem}.py-0\\.5{padding-top:.125rem;padding-bottom:.125rem}.py-1{padding-top:.25rem;padding-bottom:.25rem}.py-2{padding-top:.5rem;padding-bottom:.5rem}.py-3{padding-top:.75rem;padding-bottom:.75rem}.py-4{padding-top:1rem;padding-bottom:1rem}.pb-12{padding-bottom:3rem}.pb-2{padding-bottom:.5rem}.pb-9{padding-bottom:2.25rem}.pt-24{padding-top:6rem}.pt-6{padding-top:1.5rem}.text-left{text-align:left}.text-center{text-align:center}.font-mono{font-family:ui-monospace,SFMono-Regular,Menlo,Monaco,Consolas,Liberation Mono,Courier New,monospace}.font-sans{font-family:ui-sans-serif,system-ui,sans-serif,"Apple Color Emoji","Segoe UI Emoji",Segoe UI Symbol,"Noto Color Emoji"}.text-3xl{font-size:1.875rem;line-height:2.25rem}.text-\\[10px\\]{font-size:10px}.text-\\[9px\\]{font-size:9px}.text-sm{font-size:.875rem;line-height:1.25rem}.text-xl{font-size:1.25rem;line-height:1.75rem}.text-xs{font-size:.75rem;line-height:1rem}.font-black{font-weight:900}.font-bold{font-weight:700}.font-medium{font-weight:500}.uppercase{text-transform:uppercase}.leading-none{line-height:1}.leading-relaxed{line-height:1.625}.tracking-tighter{letter-spacing:-.05em}.tracking-wider{letter-spacing:.05em}.tracking-widest{letter-spacing:.1em}.text-black{--tw-text-opacity: 1;color:rgb(0 0 0 / var(--tw-text-opacity, 1))}.text-white{--tw-text-opacity: 1;color:rgb(255 255 255 / var(--tw-text-opacity, 1))}.text-zinc-300{--tw-text-opacity: 1;color:rgb(212 212 216 / var(--tw-text-opacity, 1))}.text-zinc-400{--tw-text-opacity: 1;color:rgb(161 161 170 / var(--tw-text-opacity, 1))}.text-zinc-500{--tw-text-opacity: 1;color:rgb(113 113 122 / var(--tw-text-opacity, 1))}.text-zinc-600{--tw-text-opacity: 1;color:rgb(82 82 91 / var(--tw-text-opacity, 1))}.text-zinc-900{--tw-text-opacity: 1;color:rgb(24 24 27 / var(--tw-text-opacity, 1))}.underline{text-decoration-line:underline}.line-through{text-decoration-line:line-through}.accent-black{accent-color:#000}.opacity-0{opacity:0}.opacity-20{opacity:.2}.opacity-30{opacity:.3}.opacity-50{opacity:.5}.opacity-60{opacity:.6}.mix-blend-difference{mix-blend-mode:difference}.shadow-2xl{--tw-shadow: 0 25px 50px -12px rgb(0 0 0 / .25);--tw-shadow-colored: 0 25px 50px -12px var(--tw-shadow-color);box-shadow:var(--tw-ring-offset-shadow, 0 0 #0000),var(--tw-ring-shadow, 0 0 #0000),var(--tw-shadow)}.shadow-\\[4px_4px_0px_0px_rgba\\(0\\,0\\,0\\,0\\.1\\)\\]{--tw-shadow: 4px 4px 0px 0px rgba(0,0,0,.1);--tw-shadow-colored: 4px 4px 0px 0px var(--tw-shadow-color);box-shadow:var(--tw-ring-offset-shadow, 0 0 #0000),var(--tw-ring-shadow, 0 0 #0000),var(--tw-shadow)}.shadow-\\[4px_4px_0px_0px_rgba\\(0\\,0\\,0\\,1\\)\\]{--tw-shadow: 4px 4px 0px 0px rgba(0,0,0,1);--tw-shadow-colored: 4px 4px 0px 0px var(--tw-shadow-color);box-shadow:var(--tw-ring-offset-shadow, 0 0 #0000),var(--tw-ring-shadow, 0 0 #0000),var(--tw-shadow)}.shadow-\\[8px_8px_0px_0px_rgba\\(255\\,255\\,255\\,0\\.2\\)\\]{--tw-shadow: 8px 8px 0px 0px rgba(255,255,255,.2);--tw-shadow-colored: 8px 8px 0px 0px var(--tw-shadow-color);box-shadow:var(--tw-ring-offset-shadow, 0 0 #0000),var(--tw-ring-shadow, 0 0 #0000),var(--tw-shadow)}.shadow-lg{--tw-shadow: 0 10px 15px -3px rgb(0 0 0 / .1), 0 4px 6px -4px rgb(0 0 0 / .1);--tw-shadow-colored: 0 10px 15px -3px var(--tw-shadow-color), 0 4px 6px -4px var(--tw-shadow-color);box-shadow:var(--tw-ring-offset-shadow, 0 0 #0000),var(--tw-ring-shadow, 0 0 #0000),var(--tw-shadow)}.outline{outline-style:solid}.outline-dashed{outline-style:dashed}.outline-2{outline-width:2px}.outline-4{outline-width:4px}.outline-offset-4{outline-offset:4px}.outline-black{outline-color:#000}.ring-4{--tw-ring-offset-shadow: var(--tw-ring-inset) 0 0 0 var(--tw-ring-offset-width) var(--tw-ring-offset-color);--tw-ring-shadow: var(--tw-ring-inset) 0 0 0 calc(4px + var(--tw-ring-offset-width)) var(--tw-ring-color);box-shadow:var(--tw-ring-offset-shadow),var(--tw-ring-shadow),var(--tw-shadow, 0 0 #0000)}.ring-black{--tw-ring-opacity: 1;--tw-ring-color: rgb(0 0 0 / var(--tw-ring-opacity, 1))}.grayscale{--tw-grayscale: grayscale(100%);filter:var(--tw-blur) var(--tw-brightness) var(--tw-contrast) var(--tw-grayscale) var(--tw-hue-rotate) var(--tw-invert) var(--tw-saturate) var(--tw-sepia) var(--tw-drop-shadow)}.filter{filter:var(--tw-blur) var(--tw-brightness) var(--tw-contrast) var(--tw-grayscale) var(--tw-hue-rotate) var(--tw-invert) var(--tw-saturate) var(--tw-sepia) var(--tw-drop-shadow)}.backdrop-blur-sm{--tw-backdrop-blur: blur(4px);-webkit-backdrop-filter:var(--tw-backdrop-blur) var(--tw-backdrop-brightness) var(--tw-backdrop-contrast) var(--tw-backdrop-grayscale) var(--tw-backdrop-hue-rotate) var(--tw-backdrop-invert) var(--tw-backdrop-opacity) var(--tw-backdrop-saturate) var(--tw-backdrop-sepia);backdrop-filter:var(--tw-backdrop-blur) var(--tw-backdrop-brightness) var(--tw-backdrop-contrast) var(--tw-backdrop-grayscale) var(--tw-backdrop-hue-rotate) var(--tw-backdrop-invert) var(--tw-backdrop-opacity) var(--tw-backdrop-saturate) var(--tw-backdrop-sepia)}.transition-all{transition-property:all;transition-timing-function:cubic-bezier(.4,0,.2,1);transition-duration:.15s}.transition-colors{transition-property:color,background-color,border-color,text-decoration-color,fill,stroke;transition-timing-function:cubic-bezier(.4,0,.2,1);transition-duration:.15s}.transition-opacity{transition-property:opacity;transition-timing-function:cubic-bezier(.4,0,.2,1);transition-duration:.15s}.transition-transform{transition-property:transform;transition-timing-function:cubic-bezier(.4,0,.2,1);transition-duration:.15s}.duration-200{transition-duration:.2s}.duration-300{transition-duration:.3s}.duration-500{transition-duration:.5s}.selection\\:bg-black *::selection{--tw-bg-opacity: 1;background-color:rgb(0 0 0 / var(--tw-bg-opacity, 1))}.selection\\:text-white *::selection{--tw-text-opacity: 1;color:rgb(255 255 255 / var(--tw-text-opacity, 1))}.selection\\:bg-black::selection{--tw-bg-opacity: 1;background-color:rgb(0 0 0 / var(--tw-bg-opacity, 1))}.selection\\:text-white::selection{--tw-text-opacity: 1;color:rgb(255 255 255 / var(--tw-text-opacity, 1))}.placeholder\\:text-zinc-400::placeholder{--tw-text-opacity: 1;color:rgb(161 161 170 / var(--tw-text-opacity, 1))}.hover\\:scale-105:hover{--tw-scale-x: 1.05;--tw-scale-y: 1.05;transform:translate(var(--tw-translate-x),var(--tw-translate-y)) rotate(var(--tw-rotate)) skew(var(--tw-skew-x)) skewY(var(--tw-skew-y)) scaleX(var(--tw-scale-x)) scaleY(var(--tw-scale-y))}.hover\\:border-black:hover{--tw-border-opacity: 1;border-color:rgb(0 0 0 / var(--tw-border-opacity, 1))}.hover\\:bg-black:hover{--tw-bg-opacity: 1;background-color:rgb(0 0 0 / var(--tw-bg-opacity, 1))}.hover\\:bg-white\\/20:hover{background-color:#fff3}.hover\\:bg-zinc-100:hover{--tw-bg-opacity: 1;background-color:rgb(244 244 245 / var(--tw-bg-opacity, 1))}.hover\\:bg-zinc-200:hover{--tw-bg-opacity: 1;background-color:rgb(228 228 231 / var(--tw-bg-opacity, 1))}.hover\\:bg-zinc-50:hover{--tw-bg-opacity: 1;background-color:rgb(250 250 250 / var(--tw-bg-opacity, 1))}.hover\\:bg-zinc-800:hover{--tw-bg-opacity: 1;background-color:rgb(39 39 42 / var(--tw-bg-opacity, 1))}.hover\\:text-black:hover{--tw-text-opacity: 1;color:rgb(0 0 0 / var(--tw-text-opacity, 1))}.hover\\:text-white:hover{--tw-text-opacity: 1;color:rgb(255 255 255 / var(--tw-text-opacity, 1))}.hover\\:text-zinc-300:hover{--tw-text-opacity: 1;color:rgb(212 212 216 / var(--tw-text-opacity, 1))}.hover\\:underline:hover{text-decoration-line:underline}.hover\\:no-underline:hover{text-decoration-line:none}.hover\\:opacity-70:hover{opacity:.7}.hover\\:shadow-\\[8px_8px_0px_0px_rgba\\(0\\,0\\,0\\,1\\)\\]:hover{--tw-shadow: 8px 8px 0px 0px rgba(0,0,0,1);--tw-shadow-colored: 8px 8px 0px 0px var(--tw-shadow-color);box-shadow:var(--tw-ring-offset-shadow, 0 0 #0000),var(--tw-ring-shadow, 0 0 #0000),var(--tw-shadow)}.focus\\:border-black:focus{--tw-border-opacity: 1;border-color:rgb(0 0 0 / var(--tw-border-opacity, 1))}.focus\\:bg-zinc-50:focus{--tw-bg-opacity: 1;background-color:rgb(250 250 250 / var(--tw-bg-opacity, 1))}.focus\\:outline-none:focus{outline:2px solid transparent;outline-offset:2px}.focus\\:ring-4:focus{--tw-ring-offset-shadow: var(--tw-ring-inset) 0 0 0 var(--tw-ring-offset-width) var(--tw-ring-offset-color);--tw-ring-shadow: var(--tw-ring-inset) 0 0 0 calc(4px + var(--tw-ring-offset-width)) var(--tw-ring-color);box-shadow:var(--tw-ring-offset-shadow),var(--tw-ring-shadow),var(--tw-shadow, 0 0 #0000)}.focus\\:ring-zinc-100:focus{--tw-ring-opacity: 1;--tw-ring-color: rgb(244 244 245 / var(--tw-ring-opacity, 1))}.active\\:translate-x-\\[2px\\]:active{--tw-translate-x: 2px;transform:translate(var(--tw-translate-x),var(--tw-translate-y)) rotate(var(--tw-rotate)) skew(var(--tw-skew-x)) skewY(var(--tw-skew-y)) scaleX(var(--tw-scale-x)) scaleY(var(--tw-scale-y))}.active\\:translate-y-\\[2px\\]:active{--tw-translate-y: 2px;transform:translate(var(--tw-translate-x),var(--tw-translate-y)) rotate(var(--tw-rotate)) skew(var(--tw-skew-x)) skewY(var(--tw-skew-y)) scaleX(var(--tw-scale-x)) scaleY(var(--tw-scale-y))}.active\\:shadow-none:active{--tw-shadow: 0 0 #0000;--tw-shadow-colored: 0 0 #0000;box-shadow:var(--tw-ring-offset-shadow, 0 0 #0000),var(--tw-ring-shadow, 0 0 #0000),var(--tw-shadow)}.disabled\\:cursor-not-allowed:disabled{cursor:not-allowed}.disabled\\:opacity-30:disabled{opacity:.3}.disabled\\:opacity-40:disabled{opacity:.4}.disabled\\:hover\\:scale-100:hover:disabled{--tw-scale-x: 1;--tw-scale-y: 1;transform:translate(var(--tw-translate-x),var(--tw-translate-y)) rotate(var(--tw-rotate)) skew(var(--tw-skew-x)) skewY(var(--tw-skew-y)) scaleX(var(--tw-scale-x)) scaleY(var(--tw-scale-y))}.disabled\\:hover\\:bg-white:hover:disabled{--tw-bg-opacity: 1;background-color:rgb(255 255 255 / var(--tw-bg-opacity, 1))}.disabled\\:hover\\:text-black:hover:disabled{--tw-text-opacity: 1;color:rgb(0 0 0 / var(--tw-text-opacity, 1))}.group:hover .group-hover\\:scale-105{--tw-scale-x: 1.05;--tw-scale-y: 1.05;transform:translate(var(--tw-translate-x),var(--tw-translate-y)) rotate(var(--tw-rotate)) skew(var(--tw-skew-x)) skewY(var(--tw-skew-y)) scaleX(var(--tw-scale-x)) scaleY(var(--tw-scale-y))}.group:hover .group-hover\\:text-black{--tw-text-opacity: 1;color:rgb(0 0 0 / var(--tw-text-opacity, 1))}.group:hover .group-hover\\:opacity-100{opacity:1}@media (min-width: 768px){.md\\:block{display:block}.md\\:inline{display:inline}.md\\:grid-cols-3{grid-template-columns:repeat(3,minmax(0,1fr))}.md\\:flex-row{flex-direction:row}.md\\:gap-4{gap:1rem}.md\\:p-8{padding:2rem}.md\\:px-6{padding-left:1.5rem;padding-right:1.5rem}}@media (min-width: 1024px){.lg\\:w-\\[380px\\]{width:380px}.lg\\:flex-row{flex-direction:row}}@media (min-width: 1280px){.xl\\:grid-cols-4{grid-template-columns:repeat(4,minmax(0,1fr))}}`;
+
+/**
+ * 同源提供的第三方脚本 (/assets/vendor/*)
+ */
+const VENDOR_SCRIPTS = {
+  'react.js': `/**
+ * @license React
+ * react.production.min.js
+ *
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+(function(){'use strict';(function(c,x){"object"===typeof exports&&"undefined"!==typeof module?x(exports):"function"===typeof define&&define.amd?define(["exports"],x):(c=c||self,x(c.React={}))})(this,function(c){function x(a){if(null===a||"object"!==typeof a)return null;a=V&&a[V]||a["@@iterator"];return"function"===typeof a?a:null}function w(a,b,e){this.props=a;this.context=b;this.refs=W;this.updater=e||X}function Y(){}function K(a,b,e){this.props=a;this.context=b;this.refs=W;this.updater=e||X}function Z(a,b,
+e){var m,d={},c=null,h=null;if(null!=b)for(m in void 0!==b.ref&&(h=b.ref),void 0!==b.key&&(c=""+b.key),b)aa.call(b,m)&&!ba.hasOwnProperty(m)&&(d[m]=b[m]);var l=arguments.length-2;if(1===l)d.children=e;else if(1<l){for(var f=Array(l),k=0;k<l;k++)f[k]=arguments[k+2];d.children=f}if(a&&a.defaultProps)for(m in l=a.defaultProps,l)void 0===d[m]&&(d[m]=l[m]);return{$$typeof:y,type:a,key:c,ref:h,props:d,_owner:L.current}}function oa(a,b){return{$$typeof:y,type:a.type,key:b,ref:a.ref,props:a.props,_owner:a._owner}}
+function M(a){return"object"===typeof a&&null!==a&&a.$$typeof===y}function pa(a){var b={"=":"=0",":":"=2"};return"$"+a.replace(/[=:]/g,function(a){return b[a]})}function N(a,b){return"object"===typeof a&&null!==a&&null!=a.key?pa(""+a.key):b.toString(36)}function B(a,b,e,m,d){var c=typeof a;if("undefined"===c||"boolean"===c)a=null;var h=!1;if(null===a)h=!0;else switch(c){case "string":case "number":h=!0;break;case "object":switch(a.$$typeof){case y:case qa:h=!0}}if(h)return h=a,d=d(h),a=""===m?"."+
+N(h,0):m,ca(d)?(e="",null!=a&&(e=a.replace(da,"$&/")+"/"),B(d,b,e,"",function(a){return a})):null!=d&&(M(d)&&(d=oa(d,e+(!d.key||h&&h.key===d.key?"":(""+d.key).replace(da,"$&/")+"/")+a)),b.push(d)),1;h=0;m=""===m?".":m+":";if(ca(a))for(var l=0;l<a.length;l++){c=a[l];var f=m+N(c,l);h+=B(c,b,e,f,d)}else if(f=x(a),"function"===typeof f)for(a=f.call(a),l=0;!(c=a.next()).done;)c=c.value,f=m+N(c,l++),h+=B(c,b,e,f,d);else if("object"===c)throw b=String(a),Error("Objects are not valid as a React child (found: "+
+("[object Object]"===b?"object with keys {"+Object.keys(a).join(", ")+"}":b)+"). If you meant to render a collection of children, use an array instead.");return h}function C(a,b,e){if(null==a)return a;var c=[],d=0;B(a,c,"","",function(a){return b.call(e,a,d++)});return c}function ra(a){if(-1===a._status){var b=a._result;b=b();b.then(function(b){if(0===a._status||-1===a._status)a._status=1,a._result=b},function(b){if(0===a._status||-1===a._status)a._status=2,a._result=b});-1===a._status&&(a._status=
+0,a._result=b)}if(1===a._status)return a._result.default;throw a._result;}function O(a,b){var e=a.length;a.push(b);a:for(;0<e;){var c=e-1>>>1,d=a[c];if(0<D(d,b))a[c]=b,a[e]=d,e=c;else break a}}function p(a){return 0===a.length?null:a[0]}function E(a){if(0===a.length)return null;var b=a[0],e=a.pop();if(e!==b){a[0]=e;a:for(var c=0,d=a.length,k=d>>>1;c<k;){var h=2*(c+1)-1,l=a[h],f=h+1,g=a[f];if(0>D(l,e))f<d&&0>D(g,l)?(a[c]=g,a[f]=e,c=f):(a[c]=l,a[h]=e,c=h);else if(f<d&&0>D(g,e))a[c]=g,a[f]=e,c=f;else break a}}return b}
+function D(a,b){var c=a.sortIndex-b.sortIndex;return 0!==c?c:a.id-b.id}function P(a){for(var b=p(r);null!==b;){if(null===b.callback)E(r);else if(b.startTime<=a)E(r),b.sortIndex=b.expirationTime,O(q,b);else break;b=p(r)}}function Q(a){z=!1;P(a);if(!u)if(null!==p(q))u=!0,R(S);else{var b=p(r);null!==b&&T(Q,b.startTime-a)}}function S(a,b){u=!1;z&&(z=!1,ea(A),A=-1);F=!0;var c=k;try{P(b);for(n=p(q);null!==n&&(!(n.expirationTime>b)||a&&!fa());){var m=n.callback;if("function"===typeof m){n.callback=null;
+k=n.priorityLevel;var d=m(n.expirationTime<=b);b=v();"function"===typeof d?n.callback=d:n===p(q)&&E(q);P(b)}else E(q);n=p(q)}if(null!==n)var g=!0;else{var h=p(r);null!==h&&T(Q,h.startTime-b);g=!1}return g}finally{n=null,k=c,F=!1}}function fa(){return v()-ha<ia?!1:!0}function R(a){G=a;H||(H=!0,I())}function T(a,b){A=ja(function(){a(v())},b)}function ka(a){throw Error("act(...) is not supported in production builds of React.");}var y=Symbol.for("react.element"),qa=Symbol.for("react.portal"),sa=Symbol.for("react.fragment"),
+ta=Symbol.for("react.strict_mode"),ua=Symbol.for("react.profiler"),va=Symbol.for("react.provider"),wa=Symbol.for("react.context"),xa=Symbol.for("react.forward_ref"),ya=Symbol.for("react.suspense"),za=Symbol.for("react.memo"),Aa=Symbol.for("react.lazy"),V=Symbol.iterator,X={isMounted:function(a){return!1},enqueueForceUpdate:function(a,b,c){},enqueueReplaceState:function(a,b,c,m){},enqueueSetState:function(a,b,c,m){}},la=Object.assign,W={};w.prototype.isReactComponent={};w.prototype.setState=function(a,
+b){if("object"!==typeof a&&"function"!==typeof a&&null!=a)throw Error("setState(...): takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,a,b,"setState")};w.prototype.forceUpdate=function(a){this.updater.enqueueForceUpdate(this,a,"forceUpdate")};Y.prototype=w.prototype;var t=K.prototype=new Y;t.constructor=K;la(t,w.prototype);t.isPureReactComponent=!0;var ca=Array.isArray,aa=Object.prototype.hasOwnProperty,L={current:null},
+ba={key:!0,ref:!0,__self:!0,__source:!0},da=/\\/+/g,g={current:null},J={transition:null};if("object"===typeof performance&&"function"===typeof performance.now){var Ba=performance;var v=function(){return Ba.now()}}else{var ma=Date,Ca=ma.now();v=function(){return ma.now()-Ca}}var q=[],r=[],Da=1,n=null,k=3,F=!1,u=!1,z=!1,ja="function"===typeof setTimeout?setTimeout:null,ea="function"===typeof clearTimeout?clearTimeout:null,na="undefined"!==typeof setImmediate?setImmediate:null;"undefined"!==typeof navigator&&
+void 0!==navigator.scheduling&&void 0!==navigator.scheduling.isInputPending&&navigator.scheduling.isInputPending.bind(navigator.scheduling);var H=!1,G=null,A=-1,ia=5,ha=-1,U=function(){if(null!==G){var a=v();ha=a;var b=!0;try{b=G(!0,a)}finally{b?I():(H=!1,G=null)}}else H=!1};if("function"===typeof na)var I=function(){na(U)};else if("undefined"!==typeof MessageChannel){t=new MessageChannel;var Ea=t.port2;t.port1.onmessage=U;I=function(){Ea.postMessage(null)}}else I=function(){ja(U,0)};t={ReactCurrentDispatcher:g,
+ReactCurrentOwner:L,ReactCurrentBatchConfig:J,Scheduler:{__proto__:null,unstable_ImmediatePriority:1,unstable_UserBlockingPriority:2,unstable_NormalPriority:3,unstable_IdlePriority:5,unstable_LowPriority:4,unstable_runWithPriority:function(a,b){switch(a){case 1:case 2:case 3:case 4:case 5:break;default:a=3}var c=k;k=a;try{return b()}finally{k=c}},unstable_next:function(a){switch(k){case 1:case 2:case 3:var b=3;break;default:b=k}var c=k;k=b;try{return a()}finally{k=c}},unstable_scheduleCallback:function(a,
+b,c){var e=v();"object"===typeof c&&null!==c?(c=c.delay,c="number"===typeof c&&0<c?e+c:e):c=e;switch(a){case 1:var d=-1;break;case 2:d=250;break;case 5:d=1073741823;break;case 4:d=1E4;break;default:d=5E3}d=c+d;a={id:Da++,callback:b,priorityLevel:a,startTime:c,expirationTime:d,sortIndex:-1};c>e?(a.sortIndex=c,O(r,a),null===p(q)&&a===p(r)&&(z?(ea(A),A=-1):z=!0,T(Q,c-e))):(a.sortIndex=d,O(q,a),u||F||(u=!0,R(S)));return a},unstable_cancelCallback:function(a){a.callback=null},unstable_wrapCallback:function(a){var b=
+k;return function(){var c=k;k=b;try{return a.apply(this,arguments)}finally{k=c}}},unstable_getCurrentPriorityLevel:function(){return k},unstable_shouldYield:fa,unstable_requestPaint:function(){},unstable_continueExecution:function(){u||F||(u=!0,R(S))},unstable_pauseExecution:function(){},unstable_getFirstCallbackNode:function(){return p(q)},get unstable_now(){return v},unstable_forceFrameRate:function(a){0>a||125<a?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):
+ia=0<a?Math.floor(1E3/a):5},unstable_Profiling:null}};c.Children={map:C,forEach:function(a,b,c){C(a,function(){b.apply(this,arguments)},c)},count:function(a){var b=0;C(a,function(){b++});return b},toArray:function(a){return C(a,function(a){return a})||[]},only:function(a){if(!M(a))throw Error("React.Children.only expected to receive a single React element child.");return a}};c.Component=w;c.Fragment=sa;c.Profiler=ua;c.PureComponent=K;c.StrictMode=ta;c.Suspense=ya;c.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=
+t;c.act=ka;c.cloneElement=function(a,b,c){if(null===a||void 0===a)throw Error("React.cloneElement(...): The argument must be a React element, but you passed "+a+".");var e=la({},a.props),d=a.key,k=a.ref,h=a._owner;if(null!=b){void 0!==b.ref&&(k=b.ref,h=L.current);void 0!==b.key&&(d=""+b.key);if(a.type&&a.type.defaultProps)var l=a.type.defaultProps;for(f in b)aa.call(b,f)&&!ba.hasOwnProperty(f)&&(e[f]=void 0===b[f]&&void 0!==l?l[f]:b[f])}var f=arguments.length-2;if(1===f)e.children=c;else if(1<f){l=
+Array(f);for(var g=0;g<f;g++)l[g]=arguments[g+2];e.children=l}return{$$typeof:y,type:a.type,key:d,ref:k,props:e,_owner:h}};c.createContext=function(a){a={$$typeof:wa,_currentValue:a,_currentValue2:a,_threadCount:0,Provider:null,Consumer:null,_defaultValue:null,_globalName:null};a.Provider={$$typeof:va,_context:a};return a.Consumer=a};c.createElement=Z;c.createFactory=function(a){var b=Z.bind(null,a);b.type=a;return b};c.createRef=function(){return{current:null}};c.forwardRef=function(a){return{$$typeof:xa,
+render:a}};c.isValidElement=M;c.lazy=function(a){return{$$typeof:Aa,_payload:{_status:-1,_result:a},_init:ra}};c.memo=function(a,b){return{$$typeof:za,type:a,compare:void 0===b?null:b}};c.startTransition=function(a,b){b=J.transition;J.transition={};try{a()}finally{J.transition=b}};c.unstable_act=ka;c.useCallback=function(a,b){return g.current.useCallback(a,b)};c.useContext=function(a){return g.current.useContext(a)};c.useDebugValue=function(a,b){};c.useDeferredValue=function(a){return g.current.useDeferredValue(a)};
+c.useEffect=function(a,b){return g.current.useEffect(a,b)};c.useId=function(){return g.current.useId()};c.useImperativeHandle=function(a,b,c){return g.current.useImperativeHandle(a,b,c)};c.useInsertionEffect=function(a,b){return g.current.useInsertionEffect(a,b)};c.useLayoutEffect=function(a,b){return g.current.useLayoutEffect(a,b)};c.useMemo=function(a,b){return g.current.useMemo(a,b)};c.useReducer=function(a,b,c){return g.current.useReducer(a,b,c)};c.useRef=function(a){return g.current.useRef(a)};
+c.useState=function(a){return g.current.useState(a)};c.useSyncExternalStore=function(a,b,c){return g.current.useSyncExternalStore(a,b,c)};c.useTransition=function(){return g.current.useTransition()};c.version="18.3.1"});
+})();`,
+  'react-dom.js': `/**
+ * @license React
+ * react-dom.production.min.js
+ *
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+(function(){/*
+ Modernizr 3.0.0pre (Custom Build) | MIT
+*/
+'use strict';(function(Q,zb){"object"===typeof exports&&"undefined"!==typeof module?zb(exports,require("react")):"function"===typeof define&&define.amd?define(["exports","react"],zb):(Q=Q||self,zb(Q.ReactDOM={},Q.React))})(this,function(Q,zb){function m(a){for(var b="https://reactjs.org/docs/error-decoder.html?invariant="+a,c=1;c<arguments.length;c++)b+="&args[]="+encodeURIComponent(arguments[c]);return"Minified React error #"+a+"; visit "+b+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}
+function mb(a,b){Ab(a,b);Ab(a+"Capture",b)}function Ab(a,b){$b[a]=b;for(a=0;a<b.length;a++)cg.add(b[a])}function bj(a){if(Zd.call(dg,a))return!0;if(Zd.call(eg,a))return!1;if(cj.test(a))return dg[a]=!0;eg[a]=!0;return!1}function dj(a,b,c,d){if(null!==c&&0===c.type)return!1;switch(typeof b){case "function":case "symbol":return!0;case "boolean":if(d)return!1;if(null!==c)return!c.acceptsBooleans;a=a.toLowerCase().slice(0,5);return"data-"!==a&&"aria-"!==a;default:return!1}}function ej(a,b,c,d){if(null===
+b||"undefined"===typeof b||dj(a,b,c,d))return!0;if(d)return!1;if(null!==c)switch(c.type){case 3:return!b;case 4:return!1===b;case 5:return isNaN(b);case 6:return isNaN(b)||1>b}return!1}function Y(a,b,c,d,e,f,g){this.acceptsBooleans=2===b||3===b||4===b;this.attributeName=d;this.attributeNamespace=e;this.mustUseProperty=c;this.propertyName=a;this.type=b;this.sanitizeURL=f;this.removeEmptyString=g}function $d(a,b,c,d){var e=R.hasOwnProperty(b)?R[b]:null;if(null!==e?0!==e.type:d||!(2<b.length)||"o"!==
+b[0]&&"O"!==b[0]||"n"!==b[1]&&"N"!==b[1])ej(b,c,e,d)&&(c=null),d||null===e?bj(b)&&(null===c?a.removeAttribute(b):a.setAttribute(b,""+c)):e.mustUseProperty?a[e.propertyName]=null===c?3===e.type?!1:"":c:(b=e.attributeName,d=e.attributeNamespace,null===c?a.removeAttribute(b):(e=e.type,c=3===e||4===e&&!0===c?"":""+c,d?a.setAttributeNS(d,b,c):a.setAttribute(b,c)))}function ac(a){if(null===a||"object"!==typeof a)return null;a=fg&&a[fg]||a["@@iterator"];return"function"===typeof a?a:null}function bc(a,b,
+c){if(void 0===ae)try{throw Error();}catch(d){ae=(b=d.stack.trim().match(/\\n( *(at )?)/))&&b[1]||""}return"\\n"+ae+a}function be(a,b){if(!a||ce)return"";ce=!0;var c=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{if(b)if(b=function(){throw Error();},Object.defineProperty(b.prototype,"props",{set:function(){throw Error();}}),"object"===typeof Reflect&&Reflect.construct){try{Reflect.construct(b,[])}catch(n){var d=n}Reflect.construct(a,[],b)}else{try{b.call()}catch(n){d=n}a.call(b.prototype)}else{try{throw Error();
+}catch(n){d=n}a()}}catch(n){if(n&&d&&"string"===typeof n.stack){for(var e=n.stack.split("\\n"),f=d.stack.split("\\n"),g=e.length-1,h=f.length-1;1<=g&&0<=h&&e[g]!==f[h];)h--;for(;1<=g&&0<=h;g--,h--)if(e[g]!==f[h]){if(1!==g||1!==h){do if(g--,h--,0>h||e[g]!==f[h]){var k="\\n"+e[g].replace(" at new "," at ");a.displayName&&k.includes("<anonymous>")&&(k=k.replace("<anonymous>",a.displayName));return k}while(1<=g&&0<=h)}break}}}finally{ce=!1,Error.prepareStackTrace=c}return(a=a?a.displayName||a.name:"")?bc(a):
+""}function fj(a){switch(a.tag){case 5:return bc(a.type);case 16:return bc("Lazy");case 13:return bc("Suspense");case 19:return bc("SuspenseList");case 0:case 2:case 15:return a=be(a.type,!1),a;case 11:return a=be(a.type.render,!1),a;case 1:return a=be(a.type,!0),a;default:return""}}function de(a){if(null==a)return null;if("function"===typeof a)return a.displayName||a.name||null;if("string"===typeof a)return a;switch(a){case Bb:return"Fragment";case Cb:return"Portal";case ee:return"Profiler";case fe:return"StrictMode";
+case ge:return"Suspense";case he:return"SuspenseList"}if("object"===typeof a)switch(a.$$typeof){case gg:return(a.displayName||"Context")+".Consumer";case hg:return(a._context.displayName||"Context")+".Provider";case ie:var b=a.render;a=a.displayName;a||(a=b.displayName||b.name||"",a=""!==a?"ForwardRef("+a+")":"ForwardRef");return a;case je:return b=a.displayName||null,null!==b?b:de(a.type)||"Memo";case Ta:b=a._payload;a=a._init;try{return de(a(b))}catch(c){}}return null}function gj(a){var b=a.type;
+switch(a.tag){case 24:return"Cache";case 9:return(b.displayName||"Context")+".Consumer";case 10:return(b._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return a=b.render,a=a.displayName||a.name||"",b.displayName||(""!==a?"ForwardRef("+a+")":"ForwardRef");case 7:return"Fragment";case 5:return b;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return de(b);case 8:return b===fe?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";
+case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if("function"===typeof b)return b.displayName||b.name||null;if("string"===typeof b)return b}return null}function Ua(a){switch(typeof a){case "boolean":case "number":case "string":case "undefined":return a;case "object":return a;default:return""}}function ig(a){var b=a.type;return(a=a.nodeName)&&"input"===a.toLowerCase()&&("checkbox"===b||"radio"===
+b)}function hj(a){var b=ig(a)?"checked":"value",c=Object.getOwnPropertyDescriptor(a.constructor.prototype,b),d=""+a[b];if(!a.hasOwnProperty(b)&&"undefined"!==typeof c&&"function"===typeof c.get&&"function"===typeof c.set){var e=c.get,f=c.set;Object.defineProperty(a,b,{configurable:!0,get:function(){return e.call(this)},set:function(a){d=""+a;f.call(this,a)}});Object.defineProperty(a,b,{enumerable:c.enumerable});return{getValue:function(){return d},setValue:function(a){d=""+a},stopTracking:function(){a._valueTracker=
+null;delete a[b]}}}}function Pc(a){a._valueTracker||(a._valueTracker=hj(a))}function jg(a){if(!a)return!1;var b=a._valueTracker;if(!b)return!0;var c=b.getValue();var d="";a&&(d=ig(a)?a.checked?"true":"false":a.value);a=d;return a!==c?(b.setValue(a),!0):!1}function Qc(a){a=a||("undefined"!==typeof document?document:void 0);if("undefined"===typeof a)return null;try{return a.activeElement||a.body}catch(b){return a.body}}function ke(a,b){var c=b.checked;return E({},b,{defaultChecked:void 0,defaultValue:void 0,
+value:void 0,checked:null!=c?c:a._wrapperState.initialChecked})}function kg(a,b){var c=null==b.defaultValue?"":b.defaultValue,d=null!=b.checked?b.checked:b.defaultChecked;c=Ua(null!=b.value?b.value:c);a._wrapperState={initialChecked:d,initialValue:c,controlled:"checkbox"===b.type||"radio"===b.type?null!=b.checked:null!=b.value}}function lg(a,b){b=b.checked;null!=b&&$d(a,"checked",b,!1)}function le(a,b){lg(a,b);var c=Ua(b.value),d=b.type;if(null!=c)if("number"===d){if(0===c&&""===a.value||a.value!=
+c)a.value=""+c}else a.value!==""+c&&(a.value=""+c);else if("submit"===d||"reset"===d){a.removeAttribute("value");return}b.hasOwnProperty("value")?me(a,b.type,c):b.hasOwnProperty("defaultValue")&&me(a,b.type,Ua(b.defaultValue));null==b.checked&&null!=b.defaultChecked&&(a.defaultChecked=!!b.defaultChecked)}function mg(a,b,c){if(b.hasOwnProperty("value")||b.hasOwnProperty("defaultValue")){var d=b.type;if(!("submit"!==d&&"reset"!==d||void 0!==b.value&&null!==b.value))return;b=""+a._wrapperState.initialValue;
+c||b===a.value||(a.value=b);a.defaultValue=b}c=a.name;""!==c&&(a.name="");a.defaultChecked=!!a._wrapperState.initialChecked;""!==c&&(a.name=c)}function me(a,b,c){if("number"!==b||Qc(a.ownerDocument)!==a)null==c?a.defaultValue=""+a._wrapperState.initialValue:a.defaultValue!==""+c&&(a.defaultValue=""+c)}function Db(a,b,c,d){a=a.options;if(b){b={};for(var e=0;e<c.length;e++)b["$"+c[e]]=!0;for(c=0;c<a.length;c++)e=b.hasOwnProperty("$"+a[c].value),a[c].selected!==e&&(a[c].selected=e),e&&d&&(a[c].defaultSelected=
+!0)}else{c=""+Ua(c);b=null;for(e=0;e<a.length;e++){if(a[e].value===c){a[e].selected=!0;d&&(a[e].defaultSelected=!0);return}null!==b||a[e].disabled||(b=a[e])}null!==b&&(b.selected=!0)}}function ne(a,b){if(null!=b.dangerouslySetInnerHTML)throw Error(m(91));return E({},b,{value:void 0,defaultValue:void 0,children:""+a._wrapperState.initialValue})}function ng(a,b){var c=b.value;if(null==c){c=b.children;b=b.defaultValue;if(null!=c){if(null!=b)throw Error(m(92));if(cc(c)){if(1<c.length)throw Error(m(93));
+c=c[0]}b=c}null==b&&(b="");c=b}a._wrapperState={initialValue:Ua(c)}}function og(a,b){var c=Ua(b.value),d=Ua(b.defaultValue);null!=c&&(c=""+c,c!==a.value&&(a.value=c),null==b.defaultValue&&a.defaultValue!==c&&(a.defaultValue=c));null!=d&&(a.defaultValue=""+d)}function pg(a,b){b=a.textContent;b===a._wrapperState.initialValue&&""!==b&&null!==b&&(a.value=b)}function qg(a){switch(a){case "svg":return"http://www.w3.org/2000/svg";case "math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}
+function oe(a,b){return null==a||"http://www.w3.org/1999/xhtml"===a?qg(b):"http://www.w3.org/2000/svg"===a&&"foreignObject"===b?"http://www.w3.org/1999/xhtml":a}function rg(a,b,c){return null==b||"boolean"===typeof b||""===b?"":c||"number"!==typeof b||0===b||dc.hasOwnProperty(a)&&dc[a]?(""+b).trim():b+"px"}function sg(a,b){a=a.style;for(var c in b)if(b.hasOwnProperty(c)){var d=0===c.indexOf("--"),e=rg(c,b[c],d);"float"===c&&(c="cssFloat");d?a.setProperty(c,e):a[c]=e}}function pe(a,b){if(b){if(ij[a]&&
+(null!=b.children||null!=b.dangerouslySetInnerHTML))throw Error(m(137,a));if(null!=b.dangerouslySetInnerHTML){if(null!=b.children)throw Error(m(60));if("object"!==typeof b.dangerouslySetInnerHTML||!("__html"in b.dangerouslySetInnerHTML))throw Error(m(61));}if(null!=b.style&&"object"!==typeof b.style)throw Error(m(62));}}function qe(a,b){if(-1===a.indexOf("-"))return"string"===typeof b.is;switch(a){case "annotation-xml":case "color-profile":case "font-face":case "font-face-src":case "font-face-uri":case "font-face-format":case "font-face-name":case "missing-glyph":return!1;
+default:return!0}}function re(a){a=a.target||a.srcElement||window;a.correspondingUseElement&&(a=a.correspondingUseElement);return 3===a.nodeType?a.parentNode:a}function tg(a){if(a=ec(a)){if("function"!==typeof se)throw Error(m(280));var b=a.stateNode;b&&(b=Rc(b),se(a.stateNode,a.type,b))}}function ug(a){Eb?Fb?Fb.push(a):Fb=[a]:Eb=a}function vg(){if(Eb){var a=Eb,b=Fb;Fb=Eb=null;tg(a);if(b)for(a=0;a<b.length;a++)tg(b[a])}}function wg(a,b,c){if(te)return a(b,c);te=!0;try{return xg(a,b,c)}finally{if(te=
+!1,null!==Eb||null!==Fb)yg(),vg()}}function fc(a,b){var c=a.stateNode;if(null===c)return null;var d=Rc(c);if(null===d)return null;c=d[b];a:switch(b){case "onClick":case "onClickCapture":case "onDoubleClick":case "onDoubleClickCapture":case "onMouseDown":case "onMouseDownCapture":case "onMouseMove":case "onMouseMoveCapture":case "onMouseUp":case "onMouseUpCapture":case "onMouseEnter":(d=!d.disabled)||(a=a.type,d=!("button"===a||"input"===a||"select"===a||"textarea"===a));a=!d;break a;default:a=!1}if(a)return null;
+if(c&&"function"!==typeof c)throw Error(m(231,b,typeof c));return c}function jj(a,b,c,d,e,f,g,h,k){gc=!1;Sc=null;kj.apply(lj,arguments)}function mj(a,b,c,d,e,f,g,h,k){jj.apply(this,arguments);if(gc){if(gc){var n=Sc;gc=!1;Sc=null}else throw Error(m(198));Tc||(Tc=!0,ue=n)}}function nb(a){var b=a,c=a;if(a.alternate)for(;b.return;)b=b.return;else{a=b;do b=a,0!==(b.flags&4098)&&(c=b.return),a=b.return;while(a)}return 3===b.tag?c:null}function zg(a){if(13===a.tag){var b=a.memoizedState;null===b&&(a=a.alternate,
+null!==a&&(b=a.memoizedState));if(null!==b)return b.dehydrated}return null}function Ag(a){if(nb(a)!==a)throw Error(m(188));}function nj(a){var b=a.alternate;if(!b){b=nb(a);if(null===b)throw Error(m(188));return b!==a?null:a}for(var c=a,d=b;;){var e=c.return;if(null===e)break;var f=e.alternate;if(null===f){d=e.return;if(null!==d){c=d;continue}break}if(e.child===f.child){for(f=e.child;f;){if(f===c)return Ag(e),a;if(f===d)return Ag(e),b;f=f.sibling}throw Error(m(188));}if(c.return!==d.return)c=e,d=f;
+else{for(var g=!1,h=e.child;h;){if(h===c){g=!0;c=e;d=f;break}if(h===d){g=!0;d=e;c=f;break}h=h.sibling}if(!g){for(h=f.child;h;){if(h===c){g=!0;c=f;d=e;break}if(h===d){g=!0;d=f;c=e;break}h=h.sibling}if(!g)throw Error(m(189));}}if(c.alternate!==d)throw Error(m(190));}if(3!==c.tag)throw Error(m(188));return c.stateNode.current===c?a:b}function Bg(a){a=nj(a);return null!==a?Cg(a):null}function Cg(a){if(5===a.tag||6===a.tag)return a;for(a=a.child;null!==a;){var b=Cg(a);if(null!==b)return b;a=a.sibling}return null}
+function oj(a,b){if(Ca&&"function"===typeof Ca.onCommitFiberRoot)try{Ca.onCommitFiberRoot(Uc,a,void 0,128===(a.current.flags&128))}catch(c){}}function pj(a){a>>>=0;return 0===a?32:31-(qj(a)/rj|0)|0}function hc(a){switch(a&-a){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return a&
+4194240;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return a&130023424;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return a}}function Vc(a,b){var c=a.pendingLanes;if(0===c)return 0;var d=0,e=a.suspendedLanes,f=a.pingedLanes,g=c&268435455;if(0!==g){var h=g&~e;0!==h?d=hc(h):(f&=g,0!==f&&(d=hc(f)))}else g=c&~e,0!==g?d=hc(g):0!==f&&(d=hc(f));if(0===d)return 0;if(0!==b&&b!==d&&0===(b&e)&&
+(e=d&-d,f=b&-b,e>=f||16===e&&0!==(f&4194240)))return b;0!==(d&4)&&(d|=c&16);b=a.entangledLanes;if(0!==b)for(a=a.entanglements,b&=d;0<b;)c=31-ta(b),e=1<<c,d|=a[c],b&=~e;return d}function sj(a,b){switch(a){case 1:case 2:case 4:return b+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return b+5E3;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return-1;
+case 134217728:case 268435456:case 536870912:case 1073741824:return-1;default:return-1}}function tj(a,b){for(var c=a.suspendedLanes,d=a.pingedLanes,e=a.expirationTimes,f=a.pendingLanes;0<f;){var g=31-ta(f),h=1<<g,k=e[g];if(-1===k){if(0===(h&c)||0!==(h&d))e[g]=sj(h,b)}else k<=b&&(a.expiredLanes|=h);f&=~h}}function ve(a){a=a.pendingLanes&-1073741825;return 0!==a?a:a&1073741824?1073741824:0}function Dg(){var a=Wc;Wc<<=1;0===(Wc&4194240)&&(Wc=64);return a}function we(a){for(var b=[],c=0;31>c;c++)b.push(a);
+return b}function ic(a,b,c){a.pendingLanes|=b;536870912!==b&&(a.suspendedLanes=0,a.pingedLanes=0);a=a.eventTimes;b=31-ta(b);a[b]=c}function uj(a,b){var c=a.pendingLanes&~b;a.pendingLanes=b;a.suspendedLanes=0;a.pingedLanes=0;a.expiredLanes&=b;a.mutableReadLanes&=b;a.entangledLanes&=b;b=a.entanglements;var d=a.eventTimes;for(a=a.expirationTimes;0<c;){var e=31-ta(c),f=1<<e;b[e]=0;d[e]=-1;a[e]=-1;c&=~f}}function xe(a,b){var c=a.entangledLanes|=b;for(a=a.entanglements;c;){var d=31-ta(c),e=1<<d;e&b|a[d]&
+b&&(a[d]|=b);c&=~e}}function Eg(a){a&=-a;return 1<a?4<a?0!==(a&268435455)?16:536870912:4:1}function Fg(a,b){switch(a){case "focusin":case "focusout":Va=null;break;case "dragenter":case "dragleave":Wa=null;break;case "mouseover":case "mouseout":Xa=null;break;case "pointerover":case "pointerout":jc.delete(b.pointerId);break;case "gotpointercapture":case "lostpointercapture":kc.delete(b.pointerId)}}function lc(a,b,c,d,e,f){if(null===a||a.nativeEvent!==f)return a={blockedOn:b,domEventName:c,eventSystemFlags:d,
+nativeEvent:f,targetContainers:[e]},null!==b&&(b=ec(b),null!==b&&Gg(b)),a;a.eventSystemFlags|=d;b=a.targetContainers;null!==e&&-1===b.indexOf(e)&&b.push(e);return a}function vj(a,b,c,d,e){switch(b){case "focusin":return Va=lc(Va,a,b,c,d,e),!0;case "dragenter":return Wa=lc(Wa,a,b,c,d,e),!0;case "mouseover":return Xa=lc(Xa,a,b,c,d,e),!0;case "pointerover":var f=e.pointerId;jc.set(f,lc(jc.get(f)||null,a,b,c,d,e));return!0;case "gotpointercapture":return f=e.pointerId,kc.set(f,lc(kc.get(f)||null,a,b,
+c,d,e)),!0}return!1}function Hg(a){var b=ob(a.target);if(null!==b){var c=nb(b);if(null!==c)if(b=c.tag,13===b){if(b=zg(c),null!==b){a.blockedOn=b;wj(a.priority,function(){xj(c)});return}}else if(3===b&&c.stateNode.current.memoizedState.isDehydrated){a.blockedOn=3===c.tag?c.stateNode.containerInfo:null;return}}a.blockedOn=null}function Xc(a){if(null!==a.blockedOn)return!1;for(var b=a.targetContainers;0<b.length;){var c=ye(a.domEventName,a.eventSystemFlags,b[0],a.nativeEvent);if(null===c){c=a.nativeEvent;
+var d=new c.constructor(c.type,c);ze=d;c.target.dispatchEvent(d);ze=null}else return b=ec(c),null!==b&&Gg(b),a.blockedOn=c,!1;b.shift()}return!0}function Ig(a,b,c){Xc(a)&&c.delete(b)}function yj(){Ae=!1;null!==Va&&Xc(Va)&&(Va=null);null!==Wa&&Xc(Wa)&&(Wa=null);null!==Xa&&Xc(Xa)&&(Xa=null);jc.forEach(Ig);kc.forEach(Ig)}function mc(a,b){a.blockedOn===b&&(a.blockedOn=null,Ae||(Ae=!0,Jg(Kg,yj)))}function nc(a){if(0<Yc.length){mc(Yc[0],a);for(var b=1;b<Yc.length;b++){var c=Yc[b];c.blockedOn===a&&(c.blockedOn=
+null)}}null!==Va&&mc(Va,a);null!==Wa&&mc(Wa,a);null!==Xa&&mc(Xa,a);b=function(b){return mc(b,a)};jc.forEach(b);kc.forEach(b);for(b=0;b<Ya.length;b++)c=Ya[b],c.blockedOn===a&&(c.blockedOn=null);for(;0<Ya.length&&(b=Ya[0],null===b.blockedOn);)Hg(b),null===b.blockedOn&&Ya.shift()}function zj(a,b,c,d){var e=z,f=Gb.transition;Gb.transition=null;try{z=1,Be(a,b,c,d)}finally{z=e,Gb.transition=f}}function Aj(a,b,c,d){var e=z,f=Gb.transition;Gb.transition=null;try{z=4,Be(a,b,c,d)}finally{z=e,Gb.transition=
+f}}function Be(a,b,c,d){if(Zc){var e=ye(a,b,c,d);if(null===e)Ce(a,b,d,$c,c),Fg(a,d);else if(vj(e,a,b,c,d))d.stopPropagation();else if(Fg(a,d),b&4&&-1<Bj.indexOf(a)){for(;null!==e;){var f=ec(e);null!==f&&Cj(f);f=ye(a,b,c,d);null===f&&Ce(a,b,d,$c,c);if(f===e)break;e=f}null!==e&&d.stopPropagation()}else Ce(a,b,d,null,c)}}function ye(a,b,c,d){$c=null;a=re(d);a=ob(a);if(null!==a)if(b=nb(a),null===b)a=null;else if(c=b.tag,13===c){a=zg(b);if(null!==a)return a;a=null}else if(3===c){if(b.stateNode.current.memoizedState.isDehydrated)return 3===
+b.tag?b.stateNode.containerInfo:null;a=null}else b!==a&&(a=null);$c=a;return null}function Lg(a){switch(a){case "cancel":case "click":case "close":case "contextmenu":case "copy":case "cut":case "auxclick":case "dblclick":case "dragend":case "dragstart":case "drop":case "focusin":case "focusout":case "input":case "invalid":case "keydown":case "keypress":case "keyup":case "mousedown":case "mouseup":case "paste":case "pause":case "play":case "pointercancel":case "pointerdown":case "pointerup":case "ratechange":case "reset":case "resize":case "seeked":case "submit":case "touchcancel":case "touchend":case "touchstart":case "volumechange":case "change":case "selectionchange":case "textInput":case "compositionstart":case "compositionend":case "compositionupdate":case "beforeblur":case "afterblur":case "beforeinput":case "blur":case "fullscreenchange":case "focus":case "hashchange":case "popstate":case "select":case "selectstart":return 1;
+case "drag":case "dragenter":case "dragexit":case "dragleave":case "dragover":case "mousemove":case "mouseout":case "mouseover":case "pointermove":case "pointerout":case "pointerover":case "scroll":case "toggle":case "touchmove":case "wheel":case "mouseenter":case "mouseleave":case "pointerenter":case "pointerleave":return 4;case "message":switch(Dj()){case De:return 1;case Mg:return 4;case ad:case Ej:return 16;case Ng:return 536870912;default:return 16}default:return 16}}function Og(){if(bd)return bd;
+var a,b=Ee,c=b.length,d,e="value"in Za?Za.value:Za.textContent,f=e.length;for(a=0;a<c&&b[a]===e[a];a++);var g=c-a;for(d=1;d<=g&&b[c-d]===e[f-d];d++);return bd=e.slice(a,1<d?1-d:void 0)}function cd(a){var b=a.keyCode;"charCode"in a?(a=a.charCode,0===a&&13===b&&(a=13)):a=b;10===a&&(a=13);return 32<=a||13===a?a:0}function dd(){return!0}function Pg(){return!1}function ka(a){function b(b,d,e,f,g){this._reactName=b;this._targetInst=e;this.type=d;this.nativeEvent=f;this.target=g;this.currentTarget=null;
+for(var c in a)a.hasOwnProperty(c)&&(b=a[c],this[c]=b?b(f):f[c]);this.isDefaultPrevented=(null!=f.defaultPrevented?f.defaultPrevented:!1===f.returnValue)?dd:Pg;this.isPropagationStopped=Pg;return this}E(b.prototype,{preventDefault:function(){this.defaultPrevented=!0;var a=this.nativeEvent;a&&(a.preventDefault?a.preventDefault():"unknown"!==typeof a.returnValue&&(a.returnValue=!1),this.isDefaultPrevented=dd)},stopPropagation:function(){var a=this.nativeEvent;a&&(a.stopPropagation?a.stopPropagation():
+"unknown"!==typeof a.cancelBubble&&(a.cancelBubble=!0),this.isPropagationStopped=dd)},persist:function(){},isPersistent:dd});return b}function Fj(a){var b=this.nativeEvent;return b.getModifierState?b.getModifierState(a):(a=Gj[a])?!!b[a]:!1}function Fe(a){return Fj}function Qg(a,b){switch(a){case "keyup":return-1!==Hj.indexOf(b.keyCode);case "keydown":return 229!==b.keyCode;case "keypress":case "mousedown":case "focusout":return!0;default:return!1}}function Rg(a){a=a.detail;return"object"===typeof a&&
+"data"in a?a.data:null}function Ij(a,b){switch(a){case "compositionend":return Rg(b);case "keypress":if(32!==b.which)return null;Sg=!0;return Tg;case "textInput":return a=b.data,a===Tg&&Sg?null:a;default:return null}}function Jj(a,b){if(Hb)return"compositionend"===a||!Ge&&Qg(a,b)?(a=Og(),bd=Ee=Za=null,Hb=!1,a):null;switch(a){case "paste":return null;case "keypress":if(!(b.ctrlKey||b.altKey||b.metaKey)||b.ctrlKey&&b.altKey){if(b.char&&1<b.char.length)return b.char;if(b.which)return String.fromCharCode(b.which)}return null;
+case "compositionend":return Ug&&"ko"!==b.locale?null:b.data;default:return null}}function Vg(a){var b=a&&a.nodeName&&a.nodeName.toLowerCase();return"input"===b?!!Kj[a.type]:"textarea"===b?!0:!1}function Lj(a){if(!Ia)return!1;a="on"+a;var b=a in document;b||(b=document.createElement("div"),b.setAttribute(a,"return;"),b="function"===typeof b[a]);return b}function Wg(a,b,c,d){ug(d);b=ed(b,"onChange");0<b.length&&(c=new He("onChange","change",null,c,d),a.push({event:c,listeners:b}))}function Mj(a){Xg(a,
+0)}function fd(a){var b=Ib(a);if(jg(b))return a}function Nj(a,b){if("change"===a)return b}function Yg(){oc&&(oc.detachEvent("onpropertychange",Zg),pc=oc=null)}function Zg(a){if("value"===a.propertyName&&fd(pc)){var b=[];Wg(b,pc,a,re(a));wg(Mj,b)}}function Oj(a,b,c){"focusin"===a?(Yg(),oc=b,pc=c,oc.attachEvent("onpropertychange",Zg)):"focusout"===a&&Yg()}function Pj(a,b){if("selectionchange"===a||"keyup"===a||"keydown"===a)return fd(pc)}function Qj(a,b){if("click"===a)return fd(b)}function Rj(a,b){if("input"===
+a||"change"===a)return fd(b)}function Sj(a,b){return a===b&&(0!==a||1/a===1/b)||a!==a&&b!==b}function qc(a,b){if(ua(a,b))return!0;if("object"!==typeof a||null===a||"object"!==typeof b||null===b)return!1;var c=Object.keys(a),d=Object.keys(b);if(c.length!==d.length)return!1;for(d=0;d<c.length;d++){var e=c[d];if(!Zd.call(b,e)||!ua(a[e],b[e]))return!1}return!0}function $g(a){for(;a&&a.firstChild;)a=a.firstChild;return a}function ah(a,b){var c=$g(a);a=0;for(var d;c;){if(3===c.nodeType){d=a+c.textContent.length;
+if(a<=b&&d>=b)return{node:c,offset:b-a};a=d}a:{for(;c;){if(c.nextSibling){c=c.nextSibling;break a}c=c.parentNode}c=void 0}c=$g(c)}}function bh(a,b){return a&&b?a===b?!0:a&&3===a.nodeType?!1:b&&3===b.nodeType?bh(a,b.parentNode):"contains"in a?a.contains(b):a.compareDocumentPosition?!!(a.compareDocumentPosition(b)&16):!1:!1}function ch(){for(var a=window,b=Qc();b instanceof a.HTMLIFrameElement;){try{var c="string"===typeof b.contentWindow.location.href}catch(d){c=!1}if(c)a=b.contentWindow;else break;
+b=Qc(a.document)}return b}function Ie(a){var b=a&&a.nodeName&&a.nodeName.toLowerCase();return b&&("input"===b&&("text"===a.type||"search"===a.type||"tel"===a.type||"url"===a.type||"password"===a.type)||"textarea"===b||"true"===a.contentEditable)}function Tj(a){var b=ch(),c=a.focusedElem,d=a.selectionRange;if(b!==c&&c&&c.ownerDocument&&bh(c.ownerDocument.documentElement,c)){if(null!==d&&Ie(c))if(b=d.start,a=d.end,void 0===a&&(a=b),"selectionStart"in c)c.selectionStart=b,c.selectionEnd=Math.min(a,c.value.length);
+else if(a=(b=c.ownerDocument||document)&&b.defaultView||window,a.getSelection){a=a.getSelection();var e=c.textContent.length,f=Math.min(d.start,e);d=void 0===d.end?f:Math.min(d.end,e);!a.extend&&f>d&&(e=d,d=f,f=e);e=ah(c,f);var g=ah(c,d);e&&g&&(1!==a.rangeCount||a.anchorNode!==e.node||a.anchorOffset!==e.offset||a.focusNode!==g.node||a.focusOffset!==g.offset)&&(b=b.createRange(),b.setStart(e.node,e.offset),a.removeAllRanges(),f>d?(a.addRange(b),a.extend(g.node,g.offset)):(b.setEnd(g.node,g.offset),
+a.addRange(b)))}b=[];for(a=c;a=a.parentNode;)1===a.nodeType&&b.push({element:a,left:a.scrollLeft,top:a.scrollTop});"function"===typeof c.focus&&c.focus();for(c=0;c<b.length;c++)a=b[c],a.element.scrollLeft=a.left,a.element.scrollTop=a.top}}function dh(a,b,c){var d=c.window===c?c.document:9===c.nodeType?c:c.ownerDocument;Je||null==Jb||Jb!==Qc(d)||(d=Jb,"selectionStart"in d&&Ie(d)?d={start:d.selectionStart,end:d.selectionEnd}:(d=(d.ownerDocument&&d.ownerDocument.defaultView||window).getSelection(),d=
+{anchorNode:d.anchorNode,anchorOffset:d.anchorOffset,focusNode:d.focusNode,focusOffset:d.focusOffset}),rc&&qc(rc,d)||(rc=d,d=ed(Ke,"onSelect"),0<d.length&&(b=new He("onSelect","select",null,b,c),a.push({event:b,listeners:d}),b.target=Jb)))}function gd(a,b){var c={};c[a.toLowerCase()]=b.toLowerCase();c["Webkit"+a]="webkit"+b;c["Moz"+a]="moz"+b;return c}function hd(a){if(Le[a])return Le[a];if(!Kb[a])return a;var b=Kb[a],c;for(c in b)if(b.hasOwnProperty(c)&&c in eh)return Le[a]=b[c];return a}function $a(a,
+b){fh.set(a,b);mb(b,[a])}function gh(a,b,c){var d=a.type||"unknown-event";a.currentTarget=c;mj(d,b,void 0,a);a.currentTarget=null}function Xg(a,b){b=0!==(b&4);for(var c=0;c<a.length;c++){var d=a[c],e=d.event;d=d.listeners;a:{var f=void 0;if(b)for(var g=d.length-1;0<=g;g--){var h=d[g],k=h.instance,n=h.currentTarget;h=h.listener;if(k!==f&&e.isPropagationStopped())break a;gh(e,h,n);f=k}else for(g=0;g<d.length;g++){h=d[g];k=h.instance;n=h.currentTarget;h=h.listener;if(k!==f&&e.isPropagationStopped())break a;
+gh(e,h,n);f=k}}}if(Tc)throw a=ue,Tc=!1,ue=null,a;}function B(a,b){var c=b[Me];void 0===c&&(c=b[Me]=new Set);var d=a+"__bubble";c.has(d)||(hh(b,a,2,!1),c.add(d))}function Ne(a,b,c){var d=0;b&&(d|=4);hh(c,a,d,b)}function sc(a){if(!a[id]){a[id]=!0;cg.forEach(function(b){"selectionchange"!==b&&(Uj.has(b)||Ne(b,!1,a),Ne(b,!0,a))});var b=9===a.nodeType?a:a.ownerDocument;null===b||b[id]||(b[id]=!0,Ne("selectionchange",!1,b))}}function hh(a,b,c,d,e){switch(Lg(b)){case 1:e=zj;break;case 4:e=Aj;break;default:e=
+Be}c=e.bind(null,b,c,a);e=void 0;!Oe||"touchstart"!==b&&"touchmove"!==b&&"wheel"!==b||(e=!0);d?void 0!==e?a.addEventListener(b,c,{capture:!0,passive:e}):a.addEventListener(b,c,!0):void 0!==e?a.addEventListener(b,c,{passive:e}):a.addEventListener(b,c,!1)}function Ce(a,b,c,d,e){var f=d;if(0===(b&1)&&0===(b&2)&&null!==d)a:for(;;){if(null===d)return;var g=d.tag;if(3===g||4===g){var h=d.stateNode.containerInfo;if(h===e||8===h.nodeType&&h.parentNode===e)break;if(4===g)for(g=d.return;null!==g;){var k=g.tag;
+if(3===k||4===k)if(k=g.stateNode.containerInfo,k===e||8===k.nodeType&&k.parentNode===e)return;g=g.return}for(;null!==h;){g=ob(h);if(null===g)return;k=g.tag;if(5===k||6===k){d=f=g;continue a}h=h.parentNode}}d=d.return}wg(function(){var d=f,e=re(c),g=[];a:{var h=fh.get(a);if(void 0!==h){var k=He,m=a;switch(a){case "keypress":if(0===cd(c))break a;case "keydown":case "keyup":k=Vj;break;case "focusin":m="focus";k=Pe;break;case "focusout":m="blur";k=Pe;break;case "beforeblur":case "afterblur":k=Pe;break;
+case "click":if(2===c.button)break a;case "auxclick":case "dblclick":case "mousedown":case "mousemove":case "mouseup":case "mouseout":case "mouseover":case "contextmenu":k=ih;break;case "drag":case "dragend":case "dragenter":case "dragexit":case "dragleave":case "dragover":case "dragstart":case "drop":k=Wj;break;case "touchcancel":case "touchend":case "touchmove":case "touchstart":k=Xj;break;case jh:case kh:case lh:k=Yj;break;case mh:k=Zj;break;case "scroll":k=ak;break;case "wheel":k=bk;break;case "copy":case "cut":case "paste":k=
+ck;break;case "gotpointercapture":case "lostpointercapture":case "pointercancel":case "pointerdown":case "pointermove":case "pointerout":case "pointerover":case "pointerup":k=nh}var l=0!==(b&4),p=!l&&"scroll"===a,w=l?null!==h?h+"Capture":null:h;l=[];for(var A=d,t;null!==A;){t=A;var M=t.stateNode;5===t.tag&&null!==M&&(t=M,null!==w&&(M=fc(A,w),null!=M&&l.push(tc(A,M,t))));if(p)break;A=A.return}0<l.length&&(h=new k(h,m,null,c,e),g.push({event:h,listeners:l}))}}if(0===(b&7)){a:{h="mouseover"===a||"pointerover"===
+a;k="mouseout"===a||"pointerout"===a;if(h&&c!==ze&&(m=c.relatedTarget||c.fromElement)&&(ob(m)||m[Ja]))break a;if(k||h){h=e.window===e?e:(h=e.ownerDocument)?h.defaultView||h.parentWindow:window;if(k){if(m=c.relatedTarget||c.toElement,k=d,m=m?ob(m):null,null!==m&&(p=nb(m),m!==p||5!==m.tag&&6!==m.tag))m=null}else k=null,m=d;if(k!==m){l=ih;M="onMouseLeave";w="onMouseEnter";A="mouse";if("pointerout"===a||"pointerover"===a)l=nh,M="onPointerLeave",w="onPointerEnter",A="pointer";p=null==k?h:Ib(k);t=null==
+m?h:Ib(m);h=new l(M,A+"leave",k,c,e);h.target=p;h.relatedTarget=t;M=null;ob(e)===d&&(l=new l(w,A+"enter",m,c,e),l.target=t,l.relatedTarget=p,M=l);p=M;if(k&&m)b:{l=k;w=m;A=0;for(t=l;t;t=Lb(t))A++;t=0;for(M=w;M;M=Lb(M))t++;for(;0<A-t;)l=Lb(l),A--;for(;0<t-A;)w=Lb(w),t--;for(;A--;){if(l===w||null!==w&&l===w.alternate)break b;l=Lb(l);w=Lb(w)}l=null}else l=null;null!==k&&oh(g,h,k,l,!1);null!==m&&null!==p&&oh(g,p,m,l,!0)}}}a:{h=d?Ib(d):window;k=h.nodeName&&h.nodeName.toLowerCase();if("select"===k||"input"===
+k&&"file"===h.type)var ma=Nj;else if(Vg(h))if(ph)ma=Rj;else{ma=Pj;var va=Oj}else(k=h.nodeName)&&"input"===k.toLowerCase()&&("checkbox"===h.type||"radio"===h.type)&&(ma=Qj);if(ma&&(ma=ma(a,d))){Wg(g,ma,c,e);break a}va&&va(a,h,d);"focusout"===a&&(va=h._wrapperState)&&va.controlled&&"number"===h.type&&me(h,"number",h.value)}va=d?Ib(d):window;switch(a){case "focusin":if(Vg(va)||"true"===va.contentEditable)Jb=va,Ke=d,rc=null;break;case "focusout":rc=Ke=Jb=null;break;case "mousedown":Je=!0;break;case "contextmenu":case "mouseup":case "dragend":Je=
+!1;dh(g,c,e);break;case "selectionchange":if(dk)break;case "keydown":case "keyup":dh(g,c,e)}var ab;if(Ge)b:{switch(a){case "compositionstart":var da="onCompositionStart";break b;case "compositionend":da="onCompositionEnd";break b;case "compositionupdate":da="onCompositionUpdate";break b}da=void 0}else Hb?Qg(a,c)&&(da="onCompositionEnd"):"keydown"===a&&229===c.keyCode&&(da="onCompositionStart");da&&(Ug&&"ko"!==c.locale&&(Hb||"onCompositionStart"!==da?"onCompositionEnd"===da&&Hb&&(ab=Og()):(Za=e,Ee=
+"value"in Za?Za.value:Za.textContent,Hb=!0)),va=ed(d,da),0<va.length&&(da=new qh(da,a,null,c,e),g.push({event:da,listeners:va}),ab?da.data=ab:(ab=Rg(c),null!==ab&&(da.data=ab))));if(ab=ek?Ij(a,c):Jj(a,c))d=ed(d,"onBeforeInput"),0<d.length&&(e=new fk("onBeforeInput","beforeinput",null,c,e),g.push({event:e,listeners:d}),e.data=ab)}Xg(g,b)})}function tc(a,b,c){return{instance:a,listener:b,currentTarget:c}}function ed(a,b){for(var c=b+"Capture",d=[];null!==a;){var e=a,f=e.stateNode;5===e.tag&&null!==
+f&&(e=f,f=fc(a,c),null!=f&&d.unshift(tc(a,f,e)),f=fc(a,b),null!=f&&d.push(tc(a,f,e)));a=a.return}return d}function Lb(a){if(null===a)return null;do a=a.return;while(a&&5!==a.tag);return a?a:null}function oh(a,b,c,d,e){for(var f=b._reactName,g=[];null!==c&&c!==d;){var h=c,k=h.alternate,n=h.stateNode;if(null!==k&&k===d)break;5===h.tag&&null!==n&&(h=n,e?(k=fc(c,f),null!=k&&g.unshift(tc(c,k,h))):e||(k=fc(c,f),null!=k&&g.push(tc(c,k,h))));c=c.return}0!==g.length&&a.push({event:b,listeners:g})}function rh(a){return("string"===
+typeof a?a:""+a).replace(gk,"\\n").replace(hk,"")}function jd(a,b,c,d){b=rh(b);if(rh(a)!==b&&c)throw Error(m(425));}function kd(){}function Qe(a,b){return"textarea"===a||"noscript"===a||"string"===typeof b.children||"number"===typeof b.children||"object"===typeof b.dangerouslySetInnerHTML&&null!==b.dangerouslySetInnerHTML&&null!=b.dangerouslySetInnerHTML.__html}function ik(a){setTimeout(function(){throw a;})}function Re(a,b){var c=b,d=0;do{var e=c.nextSibling;a.removeChild(c);if(e&&8===e.nodeType)if(c=
+e.data,"/$"===c){if(0===d){a.removeChild(e);nc(b);return}d--}else"$"!==c&&"$?"!==c&&"$!"!==c||d++;c=e}while(c);nc(b)}function Ka(a){for(;null!=a;a=a.nextSibling){var b=a.nodeType;if(1===b||3===b)break;if(8===b){b=a.data;if("$"===b||"$!"===b||"$?"===b)break;if("/$"===b)return null}}return a}function sh(a){a=a.previousSibling;for(var b=0;a;){if(8===a.nodeType){var c=a.data;if("$"===c||"$!"===c||"$?"===c){if(0===b)return a;b--}else"/$"===c&&b++}a=a.previousSibling}return null}function ob(a){var b=a[Da];
+if(b)return b;for(var c=a.parentNode;c;){if(b=c[Ja]||c[Da]){c=b.alternate;if(null!==b.child||null!==c&&null!==c.child)for(a=sh(a);null!==a;){if(c=a[Da])return c;a=sh(a)}return b}a=c;c=a.parentNode}return null}function ec(a){a=a[Da]||a[Ja];return!a||5!==a.tag&&6!==a.tag&&13!==a.tag&&3!==a.tag?null:a}function Ib(a){if(5===a.tag||6===a.tag)return a.stateNode;throw Error(m(33));}function Rc(a){return a[uc]||null}function bb(a){return{current:a}}function v(a,b){0>Mb||(a.current=Se[Mb],Se[Mb]=null,Mb--)}
+function y(a,b,c){Mb++;Se[Mb]=a.current;a.current=b}function Nb(a,b){var c=a.type.contextTypes;if(!c)return cb;var d=a.stateNode;if(d&&d.__reactInternalMemoizedUnmaskedChildContext===b)return d.__reactInternalMemoizedMaskedChildContext;var e={},f;for(f in c)e[f]=b[f];d&&(a=a.stateNode,a.__reactInternalMemoizedUnmaskedChildContext=b,a.__reactInternalMemoizedMaskedChildContext=e);return e}function ea(a){a=a.childContextTypes;return null!==a&&void 0!==a}function th(a,b,c){if(J.current!==cb)throw Error(m(168));
+y(J,b);y(S,c)}function uh(a,b,c){var d=a.stateNode;b=b.childContextTypes;if("function"!==typeof d.getChildContext)return c;d=d.getChildContext();for(var e in d)if(!(e in b))throw Error(m(108,gj(a)||"Unknown",e));return E({},c,d)}function ld(a){a=(a=a.stateNode)&&a.__reactInternalMemoizedMergedChildContext||cb;pb=J.current;y(J,a);y(S,S.current);return!0}function vh(a,b,c){var d=a.stateNode;if(!d)throw Error(m(169));c?(a=uh(a,b,pb),d.__reactInternalMemoizedMergedChildContext=a,v(S),v(J),y(J,a)):v(S);
+y(S,c)}function wh(a){null===La?La=[a]:La.push(a)}function jk(a){md=!0;wh(a)}function db(){if(!Te&&null!==La){Te=!0;var a=0,b=z;try{var c=La;for(z=1;a<c.length;a++){var d=c[a];do d=d(!0);while(null!==d)}La=null;md=!1}catch(e){throw null!==La&&(La=La.slice(a+1)),xh(De,db),e;}finally{z=b,Te=!1}}return null}function qb(a,b){Ob[Pb++]=nd;Ob[Pb++]=od;od=a;nd=b}function yh(a,b,c){na[oa++]=Ma;na[oa++]=Na;na[oa++]=rb;rb=a;var d=Ma;a=Na;var e=32-ta(d)-1;d&=~(1<<e);c+=1;var f=32-ta(b)+e;if(30<f){var g=e-e%5;
+f=(d&(1<<g)-1).toString(32);d>>=g;e-=g;Ma=1<<32-ta(b)+e|c<<e|d;Na=f+a}else Ma=1<<f|c<<e|d,Na=a}function Ue(a){null!==a.return&&(qb(a,1),yh(a,1,0))}function Ve(a){for(;a===od;)od=Ob[--Pb],Ob[Pb]=null,nd=Ob[--Pb],Ob[Pb]=null;for(;a===rb;)rb=na[--oa],na[oa]=null,Na=na[--oa],na[oa]=null,Ma=na[--oa],na[oa]=null}function zh(a,b){var c=pa(5,null,null,0);c.elementType="DELETED";c.stateNode=b;c.return=a;b=a.deletions;null===b?(a.deletions=[c],a.flags|=16):b.push(c)}function Ah(a,b){switch(a.tag){case 5:var c=
+a.type;b=1!==b.nodeType||c.toLowerCase()!==b.nodeName.toLowerCase()?null:b;return null!==b?(a.stateNode=b,la=a,fa=Ka(b.firstChild),!0):!1;case 6:return b=""===a.pendingProps||3!==b.nodeType?null:b,null!==b?(a.stateNode=b,la=a,fa=null,!0):!1;case 13:return b=8!==b.nodeType?null:b,null!==b?(c=null!==rb?{id:Ma,overflow:Na}:null,a.memoizedState={dehydrated:b,treeContext:c,retryLane:1073741824},c=pa(18,null,null,0),c.stateNode=b,c.return=a,a.child=c,la=a,fa=null,!0):!1;default:return!1}}function We(a){return 0!==
+(a.mode&1)&&0===(a.flags&128)}function Xe(a){if(D){var b=fa;if(b){var c=b;if(!Ah(a,b)){if(We(a))throw Error(m(418));b=Ka(c.nextSibling);var d=la;b&&Ah(a,b)?zh(d,c):(a.flags=a.flags&-4097|2,D=!1,la=a)}}else{if(We(a))throw Error(m(418));a.flags=a.flags&-4097|2;D=!1;la=a}}}function Bh(a){for(a=a.return;null!==a&&5!==a.tag&&3!==a.tag&&13!==a.tag;)a=a.return;la=a}function pd(a){if(a!==la)return!1;if(!D)return Bh(a),D=!0,!1;var b;(b=3!==a.tag)&&!(b=5!==a.tag)&&(b=a.type,b="head"!==b&&"body"!==b&&!Qe(a.type,
+a.memoizedProps));if(b&&(b=fa)){if(We(a)){for(a=fa;a;)a=Ka(a.nextSibling);throw Error(m(418));}for(;b;)zh(a,b),b=Ka(b.nextSibling)}Bh(a);if(13===a.tag){a=a.memoizedState;a=null!==a?a.dehydrated:null;if(!a)throw Error(m(317));a:{a=a.nextSibling;for(b=0;a;){if(8===a.nodeType){var c=a.data;if("/$"===c){if(0===b){fa=Ka(a.nextSibling);break a}b--}else"$"!==c&&"$!"!==c&&"$?"!==c||b++}a=a.nextSibling}fa=null}}else fa=la?Ka(a.stateNode.nextSibling):null;return!0}function Qb(){fa=la=null;D=!1}function Ye(a){null===
+wa?wa=[a]:wa.push(a)}function vc(a,b,c){a=c.ref;if(null!==a&&"function"!==typeof a&&"object"!==typeof a){if(c._owner){c=c._owner;if(c){if(1!==c.tag)throw Error(m(309));var d=c.stateNode}if(!d)throw Error(m(147,a));var e=d,f=""+a;if(null!==b&&null!==b.ref&&"function"===typeof b.ref&&b.ref._stringRef===f)return b.ref;b=function(a){var b=e.refs;null===a?delete b[f]:b[f]=a};b._stringRef=f;return b}if("string"!==typeof a)throw Error(m(284));if(!c._owner)throw Error(m(290,a));}return a}function qd(a,b){a=
+Object.prototype.toString.call(b);throw Error(m(31,"[object Object]"===a?"object with keys {"+Object.keys(b).join(", ")+"}":a));}function Ch(a){var b=a._init;return b(a._payload)}function Dh(a){function b(b,c){if(a){var d=b.deletions;null===d?(b.deletions=[c],b.flags|=16):d.push(c)}}function c(c,d){if(!a)return null;for(;null!==d;)b(c,d),d=d.sibling;return null}function d(a,b){for(a=new Map;null!==b;)null!==b.key?a.set(b.key,b):a.set(b.index,b),b=b.sibling;return a}function e(a,b){a=eb(a,b);a.index=
+0;a.sibling=null;return a}function f(b,c,d){b.index=d;if(!a)return b.flags|=1048576,c;d=b.alternate;if(null!==d)return d=d.index,d<c?(b.flags|=2,c):d;b.flags|=2;return c}function g(b){a&&null===b.alternate&&(b.flags|=2);return b}function h(a,b,c,d){if(null===b||6!==b.tag)return b=Ze(c,a.mode,d),b.return=a,b;b=e(b,c);b.return=a;return b}function k(a,b,c,d){var f=c.type;if(f===Bb)return l(a,b,c.props.children,d,c.key);if(null!==b&&(b.elementType===f||"object"===typeof f&&null!==f&&f.$$typeof===Ta&&
+Ch(f)===b.type))return d=e(b,c.props),d.ref=vc(a,b,c),d.return=a,d;d=rd(c.type,c.key,c.props,null,a.mode,d);d.ref=vc(a,b,c);d.return=a;return d}function n(a,b,c,d){if(null===b||4!==b.tag||b.stateNode.containerInfo!==c.containerInfo||b.stateNode.implementation!==c.implementation)return b=$e(c,a.mode,d),b.return=a,b;b=e(b,c.children||[]);b.return=a;return b}function l(a,b,c,d,f){if(null===b||7!==b.tag)return b=sb(c,a.mode,d,f),b.return=a,b;b=e(b,c);b.return=a;return b}function u(a,b,c){if("string"===
+typeof b&&""!==b||"number"===typeof b)return b=Ze(""+b,a.mode,c),b.return=a,b;if("object"===typeof b&&null!==b){switch(b.$$typeof){case sd:return c=rd(b.type,b.key,b.props,null,a.mode,c),c.ref=vc(a,null,b),c.return=a,c;case Cb:return b=$e(b,a.mode,c),b.return=a,b;case Ta:var d=b._init;return u(a,d(b._payload),c)}if(cc(b)||ac(b))return b=sb(b,a.mode,c,null),b.return=a,b;qd(a,b)}return null}function r(a,b,c,d){var e=null!==b?b.key:null;if("string"===typeof c&&""!==c||"number"===typeof c)return null!==
+e?null:h(a,b,""+c,d);if("object"===typeof c&&null!==c){switch(c.$$typeof){case sd:return c.key===e?k(a,b,c,d):null;case Cb:return c.key===e?n(a,b,c,d):null;case Ta:return e=c._init,r(a,b,e(c._payload),d)}if(cc(c)||ac(c))return null!==e?null:l(a,b,c,d,null);qd(a,c)}return null}function p(a,b,c,d,e){if("string"===typeof d&&""!==d||"number"===typeof d)return a=a.get(c)||null,h(b,a,""+d,e);if("object"===typeof d&&null!==d){switch(d.$$typeof){case sd:return a=a.get(null===d.key?c:d.key)||null,k(b,a,d,
+e);case Cb:return a=a.get(null===d.key?c:d.key)||null,n(b,a,d,e);case Ta:var f=d._init;return p(a,b,c,f(d._payload),e)}if(cc(d)||ac(d))return a=a.get(c)||null,l(b,a,d,e,null);qd(b,d)}return null}function x(e,g,h,k){for(var n=null,m=null,l=g,t=g=0,q=null;null!==l&&t<h.length;t++){l.index>t?(q=l,l=null):q=l.sibling;var A=r(e,l,h[t],k);if(null===A){null===l&&(l=q);break}a&&l&&null===A.alternate&&b(e,l);g=f(A,g,t);null===m?n=A:m.sibling=A;m=A;l=q}if(t===h.length)return c(e,l),D&&qb(e,t),n;if(null===l){for(;t<
+h.length;t++)l=u(e,h[t],k),null!==l&&(g=f(l,g,t),null===m?n=l:m.sibling=l,m=l);D&&qb(e,t);return n}for(l=d(e,l);t<h.length;t++)q=p(l,e,t,h[t],k),null!==q&&(a&&null!==q.alternate&&l.delete(null===q.key?t:q.key),g=f(q,g,t),null===m?n=q:m.sibling=q,m=q);a&&l.forEach(function(a){return b(e,a)});D&&qb(e,t);return n}function I(e,g,h,k){var n=ac(h);if("function"!==typeof n)throw Error(m(150));h=n.call(h);if(null==h)throw Error(m(151));for(var l=n=null,q=g,t=g=0,A=null,w=h.next();null!==q&&!w.done;t++,w=
+h.next()){q.index>t?(A=q,q=null):A=q.sibling;var x=r(e,q,w.value,k);if(null===x){null===q&&(q=A);break}a&&q&&null===x.alternate&&b(e,q);g=f(x,g,t);null===l?n=x:l.sibling=x;l=x;q=A}if(w.done)return c(e,q),D&&qb(e,t),n;if(null===q){for(;!w.done;t++,w=h.next())w=u(e,w.value,k),null!==w&&(g=f(w,g,t),null===l?n=w:l.sibling=w,l=w);D&&qb(e,t);return n}for(q=d(e,q);!w.done;t++,w=h.next())w=p(q,e,t,w.value,k),null!==w&&(a&&null!==w.alternate&&q.delete(null===w.key?t:w.key),g=f(w,g,t),null===l?n=w:l.sibling=
+w,l=w);a&&q.forEach(function(a){return b(e,a)});D&&qb(e,t);return n}function v(a,d,f,h){"object"===typeof f&&null!==f&&f.type===Bb&&null===f.key&&(f=f.props.children);if("object"===typeof f&&null!==f){switch(f.$$typeof){case sd:a:{for(var k=f.key,n=d;null!==n;){if(n.key===k){k=f.type;if(k===Bb){if(7===n.tag){c(a,n.sibling);d=e(n,f.props.children);d.return=a;a=d;break a}}else if(n.elementType===k||"object"===typeof k&&null!==k&&k.$$typeof===Ta&&Ch(k)===n.type){c(a,n.sibling);d=e(n,f.props);d.ref=vc(a,
+n,f);d.return=a;a=d;break a}c(a,n);break}else b(a,n);n=n.sibling}f.type===Bb?(d=sb(f.props.children,a.mode,h,f.key),d.return=a,a=d):(h=rd(f.type,f.key,f.props,null,a.mode,h),h.ref=vc(a,d,f),h.return=a,a=h)}return g(a);case Cb:a:{for(n=f.key;null!==d;){if(d.key===n)if(4===d.tag&&d.stateNode.containerInfo===f.containerInfo&&d.stateNode.implementation===f.implementation){c(a,d.sibling);d=e(d,f.children||[]);d.return=a;a=d;break a}else{c(a,d);break}else b(a,d);d=d.sibling}d=$e(f,a.mode,h);d.return=a;
+a=d}return g(a);case Ta:return n=f._init,v(a,d,n(f._payload),h)}if(cc(f))return x(a,d,f,h);if(ac(f))return I(a,d,f,h);qd(a,f)}return"string"===typeof f&&""!==f||"number"===typeof f?(f=""+f,null!==d&&6===d.tag?(c(a,d.sibling),d=e(d,f),d.return=a,a=d):(c(a,d),d=Ze(f,a.mode,h),d.return=a,a=d),g(a)):c(a,d)}return v}function af(){bf=Rb=td=null}function cf(a,b){b=ud.current;v(ud);a._currentValue=b}function df(a,b,c){for(;null!==a;){var d=a.alternate;(a.childLanes&b)!==b?(a.childLanes|=b,null!==d&&(d.childLanes|=
+b)):null!==d&&(d.childLanes&b)!==b&&(d.childLanes|=b);if(a===c)break;a=a.return}}function Sb(a,b){td=a;bf=Rb=null;a=a.dependencies;null!==a&&null!==a.firstContext&&(0!==(a.lanes&b)&&(ha=!0),a.firstContext=null)}function qa(a){var b=a._currentValue;if(bf!==a)if(a={context:a,memoizedValue:b,next:null},null===Rb){if(null===td)throw Error(m(308));Rb=a;td.dependencies={lanes:0,firstContext:a}}else Rb=Rb.next=a;return b}function ef(a){null===tb?tb=[a]:tb.push(a)}function Eh(a,b,c,d){var e=b.interleaved;
+null===e?(c.next=c,ef(b)):(c.next=e.next,e.next=c);b.interleaved=c;return Oa(a,d)}function Oa(a,b){a.lanes|=b;var c=a.alternate;null!==c&&(c.lanes|=b);c=a;for(a=a.return;null!==a;)a.childLanes|=b,c=a.alternate,null!==c&&(c.childLanes|=b),c=a,a=a.return;return 3===c.tag?c.stateNode:null}function ff(a){a.updateQueue={baseState:a.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function Fh(a,b){a=a.updateQueue;b.updateQueue===a&&(b.updateQueue=
+{baseState:a.baseState,firstBaseUpdate:a.firstBaseUpdate,lastBaseUpdate:a.lastBaseUpdate,shared:a.shared,effects:a.effects})}function Pa(a,b){return{eventTime:a,lane:b,tag:0,payload:null,callback:null,next:null}}function fb(a,b,c){var d=a.updateQueue;if(null===d)return null;d=d.shared;if(0!==(p&2)){var e=d.pending;null===e?b.next=b:(b.next=e.next,e.next=b);d.pending=b;return kk(a,c)}e=d.interleaved;null===e?(b.next=b,ef(d)):(b.next=e.next,e.next=b);d.interleaved=b;return Oa(a,c)}function vd(a,b,c){b=
+b.updateQueue;if(null!==b&&(b=b.shared,0!==(c&4194240))){var d=b.lanes;d&=a.pendingLanes;c|=d;b.lanes=c;xe(a,c)}}function Gh(a,b){var c=a.updateQueue,d=a.alternate;if(null!==d&&(d=d.updateQueue,c===d)){var e=null,f=null;c=c.firstBaseUpdate;if(null!==c){do{var g={eventTime:c.eventTime,lane:c.lane,tag:c.tag,payload:c.payload,callback:c.callback,next:null};null===f?e=f=g:f=f.next=g;c=c.next}while(null!==c);null===f?e=f=b:f=f.next=b}else e=f=b;c={baseState:d.baseState,firstBaseUpdate:e,lastBaseUpdate:f,
+shared:d.shared,effects:d.effects};a.updateQueue=c;return}a=c.lastBaseUpdate;null===a?c.firstBaseUpdate=b:a.next=b;c.lastBaseUpdate=b}function wd(a,b,c,d){var e=a.updateQueue;gb=!1;var f=e.firstBaseUpdate,g=e.lastBaseUpdate,h=e.shared.pending;if(null!==h){e.shared.pending=null;var k=h,n=k.next;k.next=null;null===g?f=n:g.next=n;g=k;var l=a.alternate;null!==l&&(l=l.updateQueue,h=l.lastBaseUpdate,h!==g&&(null===h?l.firstBaseUpdate=n:h.next=n,l.lastBaseUpdate=k))}if(null!==f){var m=e.baseState;g=0;l=
+n=k=null;h=f;do{var r=h.lane,p=h.eventTime;if((d&r)===r){null!==l&&(l=l.next={eventTime:p,lane:0,tag:h.tag,payload:h.payload,callback:h.callback,next:null});a:{var x=a,v=h;r=b;p=c;switch(v.tag){case 1:x=v.payload;if("function"===typeof x){m=x.call(p,m,r);break a}m=x;break a;case 3:x.flags=x.flags&-65537|128;case 0:x=v.payload;r="function"===typeof x?x.call(p,m,r):x;if(null===r||void 0===r)break a;m=E({},m,r);break a;case 2:gb=!0}}null!==h.callback&&0!==h.lane&&(a.flags|=64,r=e.effects,null===r?e.effects=
+[h]:r.push(h))}else p={eventTime:p,lane:r,tag:h.tag,payload:h.payload,callback:h.callback,next:null},null===l?(n=l=p,k=m):l=l.next=p,g|=r;h=h.next;if(null===h)if(h=e.shared.pending,null===h)break;else r=h,h=r.next,r.next=null,e.lastBaseUpdate=r,e.shared.pending=null}while(1);null===l&&(k=m);e.baseState=k;e.firstBaseUpdate=n;e.lastBaseUpdate=l;b=e.shared.interleaved;if(null!==b){e=b;do g|=e.lane,e=e.next;while(e!==b)}else null===f&&(e.shared.lanes=0);ra|=g;a.lanes=g;a.memoizedState=m}}function Hh(a,
+b,c){a=b.effects;b.effects=null;if(null!==a)for(b=0;b<a.length;b++){var d=a[b],e=d.callback;if(null!==e){d.callback=null;d=c;if("function"!==typeof e)throw Error(m(191,e));e.call(d)}}}function ub(a){if(a===wc)throw Error(m(174));return a}function gf(a,b){y(xc,b);y(yc,a);y(Ea,wc);a=b.nodeType;switch(a){case 9:case 11:b=(b=b.documentElement)?b.namespaceURI:oe(null,"");break;default:a=8===a?b.parentNode:b,b=a.namespaceURI||null,a=a.tagName,b=oe(b,a)}v(Ea);y(Ea,b)}function Tb(a){v(Ea);v(yc);v(xc)}function Ih(a){ub(xc.current);
+var b=ub(Ea.current);var c=oe(b,a.type);b!==c&&(y(yc,a),y(Ea,c))}function hf(a){yc.current===a&&(v(Ea),v(yc))}function xd(a){for(var b=a;null!==b;){if(13===b.tag){var c=b.memoizedState;if(null!==c&&(c=c.dehydrated,null===c||"$?"===c.data||"$!"===c.data))return b}else if(19===b.tag&&void 0!==b.memoizedProps.revealOrder){if(0!==(b.flags&128))return b}else if(null!==b.child){b.child.return=b;b=b.child;continue}if(b===a)break;for(;null===b.sibling;){if(null===b.return||b.return===a)return null;b=b.return}b.sibling.return=
+b.return;b=b.sibling}return null}function jf(){for(var a=0;a<kf.length;a++)kf[a]._workInProgressVersionPrimary=null;kf.length=0}function V(){throw Error(m(321));}function lf(a,b){if(null===b)return!1;for(var c=0;c<b.length&&c<a.length;c++)if(!ua(a[c],b[c]))return!1;return!0}function mf(a,b,c,d,e,f){vb=f;C=b;b.memoizedState=null;b.updateQueue=null;b.lanes=0;yd.current=null===a||null===a.memoizedState?lk:mk;a=c(d,e);if(zc){f=0;do{zc=!1;Ac=0;if(25<=f)throw Error(m(301));f+=1;N=K=null;b.updateQueue=null;
+yd.current=nk;a=c(d,e)}while(zc)}yd.current=zd;b=null!==K&&null!==K.next;vb=0;N=K=C=null;Ad=!1;if(b)throw Error(m(300));return a}function nf(){var a=0!==Ac;Ac=0;return a}function Fa(){var a={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};null===N?C.memoizedState=N=a:N=N.next=a;return N}function sa(){if(null===K){var a=C.alternate;a=null!==a?a.memoizedState:null}else a=K.next;var b=null===N?C.memoizedState:N.next;if(null!==b)N=b,K=a;else{if(null===a)throw Error(m(310));K=a;
+a={memoizedState:K.memoizedState,baseState:K.baseState,baseQueue:K.baseQueue,queue:K.queue,next:null};null===N?C.memoizedState=N=a:N=N.next=a}return N}function Bc(a,b){return"function"===typeof b?b(a):b}function of(a,b,c){b=sa();c=b.queue;if(null===c)throw Error(m(311));c.lastRenderedReducer=a;var d=K,e=d.baseQueue,f=c.pending;if(null!==f){if(null!==e){var g=e.next;e.next=f.next;f.next=g}d.baseQueue=e=f;c.pending=null}if(null!==e){f=e.next;d=d.baseState;var h=g=null,k=null,n=f;do{var l=n.lane;if((vb&
+l)===l)null!==k&&(k=k.next={lane:0,action:n.action,hasEagerState:n.hasEagerState,eagerState:n.eagerState,next:null}),d=n.hasEagerState?n.eagerState:a(d,n.action);else{var u={lane:l,action:n.action,hasEagerState:n.hasEagerState,eagerState:n.eagerState,next:null};null===k?(h=k=u,g=d):k=k.next=u;C.lanes|=l;ra|=l}n=n.next}while(null!==n&&n!==f);null===k?g=d:k.next=h;ua(d,b.memoizedState)||(ha=!0);b.memoizedState=d;b.baseState=g;b.baseQueue=k;c.lastRenderedState=d}a=c.interleaved;if(null!==a){e=a;do f=
+e.lane,C.lanes|=f,ra|=f,e=e.next;while(e!==a)}else null===e&&(c.lanes=0);return[b.memoizedState,c.dispatch]}function pf(a,b,c){b=sa();c=b.queue;if(null===c)throw Error(m(311));c.lastRenderedReducer=a;var d=c.dispatch,e=c.pending,f=b.memoizedState;if(null!==e){c.pending=null;var g=e=e.next;do f=a(f,g.action),g=g.next;while(g!==e);ua(f,b.memoizedState)||(ha=!0);b.memoizedState=f;null===b.baseQueue&&(b.baseState=f);c.lastRenderedState=f}return[f,d]}function Jh(a,b,c){}function Kh(a,b,c){c=C;var d=sa(),
+e=b(),f=!ua(d.memoizedState,e);f&&(d.memoizedState=e,ha=!0);d=d.queue;qf(Lh.bind(null,c,d,a),[a]);if(d.getSnapshot!==b||f||null!==N&&N.memoizedState.tag&1){c.flags|=2048;Cc(9,Mh.bind(null,c,d,e,b),void 0,null);if(null===O)throw Error(m(349));0!==(vb&30)||Nh(c,b,e)}return e}function Nh(a,b,c){a.flags|=16384;a={getSnapshot:b,value:c};b=C.updateQueue;null===b?(b={lastEffect:null,stores:null},C.updateQueue=b,b.stores=[a]):(c=b.stores,null===c?b.stores=[a]:c.push(a))}function Mh(a,b,c,d){b.value=c;b.getSnapshot=
+d;Oh(b)&&Ph(a)}function Lh(a,b,c){return c(function(){Oh(b)&&Ph(a)})}function Oh(a){var b=a.getSnapshot;a=a.value;try{var c=b();return!ua(a,c)}catch(d){return!0}}function Ph(a){var b=Oa(a,1);null!==b&&xa(b,a,1,-1)}function Qh(a){var b=Fa();"function"===typeof a&&(a=a());b.memoizedState=b.baseState=a;a={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:Bc,lastRenderedState:a};b.queue=a;a=a.dispatch=ok.bind(null,C,a);return[b.memoizedState,a]}function Cc(a,b,c,d){a={tag:a,create:b,
+destroy:c,deps:d,next:null};b=C.updateQueue;null===b?(b={lastEffect:null,stores:null},C.updateQueue=b,b.lastEffect=a.next=a):(c=b.lastEffect,null===c?b.lastEffect=a.next=a:(d=c.next,c.next=a,a.next=d,b.lastEffect=a));return a}function Rh(a){return sa().memoizedState}function Bd(a,b,c,d){var e=Fa();C.flags|=a;e.memoizedState=Cc(1|b,c,void 0,void 0===d?null:d)}function Cd(a,b,c,d){var e=sa();d=void 0===d?null:d;var f=void 0;if(null!==K){var g=K.memoizedState;f=g.destroy;if(null!==d&&lf(d,g.deps)){e.memoizedState=
+Cc(b,c,f,d);return}}C.flags|=a;e.memoizedState=Cc(1|b,c,f,d)}function Sh(a,b){return Bd(8390656,8,a,b)}function qf(a,b){return Cd(2048,8,a,b)}function Th(a,b){return Cd(4,2,a,b)}function Uh(a,b){return Cd(4,4,a,b)}function Vh(a,b){if("function"===typeof b)return a=a(),b(a),function(){b(null)};if(null!==b&&void 0!==b)return a=a(),b.current=a,function(){b.current=null}}function Wh(a,b,c){c=null!==c&&void 0!==c?c.concat([a]):null;return Cd(4,4,Vh.bind(null,b,a),c)}function rf(a,b){}function Xh(a,b){var c=
+sa();b=void 0===b?null:b;var d=c.memoizedState;if(null!==d&&null!==b&&lf(b,d[1]))return d[0];c.memoizedState=[a,b];return a}function Yh(a,b){var c=sa();b=void 0===b?null:b;var d=c.memoizedState;if(null!==d&&null!==b&&lf(b,d[1]))return d[0];a=a();c.memoizedState=[a,b];return a}function Zh(a,b,c){if(0===(vb&21))return a.baseState&&(a.baseState=!1,ha=!0),a.memoizedState=c;ua(c,b)||(c=Dg(),C.lanes|=c,ra|=c,a.baseState=!0);return b}function pk(a,b,c){c=z;z=0!==c&&4>c?c:4;a(!0);var d=sf.transition;sf.transition=
+{};try{a(!1),b()}finally{z=c,sf.transition=d}}function $h(){return sa().memoizedState}function qk(a,b,c){var d=hb(a);c={lane:d,action:c,hasEagerState:!1,eagerState:null,next:null};if(ai(a))bi(b,c);else if(c=Eh(a,b,c,d),null!==c){var e=Z();xa(c,a,d,e);ci(c,b,d)}}function ok(a,b,c){var d=hb(a),e={lane:d,action:c,hasEagerState:!1,eagerState:null,next:null};if(ai(a))bi(b,e);else{var f=a.alternate;if(0===a.lanes&&(null===f||0===f.lanes)&&(f=b.lastRenderedReducer,null!==f))try{var g=b.lastRenderedState,
+h=f(g,c);e.hasEagerState=!0;e.eagerState=h;if(ua(h,g)){var k=b.interleaved;null===k?(e.next=e,ef(b)):(e.next=k.next,k.next=e);b.interleaved=e;return}}catch(n){}finally{}c=Eh(a,b,e,d);null!==c&&(e=Z(),xa(c,a,d,e),ci(c,b,d))}}function ai(a){var b=a.alternate;return a===C||null!==b&&b===C}function bi(a,b){zc=Ad=!0;var c=a.pending;null===c?b.next=b:(b.next=c.next,c.next=b);a.pending=b}function ci(a,b,c){if(0!==(c&4194240)){var d=b.lanes;d&=a.pendingLanes;c|=d;b.lanes=c;xe(a,c)}}function ya(a,b){if(a&&
+a.defaultProps){b=E({},b);a=a.defaultProps;for(var c in a)void 0===b[c]&&(b[c]=a[c]);return b}return b}function tf(a,b,c,d){b=a.memoizedState;c=c(d,b);c=null===c||void 0===c?b:E({},b,c);a.memoizedState=c;0===a.lanes&&(a.updateQueue.baseState=c)}function di(a,b,c,d,e,f,g){a=a.stateNode;return"function"===typeof a.shouldComponentUpdate?a.shouldComponentUpdate(d,f,g):b.prototype&&b.prototype.isPureReactComponent?!qc(c,d)||!qc(e,f):!0}function ei(a,b,c){var d=!1,e=cb;var f=b.contextType;"object"===typeof f&&
+null!==f?f=qa(f):(e=ea(b)?pb:J.current,d=b.contextTypes,f=(d=null!==d&&void 0!==d)?Nb(a,e):cb);b=new b(c,f);a.memoizedState=null!==b.state&&void 0!==b.state?b.state:null;b.updater=Dd;a.stateNode=b;b._reactInternals=a;d&&(a=a.stateNode,a.__reactInternalMemoizedUnmaskedChildContext=e,a.__reactInternalMemoizedMaskedChildContext=f);return b}function fi(a,b,c,d){a=b.state;"function"===typeof b.componentWillReceiveProps&&b.componentWillReceiveProps(c,d);"function"===typeof b.UNSAFE_componentWillReceiveProps&&
+b.UNSAFE_componentWillReceiveProps(c,d);b.state!==a&&Dd.enqueueReplaceState(b,b.state,null)}function uf(a,b,c,d){var e=a.stateNode;e.props=c;e.state=a.memoizedState;e.refs={};ff(a);var f=b.contextType;"object"===typeof f&&null!==f?e.context=qa(f):(f=ea(b)?pb:J.current,e.context=Nb(a,f));e.state=a.memoizedState;f=b.getDerivedStateFromProps;"function"===typeof f&&(tf(a,b,f,c),e.state=a.memoizedState);"function"===typeof b.getDerivedStateFromProps||"function"===typeof e.getSnapshotBeforeUpdate||"function"!==
+typeof e.UNSAFE_componentWillMount&&"function"!==typeof e.componentWillMount||(b=e.state,"function"===typeof e.componentWillMount&&e.componentWillMount(),"function"===typeof e.UNSAFE_componentWillMount&&e.UNSAFE_componentWillMount(),b!==e.state&&Dd.enqueueReplaceState(e,e.state,null),wd(a,c,e,d),e.state=a.memoizedState);"function"===typeof e.componentDidMount&&(a.flags|=4194308)}function Ub(a,b){try{var c="",d=b;do c+=fj(d),d=d.return;while(d);var e=c}catch(f){e="\\nError generating stack: "+f.message+
+"\\n"+f.stack}return{value:a,source:b,stack:e,digest:null}}function vf(a,b,c){return{value:a,source:null,stack:null!=c?c:null,digest:null!=b?b:null}}function wf(a,b){try{console.error(b.value)}catch(c){setTimeout(function(){throw c;})}}function gi(a,b,c){c=Pa(-1,c);c.tag=3;c.payload={element:null};var d=b.value;c.callback=function(){Ed||(Ed=!0,xf=d);wf(a,b)};return c}function hi(a,b,c){c=Pa(-1,c);c.tag=3;var d=a.type.getDerivedStateFromError;if("function"===typeof d){var e=b.value;c.payload=function(){return d(e)};
+c.callback=function(){wf(a,b)}}var f=a.stateNode;null!==f&&"function"===typeof f.componentDidCatch&&(c.callback=function(){wf(a,b);"function"!==typeof d&&(null===ib?ib=new Set([this]):ib.add(this));var c=b.stack;this.componentDidCatch(b.value,{componentStack:null!==c?c:""})});return c}function ii(a,b,c){var d=a.pingCache;if(null===d){d=a.pingCache=new rk;var e=new Set;d.set(b,e)}else e=d.get(b),void 0===e&&(e=new Set,d.set(b,e));e.has(c)||(e.add(c),a=sk.bind(null,a,b,c),b.then(a,a))}function ji(a){do{var b;
+if(b=13===a.tag)b=a.memoizedState,b=null!==b?null!==b.dehydrated?!0:!1:!0;if(b)return a;a=a.return}while(null!==a);return null}function ki(a,b,c,d,e){if(0===(a.mode&1))return a===b?a.flags|=65536:(a.flags|=128,c.flags|=131072,c.flags&=-52805,1===c.tag&&(null===c.alternate?c.tag=17:(b=Pa(-1,1),b.tag=2,fb(c,b,1))),c.lanes|=1),a;a.flags|=65536;a.lanes=e;return a}function aa(a,b,c,d){b.child=null===a?li(b,null,c,d):Vb(b,a.child,c,d)}function mi(a,b,c,d,e){c=c.render;var f=b.ref;Sb(b,e);d=mf(a,b,c,d,f,
+e);c=nf();if(null!==a&&!ha)return b.updateQueue=a.updateQueue,b.flags&=-2053,a.lanes&=~e,Qa(a,b,e);D&&c&&Ue(b);b.flags|=1;aa(a,b,d,e);return b.child}function ni(a,b,c,d,e){if(null===a){var f=c.type;if("function"===typeof f&&!yf(f)&&void 0===f.defaultProps&&null===c.compare&&void 0===c.defaultProps)return b.tag=15,b.type=f,oi(a,b,f,d,e);a=rd(c.type,null,d,b,b.mode,e);a.ref=b.ref;a.return=b;return b.child=a}f=a.child;if(0===(a.lanes&e)){var g=f.memoizedProps;c=c.compare;c=null!==c?c:qc;if(c(g,d)&&a.ref===
+b.ref)return Qa(a,b,e)}b.flags|=1;a=eb(f,d);a.ref=b.ref;a.return=b;return b.child=a}function oi(a,b,c,d,e){if(null!==a){var f=a.memoizedProps;if(qc(f,d)&&a.ref===b.ref)if(ha=!1,b.pendingProps=d=f,0!==(a.lanes&e))0!==(a.flags&131072)&&(ha=!0);else return b.lanes=a.lanes,Qa(a,b,e)}return zf(a,b,c,d,e)}function pi(a,b,c){var d=b.pendingProps,e=d.children,f=null!==a?a.memoizedState:null;if("hidden"===d.mode)if(0===(b.mode&1))b.memoizedState={baseLanes:0,cachePool:null,transitions:null},y(Ga,ba),ba|=c;
+else{if(0===(c&1073741824))return a=null!==f?f.baseLanes|c:c,b.lanes=b.childLanes=1073741824,b.memoizedState={baseLanes:a,cachePool:null,transitions:null},b.updateQueue=null,y(Ga,ba),ba|=a,null;b.memoizedState={baseLanes:0,cachePool:null,transitions:null};d=null!==f?f.baseLanes:c;y(Ga,ba);ba|=d}else null!==f?(d=f.baseLanes|c,b.memoizedState=null):d=c,y(Ga,ba),ba|=d;aa(a,b,e,c);return b.child}function qi(a,b){var c=b.ref;if(null===a&&null!==c||null!==a&&a.ref!==c)b.flags|=512,b.flags|=2097152}function zf(a,
+b,c,d,e){var f=ea(c)?pb:J.current;f=Nb(b,f);Sb(b,e);c=mf(a,b,c,d,f,e);d=nf();if(null!==a&&!ha)return b.updateQueue=a.updateQueue,b.flags&=-2053,a.lanes&=~e,Qa(a,b,e);D&&d&&Ue(b);b.flags|=1;aa(a,b,c,e);return b.child}function ri(a,b,c,d,e){if(ea(c)){var f=!0;ld(b)}else f=!1;Sb(b,e);if(null===b.stateNode)Fd(a,b),ei(b,c,d),uf(b,c,d,e),d=!0;else if(null===a){var g=b.stateNode,h=b.memoizedProps;g.props=h;var k=g.context,n=c.contextType;"object"===typeof n&&null!==n?n=qa(n):(n=ea(c)?pb:J.current,n=Nb(b,
+n));var l=c.getDerivedStateFromProps,m="function"===typeof l||"function"===typeof g.getSnapshotBeforeUpdate;m||"function"!==typeof g.UNSAFE_componentWillReceiveProps&&"function"!==typeof g.componentWillReceiveProps||(h!==d||k!==n)&&fi(b,g,d,n);gb=!1;var r=b.memoizedState;g.state=r;wd(b,d,g,e);k=b.memoizedState;h!==d||r!==k||S.current||gb?("function"===typeof l&&(tf(b,c,l,d),k=b.memoizedState),(h=gb||di(b,c,h,d,r,k,n))?(m||"function"!==typeof g.UNSAFE_componentWillMount&&"function"!==typeof g.componentWillMount||
+("function"===typeof g.componentWillMount&&g.componentWillMount(),"function"===typeof g.UNSAFE_componentWillMount&&g.UNSAFE_componentWillMount()),"function"===typeof g.componentDidMount&&(b.flags|=4194308)):("function"===typeof g.componentDidMount&&(b.flags|=4194308),b.memoizedProps=d,b.memoizedState=k),g.props=d,g.state=k,g.context=n,d=h):("function"===typeof g.componentDidMount&&(b.flags|=4194308),d=!1)}else{g=b.stateNode;Fh(a,b);h=b.memoizedProps;n=b.type===b.elementType?h:ya(b.type,h);g.props=
+n;m=b.pendingProps;r=g.context;k=c.contextType;"object"===typeof k&&null!==k?k=qa(k):(k=ea(c)?pb:J.current,k=Nb(b,k));var p=c.getDerivedStateFromProps;(l="function"===typeof p||"function"===typeof g.getSnapshotBeforeUpdate)||"function"!==typeof g.UNSAFE_componentWillReceiveProps&&"function"!==typeof g.componentWillReceiveProps||(h!==m||r!==k)&&fi(b,g,d,k);gb=!1;r=b.memoizedState;g.state=r;wd(b,d,g,e);var x=b.memoizedState;h!==m||r!==x||S.current||gb?("function"===typeof p&&(tf(b,c,p,d),x=b.memoizedState),
+(n=gb||di(b,c,n,d,r,x,k)||!1)?(l||"function"!==typeof g.UNSAFE_componentWillUpdate&&"function"!==typeof g.componentWillUpdate||("function"===typeof g.componentWillUpdate&&g.componentWillUpdate(d,x,k),"function"===typeof g.UNSAFE_componentWillUpdate&&g.UNSAFE_componentWillUpdate(d,x,k)),"function"===typeof g.componentDidUpdate&&(b.flags|=4),"function"===typeof g.getSnapshotBeforeUpdate&&(b.flags|=1024)):("function"!==typeof g.componentDidUpdate||h===a.memoizedProps&&r===a.memoizedState||(b.flags|=
+4),"function"!==typeof g.getSnapshotBeforeUpdate||h===a.memoizedProps&&r===a.memoizedState||(b.flags|=1024),b.memoizedProps=d,b.memoizedState=x),g.props=d,g.state=x,g.context=k,d=n):("function"!==typeof g.componentDidUpdate||h===a.memoizedProps&&r===a.memoizedState||(b.flags|=4),"function"!==typeof g.getSnapshotBeforeUpdate||h===a.memoizedProps&&r===a.memoizedState||(b.flags|=1024),d=!1)}return Af(a,b,c,d,f,e)}function Af(a,b,c,d,e,f){qi(a,b);var g=0!==(b.flags&128);if(!d&&!g)return e&&vh(b,c,!1),
+Qa(a,b,f);d=b.stateNode;tk.current=b;var h=g&&"function"!==typeof c.getDerivedStateFromError?null:d.render();b.flags|=1;null!==a&&g?(b.child=Vb(b,a.child,null,f),b.child=Vb(b,null,h,f)):aa(a,b,h,f);b.memoizedState=d.state;e&&vh(b,c,!0);return b.child}function si(a){var b=a.stateNode;b.pendingContext?th(a,b.pendingContext,b.pendingContext!==b.context):b.context&&th(a,b.context,!1);gf(a,b.containerInfo)}function ti(a,b,c,d,e){Qb();Ye(e);b.flags|=256;aa(a,b,c,d);return b.child}function Bf(a){return{baseLanes:a,
+cachePool:null,transitions:null}}function ui(a,b,c){var d=b.pendingProps,e=F.current,f=!1,g=0!==(b.flags&128),h;(h=g)||(h=null!==a&&null===a.memoizedState?!1:0!==(e&2));if(h)f=!0,b.flags&=-129;else if(null===a||null!==a.memoizedState)e|=1;y(F,e&1);if(null===a){Xe(b);a=b.memoizedState;if(null!==a&&(a=a.dehydrated,null!==a))return 0===(b.mode&1)?b.lanes=1:"$!"===a.data?b.lanes=8:b.lanes=1073741824,null;g=d.children;a=d.fallback;return f?(d=b.mode,f=b.child,g={mode:"hidden",children:g},0===(d&1)&&null!==
+f?(f.childLanes=0,f.pendingProps=g):f=Gd(g,d,0,null),a=sb(a,d,c,null),f.return=b,a.return=b,f.sibling=a,b.child=f,b.child.memoizedState=Bf(c),b.memoizedState=Cf,a):Df(b,g)}e=a.memoizedState;if(null!==e&&(h=e.dehydrated,null!==h))return uk(a,b,g,d,h,e,c);if(f){f=d.fallback;g=b.mode;e=a.child;h=e.sibling;var k={mode:"hidden",children:d.children};0===(g&1)&&b.child!==e?(d=b.child,d.childLanes=0,d.pendingProps=k,b.deletions=null):(d=eb(e,k),d.subtreeFlags=e.subtreeFlags&14680064);null!==h?f=eb(h,f):(f=
+sb(f,g,c,null),f.flags|=2);f.return=b;d.return=b;d.sibling=f;b.child=d;d=f;f=b.child;g=a.child.memoizedState;g=null===g?Bf(c):{baseLanes:g.baseLanes|c,cachePool:null,transitions:g.transitions};f.memoizedState=g;f.childLanes=a.childLanes&~c;b.memoizedState=Cf;return d}f=a.child;a=f.sibling;d=eb(f,{mode:"visible",children:d.children});0===(b.mode&1)&&(d.lanes=c);d.return=b;d.sibling=null;null!==a&&(c=b.deletions,null===c?(b.deletions=[a],b.flags|=16):c.push(a));b.child=d;b.memoizedState=null;return d}
+function Df(a,b,c){b=Gd({mode:"visible",children:b},a.mode,0,null);b.return=a;return a.child=b}function Hd(a,b,c,d){null!==d&&Ye(d);Vb(b,a.child,null,c);a=Df(b,b.pendingProps.children);a.flags|=2;b.memoizedState=null;return a}function uk(a,b,c,d,e,f,g){if(c){if(b.flags&256)return b.flags&=-257,d=vf(Error(m(422))),Hd(a,b,g,d);if(null!==b.memoizedState)return b.child=a.child,b.flags|=128,null;f=d.fallback;e=b.mode;d=Gd({mode:"visible",children:d.children},e,0,null);f=sb(f,e,g,null);f.flags|=2;d.return=
+b;f.return=b;d.sibling=f;b.child=d;0!==(b.mode&1)&&Vb(b,a.child,null,g);b.child.memoizedState=Bf(g);b.memoizedState=Cf;return f}if(0===(b.mode&1))return Hd(a,b,g,null);if("$!"===e.data){d=e.nextSibling&&e.nextSibling.dataset;if(d)var h=d.dgst;d=h;f=Error(m(419));d=vf(f,d,void 0);return Hd(a,b,g,d)}h=0!==(g&a.childLanes);if(ha||h){d=O;if(null!==d){switch(g&-g){case 4:e=2;break;case 16:e=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:e=
+32;break;case 536870912:e=268435456;break;default:e=0}e=0!==(e&(d.suspendedLanes|g))?0:e;0!==e&&e!==f.retryLane&&(f.retryLane=e,Oa(a,e),xa(d,a,e,-1))}Ef();d=vf(Error(m(421)));return Hd(a,b,g,d)}if("$?"===e.data)return b.flags|=128,b.child=a.child,b=vk.bind(null,a),e._reactRetry=b,null;a=f.treeContext;fa=Ka(e.nextSibling);la=b;D=!0;wa=null;null!==a&&(na[oa++]=Ma,na[oa++]=Na,na[oa++]=rb,Ma=a.id,Na=a.overflow,rb=b);b=Df(b,d.children);b.flags|=4096;return b}function vi(a,b,c){a.lanes|=b;var d=a.alternate;
+null!==d&&(d.lanes|=b);df(a.return,b,c)}function Ff(a,b,c,d,e){var f=a.memoizedState;null===f?a.memoizedState={isBackwards:b,rendering:null,renderingStartTime:0,last:d,tail:c,tailMode:e}:(f.isBackwards=b,f.rendering=null,f.renderingStartTime=0,f.last=d,f.tail=c,f.tailMode=e)}function wi(a,b,c){var d=b.pendingProps,e=d.revealOrder,f=d.tail;aa(a,b,d.children,c);d=F.current;if(0!==(d&2))d=d&1|2,b.flags|=128;else{if(null!==a&&0!==(a.flags&128))a:for(a=b.child;null!==a;){if(13===a.tag)null!==a.memoizedState&&
+vi(a,c,b);else if(19===a.tag)vi(a,c,b);else if(null!==a.child){a.child.return=a;a=a.child;continue}if(a===b)break a;for(;null===a.sibling;){if(null===a.return||a.return===b)break a;a=a.return}a.sibling.return=a.return;a=a.sibling}d&=1}y(F,d);if(0===(b.mode&1))b.memoizedState=null;else switch(e){case "forwards":c=b.child;for(e=null;null!==c;)a=c.alternate,null!==a&&null===xd(a)&&(e=c),c=c.sibling;c=e;null===c?(e=b.child,b.child=null):(e=c.sibling,c.sibling=null);Ff(b,!1,e,c,f);break;case "backwards":c=
+null;e=b.child;for(b.child=null;null!==e;){a=e.alternate;if(null!==a&&null===xd(a)){b.child=e;break}a=e.sibling;e.sibling=c;c=e;e=a}Ff(b,!0,c,null,f);break;case "together":Ff(b,!1,null,null,void 0);break;default:b.memoizedState=null}return b.child}function Fd(a,b){0===(b.mode&1)&&null!==a&&(a.alternate=null,b.alternate=null,b.flags|=2)}function Qa(a,b,c){null!==a&&(b.dependencies=a.dependencies);ra|=b.lanes;if(0===(c&b.childLanes))return null;if(null!==a&&b.child!==a.child)throw Error(m(153));if(null!==
+b.child){a=b.child;c=eb(a,a.pendingProps);b.child=c;for(c.return=b;null!==a.sibling;)a=a.sibling,c=c.sibling=eb(a,a.pendingProps),c.return=b;c.sibling=null}return b.child}function wk(a,b,c){switch(b.tag){case 3:si(b);Qb();break;case 5:Ih(b);break;case 1:ea(b.type)&&ld(b);break;case 4:gf(b,b.stateNode.containerInfo);break;case 10:var d=b.type._context,e=b.memoizedProps.value;y(ud,d._currentValue);d._currentValue=e;break;case 13:d=b.memoizedState;if(null!==d){if(null!==d.dehydrated)return y(F,F.current&
+1),b.flags|=128,null;if(0!==(c&b.child.childLanes))return ui(a,b,c);y(F,F.current&1);a=Qa(a,b,c);return null!==a?a.sibling:null}y(F,F.current&1);break;case 19:d=0!==(c&b.childLanes);if(0!==(a.flags&128)){if(d)return wi(a,b,c);b.flags|=128}e=b.memoizedState;null!==e&&(e.rendering=null,e.tail=null,e.lastEffect=null);y(F,F.current);if(d)break;else return null;case 22:case 23:return b.lanes=0,pi(a,b,c)}return Qa(a,b,c)}function Dc(a,b){if(!D)switch(a.tailMode){case "hidden":b=a.tail;for(var c=null;null!==
+b;)null!==b.alternate&&(c=b),b=b.sibling;null===c?a.tail=null:c.sibling=null;break;case "collapsed":c=a.tail;for(var d=null;null!==c;)null!==c.alternate&&(d=c),c=c.sibling;null===d?b||null===a.tail?a.tail=null:a.tail.sibling=null:d.sibling=null}}function W(a){var b=null!==a.alternate&&a.alternate.child===a.child,c=0,d=0;if(b)for(var e=a.child;null!==e;)c|=e.lanes|e.childLanes,d|=e.subtreeFlags&14680064,d|=e.flags&14680064,e.return=a,e=e.sibling;else for(e=a.child;null!==e;)c|=e.lanes|e.childLanes,
+d|=e.subtreeFlags,d|=e.flags,e.return=a,e=e.sibling;a.subtreeFlags|=d;a.childLanes=c;return b}function xk(a,b,c){var d=b.pendingProps;Ve(b);switch(b.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return W(b),null;case 1:return ea(b.type)&&(v(S),v(J)),W(b),null;case 3:d=b.stateNode;Tb();v(S);v(J);jf();d.pendingContext&&(d.context=d.pendingContext,d.pendingContext=null);if(null===a||null===a.child)pd(b)?b.flags|=4:null===a||a.memoizedState.isDehydrated&&0===(b.flags&
+256)||(b.flags|=1024,null!==wa&&(Gf(wa),wa=null));xi(a,b);W(b);return null;case 5:hf(b);var e=ub(xc.current);c=b.type;if(null!==a&&null!=b.stateNode)yk(a,b,c,d,e),a.ref!==b.ref&&(b.flags|=512,b.flags|=2097152);else{if(!d){if(null===b.stateNode)throw Error(m(166));W(b);return null}a=ub(Ea.current);if(pd(b)){d=b.stateNode;c=b.type;var f=b.memoizedProps;d[Da]=b;d[uc]=f;a=0!==(b.mode&1);switch(c){case "dialog":B("cancel",d);B("close",d);break;case "iframe":case "object":case "embed":B("load",d);break;
+case "video":case "audio":for(e=0;e<Ec.length;e++)B(Ec[e],d);break;case "source":B("error",d);break;case "img":case "image":case "link":B("error",d);B("load",d);break;case "details":B("toggle",d);break;case "input":kg(d,f);B("invalid",d);break;case "select":d._wrapperState={wasMultiple:!!f.multiple};B("invalid",d);break;case "textarea":ng(d,f),B("invalid",d)}pe(c,f);e=null;for(var g in f)if(f.hasOwnProperty(g)){var h=f[g];"children"===g?"string"===typeof h?d.textContent!==h&&(!0!==f.suppressHydrationWarning&&
+jd(d.textContent,h,a),e=["children",h]):"number"===typeof h&&d.textContent!==""+h&&(!0!==f.suppressHydrationWarning&&jd(d.textContent,h,a),e=["children",""+h]):$b.hasOwnProperty(g)&&null!=h&&"onScroll"===g&&B("scroll",d)}switch(c){case "input":Pc(d);mg(d,f,!0);break;case "textarea":Pc(d);pg(d);break;case "select":case "option":break;default:"function"===typeof f.onClick&&(d.onclick=kd)}d=e;b.updateQueue=d;null!==d&&(b.flags|=4)}else{g=9===e.nodeType?e:e.ownerDocument;"http://www.w3.org/1999/xhtml"===
+a&&(a=qg(c));"http://www.w3.org/1999/xhtml"===a?"script"===c?(a=g.createElement("div"),a.innerHTML="<script>\\x3c/script>",a=a.removeChild(a.firstChild)):"string"===typeof d.is?a=g.createElement(c,{is:d.is}):(a=g.createElement(c),"select"===c&&(g=a,d.multiple?g.multiple=!0:d.size&&(g.size=d.size))):a=g.createElementNS(a,c);a[Da]=b;a[uc]=d;zk(a,b,!1,!1);b.stateNode=a;a:{g=qe(c,d);switch(c){case "dialog":B("cancel",a);B("close",a);e=d;break;case "iframe":case "object":case "embed":B("load",a);e=d;break;
+case "video":case "audio":for(e=0;e<Ec.length;e++)B(Ec[e],a);e=d;break;case "source":B("error",a);e=d;break;case "img":case "image":case "link":B("error",a);B("load",a);e=d;break;case "details":B("toggle",a);e=d;break;case "input":kg(a,d);e=ke(a,d);B("invalid",a);break;case "option":e=d;break;case "select":a._wrapperState={wasMultiple:!!d.multiple};e=E({},d,{value:void 0});B("invalid",a);break;case "textarea":ng(a,d);e=ne(a,d);B("invalid",a);break;default:e=d}pe(c,e);h=e;for(f in h)if(h.hasOwnProperty(f)){var k=
+h[f];"style"===f?sg(a,k):"dangerouslySetInnerHTML"===f?(k=k?k.__html:void 0,null!=k&&yi(a,k)):"children"===f?"string"===typeof k?("textarea"!==c||""!==k)&&Fc(a,k):"number"===typeof k&&Fc(a,""+k):"suppressContentEditableWarning"!==f&&"suppressHydrationWarning"!==f&&"autoFocus"!==f&&($b.hasOwnProperty(f)?null!=k&&"onScroll"===f&&B("scroll",a):null!=k&&$d(a,f,k,g))}switch(c){case "input":Pc(a);mg(a,d,!1);break;case "textarea":Pc(a);pg(a);break;case "option":null!=d.value&&a.setAttribute("value",""+Ua(d.value));
+break;case "select":a.multiple=!!d.multiple;f=d.value;null!=f?Db(a,!!d.multiple,f,!1):null!=d.defaultValue&&Db(a,!!d.multiple,d.defaultValue,!0);break;default:"function"===typeof e.onClick&&(a.onclick=kd)}switch(c){case "button":case "input":case "select":case "textarea":d=!!d.autoFocus;break a;case "img":d=!0;break a;default:d=!1}}d&&(b.flags|=4)}null!==b.ref&&(b.flags|=512,b.flags|=2097152)}W(b);return null;case 6:if(a&&null!=b.stateNode)Ak(a,b,a.memoizedProps,d);else{if("string"!==typeof d&&null===
+b.stateNode)throw Error(m(166));c=ub(xc.current);ub(Ea.current);if(pd(b)){d=b.stateNode;c=b.memoizedProps;d[Da]=b;if(f=d.nodeValue!==c)if(a=la,null!==a)switch(a.tag){case 3:jd(d.nodeValue,c,0!==(a.mode&1));break;case 5:!0!==a.memoizedProps.suppressHydrationWarning&&jd(d.nodeValue,c,0!==(a.mode&1))}f&&(b.flags|=4)}else d=(9===c.nodeType?c:c.ownerDocument).createTextNode(d),d[Da]=b,b.stateNode=d}W(b);return null;case 13:v(F);d=b.memoizedState;if(null===a||null!==a.memoizedState&&null!==a.memoizedState.dehydrated){if(D&&
+null!==fa&&0!==(b.mode&1)&&0===(b.flags&128)){for(f=fa;f;)f=Ka(f.nextSibling);Qb();b.flags|=98560;f=!1}else if(f=pd(b),null!==d&&null!==d.dehydrated){if(null===a){if(!f)throw Error(m(318));f=b.memoizedState;f=null!==f?f.dehydrated:null;if(!f)throw Error(m(317));f[Da]=b}else Qb(),0===(b.flags&128)&&(b.memoizedState=null),b.flags|=4;W(b);f=!1}else null!==wa&&(Gf(wa),wa=null),f=!0;if(!f)return b.flags&65536?b:null}if(0!==(b.flags&128))return b.lanes=c,b;d=null!==d;d!==(null!==a&&null!==a.memoizedState)&&
+d&&(b.child.flags|=8192,0!==(b.mode&1)&&(null===a||0!==(F.current&1)?0===L&&(L=3):Ef()));null!==b.updateQueue&&(b.flags|=4);W(b);return null;case 4:return Tb(),xi(a,b),null===a&&sc(b.stateNode.containerInfo),W(b),null;case 10:return cf(b.type._context),W(b),null;case 17:return ea(b.type)&&(v(S),v(J)),W(b),null;case 19:v(F);f=b.memoizedState;if(null===f)return W(b),null;d=0!==(b.flags&128);g=f.rendering;if(null===g)if(d)Dc(f,!1);else{if(0!==L||null!==a&&0!==(a.flags&128))for(a=b.child;null!==a;){g=
+xd(a);if(null!==g){b.flags|=128;Dc(f,!1);d=g.updateQueue;null!==d&&(b.updateQueue=d,b.flags|=4);b.subtreeFlags=0;d=c;for(c=b.child;null!==c;)f=c,a=d,f.flags&=14680066,g=f.alternate,null===g?(f.childLanes=0,f.lanes=a,f.child=null,f.subtreeFlags=0,f.memoizedProps=null,f.memoizedState=null,f.updateQueue=null,f.dependencies=null,f.stateNode=null):(f.childLanes=g.childLanes,f.lanes=g.lanes,f.child=g.child,f.subtreeFlags=0,f.deletions=null,f.memoizedProps=g.memoizedProps,f.memoizedState=g.memoizedState,
+f.updateQueue=g.updateQueue,f.type=g.type,a=g.dependencies,f.dependencies=null===a?null:{lanes:a.lanes,firstContext:a.firstContext}),c=c.sibling;y(F,F.current&1|2);return b.child}a=a.sibling}null!==f.tail&&P()>Hf&&(b.flags|=128,d=!0,Dc(f,!1),b.lanes=4194304)}else{if(!d)if(a=xd(g),null!==a){if(b.flags|=128,d=!0,c=a.updateQueue,null!==c&&(b.updateQueue=c,b.flags|=4),Dc(f,!0),null===f.tail&&"hidden"===f.tailMode&&!g.alternate&&!D)return W(b),null}else 2*P()-f.renderingStartTime>Hf&&1073741824!==c&&(b.flags|=
+128,d=!0,Dc(f,!1),b.lanes=4194304);f.isBackwards?(g.sibling=b.child,b.child=g):(c=f.last,null!==c?c.sibling=g:b.child=g,f.last=g)}if(null!==f.tail)return b=f.tail,f.rendering=b,f.tail=b.sibling,f.renderingStartTime=P(),b.sibling=null,c=F.current,y(F,d?c&1|2:c&1),b;W(b);return null;case 22:case 23:return ba=Ga.current,v(Ga),d=null!==b.memoizedState,null!==a&&null!==a.memoizedState!==d&&(b.flags|=8192),d&&0!==(b.mode&1)?0!==(ba&1073741824)&&(W(b),b.subtreeFlags&6&&(b.flags|=8192)):W(b),null;case 24:return null;
+case 25:return null}throw Error(m(156,b.tag));}function Bk(a,b,c){Ve(b);switch(b.tag){case 1:return ea(b.type)&&(v(S),v(J)),a=b.flags,a&65536?(b.flags=a&-65537|128,b):null;case 3:return Tb(),v(S),v(J),jf(),a=b.flags,0!==(a&65536)&&0===(a&128)?(b.flags=a&-65537|128,b):null;case 5:return hf(b),null;case 13:v(F);a=b.memoizedState;if(null!==a&&null!==a.dehydrated){if(null===b.alternate)throw Error(m(340));Qb()}a=b.flags;return a&65536?(b.flags=a&-65537|128,b):null;case 19:return v(F),null;case 4:return Tb(),
+null;case 10:return cf(b.type._context),null;case 22:case 23:return ba=Ga.current,v(Ga),null;case 24:return null;default:return null}}function Wb(a,b){var c=a.ref;if(null!==c)if("function"===typeof c)try{c(null)}catch(d){G(a,b,d)}else c.current=null}function If(a,b,c){try{c()}catch(d){G(a,b,d)}}function Ck(a,b){Jf=Zc;a=ch();if(Ie(a)){if("selectionStart"in a)var c={start:a.selectionStart,end:a.selectionEnd};else a:{c=(c=a.ownerDocument)&&c.defaultView||window;var d=c.getSelection&&c.getSelection();
+if(d&&0!==d.rangeCount){c=d.anchorNode;var e=d.anchorOffset,f=d.focusNode;d=d.focusOffset;try{c.nodeType,f.nodeType}catch(M){c=null;break a}var g=0,h=-1,k=-1,n=0,q=0,u=a,r=null;b:for(;;){for(var p;;){u!==c||0!==e&&3!==u.nodeType||(h=g+e);u!==f||0!==d&&3!==u.nodeType||(k=g+d);3===u.nodeType&&(g+=u.nodeValue.length);if(null===(p=u.firstChild))break;r=u;u=p}for(;;){if(u===a)break b;r===c&&++n===e&&(h=g);r===f&&++q===d&&(k=g);if(null!==(p=u.nextSibling))break;u=r;r=u.parentNode}u=p}c=-1===h||-1===k?null:
+{start:h,end:k}}else c=null}c=c||{start:0,end:0}}else c=null;Kf={focusedElem:a,selectionRange:c};Zc=!1;for(l=b;null!==l;)if(b=l,a=b.child,0!==(b.subtreeFlags&1028)&&null!==a)a.return=b,l=a;else for(;null!==l;){b=l;try{var x=b.alternate;if(0!==(b.flags&1024))switch(b.tag){case 0:case 11:case 15:break;case 1:if(null!==x){var v=x.memoizedProps,z=x.memoizedState,w=b.stateNode,A=w.getSnapshotBeforeUpdate(b.elementType===b.type?v:ya(b.type,v),z);w.__reactInternalSnapshotBeforeUpdate=A}break;case 3:var t=
+b.stateNode.containerInfo;1===t.nodeType?t.textContent="":9===t.nodeType&&t.documentElement&&t.removeChild(t.documentElement);break;case 5:case 6:case 4:case 17:break;default:throw Error(m(163));}}catch(M){G(b,b.return,M)}a=b.sibling;if(null!==a){a.return=b.return;l=a;break}l=b.return}x=zi;zi=!1;return x}function Gc(a,b,c){var d=b.updateQueue;d=null!==d?d.lastEffect:null;if(null!==d){var e=d=d.next;do{if((e.tag&a)===a){var f=e.destroy;e.destroy=void 0;void 0!==f&&If(b,c,f)}e=e.next}while(e!==d)}}
+function Id(a,b){b=b.updateQueue;b=null!==b?b.lastEffect:null;if(null!==b){var c=b=b.next;do{if((c.tag&a)===a){var d=c.create;c.destroy=d()}c=c.next}while(c!==b)}}function Lf(a){var b=a.ref;if(null!==b){var c=a.stateNode;switch(a.tag){case 5:a=c;break;default:a=c}"function"===typeof b?b(a):b.current=a}}function Ai(a){var b=a.alternate;null!==b&&(a.alternate=null,Ai(b));a.child=null;a.deletions=null;a.sibling=null;5===a.tag&&(b=a.stateNode,null!==b&&(delete b[Da],delete b[uc],delete b[Me],delete b[Dk],
+delete b[Ek]));a.stateNode=null;a.return=null;a.dependencies=null;a.memoizedProps=null;a.memoizedState=null;a.pendingProps=null;a.stateNode=null;a.updateQueue=null}function Bi(a){return 5===a.tag||3===a.tag||4===a.tag}function Ci(a){a:for(;;){for(;null===a.sibling;){if(null===a.return||Bi(a.return))return null;a=a.return}a.sibling.return=a.return;for(a=a.sibling;5!==a.tag&&6!==a.tag&&18!==a.tag;){if(a.flags&2)continue a;if(null===a.child||4===a.tag)continue a;else a.child.return=a,a=a.child}if(!(a.flags&
+2))return a.stateNode}}function Mf(a,b,c){var d=a.tag;if(5===d||6===d)a=a.stateNode,b?8===c.nodeType?c.parentNode.insertBefore(a,b):c.insertBefore(a,b):(8===c.nodeType?(b=c.parentNode,b.insertBefore(a,c)):(b=c,b.appendChild(a)),c=c._reactRootContainer,null!==c&&void 0!==c||null!==b.onclick||(b.onclick=kd));else if(4!==d&&(a=a.child,null!==a))for(Mf(a,b,c),a=a.sibling;null!==a;)Mf(a,b,c),a=a.sibling}function Nf(a,b,c){var d=a.tag;if(5===d||6===d)a=a.stateNode,b?c.insertBefore(a,b):c.appendChild(a);
+else if(4!==d&&(a=a.child,null!==a))for(Nf(a,b,c),a=a.sibling;null!==a;)Nf(a,b,c),a=a.sibling}function jb(a,b,c){for(c=c.child;null!==c;)Di(a,b,c),c=c.sibling}function Di(a,b,c){if(Ca&&"function"===typeof Ca.onCommitFiberUnmount)try{Ca.onCommitFiberUnmount(Uc,c)}catch(h){}switch(c.tag){case 5:X||Wb(c,b);case 6:var d=T,e=za;T=null;jb(a,b,c);T=d;za=e;null!==T&&(za?(a=T,c=c.stateNode,8===a.nodeType?a.parentNode.removeChild(c):a.removeChild(c)):T.removeChild(c.stateNode));break;case 18:null!==T&&(za?
+(a=T,c=c.stateNode,8===a.nodeType?Re(a.parentNode,c):1===a.nodeType&&Re(a,c),nc(a)):Re(T,c.stateNode));break;case 4:d=T;e=za;T=c.stateNode.containerInfo;za=!0;jb(a,b,c);T=d;za=e;break;case 0:case 11:case 14:case 15:if(!X&&(d=c.updateQueue,null!==d&&(d=d.lastEffect,null!==d))){e=d=d.next;do{var f=e,g=f.destroy;f=f.tag;void 0!==g&&(0!==(f&2)?If(c,b,g):0!==(f&4)&&If(c,b,g));e=e.next}while(e!==d)}jb(a,b,c);break;case 1:if(!X&&(Wb(c,b),d=c.stateNode,"function"===typeof d.componentWillUnmount))try{d.props=
+c.memoizedProps,d.state=c.memoizedState,d.componentWillUnmount()}catch(h){G(c,b,h)}jb(a,b,c);break;case 21:jb(a,b,c);break;case 22:c.mode&1?(X=(d=X)||null!==c.memoizedState,jb(a,b,c),X=d):jb(a,b,c);break;default:jb(a,b,c)}}function Ei(a){var b=a.updateQueue;if(null!==b){a.updateQueue=null;var c=a.stateNode;null===c&&(c=a.stateNode=new Fk);b.forEach(function(b){var d=Gk.bind(null,a,b);c.has(b)||(c.add(b),b.then(d,d))})}}function Aa(a,b,c){c=b.deletions;if(null!==c)for(var d=0;d<c.length;d++){var e=
+c[d];try{var f=a,g=b,h=g;a:for(;null!==h;){switch(h.tag){case 5:T=h.stateNode;za=!1;break a;case 3:T=h.stateNode.containerInfo;za=!0;break a;case 4:T=h.stateNode.containerInfo;za=!0;break a}h=h.return}if(null===T)throw Error(m(160));Di(f,g,e);T=null;za=!1;var k=e.alternate;null!==k&&(k.return=null);e.return=null}catch(n){G(e,b,n)}}if(b.subtreeFlags&12854)for(b=b.child;null!==b;)Fi(b,a),b=b.sibling}function Fi(a,b,c){var d=a.alternate;c=a.flags;switch(a.tag){case 0:case 11:case 14:case 15:Aa(b,a);
+Ha(a);if(c&4){try{Gc(3,a,a.return),Id(3,a)}catch(I){G(a,a.return,I)}try{Gc(5,a,a.return)}catch(I){G(a,a.return,I)}}break;case 1:Aa(b,a);Ha(a);c&512&&null!==d&&Wb(d,d.return);break;case 5:Aa(b,a);Ha(a);c&512&&null!==d&&Wb(d,d.return);if(a.flags&32){var e=a.stateNode;try{Fc(e,"")}catch(I){G(a,a.return,I)}}if(c&4&&(e=a.stateNode,null!=e)){var f=a.memoizedProps,g=null!==d?d.memoizedProps:f,h=a.type,k=a.updateQueue;a.updateQueue=null;if(null!==k)try{"input"===h&&"radio"===f.type&&null!=f.name&&lg(e,f);
+qe(h,g);var n=qe(h,f);for(g=0;g<k.length;g+=2){var q=k[g],u=k[g+1];"style"===q?sg(e,u):"dangerouslySetInnerHTML"===q?yi(e,u):"children"===q?Fc(e,u):$d(e,q,u,n)}switch(h){case "input":le(e,f);break;case "textarea":og(e,f);break;case "select":var r=e._wrapperState.wasMultiple;e._wrapperState.wasMultiple=!!f.multiple;var p=f.value;null!=p?Db(e,!!f.multiple,p,!1):r!==!!f.multiple&&(null!=f.defaultValue?Db(e,!!f.multiple,f.defaultValue,!0):Db(e,!!f.multiple,f.multiple?[]:"",!1))}e[uc]=f}catch(I){G(a,a.return,
+I)}}break;case 6:Aa(b,a);Ha(a);if(c&4){if(null===a.stateNode)throw Error(m(162));e=a.stateNode;f=a.memoizedProps;try{e.nodeValue=f}catch(I){G(a,a.return,I)}}break;case 3:Aa(b,a);Ha(a);if(c&4&&null!==d&&d.memoizedState.isDehydrated)try{nc(b.containerInfo)}catch(I){G(a,a.return,I)}break;case 4:Aa(b,a);Ha(a);break;case 13:Aa(b,a);Ha(a);e=a.child;e.flags&8192&&(f=null!==e.memoizedState,e.stateNode.isHidden=f,!f||null!==e.alternate&&null!==e.alternate.memoizedState||(Of=P()));c&4&&Ei(a);break;case 22:q=
+null!==d&&null!==d.memoizedState;a.mode&1?(X=(n=X)||q,Aa(b,a),X=n):Aa(b,a);Ha(a);if(c&8192){n=null!==a.memoizedState;if((a.stateNode.isHidden=n)&&!q&&0!==(a.mode&1))for(l=a,q=a.child;null!==q;){for(u=l=q;null!==l;){r=l;p=r.child;switch(r.tag){case 0:case 11:case 14:case 15:Gc(4,r,r.return);break;case 1:Wb(r,r.return);var x=r.stateNode;if("function"===typeof x.componentWillUnmount){c=r;b=r.return;try{d=c,x.props=d.memoizedProps,x.state=d.memoizedState,x.componentWillUnmount()}catch(I){G(c,b,I)}}break;
+case 5:Wb(r,r.return);break;case 22:if(null!==r.memoizedState){Gi(u);continue}}null!==p?(p.return=r,l=p):Gi(u)}q=q.sibling}a:for(q=null,u=a;;){if(5===u.tag){if(null===q){q=u;try{e=u.stateNode,n?(f=e.style,"function"===typeof f.setProperty?f.setProperty("display","none","important"):f.display="none"):(h=u.stateNode,k=u.memoizedProps.style,g=void 0!==k&&null!==k&&k.hasOwnProperty("display")?k.display:null,h.style.display=rg("display",g))}catch(I){G(a,a.return,I)}}}else if(6===u.tag){if(null===q)try{u.stateNode.nodeValue=
+n?"":u.memoizedProps}catch(I){G(a,a.return,I)}}else if((22!==u.tag&&23!==u.tag||null===u.memoizedState||u===a)&&null!==u.child){u.child.return=u;u=u.child;continue}if(u===a)break a;for(;null===u.sibling;){if(null===u.return||u.return===a)break a;q===u&&(q=null);u=u.return}q===u&&(q=null);u.sibling.return=u.return;u=u.sibling}}break;case 19:Aa(b,a);Ha(a);c&4&&Ei(a);break;case 21:break;default:Aa(b,a),Ha(a)}}function Ha(a){var b=a.flags;if(b&2){try{a:{for(var c=a.return;null!==c;){if(Bi(c)){var d=c;
+break a}c=c.return}throw Error(m(160));}switch(d.tag){case 5:var e=d.stateNode;d.flags&32&&(Fc(e,""),d.flags&=-33);var f=Ci(a);Nf(a,f,e);break;case 3:case 4:var g=d.stateNode.containerInfo,h=Ci(a);Mf(a,h,g);break;default:throw Error(m(161));}}catch(k){G(a,a.return,k)}a.flags&=-3}b&4096&&(a.flags&=-4097)}function Hk(a,b,c){l=a;Hi(a,b,c)}function Hi(a,b,c){for(var d=0!==(a.mode&1);null!==l;){var e=l,f=e.child;if(22===e.tag&&d){var g=null!==e.memoizedState||Jd;if(!g){var h=e.alternate,k=null!==h&&null!==
+h.memoizedState||X;h=Jd;var n=X;Jd=g;if((X=k)&&!n)for(l=e;null!==l;)g=l,k=g.child,22===g.tag&&null!==g.memoizedState?Ii(e):null!==k?(k.return=g,l=k):Ii(e);for(;null!==f;)l=f,Hi(f,b,c),f=f.sibling;l=e;Jd=h;X=n}Ji(a,b,c)}else 0!==(e.subtreeFlags&8772)&&null!==f?(f.return=e,l=f):Ji(a,b,c)}}function Ji(a,b,c){for(;null!==l;){b=l;if(0!==(b.flags&8772)){c=b.alternate;try{if(0!==(b.flags&8772))switch(b.tag){case 0:case 11:case 15:X||Id(5,b);break;case 1:var d=b.stateNode;if(b.flags&4&&!X)if(null===c)d.componentDidMount();
+else{var e=b.elementType===b.type?c.memoizedProps:ya(b.type,c.memoizedProps);d.componentDidUpdate(e,c.memoizedState,d.__reactInternalSnapshotBeforeUpdate)}var f=b.updateQueue;null!==f&&Hh(b,f,d);break;case 3:var g=b.updateQueue;if(null!==g){c=null;if(null!==b.child)switch(b.child.tag){case 5:c=b.child.stateNode;break;case 1:c=b.child.stateNode}Hh(b,g,c)}break;case 5:var h=b.stateNode;if(null===c&&b.flags&4){c=h;var k=b.memoizedProps;switch(b.type){case "button":case "input":case "select":case "textarea":k.autoFocus&&
+c.focus();break;case "img":k.src&&(c.src=k.src)}}break;case 6:break;case 4:break;case 12:break;case 13:if(null===b.memoizedState){var n=b.alternate;if(null!==n){var q=n.memoizedState;if(null!==q){var p=q.dehydrated;null!==p&&nc(p)}}}break;case 19:case 17:case 21:case 22:case 23:case 25:break;default:throw Error(m(163));}X||b.flags&512&&Lf(b)}catch(r){G(b,b.return,r)}}if(b===a){l=null;break}c=b.sibling;if(null!==c){c.return=b.return;l=c;break}l=b.return}}function Gi(a){for(;null!==l;){var b=l;if(b===
+a){l=null;break}var c=b.sibling;if(null!==c){c.return=b.return;l=c;break}l=b.return}}function Ii(a){for(;null!==l;){var b=l;try{switch(b.tag){case 0:case 11:case 15:var c=b.return;try{Id(4,b)}catch(k){G(b,c,k)}break;case 1:var d=b.stateNode;if("function"===typeof d.componentDidMount){var e=b.return;try{d.componentDidMount()}catch(k){G(b,e,k)}}var f=b.return;try{Lf(b)}catch(k){G(b,f,k)}break;case 5:var g=b.return;try{Lf(b)}catch(k){G(b,g,k)}}}catch(k){G(b,b.return,k)}if(b===a){l=null;break}var h=b.sibling;
+if(null!==h){h.return=b.return;l=h;break}l=b.return}}function Hc(){Hf=P()+500}function Z(){return 0!==(p&6)?P():-1!==Kd?Kd:Kd=P()}function hb(a){if(0===(a.mode&1))return 1;if(0!==(p&2)&&0!==U)return U&-U;if(null!==Ik.transition)return 0===Ld&&(Ld=Dg()),Ld;a=z;if(0!==a)return a;a=window.event;a=void 0===a?16:Lg(a.type);return a}function xa(a,b,c,d){if(50<Ic)throw Ic=0,Pf=null,Error(m(185));ic(a,c,d);if(0===(p&2)||a!==O)a===O&&(0===(p&2)&&(Md|=c),4===L&&kb(a,U)),ia(a,d),1===c&&0===p&&0===(b.mode&1)&&
+(Hc(),md&&db())}function ia(a,b){var c=a.callbackNode;tj(a,b);var d=Vc(a,a===O?U:0);if(0===d)null!==c&&Ki(c),a.callbackNode=null,a.callbackPriority=0;else if(b=d&-d,a.callbackPriority!==b){null!=c&&Ki(c);if(1===b)0===a.tag?jk(Li.bind(null,a)):wh(Li.bind(null,a)),Jk(function(){0===(p&6)&&db()}),c=null;else{switch(Eg(d)){case 1:c=De;break;case 4:c=Mg;break;case 16:c=ad;break;case 536870912:c=Ng;break;default:c=ad}c=Mi(c,Ni.bind(null,a))}a.callbackPriority=b;a.callbackNode=c}}function Ni(a,b){Kd=-1;
+Ld=0;if(0!==(p&6))throw Error(m(327));var c=a.callbackNode;if(Xb()&&a.callbackNode!==c)return null;var d=Vc(a,a===O?U:0);if(0===d)return null;if(0!==(d&30)||0!==(d&a.expiredLanes)||b)b=Nd(a,d);else{b=d;var e=p;p|=2;var f=Oi();if(O!==a||U!==b)Ra=null,Hc(),wb(a,b);do try{Kk();break}catch(h){Pi(a,h)}while(1);af();Od.current=f;p=e;null!==H?b=0:(O=null,U=0,b=L)}if(0!==b){2===b&&(e=ve(a),0!==e&&(d=e,b=Qf(a,e)));if(1===b)throw c=Jc,wb(a,0),kb(a,d),ia(a,P()),c;if(6===b)kb(a,d);else{e=a.current.alternate;
+if(0===(d&30)&&!Lk(e)&&(b=Nd(a,d),2===b&&(f=ve(a),0!==f&&(d=f,b=Qf(a,f))),1===b))throw c=Jc,wb(a,0),kb(a,d),ia(a,P()),c;a.finishedWork=e;a.finishedLanes=d;switch(b){case 0:case 1:throw Error(m(345));case 2:xb(a,ja,Ra);break;case 3:kb(a,d);if((d&130023424)===d&&(b=Of+500-P(),10<b)){if(0!==Vc(a,0))break;e=a.suspendedLanes;if((e&d)!==d){Z();a.pingedLanes|=a.suspendedLanes&e;break}a.timeoutHandle=Rf(xb.bind(null,a,ja,Ra),b);break}xb(a,ja,Ra);break;case 4:kb(a,d);if((d&4194240)===d)break;b=a.eventTimes;
+for(e=-1;0<d;){var g=31-ta(d);f=1<<g;g=b[g];g>e&&(e=g);d&=~f}d=e;d=P()-d;d=(120>d?120:480>d?480:1080>d?1080:1920>d?1920:3E3>d?3E3:4320>d?4320:1960*Mk(d/1960))-d;if(10<d){a.timeoutHandle=Rf(xb.bind(null,a,ja,Ra),d);break}xb(a,ja,Ra);break;case 5:xb(a,ja,Ra);break;default:throw Error(m(329));}}}ia(a,P());return a.callbackNode===c?Ni.bind(null,a):null}function Qf(a,b){var c=Kc;a.current.memoizedState.isDehydrated&&(wb(a,b).flags|=256);a=Nd(a,b);2!==a&&(b=ja,ja=c,null!==b&&Gf(b));return a}function Gf(a){null===
+ja?ja=a:ja.push.apply(ja,a)}function Lk(a){for(var b=a;;){if(b.flags&16384){var c=b.updateQueue;if(null!==c&&(c=c.stores,null!==c))for(var d=0;d<c.length;d++){var e=c[d],f=e.getSnapshot;e=e.value;try{if(!ua(f(),e))return!1}catch(g){return!1}}}c=b.child;if(b.subtreeFlags&16384&&null!==c)c.return=b,b=c;else{if(b===a)break;for(;null===b.sibling;){if(null===b.return||b.return===a)return!0;b=b.return}b.sibling.return=b.return;b=b.sibling}}return!0}function kb(a,b){b&=~Sf;b&=~Md;a.suspendedLanes|=b;a.pingedLanes&=
+~b;for(a=a.expirationTimes;0<b;){var c=31-ta(b),d=1<<c;a[c]=-1;b&=~d}}function Li(a){if(0!==(p&6))throw Error(m(327));Xb();var b=Vc(a,0);if(0===(b&1))return ia(a,P()),null;var c=Nd(a,b);if(0!==a.tag&&2===c){var d=ve(a);0!==d&&(b=d,c=Qf(a,d))}if(1===c)throw c=Jc,wb(a,0),kb(a,b),ia(a,P()),c;if(6===c)throw Error(m(345));a.finishedWork=a.current.alternate;a.finishedLanes=b;xb(a,ja,Ra);ia(a,P());return null}function Tf(a,b){var c=p;p|=1;try{return a(b)}finally{p=c,0===p&&(Hc(),md&&db())}}function yb(a){null!==
+lb&&0===lb.tag&&0===(p&6)&&Xb();var b=p;p|=1;var c=ca.transition,d=z;try{if(ca.transition=null,z=1,a)return a()}finally{z=d,ca.transition=c,p=b,0===(p&6)&&db()}}function wb(a,b){a.finishedWork=null;a.finishedLanes=0;var c=a.timeoutHandle;-1!==c&&(a.timeoutHandle=-1,Nk(c));if(null!==H)for(c=H.return;null!==c;){var d=c;Ve(d);switch(d.tag){case 1:d=d.type.childContextTypes;null!==d&&void 0!==d&&(v(S),v(J));break;case 3:Tb();v(S);v(J);jf();break;case 5:hf(d);break;case 4:Tb();break;case 13:v(F);break;
+case 19:v(F);break;case 10:cf(d.type._context);break;case 22:case 23:ba=Ga.current,v(Ga)}c=c.return}O=a;H=a=eb(a.current,null);U=ba=b;L=0;Jc=null;Sf=Md=ra=0;ja=Kc=null;if(null!==tb){for(b=0;b<tb.length;b++)if(c=tb[b],d=c.interleaved,null!==d){c.interleaved=null;var e=d.next,f=c.pending;if(null!==f){var g=f.next;f.next=e;d.next=g}c.pending=d}tb=null}return a}function Pi(a,b){do{var c=H;try{af();yd.current=zd;if(Ad){for(var d=C.memoizedState;null!==d;){var e=d.queue;null!==e&&(e.pending=null);d=d.next}Ad=
+!1}vb=0;N=K=C=null;zc=!1;Ac=0;Uf.current=null;if(null===c||null===c.return){L=1;Jc=b;H=null;break}a:{var f=a,g=c.return,h=c,k=b;b=U;h.flags|=32768;if(null!==k&&"object"===typeof k&&"function"===typeof k.then){var n=k,l=h,p=l.tag;if(0===(l.mode&1)&&(0===p||11===p||15===p)){var r=l.alternate;r?(l.updateQueue=r.updateQueue,l.memoizedState=r.memoizedState,l.lanes=r.lanes):(l.updateQueue=null,l.memoizedState=null)}var v=ji(g);if(null!==v){v.flags&=-257;ki(v,g,h,f,b);v.mode&1&&ii(f,n,b);b=v;k=n;var x=b.updateQueue;
+if(null===x){var z=new Set;z.add(k);b.updateQueue=z}else x.add(k);break a}else{if(0===(b&1)){ii(f,n,b);Ef();break a}k=Error(m(426))}}else if(D&&h.mode&1){var y=ji(g);if(null!==y){0===(y.flags&65536)&&(y.flags|=256);ki(y,g,h,f,b);Ye(Ub(k,h));break a}}f=k=Ub(k,h);4!==L&&(L=2);null===Kc?Kc=[f]:Kc.push(f);f=g;do{switch(f.tag){case 3:f.flags|=65536;b&=-b;f.lanes|=b;var w=gi(f,k,b);Gh(f,w);break a;case 1:h=k;var A=f.type,t=f.stateNode;if(0===(f.flags&128)&&("function"===typeof A.getDerivedStateFromError||
+null!==t&&"function"===typeof t.componentDidCatch&&(null===ib||!ib.has(t)))){f.flags|=65536;b&=-b;f.lanes|=b;var B=hi(f,h,b);Gh(f,B);break a}}f=f.return}while(null!==f)}Qi(c)}catch(ma){b=ma;H===c&&null!==c&&(H=c=c.return);continue}break}while(1)}function Oi(){var a=Od.current;Od.current=zd;return null===a?zd:a}function Ef(){if(0===L||3===L||2===L)L=4;null===O||0===(ra&268435455)&&0===(Md&268435455)||kb(O,U)}function Nd(a,b){var c=p;p|=2;var d=Oi();if(O!==a||U!==b)Ra=null,wb(a,b);do try{Ok();break}catch(e){Pi(a,
+e)}while(1);af();p=c;Od.current=d;if(null!==H)throw Error(m(261));O=null;U=0;return L}function Ok(){for(;null!==H;)Ri(H)}function Kk(){for(;null!==H&&!Pk();)Ri(H)}function Ri(a){var b=Qk(a.alternate,a,ba);a.memoizedProps=a.pendingProps;null===b?Qi(a):H=b;Uf.current=null}function Qi(a){var b=a;do{var c=b.alternate;a=b.return;if(0===(b.flags&32768)){if(c=xk(c,b,ba),null!==c){H=c;return}}else{c=Bk(c,b);if(null!==c){c.flags&=32767;H=c;return}if(null!==a)a.flags|=32768,a.subtreeFlags=0,a.deletions=null;
+else{L=6;H=null;return}}b=b.sibling;if(null!==b){H=b;return}H=b=a}while(null!==b);0===L&&(L=5)}function xb(a,b,c){var d=z,e=ca.transition;try{ca.transition=null,z=1,Rk(a,b,c,d)}finally{ca.transition=e,z=d}return null}function Rk(a,b,c,d){do Xb();while(null!==lb);if(0!==(p&6))throw Error(m(327));c=a.finishedWork;var e=a.finishedLanes;if(null===c)return null;a.finishedWork=null;a.finishedLanes=0;if(c===a.current)throw Error(m(177));a.callbackNode=null;a.callbackPriority=0;var f=c.lanes|c.childLanes;
+uj(a,f);a===O&&(H=O=null,U=0);0===(c.subtreeFlags&2064)&&0===(c.flags&2064)||Pd||(Pd=!0,Mi(ad,function(){Xb();return null}));f=0!==(c.flags&15990);if(0!==(c.subtreeFlags&15990)||f){f=ca.transition;ca.transition=null;var g=z;z=1;var h=p;p|=4;Uf.current=null;Ck(a,c);Fi(c,a);Tj(Kf);Zc=!!Jf;Kf=Jf=null;a.current=c;Hk(c,a,e);Sk();p=h;z=g;ca.transition=f}else a.current=c;Pd&&(Pd=!1,lb=a,Qd=e);f=a.pendingLanes;0===f&&(ib=null);oj(c.stateNode,d);ia(a,P());if(null!==b)for(d=a.onRecoverableError,c=0;c<b.length;c++)e=
+b[c],d(e.value,{componentStack:e.stack,digest:e.digest});if(Ed)throw Ed=!1,a=xf,xf=null,a;0!==(Qd&1)&&0!==a.tag&&Xb();f=a.pendingLanes;0!==(f&1)?a===Pf?Ic++:(Ic=0,Pf=a):Ic=0;db();return null}function Xb(){if(null!==lb){var a=Eg(Qd),b=ca.transition,c=z;try{ca.transition=null;z=16>a?16:a;if(null===lb)var d=!1;else{a=lb;lb=null;Qd=0;if(0!==(p&6))throw Error(m(331));var e=p;p|=4;for(l=a.current;null!==l;){var f=l,g=f.child;if(0!==(l.flags&16)){var h=f.deletions;if(null!==h){for(var k=0;k<h.length;k++){var n=
+h[k];for(l=n;null!==l;){var q=l;switch(q.tag){case 0:case 11:case 15:Gc(8,q,f)}var u=q.child;if(null!==u)u.return=q,l=u;else for(;null!==l;){q=l;var r=q.sibling,v=q.return;Ai(q);if(q===n){l=null;break}if(null!==r){r.return=v;l=r;break}l=v}}}var x=f.alternate;if(null!==x){var y=x.child;if(null!==y){x.child=null;do{var C=y.sibling;y.sibling=null;y=C}while(null!==y)}}l=f}}if(0!==(f.subtreeFlags&2064)&&null!==g)g.return=f,l=g;else b:for(;null!==l;){f=l;if(0!==(f.flags&2048))switch(f.tag){case 0:case 11:case 15:Gc(9,
+f,f.return)}var w=f.sibling;if(null!==w){w.return=f.return;l=w;break b}l=f.return}}var A=a.current;for(l=A;null!==l;){g=l;var t=g.child;if(0!==(g.subtreeFlags&2064)&&null!==t)t.return=g,l=t;else b:for(g=A;null!==l;){h=l;if(0!==(h.flags&2048))try{switch(h.tag){case 0:case 11:case 15:Id(9,h)}}catch(ma){G(h,h.return,ma)}if(h===g){l=null;break b}var B=h.sibling;if(null!==B){B.return=h.return;l=B;break b}l=h.return}}p=e;db();if(Ca&&"function"===typeof Ca.onPostCommitFiberRoot)try{Ca.onPostCommitFiberRoot(Uc,
+a)}catch(ma){}d=!0}return d}finally{z=c,ca.transition=b}}return!1}function Si(a,b,c){b=Ub(c,b);b=gi(a,b,1);a=fb(a,b,1);b=Z();null!==a&&(ic(a,1,b),ia(a,b))}function G(a,b,c){if(3===a.tag)Si(a,a,c);else for(;null!==b;){if(3===b.tag){Si(b,a,c);break}else if(1===b.tag){var d=b.stateNode;if("function"===typeof b.type.getDerivedStateFromError||"function"===typeof d.componentDidCatch&&(null===ib||!ib.has(d))){a=Ub(c,a);a=hi(b,a,1);b=fb(b,a,1);a=Z();null!==b&&(ic(b,1,a),ia(b,a));break}}b=b.return}}function sk(a,
+b,c){var d=a.pingCache;null!==d&&d.delete(b);b=Z();a.pingedLanes|=a.suspendedLanes&c;O===a&&(U&c)===c&&(4===L||3===L&&(U&130023424)===U&&500>P()-Of?wb(a,0):Sf|=c);ia(a,b)}function Ti(a,b){0===b&&(0===(a.mode&1)?b=1:(b=Rd,Rd<<=1,0===(Rd&130023424)&&(Rd=4194304)));var c=Z();a=Oa(a,b);null!==a&&(ic(a,b,c),ia(a,c))}function vk(a){var b=a.memoizedState,c=0;null!==b&&(c=b.retryLane);Ti(a,c)}function Gk(a,b){var c=0;switch(a.tag){case 13:var d=a.stateNode;var e=a.memoizedState;null!==e&&(c=e.retryLane);
+break;case 19:d=a.stateNode;break;default:throw Error(m(314));}null!==d&&d.delete(b);Ti(a,c)}function Mi(a,b){return xh(a,b)}function Tk(a,b,c,d){this.tag=a;this.key=c;this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null;this.index=0;this.ref=null;this.pendingProps=b;this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null;this.mode=d;this.subtreeFlags=this.flags=0;this.deletions=null;this.childLanes=this.lanes=0;this.alternate=null}function yf(a){a=
+a.prototype;return!(!a||!a.isReactComponent)}function Uk(a){if("function"===typeof a)return yf(a)?1:0;if(void 0!==a&&null!==a){a=a.$$typeof;if(a===ie)return 11;if(a===je)return 14}return 2}function eb(a,b){var c=a.alternate;null===c?(c=pa(a.tag,b,a.key,a.mode),c.elementType=a.elementType,c.type=a.type,c.stateNode=a.stateNode,c.alternate=a,a.alternate=c):(c.pendingProps=b,c.type=a.type,c.flags=0,c.subtreeFlags=0,c.deletions=null);c.flags=a.flags&14680064;c.childLanes=a.childLanes;c.lanes=a.lanes;c.child=
+a.child;c.memoizedProps=a.memoizedProps;c.memoizedState=a.memoizedState;c.updateQueue=a.updateQueue;b=a.dependencies;c.dependencies=null===b?null:{lanes:b.lanes,firstContext:b.firstContext};c.sibling=a.sibling;c.index=a.index;c.ref=a.ref;return c}function rd(a,b,c,d,e,f){var g=2;d=a;if("function"===typeof a)yf(a)&&(g=1);else if("string"===typeof a)g=5;else a:switch(a){case Bb:return sb(c.children,e,f,b);case fe:g=8;e|=8;break;case ee:return a=pa(12,c,b,e|2),a.elementType=ee,a.lanes=f,a;case ge:return a=
+pa(13,c,b,e),a.elementType=ge,a.lanes=f,a;case he:return a=pa(19,c,b,e),a.elementType=he,a.lanes=f,a;case Ui:return Gd(c,e,f,b);default:if("object"===typeof a&&null!==a)switch(a.$$typeof){case hg:g=10;break a;case gg:g=9;break a;case ie:g=11;break a;case je:g=14;break a;case Ta:g=16;d=null;break a}throw Error(m(130,null==a?a:typeof a,""));}b=pa(g,c,b,e);b.elementType=a;b.type=d;b.lanes=f;return b}function sb(a,b,c,d){a=pa(7,a,d,b);a.lanes=c;return a}function Gd(a,b,c,d){a=pa(22,a,d,b);a.elementType=
+Ui;a.lanes=c;a.stateNode={isHidden:!1};return a}function Ze(a,b,c){a=pa(6,a,null,b);a.lanes=c;return a}function $e(a,b,c){b=pa(4,null!==a.children?a.children:[],a.key,b);b.lanes=c;b.stateNode={containerInfo:a.containerInfo,pendingChildren:null,implementation:a.implementation};return b}function Vk(a,b,c,d,e){this.tag=b;this.containerInfo=a;this.finishedWork=this.pingCache=this.current=this.pendingChildren=null;this.timeoutHandle=-1;this.callbackNode=this.pendingContext=this.context=null;this.callbackPriority=
+0;this.eventTimes=we(0);this.expirationTimes=we(-1);this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0;this.entanglements=we(0);this.identifierPrefix=d;this.onRecoverableError=e;this.mutableSourceEagerHydrationData=null}function Vf(a,b,c,d,e,f,g,h,k,l){a=new Vk(a,b,c,h,k);1===b?(b=1,!0===f&&(b|=8)):b=0;f=pa(3,null,null,b);a.current=f;f.stateNode=a;f.memoizedState={element:d,isDehydrated:c,cache:null,transitions:null,
+pendingSuspenseBoundaries:null};ff(f);return a}function Wk(a,b,c){var d=3<arguments.length&&void 0!==arguments[3]?arguments[3]:null;return{$$typeof:Cb,key:null==d?null:""+d,children:a,containerInfo:b,implementation:c}}function Vi(a){if(!a)return cb;a=a._reactInternals;a:{if(nb(a)!==a||1!==a.tag)throw Error(m(170));var b=a;do{switch(b.tag){case 3:b=b.stateNode.context;break a;case 1:if(ea(b.type)){b=b.stateNode.__reactInternalMemoizedMergedChildContext;break a}}b=b.return}while(null!==b);throw Error(m(171));
+}if(1===a.tag){var c=a.type;if(ea(c))return uh(a,c,b)}return b}function Wi(a,b,c,d,e,f,g,h,k,l){a=Vf(c,d,!0,a,e,f,g,h,k);a.context=Vi(null);c=a.current;d=Z();e=hb(c);f=Pa(d,e);f.callback=void 0!==b&&null!==b?b:null;fb(c,f,e);a.current.lanes=e;ic(a,e,d);ia(a,d);return a}function Sd(a,b,c,d){var e=b.current,f=Z(),g=hb(e);c=Vi(c);null===b.context?b.context=c:b.pendingContext=c;b=Pa(f,g);b.payload={element:a};d=void 0===d?null:d;null!==d&&(b.callback=d);a=fb(e,b,g);null!==a&&(xa(a,e,g,f),vd(a,e,g));return g}
+function Td(a){a=a.current;if(!a.child)return null;switch(a.child.tag){case 5:return a.child.stateNode;default:return a.child.stateNode}}function Xi(a,b){a=a.memoizedState;if(null!==a&&null!==a.dehydrated){var c=a.retryLane;a.retryLane=0!==c&&c<b?c:b}}function Wf(a,b){Xi(a,b);(a=a.alternate)&&Xi(a,b)}function Xk(a){a=Bg(a);return null===a?null:a.stateNode}function Yk(a){return null}function Xf(a){this._internalRoot=a}function Ud(a){this._internalRoot=a}function Yf(a){return!(!a||1!==a.nodeType&&9!==
+a.nodeType&&11!==a.nodeType)}function Vd(a){return!(!a||1!==a.nodeType&&9!==a.nodeType&&11!==a.nodeType&&(8!==a.nodeType||" react-mount-point-unstable "!==a.nodeValue))}function Yi(){}function Zk(a,b,c,d,e){if(e){if("function"===typeof d){var f=d;d=function(){var a=Td(g);f.call(a)}}var g=Wi(b,d,a,0,null,!1,!1,"",Yi);a._reactRootContainer=g;a[Ja]=g.current;sc(8===a.nodeType?a.parentNode:a);yb();return g}for(;e=a.lastChild;)a.removeChild(e);if("function"===typeof d){var h=d;d=function(){var a=Td(k);
+h.call(a)}}var k=Vf(a,0,!1,null,null,!1,!1,"",Yi);a._reactRootContainer=k;a[Ja]=k.current;sc(8===a.nodeType?a.parentNode:a);yb(function(){Sd(b,k,c,d)});return k}function Wd(a,b,c,d,e){var f=c._reactRootContainer;if(f){var g=f;if("function"===typeof e){var h=e;e=function(){var a=Td(g);h.call(a)}}Sd(b,g,a,e)}else g=Zk(c,b,a,e,d);return Td(g)}var cg=new Set,$b={},Ia=!("undefined"===typeof window||"undefined"===typeof window.document||"undefined"===typeof window.document.createElement),Zd=Object.prototype.hasOwnProperty,
+cj=/^[:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD][:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040]*$/,eg={},dg={},R={};"children dangerouslySetInnerHTML defaultValue defaultChecked innerHTML suppressContentEditableWarning suppressHydrationWarning style".split(" ").forEach(function(a){R[a]=
+new Y(a,0,!1,a,null,!1,!1)});[["acceptCharset","accept-charset"],["className","class"],["htmlFor","for"],["httpEquiv","http-equiv"]].forEach(function(a){var b=a[0];R[b]=new Y(b,1,!1,a[1],null,!1,!1)});["contentEditable","draggable","spellCheck","value"].forEach(function(a){R[a]=new Y(a,2,!1,a.toLowerCase(),null,!1,!1)});["autoReverse","externalResourcesRequired","focusable","preserveAlpha"].forEach(function(a){R[a]=new Y(a,2,!1,a,null,!1,!1)});"allowFullScreen async autoFocus autoPlay controls default defer disabled disablePictureInPicture disableRemotePlayback formNoValidate hidden loop noModule noValidate open playsInline readOnly required reversed scoped seamless itemScope".split(" ").forEach(function(a){R[a]=
+new Y(a,3,!1,a.toLowerCase(),null,!1,!1)});["checked","multiple","muted","selected"].forEach(function(a){R[a]=new Y(a,3,!0,a,null,!1,!1)});["capture","download"].forEach(function(a){R[a]=new Y(a,4,!1,a,null,!1,!1)});["cols","rows","size","span"].forEach(function(a){R[a]=new Y(a,6,!1,a,null,!1,!1)});["rowSpan","start"].forEach(function(a){R[a]=new Y(a,5,!1,a.toLowerCase(),null,!1,!1)});var Zf=/[\\-:]([a-z])/g,$f=function(a){return a[1].toUpperCase()};"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode xmlns:xlink x-height".split(" ").forEach(function(a){var b=
+a.replace(Zf,$f);R[b]=new Y(b,1,!1,a,null,!1,!1)});"xlink:actuate xlink:arcrole xlink:role xlink:show xlink:title xlink:type".split(" ").forEach(function(a){var b=a.replace(Zf,$f);R[b]=new Y(b,1,!1,a,"http://www.w3.org/1999/xlink",!1,!1)});["xml:base","xml:lang","xml:space"].forEach(function(a){var b=a.replace(Zf,$f);R[b]=new Y(b,1,!1,a,"http://www.w3.org/XML/1998/namespace",!1,!1)});["tabIndex","crossOrigin"].forEach(function(a){R[a]=new Y(a,1,!1,a.toLowerCase(),null,!1,!1)});R.xlinkHref=new Y("xlinkHref",
+1,!1,"xlink:href","http://www.w3.org/1999/xlink",!0,!1);["src","href","action","formAction"].forEach(function(a){R[a]=new Y(a,1,!1,a.toLowerCase(),null,!0,!0)});var Sa=zb.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,sd=Symbol.for("react.element"),Cb=Symbol.for("react.portal"),Bb=Symbol.for("react.fragment"),fe=Symbol.for("react.strict_mode"),ee=Symbol.for("react.profiler"),hg=Symbol.for("react.provider"),gg=Symbol.for("react.context"),ie=Symbol.for("react.forward_ref"),ge=Symbol.for("react.suspense"),
+he=Symbol.for("react.suspense_list"),je=Symbol.for("react.memo"),Ta=Symbol.for("react.lazy");Symbol.for("react.scope");Symbol.for("react.debug_trace_mode");var Ui=Symbol.for("react.offscreen");Symbol.for("react.legacy_hidden");Symbol.for("react.cache");Symbol.for("react.tracing_marker");var fg=Symbol.iterator,E=Object.assign,ae,ce=!1,cc=Array.isArray,Xd,yi=function(a){return"undefined"!==typeof MSApp&&MSApp.execUnsafeLocalFunction?function(b,c,d,e){MSApp.execUnsafeLocalFunction(function(){return a(b,
+c,d,e)})}:a}(function(a,b){if("http://www.w3.org/2000/svg"!==a.namespaceURI||"innerHTML"in a)a.innerHTML=b;else{Xd=Xd||document.createElement("div");Xd.innerHTML="<svg>"+b.valueOf().toString()+"</svg>";for(b=Xd.firstChild;a.firstChild;)a.removeChild(a.firstChild);for(;b.firstChild;)a.appendChild(b.firstChild)}}),Fc=function(a,b){if(b){var c=a.firstChild;if(c&&c===a.lastChild&&3===c.nodeType){c.nodeValue=b;return}}a.textContent=b},dc={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,
+borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,
+strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},$k=["Webkit","ms","Moz","O"];Object.keys(dc).forEach(function(a){$k.forEach(function(b){b=b+a.charAt(0).toUpperCase()+a.substring(1);dc[b]=dc[a]})});var ij=E({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0}),ze=null,se=null,Eb=null,Fb=null,xg=function(a,b){return a(b)},yg=function(){},te=!1,Oe=!1;if(Ia)try{var Lc={};Object.defineProperty(Lc,
+"passive",{get:function(){Oe=!0}});window.addEventListener("test",Lc,Lc);window.removeEventListener("test",Lc,Lc)}catch(a){Oe=!1}var kj=function(a,b,c,d,e,f,g,h,k){var l=Array.prototype.slice.call(arguments,3);try{b.apply(c,l)}catch(q){this.onError(q)}},gc=!1,Sc=null,Tc=!1,ue=null,lj={onError:function(a){gc=!0;Sc=a}},Ba=zb.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.Scheduler,Jg=Ba.unstable_scheduleCallback,Kg=Ba.unstable_NormalPriority,xh=Jg,Ki=Ba.unstable_cancelCallback,Pk=Ba.unstable_shouldYield,
+Sk=Ba.unstable_requestPaint,P=Ba.unstable_now,Dj=Ba.unstable_getCurrentPriorityLevel,De=Ba.unstable_ImmediatePriority,Mg=Ba.unstable_UserBlockingPriority,ad=Kg,Ej=Ba.unstable_LowPriority,Ng=Ba.unstable_IdlePriority,Uc=null,Ca=null,ta=Math.clz32?Math.clz32:pj,qj=Math.log,rj=Math.LN2,Wc=64,Rd=4194304,z=0,Ae=!1,Yc=[],Va=null,Wa=null,Xa=null,jc=new Map,kc=new Map,Ya=[],Bj="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" "),
+Gb=Sa.ReactCurrentBatchConfig,Zc=!0,$c=null,Za=null,Ee=null,bd=null,Yb={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(a){return a.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},He=ka(Yb),Mc=E({},Yb,{view:0,detail:0}),ak=ka(Mc),ag,bg,Nc,Yd=E({},Mc,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:Fe,button:0,buttons:0,relatedTarget:function(a){return void 0===a.relatedTarget?a.fromElement===a.srcElement?a.toElement:a.fromElement:
+a.relatedTarget},movementX:function(a){if("movementX"in a)return a.movementX;a!==Nc&&(Nc&&"mousemove"===a.type?(ag=a.screenX-Nc.screenX,bg=a.screenY-Nc.screenY):bg=ag=0,Nc=a);return ag},movementY:function(a){return"movementY"in a?a.movementY:bg}}),ih=ka(Yd),al=E({},Yd,{dataTransfer:0}),Wj=ka(al),bl=E({},Mc,{relatedTarget:0}),Pe=ka(bl),cl=E({},Yb,{animationName:0,elapsedTime:0,pseudoElement:0}),Yj=ka(cl),dl=E({},Yb,{clipboardData:function(a){return"clipboardData"in a?a.clipboardData:window.clipboardData}}),
+ck=ka(dl),el=E({},Yb,{data:0}),qh=ka(el),fk=qh,fl={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},gl={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",
+112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},Gj={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"},hl=E({},Mc,{key:function(a){if(a.key){var b=fl[a.key]||a.key;if("Unidentified"!==b)return b}return"keypress"===a.type?(a=cd(a),13===a?"Enter":String.fromCharCode(a)):"keydown"===a.type||"keyup"===a.type?gl[a.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,
+metaKey:0,repeat:0,locale:0,getModifierState:Fe,charCode:function(a){return"keypress"===a.type?cd(a):0},keyCode:function(a){return"keydown"===a.type||"keyup"===a.type?a.keyCode:0},which:function(a){return"keypress"===a.type?cd(a):"keydown"===a.type||"keyup"===a.type?a.keyCode:0}}),Vj=ka(hl),il=E({},Yd,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0}),nh=ka(il),jl=E({},Mc,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,
+ctrlKey:0,shiftKey:0,getModifierState:Fe}),Xj=ka(jl),kl=E({},Yb,{propertyName:0,elapsedTime:0,pseudoElement:0}),Zj=ka(kl),ll=E({},Yd,{deltaX:function(a){return"deltaX"in a?a.deltaX:"wheelDeltaX"in a?-a.wheelDeltaX:0},deltaY:function(a){return"deltaY"in a?a.deltaY:"wheelDeltaY"in a?-a.wheelDeltaY:"wheelDelta"in a?-a.wheelDelta:0},deltaZ:0,deltaMode:0}),bk=ka(ll),Hj=[9,13,27,32],Ge=Ia&&"CompositionEvent"in window,Oc=null;Ia&&"documentMode"in document&&(Oc=document.documentMode);var ek=Ia&&"TextEvent"in
+window&&!Oc,Ug=Ia&&(!Ge||Oc&&8<Oc&&11>=Oc),Tg=String.fromCharCode(32),Sg=!1,Hb=!1,Kj={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0},oc=null,pc=null,ph=!1;Ia&&(ph=Lj("input")&&(!document.documentMode||9<document.documentMode));var ua="function"===typeof Object.is?Object.is:Sj,dk=Ia&&"documentMode"in document&&11>=document.documentMode,Jb=null,Ke=null,rc=null,Je=!1,Kb={animationend:gd("Animation","AnimationEnd"),
+animationiteration:gd("Animation","AnimationIteration"),animationstart:gd("Animation","AnimationStart"),transitionend:gd("Transition","TransitionEnd")},Le={},eh={};Ia&&(eh=document.createElement("div").style,"AnimationEvent"in window||(delete Kb.animationend.animation,delete Kb.animationiteration.animation,delete Kb.animationstart.animation),"TransitionEvent"in window||delete Kb.transitionend.transition);var jh=hd("animationend"),kh=hd("animationiteration"),lh=hd("animationstart"),mh=hd("transitionend"),
+fh=new Map,Zi="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");
+(function(){for(var a=0;a<Zi.length;a++){var b=Zi[a],c=b.toLowerCase();b=b[0].toUpperCase()+b.slice(1);$a(c,"on"+b)}$a(jh,"onAnimationEnd");$a(kh,"onAnimationIteration");$a(lh,"onAnimationStart");$a("dblclick","onDoubleClick");$a("focusin","onFocus");$a("focusout","onBlur");$a(mh,"onTransitionEnd")})();Ab("onMouseEnter",["mouseout","mouseover"]);Ab("onMouseLeave",["mouseout","mouseover"]);Ab("onPointerEnter",["pointerout","pointerover"]);Ab("onPointerLeave",["pointerout","pointerover"]);mb("onChange",
+"change click focusin focusout input keydown keyup selectionchange".split(" "));mb("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" "));mb("onBeforeInput",["compositionend","keypress","textInput","paste"]);mb("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" "));mb("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" "));mb("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));
+var Ec="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),Uj=new Set("cancel close invalid load scroll toggle".split(" ").concat(Ec)),id="_reactListening"+Math.random().toString(36).slice(2),gk=/\\r\\n?/g,hk=/\\u0000|\\uFFFD/g,Jf=null,Kf=null,Rf="function"===typeof setTimeout?setTimeout:void 0,Nk="function"===typeof clearTimeout?
+clearTimeout:void 0,$i="function"===typeof Promise?Promise:void 0,Jk="function"===typeof queueMicrotask?queueMicrotask:"undefined"!==typeof $i?function(a){return $i.resolve(null).then(a).catch(ik)}:Rf,Zb=Math.random().toString(36).slice(2),Da="__reactFiber$"+Zb,uc="__reactProps$"+Zb,Ja="__reactContainer$"+Zb,Me="__reactEvents$"+Zb,Dk="__reactListeners$"+Zb,Ek="__reactHandles$"+Zb,Se=[],Mb=-1,cb={},J=bb(cb),S=bb(!1),pb=cb,La=null,md=!1,Te=!1,Ob=[],Pb=0,od=null,nd=0,na=[],oa=0,rb=null,Ma=1,Na="",la=
+null,fa=null,D=!1,wa=null,Ik=Sa.ReactCurrentBatchConfig,Vb=Dh(!0),li=Dh(!1),ud=bb(null),td=null,Rb=null,bf=null,tb=null,kk=Oa,gb=!1,wc={},Ea=bb(wc),yc=bb(wc),xc=bb(wc),F=bb(0),kf=[],yd=Sa.ReactCurrentDispatcher,sf=Sa.ReactCurrentBatchConfig,vb=0,C=null,K=null,N=null,Ad=!1,zc=!1,Ac=0,ml=0,zd={readContext:qa,useCallback:V,useContext:V,useEffect:V,useImperativeHandle:V,useInsertionEffect:V,useLayoutEffect:V,useMemo:V,useReducer:V,useRef:V,useState:V,useDebugValue:V,useDeferredValue:V,useTransition:V,
+useMutableSource:V,useSyncExternalStore:V,useId:V,unstable_isNewReconciler:!1},lk={readContext:qa,useCallback:function(a,b){Fa().memoizedState=[a,void 0===b?null:b];return a},useContext:qa,useEffect:Sh,useImperativeHandle:function(a,b,c){c=null!==c&&void 0!==c?c.concat([a]):null;return Bd(4194308,4,Vh.bind(null,b,a),c)},useLayoutEffect:function(a,b){return Bd(4194308,4,a,b)},useInsertionEffect:function(a,b){return Bd(4,2,a,b)},useMemo:function(a,b){var c=Fa();b=void 0===b?null:b;a=a();c.memoizedState=
+[a,b];return a},useReducer:function(a,b,c){var d=Fa();b=void 0!==c?c(b):b;d.memoizedState=d.baseState=b;a={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:a,lastRenderedState:b};d.queue=a;a=a.dispatch=qk.bind(null,C,a);return[d.memoizedState,a]},useRef:function(a){var b=Fa();a={current:a};return b.memoizedState=a},useState:Qh,useDebugValue:rf,useDeferredValue:function(a){return Fa().memoizedState=a},useTransition:function(){var a=Qh(!1),b=a[0];a=pk.bind(null,a[1]);Fa().memoizedState=
+a;return[b,a]},useMutableSource:function(a,b,c){},useSyncExternalStore:function(a,b,c){var d=C,e=Fa();if(D){if(void 0===c)throw Error(m(407));c=c()}else{c=b();if(null===O)throw Error(m(349));0!==(vb&30)||Nh(d,b,c)}e.memoizedState=c;var f={value:c,getSnapshot:b};e.queue=f;Sh(Lh.bind(null,d,f,a),[a]);d.flags|=2048;Cc(9,Mh.bind(null,d,f,c,b),void 0,null);return c},useId:function(){var a=Fa(),b=O.identifierPrefix;if(D){var c=Na;var d=Ma;c=(d&~(1<<32-ta(d)-1)).toString(32)+c;b=":"+b+"R"+c;c=Ac++;0<c&&
+(b+="H"+c.toString(32));b+=":"}else c=ml++,b=":"+b+"r"+c.toString(32)+":";return a.memoizedState=b},unstable_isNewReconciler:!1},mk={readContext:qa,useCallback:Xh,useContext:qa,useEffect:qf,useImperativeHandle:Wh,useInsertionEffect:Th,useLayoutEffect:Uh,useMemo:Yh,useReducer:of,useRef:Rh,useState:function(a){return of(Bc)},useDebugValue:rf,useDeferredValue:function(a){var b=sa();return Zh(b,K.memoizedState,a)},useTransition:function(){var a=of(Bc)[0],b=sa().memoizedState;return[a,b]},useMutableSource:Jh,
+useSyncExternalStore:Kh,useId:$h,unstable_isNewReconciler:!1},nk={readContext:qa,useCallback:Xh,useContext:qa,useEffect:qf,useImperativeHandle:Wh,useInsertionEffect:Th,useLayoutEffect:Uh,useMemo:Yh,useReducer:pf,useRef:Rh,useState:function(a){return pf(Bc)},useDebugValue:rf,useDeferredValue:function(a){var b=sa();return null===K?b.memoizedState=a:Zh(b,K.memoizedState,a)},useTransition:function(){var a=pf(Bc)[0],b=sa().memoizedState;return[a,b]},useMutableSource:Jh,useSyncExternalStore:Kh,useId:$h,
+unstable_isNewReconciler:!1},Dd={isMounted:function(a){return(a=a._reactInternals)?nb(a)===a:!1},enqueueSetState:function(a,b,c){a=a._reactInternals;var d=Z(),e=hb(a),f=Pa(d,e);f.payload=b;void 0!==c&&null!==c&&(f.callback=c);b=fb(a,f,e);null!==b&&(xa(b,a,e,d),vd(b,a,e))},enqueueReplaceState:function(a,b,c){a=a._reactInternals;var d=Z(),e=hb(a),f=Pa(d,e);f.tag=1;f.payload=b;void 0!==c&&null!==c&&(f.callback=c);b=fb(a,f,e);null!==b&&(xa(b,a,e,d),vd(b,a,e))},enqueueForceUpdate:function(a,b){a=a._reactInternals;
+var c=Z(),d=hb(a),e=Pa(c,d);e.tag=2;void 0!==b&&null!==b&&(e.callback=b);b=fb(a,e,d);null!==b&&(xa(b,a,d,c),vd(b,a,d))}},rk="function"===typeof WeakMap?WeakMap:Map,tk=Sa.ReactCurrentOwner,ha=!1,Cf={dehydrated:null,treeContext:null,retryLane:0};var zk=function(a,b,c,d){for(c=b.child;null!==c;){if(5===c.tag||6===c.tag)a.appendChild(c.stateNode);else if(4!==c.tag&&null!==c.child){c.child.return=c;c=c.child;continue}if(c===b)break;for(;null===c.sibling;){if(null===c.return||c.return===b)return;c=c.return}c.sibling.return=
+c.return;c=c.sibling}};var xi=function(a,b){};var yk=function(a,b,c,d,e){var f=a.memoizedProps;if(f!==d){a=b.stateNode;ub(Ea.current);e=null;switch(c){case "input":f=ke(a,f);d=ke(a,d);e=[];break;case "select":f=E({},f,{value:void 0});d=E({},d,{value:void 0});e=[];break;case "textarea":f=ne(a,f);d=ne(a,d);e=[];break;default:"function"!==typeof f.onClick&&"function"===typeof d.onClick&&(a.onclick=kd)}pe(c,d);var g;c=null;for(l in f)if(!d.hasOwnProperty(l)&&f.hasOwnProperty(l)&&null!=f[l])if("style"===
+l){var h=f[l];for(g in h)h.hasOwnProperty(g)&&(c||(c={}),c[g]="")}else"dangerouslySetInnerHTML"!==l&&"children"!==l&&"suppressContentEditableWarning"!==l&&"suppressHydrationWarning"!==l&&"autoFocus"!==l&&($b.hasOwnProperty(l)?e||(e=[]):(e=e||[]).push(l,null));for(l in d){var k=d[l];h=null!=f?f[l]:void 0;if(d.hasOwnProperty(l)&&k!==h&&(null!=k||null!=h))if("style"===l)if(h){for(g in h)!h.hasOwnProperty(g)||k&&k.hasOwnProperty(g)||(c||(c={}),c[g]="");for(g in k)k.hasOwnProperty(g)&&h[g]!==k[g]&&(c||
+(c={}),c[g]=k[g])}else c||(e||(e=[]),e.push(l,c)),c=k;else"dangerouslySetInnerHTML"===l?(k=k?k.__html:void 0,h=h?h.__html:void 0,null!=k&&h!==k&&(e=e||[]).push(l,k)):"children"===l?"string"!==typeof k&&"number"!==typeof k||(e=e||[]).push(l,""+k):"suppressContentEditableWarning"!==l&&"suppressHydrationWarning"!==l&&($b.hasOwnProperty(l)?(null!=k&&"onScroll"===l&&B("scroll",a),e||h===k||(e=[])):(e=e||[]).push(l,k))}c&&(e=e||[]).push("style",c);var l=e;if(b.updateQueue=l)b.flags|=4}};var Ak=function(a,
+b,c,d){c!==d&&(b.flags|=4)};var Jd=!1,X=!1,Fk="function"===typeof WeakSet?WeakSet:Set,l=null,zi=!1,T=null,za=!1,Mk=Math.ceil,Od=Sa.ReactCurrentDispatcher,Uf=Sa.ReactCurrentOwner,ca=Sa.ReactCurrentBatchConfig,p=0,O=null,H=null,U=0,ba=0,Ga=bb(0),L=0,Jc=null,ra=0,Md=0,Sf=0,Kc=null,ja=null,Of=0,Hf=Infinity,Ra=null,Ed=!1,xf=null,ib=null,Pd=!1,lb=null,Qd=0,Ic=0,Pf=null,Kd=-1,Ld=0;var Qk=function(a,b,c){if(null!==a)if(a.memoizedProps!==b.pendingProps||S.current)ha=!0;else{if(0===(a.lanes&c)&&0===(b.flags&
+128))return ha=!1,wk(a,b,c);ha=0!==(a.flags&131072)?!0:!1}else ha=!1,D&&0!==(b.flags&1048576)&&yh(b,nd,b.index);b.lanes=0;switch(b.tag){case 2:var d=b.type;Fd(a,b);a=b.pendingProps;var e=Nb(b,J.current);Sb(b,c);e=mf(null,b,d,a,e,c);var f=nf();b.flags|=1;"object"===typeof e&&null!==e&&"function"===typeof e.render&&void 0===e.$$typeof?(b.tag=1,b.memoizedState=null,b.updateQueue=null,ea(d)?(f=!0,ld(b)):f=!1,b.memoizedState=null!==e.state&&void 0!==e.state?e.state:null,ff(b),e.updater=Dd,b.stateNode=
+e,e._reactInternals=b,uf(b,d,a,c),b=Af(null,b,d,!0,f,c)):(b.tag=0,D&&f&&Ue(b),aa(null,b,e,c),b=b.child);return b;case 16:d=b.elementType;a:{Fd(a,b);a=b.pendingProps;e=d._init;d=e(d._payload);b.type=d;e=b.tag=Uk(d);a=ya(d,a);switch(e){case 0:b=zf(null,b,d,a,c);break a;case 1:b=ri(null,b,d,a,c);break a;case 11:b=mi(null,b,d,a,c);break a;case 14:b=ni(null,b,d,ya(d.type,a),c);break a}throw Error(m(306,d,""));}return b;case 0:return d=b.type,e=b.pendingProps,e=b.elementType===d?e:ya(d,e),zf(a,b,d,e,c);
+case 1:return d=b.type,e=b.pendingProps,e=b.elementType===d?e:ya(d,e),ri(a,b,d,e,c);case 3:a:{si(b);if(null===a)throw Error(m(387));d=b.pendingProps;f=b.memoizedState;e=f.element;Fh(a,b);wd(b,d,null,c);var g=b.memoizedState;d=g.element;if(f.isDehydrated)if(f={element:d,isDehydrated:!1,cache:g.cache,pendingSuspenseBoundaries:g.pendingSuspenseBoundaries,transitions:g.transitions},b.updateQueue.baseState=f,b.memoizedState=f,b.flags&256){e=Ub(Error(m(423)),b);b=ti(a,b,d,c,e);break a}else if(d!==e){e=
+Ub(Error(m(424)),b);b=ti(a,b,d,c,e);break a}else for(fa=Ka(b.stateNode.containerInfo.firstChild),la=b,D=!0,wa=null,c=li(b,null,d,c),b.child=c;c;)c.flags=c.flags&-3|4096,c=c.sibling;else{Qb();if(d===e){b=Qa(a,b,c);break a}aa(a,b,d,c)}b=b.child}return b;case 5:return Ih(b),null===a&&Xe(b),d=b.type,e=b.pendingProps,f=null!==a?a.memoizedProps:null,g=e.children,Qe(d,e)?g=null:null!==f&&Qe(d,f)&&(b.flags|=32),qi(a,b),aa(a,b,g,c),b.child;case 6:return null===a&&Xe(b),null;case 13:return ui(a,b,c);case 4:return gf(b,
+b.stateNode.containerInfo),d=b.pendingProps,null===a?b.child=Vb(b,null,d,c):aa(a,b,d,c),b.child;case 11:return d=b.type,e=b.pendingProps,e=b.elementType===d?e:ya(d,e),mi(a,b,d,e,c);case 7:return aa(a,b,b.pendingProps,c),b.child;case 8:return aa(a,b,b.pendingProps.children,c),b.child;case 12:return aa(a,b,b.pendingProps.children,c),b.child;case 10:a:{d=b.type._context;e=b.pendingProps;f=b.memoizedProps;g=e.value;y(ud,d._currentValue);d._currentValue=g;if(null!==f)if(ua(f.value,g)){if(f.children===
+e.children&&!S.current){b=Qa(a,b,c);break a}}else for(f=b.child,null!==f&&(f.return=b);null!==f;){var h=f.dependencies;if(null!==h){g=f.child;for(var k=h.firstContext;null!==k;){if(k.context===d){if(1===f.tag){k=Pa(-1,c&-c);k.tag=2;var l=f.updateQueue;if(null!==l){l=l.shared;var p=l.pending;null===p?k.next=k:(k.next=p.next,p.next=k);l.pending=k}}f.lanes|=c;k=f.alternate;null!==k&&(k.lanes|=c);df(f.return,c,b);h.lanes|=c;break}k=k.next}}else if(10===f.tag)g=f.type===b.type?null:f.child;else if(18===
+f.tag){g=f.return;if(null===g)throw Error(m(341));g.lanes|=c;h=g.alternate;null!==h&&(h.lanes|=c);df(g,c,b);g=f.sibling}else g=f.child;if(null!==g)g.return=f;else for(g=f;null!==g;){if(g===b){g=null;break}f=g.sibling;if(null!==f){f.return=g.return;g=f;break}g=g.return}f=g}aa(a,b,e.children,c);b=b.child}return b;case 9:return e=b.type,d=b.pendingProps.children,Sb(b,c),e=qa(e),d=d(e),b.flags|=1,aa(a,b,d,c),b.child;case 14:return d=b.type,e=ya(d,b.pendingProps),e=ya(d.type,e),ni(a,b,d,e,c);case 15:return oi(a,
+b,b.type,b.pendingProps,c);case 17:return d=b.type,e=b.pendingProps,e=b.elementType===d?e:ya(d,e),Fd(a,b),b.tag=1,ea(d)?(a=!0,ld(b)):a=!1,Sb(b,c),ei(b,d,e),uf(b,d,e,c),Af(null,b,d,!0,a,c);case 19:return wi(a,b,c);case 22:return pi(a,b,c)}throw Error(m(156,b.tag));};var pa=function(a,b,c,d){return new Tk(a,b,c,d)},aj="function"===typeof reportError?reportError:function(a){console.error(a)};Ud.prototype.render=Xf.prototype.render=function(a){var b=this._internalRoot;if(null===b)throw Error(m(409));
+Sd(a,b,null,null)};Ud.prototype.unmount=Xf.prototype.unmount=function(){var a=this._internalRoot;if(null!==a){this._internalRoot=null;var b=a.containerInfo;yb(function(){Sd(null,a,null,null)});b[Ja]=null}};Ud.prototype.unstable_scheduleHydration=function(a){if(a){var b=nl();a={blockedOn:null,target:a,priority:b};for(var c=0;c<Ya.length&&0!==b&&b<Ya[c].priority;c++);Ya.splice(c,0,a);0===c&&Hg(a)}};var Cj=function(a){switch(a.tag){case 3:var b=a.stateNode;if(b.current.memoizedState.isDehydrated){var c=
+hc(b.pendingLanes);0!==c&&(xe(b,c|1),ia(b,P()),0===(p&6)&&(Hc(),db()))}break;case 13:yb(function(){var b=Oa(a,1);if(null!==b){var c=Z();xa(b,a,1,c)}}),Wf(a,1)}};var Gg=function(a){if(13===a.tag){var b=Oa(a,134217728);if(null!==b){var c=Z();xa(b,a,134217728,c)}Wf(a,134217728)}};var xj=function(a){if(13===a.tag){var b=hb(a),c=Oa(a,b);if(null!==c){var d=Z();xa(c,a,b,d)}Wf(a,b)}};var nl=function(){return z};var wj=function(a,b){var c=z;try{return z=a,b()}finally{z=c}};se=function(a,b,c){switch(b){case "input":le(a,
+c);b=c.name;if("radio"===c.type&&null!=b){for(c=a;c.parentNode;)c=c.parentNode;c=c.querySelectorAll("input[name="+JSON.stringify(""+b)+'][type="radio"]');for(b=0;b<c.length;b++){var d=c[b];if(d!==a&&d.form===a.form){var e=Rc(d);if(!e)throw Error(m(90));jg(d);le(d,e)}}}break;case "textarea":og(a,c);break;case "select":b=c.value,null!=b&&Db(a,!!c.multiple,b,!1)}};(function(a,b,c){xg=a;yg=c})(Tf,function(a,b,c,d,e){var f=z,g=ca.transition;try{return ca.transition=null,z=1,a(b,c,d,e)}finally{z=f,ca.transition=
+g,0===p&&Hc()}},yb);var ol={usingClientEntryPoint:!1,Events:[ec,Ib,Rc,ug,vg,Tf]};(function(a){a={bundleType:a.bundleType,version:a.version,rendererPackageName:a.rendererPackageName,rendererConfig:a.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:Sa.ReactCurrentDispatcher,findHostInstanceByFiber:Xk,
+findFiberByHostInstance:a.findFiberByHostInstance||Yk,findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.3.1"};if("undefined"===typeof __REACT_DEVTOOLS_GLOBAL_HOOK__)a=!1;else{var b=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(b.isDisabled||!b.supportsFiber)a=!0;else{try{Uc=b.inject(a),Ca=b}catch(c){}a=b.checkDCE?!0:!1}}return a})({findFiberByHostInstance:ob,bundleType:0,version:"18.3.1-next-f1338f8080-20240426",
+rendererPackageName:"react-dom"});Q.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=ol;Q.createPortal=function(a,b){var c=2<arguments.length&&void 0!==arguments[2]?arguments[2]:null;if(!Yf(b))throw Error(m(200));return Wk(a,b,null,c)};Q.createRoot=function(a,b){if(!Yf(a))throw Error(m(299));var c=!1,d="",e=aj;null!==b&&void 0!==b&&(!0===b.unstable_strictMode&&(c=!0),void 0!==b.identifierPrefix&&(d=b.identifierPrefix),void 0!==b.onRecoverableError&&(e=b.onRecoverableError));b=Vf(a,1,!1,null,null,
+c,!1,d,e);a[Ja]=b.current;sc(8===a.nodeType?a.parentNode:a);return new Xf(b)};Q.findDOMNode=function(a){if(null==a)return null;if(1===a.nodeType)return a;var b=a._reactInternals;if(void 0===b){if("function"===typeof a.render)throw Error(m(188));a=Object.keys(a).join(",");throw Error(m(268,a));}a=Bg(b);a=null===a?null:a.stateNode;return a};Q.flushSync=function(a){return yb(a)};Q.hydrate=function(a,b,c){if(!Vd(b))throw Error(m(200));return Wd(null,a,b,!0,c)};Q.hydrateRoot=function(a,b,c){if(!Yf(a))throw Error(m(405));
+var d=null!=c&&c.hydratedSources||null,e=!1,f="",g=aj;null!==c&&void 0!==c&&(!0===c.unstable_strictMode&&(e=!0),void 0!==c.identifierPrefix&&(f=c.identifierPrefix),void 0!==c.onRecoverableError&&(g=c.onRecoverableError));b=Wi(b,null,a,1,null!=c?c:null,e,!1,f,g);a[Ja]=b.current;sc(a);if(d)for(a=0;a<d.length;a++)c=d[a],e=c._getVersion,e=e(c._source),null==b.mutableSourceEagerHydrationData?b.mutableSourceEagerHydrationData=[c,e]:b.mutableSourceEagerHydrationData.push(c,e);return new Ud(b)};Q.render=
+function(a,b,c){if(!Vd(b))throw Error(m(200));return Wd(null,a,b,!1,c)};Q.unmountComponentAtNode=function(a){if(!Vd(a))throw Error(m(40));return a._reactRootContainer?(yb(function(){Wd(null,null,a,!1,function(){a._reactRootContainer=null;a[Ja]=null})}),!0):!1};Q.unstable_batchedUpdates=Tf;Q.unstable_renderSubtreeIntoContainer=function(a,b,c,d){if(!Vd(c))throw Error(m(200));if(null==a||void 0===a._reactInternals)throw Error(m(38));return Wd(a,b,c,!1,d)};Q.version="18.3.1-next-f1338f8080-20240426"});
+})();`
+};